@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {ITellorDataBank} from "./interfaces/ITellorDataBank.sol";
+import {GuardedLiquityV2OracleAdaptor} from "./GuardedLiquityV2OracleAdaptor.sol";
+
+/**
+ @author Tellor Inc.
+ @title GuardedLiquityV2AveragingOracleAdaptor
+ @notice The GuardedLiquityV2AveragingOracleAdaptor.sol allows pausing and unpausing of data flow via permissioned addresses.
+ * Thresholds triggering pauses are externally defined and may change at the team’s discretion. There is no guarantee
+ * that a pause will occur before any losses are incurred, and pauses or unpauses may themselves result in losses.
+ * Users accept all risks. The team is not liable for any losses or disruptions resulting from the use of this Adaptor.
+ @dev this contract is a GuardedLiquityV2OracleAdaptor that answers each round with the time-weighted average or the
+ * median of the aggregates up to that round, rather than the round's own aggregate, so a single bad attestation moves
+ * the answer less. The window holds at most windowSize aggregates, only those the data bank still retains and, if
+ * windowDuration is set, only those within windowDuration seconds. Every read costs one getAggregateByIndex call per
+ * aggregate in the window, about 19k gas per aggregate for the time-weighted average and 18k for the median, so
+ * windowSize is capped at MAX_WINDOW_SIZE, where latestRoundData costs about 640k and 600k gas. The inherited deviation
+ * circuit breaker and fallback oracle add up to MAX_DEVIATION_LOOKBACK aggregate reads and the fallback's staleness
+ * check, so with the breaker tripped and the fallback in Auto mode a read costs at most about 725k and 680k gas.
+ */
+contract GuardedLiquityV2AveragingOracleAdaptor is GuardedLiquityV2OracleAdaptor {
+    // Storage
+    uint256 public constant MAX_WINDOW_SIZE = 32; // the largest window, which bounds the gas cost of a read to about 725k
+    Method public immutable method; // how the aggregates in the window are combined
+    uint256 public immutable windowSize; // the max number of aggregates in the window
+    uint256 public immutable windowDuration; // the max age of the window in seconds, 0 for no limit
+
+    enum Method {
+        Twap, // the time-weighted average of the values in effect during the window
+        Median // the median of the values reported during the window
+    }
+
+    /**
+     * @dev initializes the adapter with a data bank, query ID, decimal precisions, value type, name, admin and window
+     * @param _tellorDataBank address of the TellorDataBank contract
+     * @param _queryId the query ID this adapter will serve data for
+     * @param _decimals the number of decimals for the returned price data
+     * @param _sourceDecimals the number of decimals of the values stored in the data bank
+     * @param _signedValue whether the values stored in the data bank are ABI encoded int256 rather than uint256
+     * @param _project the project or protocol this price feed is for
+     * @param _name the name or description of the price feed
+     * @param _admin the address of the admin who can add and remove guardians
+     * @param _method how the aggregates in the window are combined
+     * @param _windowSize the max number of aggregates in the window, from 1 to MAX_WINDOW_SIZE
+     * @param _windowDuration the max age of the window in seconds, 0 for no limit
+     */
+    constructor(
+        address _tellorDataBank,
+        bytes32 _queryId,
+        uint8 _decimals,
+        uint8 _sourceDecimals,
+        bool _signedValue,
+        string memory _project,
+        string memory _name,
+        address _admin,
+        Method _method,
+        uint256 _windowSize,
+        uint256 _windowDuration
+    ) GuardedLiquityV2OracleAdaptor(_tellorDataBank, _queryId, _decimals, _sourceDecimals, _signedValue, _project, _name, _admin) {
+        require(_windowSize > 0 && _windowSize <= MAX_WINDOW_SIZE, "GuardedLiquityV2AveragingOracleAdaptor: Window size out of range");
+        method = _method;
+        windowSize = _windowSize;
+        windowDuration = _windowDuration;
+    }
+
+    // Internal functions
+    /**
+     * @dev internal function to get the median of the values reported in the window ending at an aggregate
+     * @param _index the data bank index of the last aggregate in the window
+     * @param _last the last aggregate in the window
+     * @return the median value, or the mean of the two middle values truncated towards zero for an even count
+     */
+    function _median(uint256 _index, ITellorDataBank.AggregateData memory _last) internal view returns (int256) {
+        uint256 _oldest = _oldestAggregateIndex();
+        uint256 _windowStart = _windowStartFrom(_last.aggregateTimestamp / MS_PER_SECOND);
+        int256[] memory _sorted = new int256[](windowSize);
+        uint256 _count;
+        ITellorDataBank.AggregateData memory _aggregate = _last;
+        while (true) {
+            // insertion sort, as the window is small
+            int256 _answer = _decodeAnswer(_aggregate.value);
+            uint256 _position = _count;
+            while (_position > 0 && _sorted[_position - 1] > _answer) {
+                _sorted[_position] = _sorted[_position - 1];
+                _position--;
+            }
+            _sorted[_position] = _answer;
+            _count++;
+            if (_count == windowSize || _index == _oldest) {
+                break;
+            }
+            _index--;
+            _aggregate = dataBank.getAggregateByIndex(queryId, _index);
+            if (_aggregate.aggregateTimestamp / MS_PER_SECOND < _windowStart) {
+                break;
+            }
+        }
+        if (_count % 2 == 1) {
+            return _sorted[_count / 2];
+        }
+        int256 _low = _sorted[_count / 2 - 1];
+        int256 _high = _sorted[_count / 2];
+        if ((_low < 0) != (_high < 0)) {
+            return (_low + _high) / 2;
+        }
+        // halve before adding, as the sum of two values of the same sign may not fit in an int256
+        return _low / 2 + _high / 2 + (_low % 2 + _high % 2) / 2;
+    }
+
+    /**
+     * @dev internal function to convert aggregate data to round data in Chainlink format, answering with the
+     * window ending at the aggregate
+     * @param _roundId the round ID of the aggregate
+     * @param _aggregateData the aggregate data
+     * @return the roundId, answer, startedAt, updatedAt and answeredInRound of the aggregate
+     */
+    function _toRoundData(uint256 _roundId, ITellorDataBank.AggregateData memory _aggregateData) internal view override returns (uint80, int256, uint256, uint256, uint80) {
+        int256 _answer = method == Method.Twap ? _twap(_roundId - 1, _aggregateData) : _median(_roundId - 1, _aggregateData);
+        // convert aggregateTimestamp to seconds
+        uint256 _updatedAt = _aggregateData.aggregateTimestamp / MS_PER_SECOND;
+        return (uint80(_roundId), _answer, _updatedAt, _updatedAt, uint80(_roundId));
+    }
+
+    /**
+     * @dev internal function to get the time-weighted average of the values in effect during the window ending when
+     * an aggregate was replaced by the next one, or now for the latest aggregate. Each value is weighted by the seconds
+     * it was the latest value within the window, so the latest round's answer moves towards its own value as time
+     * passes, while its round ID and updatedAt stay those of its aggregate.
+     * @param _index the data bank index of the last aggregate in the window
+     * @param _last the last aggregate in the window
+     * @return the time-weighted average truncated towards zero, or the last value if the window lasts zero seconds
+     */
+    function _twap(uint256 _index, ITellorDataBank.AggregateData memory _last) internal view returns (int256) {
+        uint256 _end = _index + 1 < dataBank.getAggregateValueCount(queryId)
+            ? dataBank.getAggregateByIndex(queryId, _index + 1).aggregateTimestamp / MS_PER_SECOND
+            : block.timestamp;
+        uint256 _windowStart = _windowStartFrom(_end);
+        uint256 _oldest = _oldestAggregateIndex();
+        int256[] memory _values = new int256[](windowSize);
+        uint256[] memory _weights = new uint256[](windowSize);
+        uint256 _totalWeight;
+        ITellorDataBank.AggregateData memory _aggregate = _last;
+        for (uint256 _count = 0; ; ) {
+            uint256 _timestamp = _aggregate.aggregateTimestamp / MS_PER_SECOND;
+            uint256 _start = _timestamp > _windowStart ? _timestamp : _windowStart;
+            if (_end > _start) {
+                _values[_count] = _decodeAnswer(_aggregate.value);
+                _weights[_count] = _end - _start;
+                _totalWeight += _end - _start;
+            }
+            _count++;
+            // the oldest aggregate in the window is the one in effect when the window starts
+            if (_count == windowSize || _index == _oldest || _timestamp <= _windowStart) {
+                break;
+            }
+            _end = _timestamp;
+            _index--;
+            _aggregate = dataBank.getAggregateByIndex(queryId, _index);
+        }
+        return _totalWeight == 0 ? _decodeAnswer(_last.value) : _weightedMean(_values, _weights, _totalWeight);
+    }
+
+    /**
+     * @dev internal function to get a weighted mean without overflowing, by weighting each value's quotient and
+     * remainder by the total weight separately. The weighted quotients add up to at most the largest value, and the
+     * weighted remainders to less than windowSize times the total weight squared.
+     * @param _values the values
+     * @param _weights the weight of each value
+     * @param _totalWeight the sum of the weights, greater than zero
+     * @return _mean the weighted mean truncated towards zero
+     */
+    function _weightedMean(int256[] memory _values, uint256[] memory _weights, uint256 _totalWeight) internal pure returns (int256 _mean) {
+        int256 _total = int256(_totalWeight);
+        int256 _remainders;
+        for (uint256 _i = 0; _i < _values.length; _i++) {
+            _mean += _values[_i] / _total * int256(_weights[_i]);
+            _remainders += _values[_i] % _total * int256(_weights[_i]);
+        }
+        _mean += _remainders / _total;
+        _remainders %= _total;
+        // the remainders left can have the opposite sign to the mean, which is then one too far from zero
+        if (_mean > 0 && _remainders < 0) {
+            _mean--;
+        } else if (_mean < 0 && _remainders > 0) {
+            _mean++;
+        }
+    }
+
+    /**
+     * @dev internal function to get the start of a window
+     * @param _end the end of the window in seconds
+     * @return the start of the window in seconds, 0 if the window's duration is not limited
+     */
+    function _windowStartFrom(uint256 _end) internal view returns (uint256) {
+        return windowDuration > 0 && _end > windowDuration ? _end - windowDuration : 0;
+    }
+}
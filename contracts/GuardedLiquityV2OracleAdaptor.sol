@@ -1,8 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
-import {LiquityV2OracleAggregatorV3Interface} from "./interfaces/LiquityV2OracleAggregatorV3Interface.sol";
+import {AggregatorV3Interface} from "./interfaces/AggregatorV3Interface.sol";
 import {ITellorDataBank} from "./interfaces/ITellorDataBank.sol";
+import {LiquityV2OracleAggregatorV3Interface} from "./interfaces/LiquityV2OracleAggregatorV3Interface.sol";
 import {GuardedPausable} from "./GuardedPausable.sol";
 
 /**
@@ -12,42 +13,216 @@ import {GuardedPausable} from "./GuardedPausable.sol";
  * Thresholds triggering pauses are externally defined and may change at the team’s discretion. There is no guarantee 
  * that a pause will occur before any losses are incurred, and pauses or unpauses may themselves result in losses. 
  * Users accept all risks. The team is not liable for any losses or disruptions resulting from the use of this Adaptor.
- @dev this contract implements LiquityV2OracleAggregatorV3Interface to provide Tellor oracle data from a TellorDataBank.
- * It is guarded by a GuardedPausable contract to allow for pausing and unpausing of oracle reads.
+ @dev this contract implements Chainlink's AggregatorV3Interface, which extends LiquityV2OracleAggregatorV3Interface,
+ * and latestAnswer/latestTimestamp to provide Tellor oracle data from a TellorDataBank. Round IDs are data bank
+ * indexes plus one, so round 0 never exists and the latest round ID is the data bank's aggregate value count.
+ * Values are decoded as uint256 or int256 and scaled from the source decimals to the adaptor's decimals, rounding
+ * half away from zero when decimals are removed.
+ * It is guarded by a GuardedPausable contract to allow for pausing and unpausing of oracle reads, and by an optional
+ * deviation circuit breaker that refuses the latest value when it jumps too far from the last accepted one too quickly.
+ * An optional fallback oracle serves the latest round instead while guardians select it, or while the adaptor is
+ * paused or its Tellor value is stale. Fallback rounds have FALLBACK_ROUND_ID_FLAG set in their round IDs, which
+ * getRoundData does not serve.
  */
-contract GuardedLiquityV2OracleAdaptor is LiquityV2OracleAggregatorV3Interface, GuardedPausable {
+contract GuardedLiquityV2OracleAdaptor is AggregatorV3Interface, GuardedPausable {
     // Storage
     ITellorDataBank public immutable dataBank; // the Tellor data bank contract to retrieve oracle data from
     bytes32 public immutable queryId; // the specific query ID this adapter serves data for
     uint8 public immutable decimals; // the number of decimals for the price data
+    uint8 public immutable sourceDecimals; // the number of decimals of the values stored in the data bank
+    bool public immutable signedValue; // whether the values stored in the data bank are int256 rather than uint256
     string public name; // the name of the price feed
     string public project; // the project or protocol this price feed is for
     uint256 public constant MS_PER_SECOND = 1000; // the number of milliseconds in a second
+    uint256 public constant version = 1; // the version of the adaptor's aggregator interface
+    uint256 public constant BPS = 10000; // the number of basis points in 100%
+    uint8 public constant MAX_DECIMALS_DIFFERENCE = 76; // the largest scaling whose factor, 10**76, fits in an int256
+    uint256 public constant MAX_DEVIATION_LOOKBACK = 8; // the max number of earlier aggregates the breaker reads to find the last accepted one
+    uint80 public constant FALLBACK_ROUND_ID_FLAG = 2 ** 79; // set on the round IDs of fallback rounds, so they are never Tellor round IDs
+    DeviationBreaker public deviationBreaker; // the deviation circuit breaker settings, disabled while all zero
+    LiquityV2OracleAggregatorV3Interface public fallbackOracle; // the secondary source of the latest round, if any
+    uint64 public fallbackStalenessLimit; // the max age of the Tellor value before Auto mode falls back, 0 for no limit
+    uint8 public fallbackDecimals; // the number of decimals of the fallback oracle's answers
+    FallbackMode public fallbackMode; // when the latest round is served from the fallback oracle
+
+    struct DeviationBreaker {
+        uint64 maxDeviationBps; // the max change from the last accepted value, in basis points, 0 to disable
+        uint64 window; // the max time between the last accepted and latest aggregates for the max change to apply, in seconds
+        bool serveLastAccepted; // whether to serve the last accepted round instead of reverting when the breaker trips
+    }
+
+    enum FallbackMode {
+        Off, // always serve Tellor data
+        Auto, // serve the fallback oracle while paused, without Tellor data, or when the Tellor value is stale
+        Forced // always serve the fallback oracle
+    }
+
+    // Events
+    event DeviationBreakerUpdated(uint256 maxDeviationBps, uint256 window, bool serveLastAccepted);
+    event FallbackModeUpdated(FallbackMode mode);
+    event FallbackOracleUpdated(address indexed fallbackOracle, uint256 stalenessLimit);
 
     /**
-     * @dev initializes the adapter with a data bank, query ID, decimal precision, name, and admin
+     * @dev initializes the adapter with a data bank, query ID, decimal precisions, value type, name, and admin
      * @param _tellorDataBank address of the TellorDataBank contract
      * @param _queryId the query ID this adapter will serve data for
      * @param _decimals the number of decimals for the returned price data
+     * @param _sourceDecimals the number of decimals of the values stored in the data bank
+     * @param _signedValue whether the values stored in the data bank are ABI encoded int256 rather than uint256
      * @param _project the project or protocol this price feed is for
      * @param _name the name or description of the price feed
      * @param _admin the address of the admin who can add and remove guardians
      */
-    constructor(address _tellorDataBank, bytes32 _queryId, uint8 _decimals, string memory _project, string memory _name, address _admin) GuardedPausable(_admin) {
+    constructor(
+        address _tellorDataBank,
+        bytes32 _queryId,
+        uint8 _decimals,
+        uint8 _sourceDecimals,
+        bool _signedValue,
+        string memory _project,
+        string memory _name,
+        address _admin
+    ) GuardedPausable(_admin) {
+        require(_absDiff(_decimals, _sourceDecimals) <= MAX_DECIMALS_DIFFERENCE, "GuardedLiquityV2OracleAdaptor: Decimals difference too large");
         dataBank = ITellorDataBank(_tellorDataBank);
         queryId = _queryId;
         decimals = _decimals;
+        sourceDecimals = _sourceDecimals;
+        signedValue = _signedValue;
         project = _project;
         name = _name;
     }
 
     /**
-     * @dev returns the latest round data in Chainlink format using Tellor oracle data
-     * @return roundId always returns 1 (not used)
-     * @return answer the latest oracle value converted to int256
-     * @return startedAt always returns 0 (not used)
+     * @dev allows the admin to configure the deviation circuit breaker. An aggregate is accepted unless its value differs
+     * from the last accepted one by more than the max deviation and the two aggregates are at most the window apart, so
+     * consecutive outliers are all compared with the value before them. When the latest aggregate is not accepted, the
+     * latest round getters revert or, if selected, serve the last accepted round. getRoundData is not affected.
+     * @param _maxDeviationBps the max change from the last accepted value, in basis points, 0 to disable the breaker
+     * @param _window the max time between the last accepted and latest aggregates for the max change to apply, in seconds
+     * @param _serveLastAccepted whether to serve the last accepted round instead of reverting when the breaker trips
+     */
+    function setDeviationBreaker(uint64 _maxDeviationBps, uint64 _window, bool _serveLastAccepted) external {
+        require(msg.sender == admin, "GuardedLiquityV2OracleAdaptor: Not an admin");
+        require(
+            _maxDeviationBps == 0 ? _window == 0 && !_serveLastAccepted : _window > 0,
+            "GuardedLiquityV2OracleAdaptor: Deviation window must be set with a max deviation"
+        );
+        deviationBreaker = DeviationBreaker(_maxDeviationBps, _window, _serveLastAccepted);
+        emit DeviationBreakerUpdated(_maxDeviationBps, _window, _serveLastAccepted);
+    }
+
+    /**
+     * @dev allows a guardian to select when the latest round is served from the fallback oracle
+     * @param _mode Off to always serve Tellor data, Auto to fall back while paused, without Tellor data or when the
+     * Tellor value is older than the staleness limit, or Forced to always serve the fallback oracle
+     */
+    function setFallbackMode(FallbackMode _mode) external {
+        require(guardians[msg.sender], "GuardedLiquityV2OracleAdaptor: Not a guardian");
+        require(_mode != fallbackMode, "GuardedLiquityV2OracleAdaptor: Fallback mode unchanged");
+        require(_mode == FallbackMode.Off || address(fallbackOracle) != address(0), "GuardedLiquityV2OracleAdaptor: Fallback oracle not set");
+        fallbackMode = _mode;
+        emit FallbackModeUpdated(_mode);
+    }
+
+    /**
+     * @dev allows the admin to set the fallback oracle and the staleness limit of Auto mode. The oracle can only be
+     * removed while the fallback mode is Off.
+     * @param _fallbackOracle the address of a Chainlink compatible price feed, or address(0) to remove it
+     * @param _stalenessLimit the max age of the Tellor value in seconds before Auto mode falls back, 0 for no limit
+     */
+    function setFallbackOracle(address _fallbackOracle, uint64 _stalenessLimit) external {
+        require(msg.sender == admin, "GuardedLiquityV2OracleAdaptor: Not an admin");
+        uint8 _fallbackDecimals;
+        if (_fallbackOracle == address(0)) {
+            require(fallbackMode == FallbackMode.Off, "GuardedLiquityV2OracleAdaptor: Fallback mode must be off");
+        } else {
+            _fallbackDecimals = LiquityV2OracleAggregatorV3Interface(_fallbackOracle).decimals();
+            require(_absDiff(decimals, _fallbackDecimals) <= MAX_DECIMALS_DIFFERENCE, "GuardedLiquityV2OracleAdaptor: Decimals difference too large");
+        }
+        fallbackOracle = LiquityV2OracleAggregatorV3Interface(_fallbackOracle);
+        fallbackStalenessLimit = _stalenessLimit;
+        fallbackDecimals = _fallbackDecimals;
+        emit FallbackOracleUpdated(_fallbackOracle, _stalenessLimit);
+    }
+
+    /**
+     * @dev returns the description of the price feed
+     * @return the project and name of the price feed, e.g. "ProjectA ETH/USD"
+     */
+    function description() external view returns (string memory) {
+        return string.concat(project, " ", name);
+    }
+
+    /**
+     * @dev returns how far the latest value is from the last accepted one, for off-chain tools to see why the breaker
+     * tripped. While the breaker is disabled every aggregate is accepted, so the latest value is compared with the previous one.
+     * @return _tripped whether the deviation circuit breaker refuses the latest value
+     * @return _deviationBps the change from the last accepted value in basis points, 0 without a previous value
+     * @return _latestRoundId the latest round ID, 0 without data
+     * @return _previousRoundId the round ID of the last accepted value the latest value is compared with, 0 without a previous value
+     */
+    function getDeviationStatus() external view returns (bool _tripped, uint256 _deviationBps, uint80 _latestRoundId, uint80 _previousRoundId) {
+        uint256 _count = dataBank.getAggregateValueCount(queryId);
+        if (_count == 0) {
+            return (false, 0, 0, 0);
+        }
+        ITellorDataBank.AggregateData memory _latest = dataBank.getAggregateByIndex(queryId, _count - 1);
+        (_tripped, _previousRoundId, _deviationBps, ) = _checkDeviation(_count, _latest, deviationBreaker);
+        return (_tripped, _deviationBps, uint80(_count), _previousRoundId);
+    }
+
+    /**
+     * @dev returns the data of a round in Chainlink format using Tellor oracle data. Fallback rounds are not served.
+     * @param _roundId the round ID, the data bank index plus one
+     * @return roundId the round ID
+     * @return answer the oracle value of the round scaled to the adaptor's decimals
+     * @return startedAt the timestamp of the round's aggregate (in seconds), the same as updatedAt
+     * @return updatedAt the timestamp of the round's aggregate (in seconds)
+     * @return answeredInRound the round ID
+     */
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        _onlyUnpaused();
+        require(_roundId & FALLBACK_ROUND_ID_FLAG == 0, "GuardedLiquityV2OracleAdaptor: Fallback rounds not served by round ID");
+        require(_roundId > 0 && _roundId <= dataBank.getAggregateValueCount(queryId), "GuardedLiquityV2OracleAdaptor: No data present");
+        return _toRoundData(_roundId, dataBank.getAggregateByIndex(queryId, _roundId - 1));
+    }
+
+    /**
+     * @dev returns whether the latest round getters currently serve the fallback oracle instead of Tellor data
+     * @return whether the fallback oracle is active
+     */
+    function isFallbackActive() external view returns (bool) {
+        return _isFallbackActive();
+    }
+
+    /**
+     * @dev returns the latest oracle value, for consumers of Chainlink's legacy AggregatorInterface
+     * @return the latest oracle value scaled to the adaptor's decimals
+     */
+    function latestAnswer() external view returns (int256) {
+        (, int256 _answer, , , ) = _latestRoundData();
+        return _answer;
+    }
+
+    /**
+     * @dev returns the latest round data in Chainlink format using Tellor oracle data, or the fallback oracle's
+     * latest round, with FALLBACK_ROUND_ID_FLAG set in its round IDs, while the fallback is active
+     * @return roundId the latest round ID, the number of aggregates in the data bank
+     * @return answer the latest oracle value scaled to the adaptor's decimals
+     * @return startedAt the timestamp of the latest aggregate (in seconds), the same as updatedAt
      * @return updatedAt the timestamp when the data was last updated (in seconds)
-     * @return answeredInRound always returns 0 (not used)
+     * @return answeredInRound the latest round ID
      */
     function latestRoundData()
         external
@@ -60,13 +235,276 @@ contract GuardedLiquityV2OracleAdaptor is LiquityV2OracleAggregatorV3Interface,
             uint80 answeredInRound
         )
     {
+        return _latestRoundData();
+    }
+
+    /**
+     * @dev returns the timestamp of the latest oracle value, for consumers of Chainlink's legacy AggregatorInterface
+     * @return the timestamp when the data was last updated (in seconds)
+     */
+    function latestTimestamp() external view returns (uint256) {
+        (, , , uint256 _updatedAt, ) = _latestRoundData();
+        return _updatedAt;
+    }
+
+    // Internal functions
+    /**
+     * @dev internal function to get the magnitude of a signed value
+     * @param _value the signed value
+     * @return the absolute value, which fits in a uint256 even for type(int256).min
+     */
+    function _abs(int256 _value) internal pure returns (uint256) {
+        if (_value >= 0) {
+            return uint256(_value);
+        }
+        unchecked {
+            return uint256(-(_value + 1)) + 1;
+        }
+    }
+
+    /**
+     * @dev internal function to get the distance between two unsigned values
+     * @param _a the first value
+     * @param _b the second value
+     * @return the absolute difference
+     */
+    function _absDiff(uint256 _a, uint256 _b) internal pure returns (uint256) {
+        return _a > _b ? _a - _b : _b - _a;
+    }
+
+    /**
+     * @dev internal function to compare the latest value with the last accepted one, if there is a previous value retained
+     * @param _count the number of aggregates in the data bank, at least one
+     * @param _latest the latest aggregate data
+     * @param _breaker the deviation circuit breaker settings
+     * @return _tripped whether the breaker is enabled and the change exceeds its max deviation within its window
+     * @return _previousRoundId the round ID of the last accepted aggregate before the latest, 0 without a previous value
+     * @return _deviationBps the change from the last accepted value in basis points
+     * @return _previous the last accepted aggregate data before the latest
+     */
+    function _checkDeviation(uint256 _count, ITellorDataBank.AggregateData memory _latest, DeviationBreaker memory _breaker)
+        internal
+        view
+        returns (bool _tripped, uint80 _previousRoundId, uint256 _deviationBps, ITellorDataBank.AggregateData memory _previous)
+    {
+        uint256 _previousIndex;
+        bool _hasPrevious;
+        (_hasPrevious, _previousIndex, _previous) = _lastAccepted(_count, _breaker);
+        if (!_hasPrevious) {
+            return (false, 0, 0, _previous);
+        }
+        (_tripped, _deviationBps) = _deviation(_latest, _previous, _breaker);
+        return (_tripped, uint80(_previousIndex + 1), _deviationBps, _previous);
+    }
+
+    /**
+     * @dev internal function to compare an aggregate with an earlier one
+     * @param _aggregate the aggregate data
+     * @param _previous the earlier aggregate data
+     * @param _breaker the deviation circuit breaker settings
+     * @return _tripped whether the breaker is enabled and the change exceeds its max deviation within its window
+     * @return _deviationBps the change from the earlier value in basis points
+     */
+    function _deviation(
+        ITellorDataBank.AggregateData memory _aggregate,
+        ITellorDataBank.AggregateData memory _previous,
+        DeviationBreaker memory _breaker
+    ) internal view returns (bool _tripped, uint256 _deviationBps) {
+        int256 _answer = _decodeAnswer(_aggregate.value);
+        int256 _previousAnswer = _decodeAnswer(_previous.value);
+        // the change can exceed type(int256).max when the sign flips, so it is computed from the magnitudes
+        uint256 _change = (_answer < 0) == (_previousAnswer < 0)
+            ? _absDiff(_abs(_answer), _abs(_previousAnswer))
+            : _abs(_answer) + _abs(_previousAnswer);
+        uint256 _previousPrice = _abs(_previousAnswer);
+        if (_previousPrice == 0 || _change > type(uint256).max / BPS) {
+            // a change from zero, or too large to scale to basis points
+            _deviationBps = _change > 0 ? type(uint256).max : 0;
+        } else {
+            _deviationBps = _change * BPS / _previousPrice;
+        }
+        _tripped = _breaker.maxDeviationBps > 0
+            && _deviationBps > _breaker.maxDeviationBps
+            && _aggregate.aggregateTimestamp - _previous.aggregateTimestamp <= _breaker.window * MS_PER_SECOND;
+    }
+
+    /**
+     * @dev internal function to decode an oracle value and scale it from the source decimals to the adaptor's decimals
+     * @param _value the ABI encoded oracle value, a uint256 or, for signed values, an int256
+     * @return _answer the scaled oracle value, rounded half away from zero when decimals are removed
+     */
+    function _decodeAnswer(bytes memory _value) internal view returns (int256 _answer) {
+        if (signedValue) {
+            _answer = abi.decode(_value, (int256));
+        } else {
+            // decode the oracle value from bytes to uint256
+            uint256 _price = abi.decode(_value, (uint256));
+            require(_price < uint256(type(int256).max), "GuardedLiquityV2OracleAdaptor: Price too large");
+            _answer = int256(_price);
+        }
+        return _scale(_answer, sourceDecimals);
+    }
+
+    /**
+     * @dev internal function to get the latest round of the fallback oracle, with its answer scaled to the adaptor's
+     * decimals, reverting unless the answer is positive and updatedAt is set and not in the future
+     * @return _roundId the fallback oracle's round ID with FALLBACK_ROUND_ID_FLAG set
+     * @return _answer the fallback oracle's answer scaled to the adaptor's decimals
+     * @return _startedAt the fallback oracle's startedAt
+     * @return _updatedAt the fallback oracle's updatedAt
+     * @return _answeredInRound the fallback oracle's answeredInRound with FALLBACK_ROUND_ID_FLAG set
+     */
+    function _fallbackRoundData()
+        internal
+        view
+        returns (uint80 _roundId, int256 _answer, uint256 _startedAt, uint256 _updatedAt, uint80 _answeredInRound)
+    {
+        (_roundId, _answer, _startedAt, _updatedAt, _answeredInRound) = fallbackOracle.latestRoundData();
+        require(_answer > 0, "GuardedLiquityV2OracleAdaptor: Invalid fallback answer");
+        require(_updatedAt > 0 && _updatedAt <= block.timestamp, "GuardedLiquityV2OracleAdaptor: Invalid fallback timestamp");
+        _answer = _scale(_answer, fallbackDecimals);
+        return (_roundId | FALLBACK_ROUND_ID_FLAG, _answer, _startedAt, _updatedAt, _answeredInRound | FALLBACK_ROUND_ID_FLAG);
+    }
+
+    /**
+     * @dev internal function to check whether the latest round is served from the fallback oracle
+     * @return whether the mode is Forced, or Auto while paused, without Tellor data or with a stale Tellor value
+     */
+    function _isFallbackActive() internal view returns (bool) {
+        FallbackMode _mode = fallbackMode;
+        if (_mode == FallbackMode.Off) {
+            return false;
+        }
+        if (_mode == FallbackMode.Forced || paused) {
+            return true;
+        }
+        ITellorDataBank.AggregateData memory _current = dataBank.getCurrentAggregateData(queryId);
+        if (_current.aggregateTimestamp == 0) {
+            return true;
+        }
+        uint256 _stalenessLimit = fallbackStalenessLimit;
+        return _stalenessLimit > 0 && block.timestamp > _current.aggregateTimestamp / MS_PER_SECOND + _stalenessLimit;
+    }
+
+    /**
+     * @dev internal function to find the last aggregate before the latest that the deviation circuit breaker accepted.
+     * An aggregate more than the window after the one before it, or the oldest retained, is always accepted, so the
+     * aggregates are replayed from the newest such one, reading at most MAX_DEVIATION_LOOKBACK of them. A longer run
+     * within the window is replayed from the oldest aggregate read, which bounds the gas cost of the latest getters.
+     * @param _count the number of aggregates in the data bank, at least one
+     * @param _breaker the deviation circuit breaker settings
+     * @return _found whether there is a previous aggregate retained
+     * @return _acceptedIndex the data bank index of the last accepted aggregate before the latest
+     * @return _accepted the last accepted aggregate data before the latest
+     */
+    function _lastAccepted(uint256 _count, DeviationBreaker memory _breaker)
+        internal
+        view
+        returns (bool _found, uint256 _acceptedIndex, ITellorDataBank.AggregateData memory _accepted)
+    {
+        uint256 _oldest = _oldestAggregateIndex();
+        // a bounded history may have pruned the previous value
+        if (_count < 2 || _count - 2 < _oldest) {
+            return (false, 0, _accepted);
+        }
+        uint256 _lowest = _count - 1 > MAX_DEVIATION_LOOKBACK ? _count - 1 - MAX_DEVIATION_LOOKBACK : 0;
+        if (_lowest < _oldest) {
+            _lowest = _oldest;
+        }
+        // the aggregates from _lowest to the one before the latest, read from the newest back to the replay's start
+        ITellorDataBank.AggregateData[] memory _aggregates = new ITellorDataBank.AggregateData[](_count - 1 - _lowest);
+        uint256 _start = _count - 2;
+        _aggregates[_start - _lowest] = dataBank.getAggregateByIndex(queryId, _start);
+        while (_start > _lowest) {
+            ITellorDataBank.AggregateData memory _before = dataBank.getAggregateByIndex(queryId, _start - 1);
+            if (_aggregates[_start - _lowest].aggregateTimestamp - _before.aggregateTimestamp > _breaker.window * MS_PER_SECOND) {
+                break;
+            }
+            _start--;
+            _aggregates[_start - _lowest] = _before;
+        }
+        _acceptedIndex = _start;
+        for (uint256 _index = _start + 1; _index < _count - 1; _index++) {
+            (bool _tripped, ) = _deviation(_aggregates[_index - _lowest], _aggregates[_acceptedIndex - _lowest], _breaker);
+            if (!_tripped) {
+                _acceptedIndex = _index;
+            }
+        }
+        return (true, _acceptedIndex, _aggregates[_acceptedIndex - _lowest]);
+    }
+
+    /**
+     * @dev internal function to get the latest round data from the fallback oracle while it is active, or else from
+     * Tellor, reverting when paused or before the first aggregate. When the deviation circuit breaker trips it reverts,
+     * or serves the last accepted round if selected.
+     * @return the latest roundId, answer, startedAt, updatedAt and answeredInRound
+     */
+    function _latestRoundData() internal view returns (uint80, int256, uint256, uint256, uint80) {
+        if (_isFallbackActive()) {
+            return _fallbackRoundData();
+        }
         _onlyUnpaused();
-        (ITellorDataBank.AggregateData memory _aggregateData) = dataBank.getCurrentAggregateData(queryId);
-        require(_aggregateData.aggregateTimestamp > 0, "GuardedLiquityV2OracleAdaptor: No data available");
-        // decode the oracle value from bytes to uint256
-        uint256 _price = abi.decode(_aggregateData.value, (uint256));
-        require(_price < uint256(type(int256).max), "GuardedLiquityV2OracleAdaptor: Price too large");
+        uint256 _count = dataBank.getAggregateValueCount(queryId);
+        require(_count > 0, "GuardedLiquityV2OracleAdaptor: No data available");
+        ITellorDataBank.AggregateData memory _latest = dataBank.getAggregateByIndex(queryId, _count - 1);
+        DeviationBreaker memory _breaker = deviationBreaker;
+        if (_breaker.maxDeviationBps > 0) {
+            (bool _tripped, uint80 _previousRoundId, , ITellorDataBank.AggregateData memory _previous) = _checkDeviation(_count, _latest, _breaker);
+            if (_tripped) {
+                require(_breaker.serveLastAccepted, "GuardedLiquityV2OracleAdaptor: Deviation too large");
+                return _toRoundData(_previousRoundId, _previous);
+            }
+        }
+        return _toRoundData(_count, _latest);
+    }
+
+    /**
+     * @dev internal function to get the index of the oldest aggregate the data bank retains for the query ID, 0 for
+     * data banks deployed before bounded histories, which retain every aggregate and have no getOldestAggregateIndex
+     * @return the data bank index of the oldest retained aggregate
+     */
+    function _oldestAggregateIndex() internal view returns (uint256) {
+        try dataBank.getOldestAggregateIndex(queryId) returns (uint256 _oldest) {
+            return _oldest;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev internal function to scale a value to the adaptor's decimals
+     * @param _answer the value to scale
+     * @param _fromDecimals the number of decimals of the value, at most MAX_DECIMALS_DIFFERENCE from the adaptor's
+     * @return the scaled value, rounded half away from zero when decimals are removed
+     */
+    function _scale(int256 _answer, uint8 _fromDecimals) internal view returns (int256) {
+        if (decimals > _fromDecimals) {
+            int256 _factor = int256(uint256(10) ** (decimals - _fromDecimals));
+            require(_abs(_answer) <= uint256(type(int256).max / _factor), "GuardedLiquityV2OracleAdaptor: Price too large");
+            return _answer * _factor;
+        }
+        if (decimals < _fromDecimals) {
+            int256 _factor = int256(uint256(10) ** (_fromDecimals - decimals));
+            // division and remainder truncate towards zero, so the remainder has the sign of the value
+            int256 _remainder = _answer % _factor;
+            _answer /= _factor;
+            if (_abs(_remainder) * 2 >= uint256(_factor)) {
+                _answer += _remainder > 0 ? int256(1) : int256(-1);
+            }
+        }
+        return _answer;
+    }
+
+    /**
+     * @dev internal function to convert aggregate data to round data in Chainlink format
+     * @param _roundId the round ID of the aggregate
+     * @param _aggregateData the aggregate data
+     * @return the roundId, answer, startedAt, updatedAt and answeredInRound of the aggregate
+     */
+    function _toRoundData(uint256 _roundId, ITellorDataBank.AggregateData memory _aggregateData) internal view virtual returns (uint80, int256, uint256, uint256, uint80) {
+        int256 _answer = _decodeAnswer(_aggregateData.value);
         // convert aggregateTimestamp to seconds
-        return (1, int256(_price), 0, _aggregateData.aggregateTimestamp / MS_PER_SECOND, 0);
+        uint256 _updatedAt = _aggregateData.aggregateTimestamp / MS_PER_SECOND;
+        return (uint80(_roundId), _answer, _updatedAt, _updatedAt, uint80(_roundId));
     }
-}
\ No newline at end of file
+}
@@ -8,6 +8,8 @@ pragma solidity 0.8.19;
  * guardians to pause the contract in case of emergencies or attacks. 
  * The contract maintains a list of guardian addresses who can each manage 
  * the pause state. An admin address can add/remove guardians. 
+ * The admin is handed over in two steps: the admin proposes a new admin,
+ * who accepts once the admin transfer delay has passed.
  * Child contracts should add the _onlyUnpaused() function to any functions 
  * they wish to be pausable.
 */
@@ -18,9 +20,15 @@ contract GuardedPausable {
     address[] public guardianList; // array to store guardian addresses for easy querying
     mapping(address => uint256) public guardianIndex; // mapping to track guardian position in array
     bool public paused; // whether the contract is currently paused
+    address public pendingAdmin; // the proposed admin, address(0) if no transfer is pending
+    uint256 public adminTransferExecutableAt; // the timestamp from which the pending admin can accept, 0 if none is pending
+    uint256 public adminTransferDelay; // the min time from proposing an admin to accepting, 0 for none
 
     // Events
     event AdminRemoved();
+    event AdminTransferCancelled(address indexed pendingAdmin);
+    event AdminTransferDelayUpdated(uint256 delay);
+    event AdminTransferProposed(address indexed pendingAdmin, uint256 executableAt);
     event AdminUpdated(address indexed newAdmin);
     event GuardianAdded(address indexed guardian);
     event GuardianRemoved(address indexed guardian);
@@ -37,6 +45,26 @@ contract GuardedPausable {
         _addGuardian(_admin);
     }
 
+    /**
+     * @dev Allows the pending admin to accept the admin role once the admin transfer delay has passed.
+     * The new admin becomes a guardian if not already one, and the previous admin stops being one.
+     */
+    function acceptAdmin() public {
+        require(pendingAdmin != address(0) && msg.sender == pendingAdmin, "GuardedPausable: Not the pending admin");
+        require(block.timestamp >= adminTransferExecutableAt, "GuardedPausable: Admin transfer delay not passed");
+        // if new admin is not a guardian, add them
+        if (!guardians[msg.sender]) {
+            _addGuardian(msg.sender);
+        }
+        if (guardians[admin]) {
+            _removeGuardian(admin);
+        }
+        admin = msg.sender;
+        delete pendingAdmin;
+        delete adminTransferExecutableAt;
+        emit AdminUpdated(msg.sender);
+    }
+
     /**
      * @dev Allows admin to add a new guardian
      * @param _newGuardian address of the new guardian to add
@@ -47,6 +75,15 @@ contract GuardedPausable {
         _addGuardian(_newGuardian);
     }
 
+    /**
+     * @dev Allows admin to cancel a pending admin transfer
+     */
+    function cancelAdminTransfer() public {
+        require(msg.sender == admin, "GuardedPausable: Not an admin");
+        require(pendingAdmin != address(0), "GuardedPausable: No pending admin transfer");
+        _cancelAdminTransfer();
+    }
+
     /**
      * @dev Allows a guardian to pause the contract, preventing oracle calls
      */
@@ -58,7 +95,23 @@ contract GuardedPausable {
     }
 
     /**
-     * @dev Allows admin to remove a guardian
+     * @dev Allows admin to propose a new admin, who can accept after adminTransferDelay.
+     * A new proposal replaces a pending one and restarts the delay.
+     * @param _newAdmin address of the proposed admin
+     */
+    function proposeAdmin(address _newAdmin) public {
+        require(msg.sender == admin, "GuardedPausable: Not an admin");
+        require(_newAdmin != address(0), "GuardedPausable: New admin cannot be the zero address");
+        require(_newAdmin != admin, "GuardedPausable: New admin cannot be the same as the current admin");
+        uint256 _executableAt = block.timestamp + adminTransferDelay;
+        pendingAdmin = _newAdmin;
+        adminTransferExecutableAt = _executableAt;
+        emit AdminTransferProposed(_newAdmin, _executableAt);
+    }
+
+    /**
+     * @dev Allows admin to remove a guardian. Removing the admin, once the last guardian, leaves the contract
+     * without an admin and cancels any pending admin transfer.
      * @param _guardian address of the guardian to remove
      */
     function removeGuardian(address _guardian) public {
@@ -68,10 +121,25 @@ contract GuardedPausable {
             require(guardianCount() == 1, "GuardedPausable: Cannot remove admin if there are other guardians");
             admin = address(0);
             emit AdminRemoved();
+            if (pendingAdmin != address(0)) {
+                _cancelAdminTransfer();
+            }
         }
         _removeGuardian(_guardian);
     }
 
+    /**
+     * @dev Allows admin to set the min time from proposing an admin to accepting. A pending transfer keeps
+     * the delay it was proposed with.
+     * @param _delay the delay in seconds, 0 for none
+     */
+    function setAdminTransferDelay(uint256 _delay) public {
+        require(msg.sender == admin, "GuardedPausable: Not an admin");
+        require(_delay != adminTransferDelay, "GuardedPausable: Admin transfer delay unchanged");
+        adminTransferDelay = _delay;
+        emit AdminTransferDelayUpdated(_delay);
+    }
+
     /**
      * @dev Allows a guardian to unpause the contract, resuming oracle calls
      */
@@ -82,24 +150,6 @@ contract GuardedPausable {
         emit Unpaused();
     }
 
-    /**
-     * @dev Allows admin to update the admin address
-     * @param _newAdmin address of the new admin
-     */
-    function updateAdmin(address _newAdmin) public {
-        require(msg.sender == admin, "GuardedPausable: Not an admin");
-        require(_newAdmin != admin, "GuardedPausable: New admin cannot be the same as the current admin");
-        // if new admin is not a guardian, add them
-        if (!guardians[_newAdmin] && _newAdmin != address(0)) {
-            _addGuardian(_newAdmin);
-        }
-        if (guardians[admin]) {
-            _removeGuardian(admin);
-        }
-        admin = _newAdmin;
-        emit AdminUpdated(_newAdmin);
-    }
-
     // View functions
     /**
      * @dev Returns an array of all guardian addresses
@@ -119,6 +169,15 @@ contract GuardedPausable {
         return guardianList[index];
     }
 
+    /**
+     * @dev Returns the pending admin transfer
+     * @return _pendingAdmin the proposed admin, address(0) if no transfer is pending
+     * @return _executableAt the timestamp from which the pending admin can accept, 0 if none is pending
+     */
+    function getPendingAdminTransfer() public view returns (address _pendingAdmin, uint256 _executableAt) {
+        return (pendingAdmin, adminTransferExecutableAt);
+    }
+
     /**
      * @dev Returns the number of guardians
      * @return Number of guardians
@@ -128,6 +187,16 @@ contract GuardedPausable {
     }
 
     // internal functions
+    /**
+     * @dev Clears the pending admin transfer
+     */
+    function _cancelAdminTransfer() internal {
+        address _pendingAdmin = pendingAdmin;
+        delete pendingAdmin;
+        delete adminTransferExecutableAt;
+        emit AdminTransferCancelled(_pendingAdmin);
+    }
+
     /**
      * @dev Adds a guardian to the guardian list
      * @param _guardian address of the guardian to add
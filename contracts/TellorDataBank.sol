@@ -8,28 +8,221 @@ import {ITellorDataBank} from "./interfaces/ITellorDataBank.sol";
  @author Tellor Inc.
  @title TellorDataBank
  @dev this contract is used to store data for multiple data feeds. It prioritizes consensus data,
- and falls back to optimistic data if consensus data is not available. It has hardcoded preferences
- for max data age, max attestation age, optimistic delay, and optimistic power threshold.
+ and falls back to optimistic data if consensus data is not available. Max data age, max attestation
+ age and optimistic delay default to hardcoded constants, and an admin can override them per query ID
+ after a timelock. The admin is handed over in two steps, under the same timelock. The optimistic power threshold is hardcoded. By default every aggregate is kept; the admin
+ can bound a query ID's history to its most recent aggregates, kept in a ring buffer, while OracleUpdated events
+ remain the full record.
 */
 contract TellorDataBank is ITellorDataBank {
     // Storage
     ITellorDataBridge public immutable dataBridge; // interface to the Tellor data bridge
-    mapping(bytes32 => AggregateData[]) public data; // queryId -> aggregate data array
-    uint256 public constant MAX_DATA_AGE = 24 hours; // the max age of relayed data
-    uint256 public constant MAX_ATTESTATION_AGE = 10 minutes; // the max age of an attestation
+    mapping(bytes32 => AggregateData[]) public data; // queryId -> aggregate data array, frozen once the history is bounded
+    mapping(bytes32 => HistoryBounds) internal historyBounds; // queryId -> history limit and ring buffer position
+    mapping(bytes32 => mapping(uint256 => AggregateData)) internal boundedData; // queryId -> index % limit -> aggregate data
+    address public admin; // address of the admin who can override query parameters
+    address public pendingAdmin; // the proposed admin, address(0) if no transfer is pending
+    uint256 public adminTransferExecutableAt; // the timestamp from which the pending admin can accept, 0 if none is pending
+    mapping(bytes32 => QueryParameters) internal queryParameters; // queryId -> parameter overrides (zero if unset)
+    mapping(bytes32 => PendingQueryParameters) public pendingQueryParameters; // queryId -> proposed parameter overrides
+    uint256 public constant MAX_DATA_AGE = 24 hours; // the default max age of relayed data
+    uint256 public constant MAX_DATA_AGE_LIMIT = 7 days; // the highest max data age a query ID can be given
+    uint256 public constant MAX_ATTESTATION_AGE = 10 minutes; // the default max age of an attestation
+    uint256 public constant MIN_OPTIMISTIC_DELAY = 1 hours; // the lowest optimistic delay a query ID can be given
     uint256 public constant MS_PER_SECOND = 1000; // the number of milliseconds in a second
-    uint256 public constant OPTIMISTIC_DELAY = 12 hours; // the min time from report to attestation for nonconsensus data
+    uint256 public constant OPTIMISTIC_DELAY = 12 hours; // the default min time from report to attestation for nonconsensus data
+    uint256 public constant PARAMETER_TIMELOCK = 2 days; // the min time from proposing query parameters or an admin to applying them
+
+    struct HistoryBounds {
+        uint64 limit; // the max number of aggregates retained, 0 to retain all
+        uint64 count; // the number of aggregates ever stored, kept while bounded
+        uint64 oldestIndex; // the index of the oldest retained aggregate, kept while bounded
+    }
+
+    struct PendingQueryParameters {
+        QueryParameters parameters; // the proposed parameters, all zero to reset to the defaults
+        uint256 executableAt; // the timestamp from which the proposal can be executed, 0 if none is pending
+    }
 
     // Events
+    event AdminTransferCancelled(address indexed pendingAdmin);
+    event AdminTransferProposed(address indexed pendingAdmin, uint256 executableAt);
+    event AdminUpdated(address indexed newAdmin);
+    event HistoryLimitUpdated(bytes32 indexed queryId, uint256 limit, uint256 oldestIndex);
+    event OracleUpdateFailed(bytes32 indexed queryId, uint256 index, bytes reason);
     event OracleUpdated(bytes32 indexed queryId, OracleAttestationData attestData);
+    event QueryParametersCancelled(bytes32 indexed queryId);
+    event QueryParametersProposed(bytes32 indexed queryId, QueryParameters parameters, uint256 executableAt);
+    event QueryParametersUpdated(bytes32 indexed queryId, QueryParameters parameters);
 
     // Functions
     /**
-     * @dev initializes the TellorDataBank with a data bridge
+     * @dev initializes the TellorDataBank with a data bridge and an admin
      * @param _dataBridge address of the Tellor data bridge contract
+     * @param _admin address of the admin who can override query parameters
      */
-    constructor(address _dataBridge) {
+    constructor(address _dataBridge, address _admin) {
+        require(_admin != address(0), "TellorDataBank: Admin cannot be the zero address");
         dataBridge = ITellorDataBridge(_dataBridge);
+        admin = _admin;
+    }
+
+    /**
+     * @dev allows the pending admin to accept the admin role once PARAMETER_TIMELOCK has passed since the proposal
+     */
+    function acceptAdmin() external {
+        require(pendingAdmin != address(0) && msg.sender == pendingAdmin, "TellorDataBank: Not the pending admin");
+        require(block.timestamp >= adminTransferExecutableAt, "TellorDataBank: Timelock not passed");
+        admin = msg.sender;
+        delete pendingAdmin;
+        delete adminTransferExecutableAt;
+        emit AdminUpdated(msg.sender);
+    }
+
+    /**
+     * @dev updates oracle data with several attestations signed by the same validator set in one transaction.
+     * Attestations are verified and stored in order, so the same query ID can appear more than once with
+     * increasing timestamps. In best effort mode an attestation failing verification is skipped, emitting
+     * OracleUpdateFailed with its revert data, and the rest are still stored; otherwise the whole batch reverts.
+     * @param _attestData the oracle attestation data to be stored
+     * @param _currentValidatorSet array of current validators, shared by all attestations
+     * @param _sigs array of validator signatures for each attestation
+     * @param _bestEffort whether to skip failing attestations instead of reverting
+     * @return _stored whether each attestation was stored
+     */
+    function batchUpdateOracleData(
+        OracleAttestationData[] calldata _attestData,
+        Validator[] calldata _currentValidatorSet,
+        Signature[][] calldata _sigs,
+        bool _bestEffort
+    ) external returns (bool[] memory _stored) {
+        require(_attestData.length > 0, "TellorDataBank: Empty batch");
+        require(_attestData.length == _sigs.length, "TellorDataBank: Array lengths must match");
+        _stored = new bool[](_attestData.length);
+        for (uint256 _i = 0; _i < _attestData.length; _i++) {
+            if (!_bestEffort) {
+                _updateOracleData(_attestData[_i], _currentValidatorSet, _sigs[_i]);
+                _stored[_i] = true;
+                continue;
+            }
+            // an external call, so a failing attestation only reverts its own changes
+            try this.updateOracleData(_attestData[_i], _currentValidatorSet, _sigs[_i]) {
+                _stored[_i] = true;
+            } catch (bytes memory _reason) {
+                emit OracleUpdateFailed(_attestData[_i].queryId, _i, _reason);
+            }
+        }
+    }
+
+    /**
+     * @dev allows the admin to cancel a pending admin transfer before it is accepted
+     */
+    function cancelAdminTransfer() external {
+        require(msg.sender == admin, "TellorDataBank: Not the admin");
+        address _pendingAdmin = pendingAdmin;
+        require(_pendingAdmin != address(0), "TellorDataBank: No pending admin transfer");
+        delete pendingAdmin;
+        delete adminTransferExecutableAt;
+        emit AdminTransferCancelled(_pendingAdmin);
+    }
+
+    /**
+     * @dev allows the admin to cancel proposed query parameters before they are executed
+     * @param _queryId the query ID of the proposal
+     */
+    function cancelQueryParameters(bytes32 _queryId) external {
+        require(msg.sender == admin, "TellorDataBank: Not the admin");
+        require(pendingQueryParameters[_queryId].executableAt != 0, "TellorDataBank: No pending parameters");
+        delete pendingQueryParameters[_queryId];
+        emit QueryParametersCancelled(_queryId);
+    }
+
+    /**
+     * @dev allows the admin to apply proposed query parameters once the timelock has passed
+     * @param _queryId the query ID of the proposal
+     */
+    function executeQueryParameters(bytes32 _queryId) external {
+        require(msg.sender == admin, "TellorDataBank: Not the admin");
+        PendingQueryParameters memory _pending = pendingQueryParameters[_queryId];
+        require(_pending.executableAt != 0, "TellorDataBank: No pending parameters");
+        require(block.timestamp >= _pending.executableAt, "TellorDataBank: Timelock not passed");
+        queryParameters[_queryId] = _pending.parameters;
+        delete pendingQueryParameters[_queryId];
+        emit QueryParametersUpdated(_queryId, _pending.parameters);
+    }
+
+    /**
+     * @dev allows the admin to propose a new admin, who can accept after PARAMETER_TIMELOCK. A new proposal replaces
+     * a pending one and restarts the timelock.
+     * @param _newAdmin address of the proposed admin
+     */
+    function proposeAdmin(address _newAdmin) external {
+        require(msg.sender == admin, "TellorDataBank: Not the admin");
+        require(_newAdmin != address(0), "TellorDataBank: Admin cannot be the zero address");
+        require(_newAdmin != admin, "TellorDataBank: New admin cannot be the same as the current admin");
+        uint256 _executableAt = block.timestamp + PARAMETER_TIMELOCK;
+        pendingAdmin = _newAdmin;
+        adminTransferExecutableAt = _executableAt;
+        emit AdminTransferProposed(_newAdmin, _executableAt);
+    }
+
+    /**
+     * @dev allows the admin to propose parameter overrides for a query ID, applied by executeQueryParameters
+     * after PARAMETER_TIMELOCK. A new proposal replaces a pending one and restarts the timelock. Optimistic reports
+     * only need half the bridge's power threshold, so the optimistic delay, their dispute window, is at least
+     * MIN_OPTIMISTIC_DELAY. It must be below the max data age, or no optimistic report could ever be fresh enough,
+     * and the max attestation age cannot exceed the max data age, which is at most MAX_DATA_AGE_LIMIT.
+     * @param _queryId the query ID to override the parameters of
+     * @param _parameters the new parameters, all zero to reset the query ID to the defaults
+     */
+    function proposeQueryParameters(bytes32 _queryId, QueryParameters calldata _parameters) external {
+        require(msg.sender == admin, "TellorDataBank: Not the admin");
+        bool _reset = _parameters.maxDataAge == 0 && _parameters.maxAttestationAge == 0 && _parameters.optimisticDelay == 0;
+        require(
+            _reset || (_parameters.maxDataAge != 0 && _parameters.maxAttestationAge != 0 && _parameters.optimisticDelay != 0),
+            "TellorDataBank: Parameters must all be set or all be zero"
+        );
+        if (!_reset) {
+            require(_parameters.maxDataAge <= MAX_DATA_AGE_LIMIT, "TellorDataBank: Max data age above the limit");
+            require(_parameters.maxAttestationAge <= _parameters.maxDataAge, "TellorDataBank: Max attestation age above the max data age");
+            require(_parameters.optimisticDelay >= MIN_OPTIMISTIC_DELAY, "TellorDataBank: Optimistic delay below the minimum");
+            require(_parameters.optimisticDelay < _parameters.maxDataAge, "TellorDataBank: Optimistic delay must be below the max data age");
+        }
+        uint256 _executableAt = block.timestamp + PARAMETER_TIMELOCK;
+        pendingQueryParameters[_queryId] = PendingQueryParameters(_parameters, _executableAt);
+        emit QueryParametersProposed(_queryId, _parameters, _executableAt);
+    }
+
+    /**
+     * @dev allows the admin to bound the history of a query ID to its most recent aggregates. Indexes stay global:
+     * getAggregateValueCount keeps counting every aggregate ever stored and older aggregates are pruned, so
+     * getAggregateByIndex reverts for them. The retained aggregates that fit the new limit are moved into the ring
+     * buffer, at a gas cost proportional to their number. Takes effect immediately, as it does not change which
+     * reports are accepted or the current aggregate.
+     * @param _queryId the query ID to bound the history of
+     * @param _limit the max number of aggregates to retain, greater than zero
+     */
+    function setHistoryLimit(bytes32 _queryId, uint64 _limit) external {
+        require(msg.sender == admin, "TellorDataBank: Not the admin");
+        require(_limit > 0, "TellorDataBank: History limit must be greater than zero");
+        HistoryBounds memory _bounds = historyBounds[_queryId];
+        require(_limit != _bounds.limit, "TellorDataBank: History limit unchanged");
+        uint256 _count = _getAggregateValueCount(_queryId, _bounds);
+        uint256 _retained = _count - _bounds.oldestIndex;
+        if (_retained > _limit) {
+            _retained = _limit;
+        }
+        uint256 _oldestIndex = _count - _retained;
+        // read everything before writing, as the old and new ring buffer positions overlap
+        AggregateData[] memory _aggregates = new AggregateData[](_retained);
+        for (uint256 _i = 0; _i < _retained; _i++) {
+            _aggregates[_i] = _getAggregate(_queryId, _bounds, _oldestIndex + _i);
+        }
+        for (uint256 _i = 0; _i < _retained; _i++) {
+            boundedData[_queryId][(_oldestIndex + _i) % _limit] = _aggregates[_i];
+        }
+        historyBounds[_queryId] = HistoryBounds(_limit, uint64(_count), uint64(_oldestIndex));
+        emit HistoryLimitUpdated(_queryId, _limit, _oldestIndex);
     }
 
     /**
@@ -43,19 +236,7 @@ contract TellorDataBank is ITellorDataBank {
         Validator[] calldata _currentValidatorSet,
         Signature[] calldata _sigs
     ) external {
-        _verifyOracleData(
-            _attestData,
-            _currentValidatorSet,
-            _sigs
-        );
-        data[_attestData.queryId].push(AggregateData(
-            _attestData.report.value, 
-            _attestData.report.aggregatePower, 
-            _attestData.report.timestamp,
-            _attestData.attestationTimestamp, 
-            block.timestamp
-        ));
-        emit OracleUpdated(_attestData.queryId, _attestData);
+        _updateOracleData(_attestData, _currentValidatorSet, _sigs);
     }
 
     // Getter functions
@@ -63,20 +244,23 @@ contract TellorDataBank is ITellorDataBank {
     /**
      * @dev returns the aggregate data for a given query ID and index
      * @param _queryId the query ID to get the aggregate data for
-     * @param _index the index of the aggregate data to get
+     * @param _index the index of the aggregate data to get, from getOldestAggregateIndex up to the count
      * @return _aggregateData the aggregate data
      */
     function getAggregateByIndex(bytes32 _queryId, uint256 _index) external view returns (AggregateData memory _aggregateData) {
-        return data[_queryId][_index];
+        HistoryBounds memory _bounds = historyBounds[_queryId];
+        require(_index < _getAggregateValueCount(_queryId, _bounds), "TellorDataBank: Index out of range");
+        require(_index >= _bounds.oldestIndex, "TellorDataBank: Aggregate pruned");
+        return _getAggregate(_queryId, _bounds, _index);
     }
 
     /**
-     * @dev returns the total number of aggregate values
+     * @dev returns the total number of aggregate values, including pruned ones
      * @param _queryId the query ID to get the aggregate value count for
      * @return number of aggregate values stored
      */
     function getAggregateValueCount(bytes32 _queryId) external view returns (uint256) {
-        return data[_queryId].length;
+        return _getAggregateValueCount(_queryId, historyBounds[_queryId]);
     }
 
     /**
@@ -88,20 +272,124 @@ contract TellorDataBank is ITellorDataBank {
         return _getCurrentAggregateData(_queryId);
     }
 
+    /**
+     * @dev returns the max number of aggregates retained for a query ID
+     * @param _queryId the query ID to get the history limit for
+     * @return the history limit, 0 if every aggregate is retained
+     */
+    function getHistoryLimit(bytes32 _queryId) external view returns (uint256) {
+        return historyBounds[_queryId].limit;
+    }
+
+    /**
+     * @dev returns the index of the oldest aggregate still retained for a query ID
+     * @param _queryId the query ID to get the oldest aggregate index for
+     * @return the oldest retained index, 0 if none were pruned
+     */
+    function getOldestAggregateIndex(bytes32 _queryId) external view returns (uint256) {
+        return historyBounds[_queryId].oldestIndex;
+    }
+
+    /**
+     * @dev returns the parameters reports for a query ID are verified with: its overrides, or the defaults
+     * @param _queryId the query ID to get the parameters for
+     * @return _parameters the max data age, max attestation age and optimistic delay, in seconds
+     */
+    function getQueryParameters(bytes32 _queryId) public view returns (QueryParameters memory _parameters) {
+        // overrides are all set or all zero, so query IDs without overrides cost a single storage read
+        QueryParameters storage _overrides = queryParameters[_queryId];
+        if (_overrides.maxDataAge == 0) {
+            return QueryParameters(MAX_DATA_AGE, MAX_ATTESTATION_AGE, OPTIMISTIC_DELAY);
+        }
+        return _overrides;
+    }
+
     // Internal functions
+    /**
+     * @dev internal function to get where the aggregate data at an index is stored, without checking it is retained
+     * @param _queryId the query ID to get the aggregate data for
+     * @param _bounds the history bounds of the query ID
+     * @param _index the index of the aggregate data to get
+     * @return _aggregateData the aggregate data in storage
+     */
+    function _getAggregate(bytes32 _queryId, HistoryBounds memory _bounds, uint256 _index) internal view returns (AggregateData storage _aggregateData) {
+        if (_bounds.limit == 0) {
+            return data[_queryId][_index];
+        }
+        return boundedData[_queryId][_index % _bounds.limit];
+    }
+
+    /**
+     * @dev internal function to get the number of aggregate values ever stored for a query ID
+     * @param _queryId the query ID to get the aggregate value count for
+     * @param _bounds the history bounds of the query ID
+     * @return number of aggregate values stored
+     */
+    function _getAggregateValueCount(bytes32 _queryId, HistoryBounds memory _bounds) internal view returns (uint256) {
+        return _bounds.limit == 0 ? data[_queryId].length : _bounds.count;
+    }
+
     /**
      * @dev internal function to get the current aggregate data for a query ID
      * @param _queryId the query ID to get the current aggregate data for
      * @return _aggregateData the current aggregate data
      */
     function _getCurrentAggregateData(bytes32 _queryId) internal view returns (AggregateData memory _aggregateData) {
-        if (data[_queryId].length == 0) {
+        HistoryBounds memory _bounds = historyBounds[_queryId];
+        uint256 _count = _getAggregateValueCount(_queryId, _bounds);
+        if (_count == 0) {
             return (AggregateData(bytes(""), 0, 0, 0, 0));
         }
-        _aggregateData = data[_queryId][data[_queryId].length - 1];
+        _aggregateData = _getAggregate(_queryId, _bounds, _count - 1);
         return _aggregateData;
     }
 
+    /**
+     * @dev internal function to store aggregate data, overwriting the oldest retained aggregate once a bounded history is full
+     * @param _queryId the query ID to store the aggregate data for
+     * @param _aggregateData the aggregate data to store
+     */
+    function _storeAggregate(bytes32 _queryId, AggregateData memory _aggregateData) internal {
+        HistoryBounds storage _bounds = historyBounds[_queryId];
+        uint64 _limit = _bounds.limit;
+        if (_limit == 0) {
+            data[_queryId].push(_aggregateData);
+            return;
+        }
+        uint64 _count = _bounds.count;
+        boundedData[_queryId][_count % _limit] = _aggregateData;
+        _bounds.count = _count + 1;
+        if (_count + 1 - _bounds.oldestIndex > _limit) {
+            _bounds.oldestIndex = _count + 1 - _limit;
+        }
+    }
+
+    /**
+     * @dev internal function to verify and store oracle attestation data
+     * @param _attestData the oracle attestation data to be stored
+     * @param _currentValidatorSet array of current validators
+     * @param _sigs array of validator signatures
+     */
+    function _updateOracleData(
+        OracleAttestationData calldata _attestData,
+        Validator[] calldata _currentValidatorSet,
+        Signature[] calldata _sigs
+    ) internal {
+        _verifyOracleData(
+            _attestData,
+            _currentValidatorSet,
+            _sigs
+        );
+        _storeAggregate(_attestData.queryId, AggregateData(
+            _attestData.report.value, 
+            _attestData.report.aggregatePower, 
+            _attestData.report.timestamp,
+            _attestData.attestationTimestamp, 
+            block.timestamp
+        ));
+        emit OracleUpdated(_attestData.queryId, _attestData);
+    }
+
     /**
      * @dev internal function to verify oracle data meets all requirements before storage
      * @param _attestData the oracle attestation data to verify
@@ -113,10 +401,11 @@ contract TellorDataBank is ITellorDataBank {
         Validator[] calldata _currentValidatorSet,
         Signature[] calldata _sigs
     ) internal view {
+        QueryParameters memory _parameters = getQueryParameters(_attestData.queryId);
         // check that the data is not too old
-        require(block.timestamp - (_attestData.report.timestamp / MS_PER_SECOND) < MAX_DATA_AGE, "TellorDataBank: Data too old");
+        require(block.timestamp - (_attestData.report.timestamp / MS_PER_SECOND) < _parameters.maxDataAge, "TellorDataBank: Data too old");
         // check that the attestation is not too old
-        require(block.timestamp - (_attestData.attestationTimestamp / MS_PER_SECOND) < MAX_ATTESTATION_AGE, "TellorDataBank: Attestation too old");
+        require(block.timestamp - (_attestData.attestationTimestamp / MS_PER_SECOND) < _parameters.maxAttestationAge, "TellorDataBank: Attestation too old");
         // check that timestamps are monotonically increasing
         AggregateData memory _previousData = _getCurrentAggregateData(_attestData.queryId);
         if (_previousData.aggregateTimestamp > 0) {
@@ -126,13 +415,13 @@ contract TellorDataBank is ITellorDataBank {
         require(block.timestamp >= (_attestData.report.timestamp / MS_PER_SECOND), "TellorDataBank: Report timestamp is in the future");
         // check if there's a more recent optimistic report available
         if (_attestData.report.nextTimestamp != 0) {
-            require(block.timestamp - (_attestData.report.nextTimestamp / MS_PER_SECOND) < OPTIMISTIC_DELAY, "TellorDataBank: More recent optimistic report available");
+            require(block.timestamp - (_attestData.report.nextTimestamp / MS_PER_SECOND) < _parameters.optimisticDelay, "TellorDataBank: More recent optimistic report available");
         }
         // handle optimistic vs consensus data verification
         if (_attestData.report.timestamp != _attestData.report.lastConsensusTimestamp) {
             // using optimistic data - additional checks required
             require(_attestData.report.lastConsensusTimestamp < _attestData.report.timestamp, "TellorDataBank: Newer consensus data available");
-            require((_attestData.attestationTimestamp - _attestData.report.timestamp) / MS_PER_SECOND >= OPTIMISTIC_DELAY, "TellorDataBank: Dispute period not passed");
+            require((_attestData.attestationTimestamp - _attestData.report.timestamp) / MS_PER_SECOND >= _parameters.optimisticDelay, "TellorDataBank: Dispute period not passed");
             require(_attestData.report.aggregatePower > dataBridge.powerThreshold() / 2, "TellorDataBank: Insufficient optimistic report power");
         } 
         // verify signatures and data integrity through the data bridge
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.8.19;
+
+import {LiquityV2OracleAggregatorV3Interface} from "./LiquityV2OracleAggregatorV3Interface.sol";
+
+interface AggregatorV3Interface is LiquityV2OracleAggregatorV3Interface {
+    function description() external view returns (string memory);
+    function version() external view returns (uint256);
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
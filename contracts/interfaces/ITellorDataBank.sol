@@ -10,7 +10,16 @@ interface ITellorDataBank {
         uint256 relayTimestamp; // the timestamp of the relay
     }
 
+    struct QueryParameters {
+        uint256 maxDataAge; // the max age of relayed data, in seconds
+        uint256 maxAttestationAge; // the max age of an attestation, in seconds
+        uint256 optimisticDelay; // the min time from report to attestation for nonconsensus data, in seconds
+    }
+
     function getCurrentAggregateData(bytes32 _queryId) external view returns (AggregateData memory _aggregateData);
     function getAggregateByIndex(bytes32 _queryId, uint256 _index) external view returns (AggregateData memory _aggregateData);
     function getAggregateValueCount(bytes32 _queryId) external view returns (uint256);
+    function getHistoryLimit(bytes32 _queryId) external view returns (uint256);
+    function getOldestAggregateIndex(bytes32 _queryId) external view returns (uint256);
+    function getQueryParameters(bytes32 _queryId) external view returns (QueryParameters memory _parameters);
 }
\ No newline at end of file
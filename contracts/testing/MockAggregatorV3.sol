@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {LiquityV2OracleAggregatorV3Interface} from "../interfaces/LiquityV2OracleAggregatorV3Interface.sol";
+
+/**
+ @author Tellor Inc.
+ @title MockAggregatorV3
+ @dev this contract simulates a Chainlink price feed with a settable latest round. It's used for testing
+ * the GuardedLiquityV2OracleAdaptor's fallback oracle
+*/
+contract MockAggregatorV3 is LiquityV2OracleAggregatorV3Interface {
+    uint8 public decimals;
+    uint80 public roundId;
+    int256 public answer;
+    uint256 public updatedAt;
+    bool public reverts;
+
+    constructor(uint8 _decimals) {
+        decimals = _decimals;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        require(!reverts, "MockAggregatorV3: Reverted");
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+
+    function setLatestRound(int256 _answer, uint256 _updatedAt) external {
+        roundId++;
+        answer = _answer;
+        updatedAt = _updatedAt;
+    }
+
+    function setReverts(bool _reverts) external {
+        reverts = _reverts;
+    }
+}
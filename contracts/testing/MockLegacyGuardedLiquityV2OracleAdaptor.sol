@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {ITellorDataBank} from "../interfaces/ITellorDataBank.sol";
+
+/**
+ @author Tellor Inc.
+ @title MockLegacyGuardedLiquityV2OracleAdaptor
+ @dev this contract simulates a GuardedLiquityV2OracleAdaptor deployed before decimal scaling, the deviation breaker,
+ * the fallback oracle and two-step admin transfers, with only the getters and guardian functions that version had.
+ * It's used for testing that off-chain tools still read and manage such adaptors
+*/
+contract MockLegacyGuardedLiquityV2OracleAdaptor {
+    ITellorDataBank public immutable dataBank;
+    bytes32 public immutable queryId;
+    uint8 public immutable decimals;
+    string public name;
+    string public project;
+    address public admin;
+    mapping(address => bool) public guardians;
+    address[] public guardianList;
+    bool public paused;
+
+    constructor(address _tellorDataBank, bytes32 _queryId, uint8 _decimals, string memory _project, string memory _name, address _admin) {
+        dataBank = ITellorDataBank(_tellorDataBank);
+        queryId = _queryId;
+        decimals = _decimals;
+        project = _project;
+        name = _name;
+        admin = _admin;
+        _addGuardian(_admin);
+    }
+
+    function addGuardian(address _newGuardian) external {
+        require(msg.sender == admin, "GuardedPausable: Not an admin");
+        require(!guardians[_newGuardian], "GuardedPausable: Guardian already exists");
+        _addGuardian(_newGuardian);
+    }
+
+    function pause() external {
+        require(guardians[msg.sender], "GuardedPausable: Not a guardian");
+        require(!paused, "GuardedPausable: Already paused");
+        paused = true;
+    }
+
+    function removeGuardian(address _guardian) external {
+        require(msg.sender == admin, "GuardedPausable: Not an admin");
+        require(guardians[_guardian], "GuardedPausable: Guardian does not exist");
+        if (_guardian == admin) {
+            require(guardianList.length == 1, "GuardedPausable: Cannot remove admin if there are other guardians");
+            admin = address(0);
+        }
+        _removeGuardian(_guardian);
+    }
+
+    function unpause() external {
+        require(guardians[msg.sender], "GuardedPausable: Not a guardian");
+        require(paused, "GuardedPausable: Already unpaused");
+        paused = false;
+    }
+
+    function updateAdmin(address _newAdmin) external {
+        require(msg.sender == admin, "GuardedPausable: Not an admin");
+        require(_newAdmin != admin, "GuardedPausable: New admin cannot be the same as the current admin");
+        if (!guardians[_newAdmin] && _newAdmin != address(0)) {
+            _addGuardian(_newAdmin);
+        }
+        if (guardians[admin]) {
+            _removeGuardian(admin);
+        }
+        admin = _newAdmin;
+    }
+
+    function getGuardianAddresses() external view returns (address[] memory) {
+        return guardianList;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        require(!paused, "GuardedPausable: Tellor is paused");
+        ITellorDataBank.AggregateData memory _aggregateData = dataBank.getCurrentAggregateData(queryId);
+        require(_aggregateData.aggregateTimestamp > 0, "GuardedLiquityV2OracleAdaptor: No data available");
+        uint256 _updatedAt = _aggregateData.aggregateTimestamp / 1000;
+        return (1, int256(abi.decode(_aggregateData.value, (uint256))), _updatedAt, _updatedAt, 1);
+    }
+
+    function _addGuardian(address _guardian) internal {
+        guardians[_guardian] = true;
+        guardianList.push(_guardian);
+    }
+
+    function _removeGuardian(address _guardian) internal {
+        for (uint256 _i = 0; _i < guardianList.length; _i++) {
+            if (guardianList[_i] == _guardian) {
+                guardianList[_i] = guardianList[guardianList.length - 1];
+                guardianList.pop();
+                break;
+            }
+        }
+        guardians[_guardian] = false;
+    }
+}
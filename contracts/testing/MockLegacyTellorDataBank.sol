@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {ITellorDataBank} from "../interfaces/ITellorDataBank.sol";
+
+/**
+ @author Tellor Inc.
+ @title MockLegacyTellorDataBank
+ @dev this contract simulates a TellorDataBank deployed before query parameters and bounded histories, with
+ * settable aggregates and only the getters that version had. It's used for testing that off-chain tools still
+ * read such data banks
+*/
+contract MockLegacyTellorDataBank {
+    uint256 public constant MAX_DATA_AGE = 24 hours;
+    uint256 public constant MAX_ATTESTATION_AGE = 10 minutes;
+    uint256 public constant MS_PER_SECOND = 1000;
+    uint256 public constant OPTIMISTIC_DELAY = 12 hours;
+    mapping(bytes32 => ITellorDataBank.AggregateData[]) internal data;
+
+    function addAggregate(bytes32 _queryId, ITellorDataBank.AggregateData calldata _aggregateData) external {
+        data[_queryId].push(_aggregateData);
+    }
+
+    function getAggregateByIndex(bytes32 _queryId, uint256 _index) external view returns (ITellorDataBank.AggregateData memory) {
+        return data[_queryId][_index];
+    }
+
+    function getAggregateValueCount(bytes32 _queryId) external view returns (uint256) {
+        return data[_queryId].length;
+    }
+
+    function getCurrentAggregateData(bytes32 _queryId) external view returns (ITellorDataBank.AggregateData memory) {
+        if (data[_queryId].length == 0) {
+            return ITellorDataBank.AggregateData(bytes(""), 0, 0, 0, 0);
+        }
+        return data[_queryId][data[_queryId].length - 1];
+    }
+}
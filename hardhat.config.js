@@ -1,5 +1,9 @@
 require("@nomicfoundation/hardhat-toolbox");
 const { vars } = require("hardhat/config");
+require("./tasks/feed");
+require("./tasks/guardian");
+require("./tasks/bank");
+require("./tasks/gas");
 
 // Get environment variables with fallbacks to avoid errors during test discovery
 const INFURA_API_KEY = vars.get("INFURA_API_KEY", "");
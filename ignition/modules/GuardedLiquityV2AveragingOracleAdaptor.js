@@ -0,0 +1,46 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const DATA_BANK_ADDRESS = "0x0000000000000000000000000000000000000000";
+const QUERY_ID = "0x0000000000000000000000000000000000000000000000000000000000000000";
+const DECIMALS = 18;
+const SOURCE_DECIMALS = 18;
+const SIGNED_VALUE = false;
+const PROJECT_NAME = "ProjectA";
+const FEED_NAME = "ETH/USD";
+const ADMIN_ADDRESS = "0x0000000000000000000000000000000000000000";
+const METHOD = 0; // 0 for a time-weighted average, 1 for the median
+const WINDOW_SIZE = 8;
+const WINDOW_DURATION = 3600;
+
+module.exports = buildModule("GuardedLiquityV2AveragingOracleAdaptorModule", (m) => {
+  const dataBankAddress = m.getParameter("dataBankAddress", DATA_BANK_ADDRESS);
+  const queryId = m.getParameter("queryId", QUERY_ID);
+  const decimals = m.getParameter("decimals", DECIMALS);
+  const sourceDecimals = m.getParameter("sourceDecimals", SOURCE_DECIMALS);
+  const signedValue = m.getParameter("signedValue", SIGNED_VALUE);
+  const projectName = m.getParameter("projectName", PROJECT_NAME);
+  const feedName = m.getParameter("feedName", FEED_NAME);
+  const adminAddress = m.getParameter("adminAddress", ADMIN_ADDRESS);
+  const method = m.getParameter("method", METHOD);
+  const windowSize = m.getParameter("windowSize", WINDOW_SIZE);
+  const windowDuration = m.getParameter("windowDuration", WINDOW_DURATION);
+
+  const guardedLiquityV2AveragingOracleAdaptor = m.contract("GuardedLiquityV2AveragingOracleAdaptor", [
+    dataBankAddress,
+    queryId,
+    decimals,
+    sourceDecimals,
+    signedValue,
+    projectName,
+    feedName,
+    adminAddress,
+    method,
+    windowSize,
+    windowDuration
+  ]);
+
+  return { guardedLiquityV2AveragingOracleAdaptor };
+});
@@ -6,6 +6,8 @@ const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 const DATA_BANK_ADDRESS = "0x0000000000000000000000000000000000000000";
 const QUERY_ID = "0x0000000000000000000000000000000000000000000000000000000000000000";
 const DECIMALS = 18;
+const SOURCE_DECIMALS = 18;
+const SIGNED_VALUE = false;
 const PROJECT_NAME = "ProjectA";
 const FEED_NAME = "ETH/USD";
 const ADMIN_ADDRESS = "0x0000000000000000000000000000000000000000";
@@ -14,6 +16,8 @@ module.exports = buildModule("GuardedLiquityV2OracleAdaptorModule", (m) => {
   const dataBankAddress = m.getParameter("dataBankAddress", DATA_BANK_ADDRESS);
   const queryId = m.getParameter("queryId", QUERY_ID);
   const decimals = m.getParameter("decimals", DECIMALS);
+  const sourceDecimals = m.getParameter("sourceDecimals", SOURCE_DECIMALS);
+  const signedValue = m.getParameter("signedValue", SIGNED_VALUE);
   const projectName = m.getParameter("projectName", PROJECT_NAME);
   const feedName = m.getParameter("feedName", FEED_NAME);
   const adminAddress = m.getParameter("adminAddress", ADMIN_ADDRESS);
@@ -22,6 +26,8 @@ module.exports = buildModule("GuardedLiquityV2OracleAdaptorModule", (m) => {
     dataBankAddress,
     queryId,
     decimals,
+    sourceDecimals,
+    signedValue,
     projectName,
     feedName,
     adminAddress
@@ -7,8 +7,10 @@ const DATA_BRIDGE_ADDRESS = "0x01694d2C99415b736285a6f334248330c2BCdA35";
 
 module.exports = buildModule("TellorDataBankModule", (m) => {
   const dataBridgeAddress = m.getParameter("dataBridgeAddress", DATA_BRIDGE_ADDRESS);
+  // no default, so a deployment without an admin fails rather than deploying an unmanageable data bank
+  const adminAddress = m.getParameter("adminAddress");
 
-  const tellorDataBank = m.contract("TellorDataBank", [dataBridgeAddress]);
+  const tellorDataBank = m.contract("TellorDataBank", [dataBridgeAddress, adminAddress]);
 
   return { tellorDataBank };
 }); 
\ No newline at end of file
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+// Audits deployed GuardedLiquityV2OracleAdaptors against a network's feed manifest
+// Usage: node scripts/audit-adaptors.js <network> [manifest] --rpc-url <url> [--deployments-dir <dir>] [--only-mismatches]
+// Example: node scripts/audit-adaptors.js sepolia --rpc-url https://sepolia.infura.io/v3/<key>
+// Adaptor addresses are read from ignition/deployments/<deploymentId>/deployed_addresses.json.
+// Exits non-zero if any adaptor is missing or does not match the manifest.
+
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { loadAbi } = require("./lib/artifacts.js");
+const { loadManifest, loadManifestFile } = require("./lib/feedManifest.js");
+const { IGNITION_DEPLOYMENTS_DIR, getDeploymentStatus } = require("./lib/ignitionDeployments.js");
+const { expectedFromManifest, auditAdaptor, formatDiffTable } = require("./lib/driftAudit.js");
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "rpc-url": { type: "string" },
+      "deployments-dir": { type: "string", default: IGNITION_DEPLOYMENTS_DIR },
+      "only-mismatches": { type: "boolean", default: false },
+    },
+  });
+
+  if (positionals.length === 0 || !values["rpc-url"]) {
+    console.log(`
+Usage: node scripts/audit-adaptors.js <network> [manifest] --rpc-url <url> [options]
+
+Options:
+  --rpc-url <url>            RPC endpoint of the network (e.g. http://127.0.0.1:8545 for a local Hardhat node)
+  --deployments-dir <dir>    Ignition deployments directory (default: ignition/deployments)
+  --only-mismatches          Only print fields that do not match
+`);
+    process.exit(1);
+  }
+
+  const [network, manifestPath] = positionals;
+  const manifest = manifestPath ? loadManifestFile(manifestPath) : loadManifest(network);
+  const provider = new ethers.JsonRpcProvider(values["rpc-url"]);
+  const abi = loadAbi("GuardedLiquityV2OracleAdaptor");
+
+  console.log(`🔎 Auditing ${manifest.feeds.length} adaptor(s) on ${network}...`);
+
+  const results = [];
+  for (const feed of manifest.feeds) {
+    const status = getDeploymentStatus(feed.deploymentId, values["deployments-dir"]);
+    if (status.state !== "deployed") {
+      results.push({ deploymentId: feed.deploymentId, error: `not deployed (${status.state})` });
+      continue;
+    }
+    try {
+      if ((await provider.getCode(status.address)) === "0x") {
+        throw new Error("no contract code at address");
+      }
+      const adaptor = new ethers.Contract(status.address, abi, provider);
+      const rows = await auditAdaptor(adaptor, expectedFromManifest(manifest, feed));
+      results.push({ deploymentId: feed.deploymentId, address: status.address, rows });
+    } catch (error) {
+      results.push({ deploymentId: feed.deploymentId, address: status.address, error: error.shortMessage || error.message });
+    }
+  }
+
+  console.log(formatDiffTable(results, values["only-mismatches"]));
+
+  const failed = results.filter(r => r.error || r.rows.some(row => !row.ok));
+  if (failed.length > 0) {
+    console.log(`\n💥 ${failed.length} of ${results.length} adaptor(s) drifted from the manifest: ${failed.map(r => r.deploymentId).join(", ")}`);
+    process.exit(1);
+  }
+  console.log(`\n✨ All ${results.length} adaptor(s) match the manifest`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
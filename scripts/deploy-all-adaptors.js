@@ -1,120 +1,90 @@
 #!/usr/bin/env node
 
-// Simple script to deploy multiple GuardedLiquityV2OracleAdaptor contracts
-// Usage: node scripts/deploy-all-adaptors.js <network>
-// Example: node scripts/deploy-all-adaptors.js sepolia
-
+// Batch deploy GuardedLiquityV2OracleAdaptor contracts for every feed in a network's manifest
+// Usage: node scripts/deploy-all-adaptors.js <network> [manifest] [--dry-run] [--confirmations <n>] [--skip-verify]
+// Example: node scripts/deploy-all-adaptors.js sepolia --dry-run
+// Feeds are read from config/feeds/<network>.json (or .yaml) unless a manifest path is given.
+// Feeds already deployed in ignition/deployments are skipped, so the script can be re-run to resume
+// after a partial failure. Partially deployed feeds are resumed by ignition from their journal.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { execSync } = require('child_process');
+const { parseArgs } = require('util');
+const { loadManifest, loadManifestFile } = require('./lib/feedManifest.js');
+const { buildAdaptorParameters, getDeploymentStatus, findDeploymentTxHash } = require('./lib/ignitionDeployments.js');
 
-// ================================
-// CONFIGURATION - EDIT THIS SECTION
-// ================================
-
-const SEPOLIA_CONFIG = {
-  dataBankAddress: "0x6f250229af8D83c51500f3565b10E93d8907B644",
-  adminAddress: "0xC69f43741D379cE93bdaAC9b5135EA3e697df1F8",
-  decimals: 18,
-  contracts: [
-    {
-      projectName: "ProjectA",
-      feedName: "ETH/USD",
-      queryId: "0x0000000000000000000000000000000000000000000000000000000000000001",
-      deploymentId: "sepolia-projecta-ethusd"
-    },
-    {
-      projectName: "ProjectA", 
-      feedName: "BTC/USD",
-      queryId: "0x0000000000000000000000000000000000000000000000000000000000000002",
-      deploymentId: "sepolia-projecta-btcusd"
-    },
-    {
-      projectName: "ProjectB",
-      feedName: "ETH/USD", 
-      queryId: "0x0000000000000000000000000000000000000000000000000000000000000003",
-      deploymentId: "sepolia-projectb-ethusd"
-    }
-    // add more contracts here as needed
-  ]
-};
-
-const SAGAEVM_CONFIG = {
-  dataBankAddress: " ", // update with actual saga address
-  adminAddress: " ",   // update with actual saga admin
-  decimals: 18,
-  contracts: [
-    {
-      projectName: "ProjectA",
-      feedName: "ETH/USD",
-      queryId: "0x0000000000000000000000000000000000000000000000000000000000000001",
-      deploymentId: "sagaevm-projecta-ethusd"
-    },
-    {
-      projectName: "ProjectB",
-      feedName: "BTC/USD",
-      queryId: "0x0000000000000000000000000000000000000000000000000000000000000002", 
-      deploymentId: "sagaevm-projectb-btcusd"
-    },
-    {
-      projectName: "ProjectC",
-      feedName: "ETH/USD",
-      queryId: "0x0000000000000000000000000000000000000000000000000000000000000003",
-      deploymentId: "sagaevm-projectc-ethusd"
-    }
-    // add more contracts here as needed
-  ]
-};
-
-// ================================
-// SCRIPT LOGIC - DON'T EDIT BELOW
-// ================================
-
-function getConfig(network) {
-  switch (network) {
-    case 'sepolia':
-      return SEPOLIA_CONFIG;
-    case 'sagaevm':
-      return SAGAEVM_CONFIG;
-    default:
-      throw new Error(`Unsupported network: ${network}. Use 'sepolia' or 'sagaevm'`);
-  }
+const DEFAULT_CONFIRMATIONS = 5;
+
+function getConfig(network, manifestPath) {
+  return manifestPath ? loadManifestFile(manifestPath) : loadManifest(network);
+}
+
+function writeParametersFile(config, feed) {
+  const parametersPath = path.join(os.tmpdir(), `${feed.deploymentId}-parameters.json`);
+  fs.writeFileSync(parametersPath, JSON.stringify(buildAdaptorParameters(config, feed), null, 2));
+  return parametersPath;
 }
 
-function sleep(seconds) {
-  console.log(`Sleeping for ${seconds} seconds...`);
-  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+function deployCommand(network, feed, parametersPath) {
+  return `npx hardhat ignition deploy ignition/modules/GuardedLiquityV2OracleAdaptor.js --network ${network} --deployment-id ${feed.deploymentId} --parameters ${parametersPath}`;
 }
 
-async function deployContract(network, config, contract) {
-  console.log(`\n📦 Deploying ${contract.projectName} ${contract.feedName} adaptor...`);
-  
-  const parameters = JSON.stringify({
-    "GuardedLiquityV2OracleAdaptorModule": {
-      dataBankAddress: config.dataBankAddress,
-      queryId: contract.queryId,
-      decimals: config.decimals,
-      projectName: contract.projectName,
-      feedName: contract.feedName,
-      adminAddress: config.adminAddress
+function printPlan(network, config, feeds) {
+  console.log(`\n📝 Dry run: nothing will be deployed\n`);
+  for (const feed of feeds) {
+    const status = getDeploymentStatus(feed.deploymentId);
+    console.log(`${feed.deploymentId} (${feed.projectName} ${feed.feedName})`);
+    if (status.state === 'deployed') {
+      console.log(`  ⏭️  already deployed at ${status.address}, will be skipped`);
+      continue;
     }
-  });
+    console.log(status.state === 'partial' ? `  🔁 partially deployed, will be resumed` : `  📦 will be deployed`);
+    console.log(`  Parameters: ${JSON.stringify(buildAdaptorParameters(config, feed))}`);
+    console.log(`  Command: ${deployCommand(network, feed, `<${feed.deploymentId}-parameters.json>`)}`);
+  }
+}
 
-  const command = `npx hardhat ignition deploy ignition/modules/GuardedLiquityV2OracleAdaptor.js --network ${network} --deployment-id ${contract.deploymentId} --parameters '${parameters}'`;
-  
+async function deployContract(network, config, feed) {
+  console.log(`\n📦 Deploying ${feed.projectName} ${feed.feedName} adaptor...`);
+
+  const parametersPath = writeParametersFile(config, feed);
+  const command = deployCommand(network, feed, parametersPath);
   console.log(`Running: ${command}`);
-  
+
   try {
     execSync(command, { stdio: 'inherit' });
-    console.log(`✅ Successfully deployed ${contract.projectName} ${contract.feedName}`);
-    return contract.deploymentId;
   } catch (error) {
-    console.error(`❌ Failed to deploy ${contract.projectName} ${contract.feedName}:`, error.message);
+    console.error(`❌ Failed to deploy ${feed.projectName} ${feed.feedName}:`, error.message);
     throw error;
   }
+  const status = getDeploymentStatus(feed.deploymentId);
+  if (status.state !== 'deployed') {
+    throw new Error(`Deployment ${feed.deploymentId} finished without a deployed adaptor address`);
+  }
+  console.log(`✅ Successfully deployed ${feed.projectName} ${feed.feedName} at ${status.address}`);
+  return status.address;
+}
+
+async function waitForConfirmations(network, deploymentIds, confirmations) {
+  process.env.HARDHAT_NETWORK = network;
+  const { ethers } = require('hardhat');
+
+  for (const deploymentId of deploymentIds) {
+    const txHash = findDeploymentTxHash(deploymentId);
+    if (!txHash) {
+      console.log(`⚠️  No deployment transaction found for ${deploymentId}, not waiting for confirmations`);
+      continue;
+    }
+    console.log(`⏳ Waiting for ${confirmations} confirmation(s) of ${deploymentId} (${txHash})...`);
+    await ethers.provider.waitForTransaction(txHash, confirmations);
+  }
 }
 
 async function verifyContract(deploymentId) {
   console.log(`\n🔍 Verifying ${deploymentId}...`);
-  
+
   try {
     const command = `npx hardhat ignition verify ${deploymentId} --include-unrelated-contracts`;
     console.log(`Running: ${command}`);
@@ -127,54 +97,91 @@ async function verifyContract(deploymentId) {
 }
 
 async function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'confirmations': { type: 'string', default: String(DEFAULT_CONFIRMATIONS) },
+      'skip-verify': { type: 'boolean', default: false },
+    },
+  });
+
+  if (positionals.length === 0) {
     console.log(`
-Usage: node scripts/deploy-all-adaptors.js <network>
+Usage: node scripts/deploy-all-adaptors.js <network> [manifest] [options]
+
+Networks: any network with a manifest in config/feeds/ (e.g. sepolia, sagaevm)
 
-Networks: sepolia, sagaevm
+Options:
+  --dry-run              Print the parameters and command for each feed without deploying
+  --confirmations <n>    Confirmations to wait for before verifying (default: ${DEFAULT_CONFIRMATIONS})
+  --skip-verify          Deploy without verifying
 
 Examples:
+  node scripts/deploy-all-adaptors.js sepolia --dry-run
   node scripts/deploy-all-adaptors.js sepolia
-  node scripts/deploy-all-adaptors.js sagaevm
+  node scripts/deploy-all-adaptors.js sagaevm config/feeds/sagaevm.yaml
 `);
     process.exit(1);
   }
 
-  const network = args[0];
-  
+  const [network, manifestPath] = positionals;
+  const confirmations = Number(values.confirmations);
+
   try {
-    const config = getConfig(network);
-    const deploymentIds = [];
-    
-    console.log(`🚀 Starting deployment of ${config.contracts.length} contracts to ${network}...`);
+    if (!Number.isInteger(confirmations) || confirmations < 1) {
+      throw new Error(`--confirmations must be a positive integer, got ${values.confirmations}`);
+    }
+    const config = getConfig(network, manifestPath);
+
+    console.log(`🚀 Starting deployment of ${config.feeds.length} contracts to ${network}...`);
     console.log(`Data Bank Address: ${config.dataBankAddress}`);
-    console.log(`Admin Address: ${config.adminAddress}\n`);
-    
-    // Deploy all contracts sequentially
-    for (const contract of config.contracts) {
-    //   const deploymentId = await deployContract(network, config, contract);
-      deploymentIds.push(contract.deploymentId);
+    console.log(`Admin Address: ${config.adminAddress}`);
+
+    if (values['dry-run']) {
+      printPlan(network, config, config.feeds);
+      return;
     }
-    
+
+    // Deploy all contracts sequentially, skipping the ones that are already deployed
+    const newlyDeployed = [];
+    for (const feed of config.feeds) {
+      const status = getDeploymentStatus(feed.deploymentId);
+      if (status.state === 'deployed') {
+        console.log(`\n⏭️  Skipping ${feed.deploymentId}, already deployed at ${status.address}`);
+        continue;
+      }
+      try {
+        await deployContract(network, config, feed);
+      } catch (error) {
+        console.error(`\n💥 Stopped at ${feed.deploymentId}. Re-run the same command to resume; completed deployments will be skipped.`);
+        throw error;
+      }
+      newlyDeployed.push(feed.deploymentId);
+    }
+
     console.log(`\n🎉 All contracts deployed successfully!`);
-    console.log(`Deployed contracts: ${deploymentIds.join(', ')}`);
-    
-    // Wait before verification
-    // await sleep(120);
-    
+    console.log(`Newly deployed: ${newlyDeployed.join(', ') || 'none'}`);
+
+    if (values['skip-verify']) {
+      return;
+    }
+
+    // Wait for the new deployments to be confirmed before verifying
+    await waitForConfirmations(network, newlyDeployed, confirmations);
+
     console.log(`\n🔍 Starting contract verification...`);
-    
+
     // Verify all contracts
+    const deploymentIds = config.feeds.map(feed => feed.deploymentId);
     for (const deploymentId of deploymentIds) {
       await verifyContract(deploymentId);
     }
-    
+
     console.log(`\n✨ Deployment and verification completed!`);
     console.log(`\nDeployment IDs:`);
     deploymentIds.forEach(id => console.log(`  - ${id}`));
-    
+
   } catch (error) {
     console.error(`\n💥 Deployment failed:`, error.message);
     process.exit(1);
@@ -183,4 +190,4 @@ Examples:
 
 if (require.main === module) {
   main();
-} 
\ No newline at end of file
+}
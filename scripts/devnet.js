@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+// Starts (or attaches to) a local Hardhat node, deploys a TellorDataBridgeTestnet with a generated validator set,
+// a TellorDataBank, one adaptor and MockMainnetPriceFeedBase per manifest feed, then runs a simulated reporter
+// Usage: node scripts/devnet.js --config <devnet.json> [--rpc-url <url>] [--port <n>] [--out <file>] [--deploy-only]
+// Example: npx hardhat compile && node scripts/devnet.js --config config/devnet.example.json
+// Without --rpc-url a Hardhat node is started on --port and stopped on exit. When attaching, PK selects the
+// deployer key, otherwise the node's first unlocked account is used.
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { loadManifestFile, getValueFormat } = require("./lib/feedManifest.js");
+const { MockLayerServer } = require("./lib/mockLayerServer.js");
+const { createValidators, deployDevnet, describeDevnet } = require("./lib/devnet.js");
+const { PricePath, SimulatedReporter } = require("./lib/simulatedReporter.js");
+
+const NODE_START_TIMEOUT_SECONDS = 60;
+
+function loadConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  for (const key of ["manifest", "prices"]) {
+    if (!config[key]) {
+      throw new Error(`Missing '${key}' in ${configPath}`);
+    }
+  }
+  return config;
+}
+
+// one reporter feed per query ID, as adaptors of different projects can share one
+function reporterFeeds(manifest, prices) {
+  const feeds = new Map();
+  for (const feed of manifest.feeds) {
+    if (feeds.has(feed.queryId)) {
+      continue;
+    }
+    if (!prices[feed.feedName]) {
+      throw new Error(`No price path for '${feed.feedName}' in the config's prices (have: ${Object.keys(prices).join(", ")})`);
+    }
+    const { sourceDecimals, signedValue } = getValueFormat(feed);
+    feeds.set(feed.queryId, { queryId: feed.queryId, name: feed.feedName, decimals: sourceDecimals, signedValue, path: new PricePath(prices[feed.feedName]) });
+  }
+  return [...feeds.values()];
+}
+
+function startNode(port) {
+  console.log(`⛓️  Starting Hardhat node on port ${port}...`);
+  // run the Hardhat CLI directly rather than through npx, so killing the child stops the node
+  const node = spawn(process.execPath, [require.resolve("hardhat/internal/cli/cli.js"), "node", "--port", String(port)], {
+    cwd: path.join(__dirname, ".."),
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+  node.on("exit", (code) => {
+    if (code !== null && code !== 0) {
+      console.error(`❌ Hardhat node exited with code ${code}`);
+      process.exit(1);
+    }
+  });
+  return node;
+}
+
+// polls with plain requests, as an ethers provider created before the node is up logs every failed attempt
+async function waitForNode(rpcUrl) {
+  const request = { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] }) };
+  for (let waited = 0; waited < NODE_START_TIMEOUT_SECONDS; waited++) {
+    try {
+      if ((await fetch(rpcUrl, request)).ok) {
+        return;
+      }
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  throw new Error(`Node did not respond within ${NODE_START_TIMEOUT_SECONDS}s`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: "string" },
+      "rpc-url": { type: "string" },
+      port: { type: "string", default: "8545" },
+      out: { type: "string", default: "devnet.json" },
+      "deploy-only": { type: "boolean", default: false },
+    },
+  });
+
+  if (!values.config) {
+    console.log(`
+Usage: node scripts/devnet.js --config <devnet.json> [options]
+
+Options:
+  --config <file>    Devnet config (see config/devnet.example.json)
+  --rpc-url <url>    Attach to a running node instead of starting one
+  --port <n>         Port of the started Hardhat node (default: 8545)
+  --out <file>       Where to write addresses and validator keys (default: devnet.json)
+  --deploy-only      Deploy without running the reporter (a node started here keeps running)
+`);
+    process.exit(1);
+  }
+
+  const config = loadConfig(values.config);
+  const manifest = loadManifestFile(config.manifest);
+  const feeds = reporterFeeds(manifest, config.prices);
+  const reporterConfig = config.reporter || {};
+
+  const node = values["rpc-url"] ? null : startNode(values.port);
+  const rpcUrl = values["rpc-url"] || `http://127.0.0.1:${values.port}`;
+  let layerServer;
+  let reporter;
+  const shutdown = async (code) => {
+    if (reporter) {
+      reporter.stop();
+    }
+    if (layerServer) {
+      await layerServer.close();
+    }
+    if (node) {
+      node.kill();
+    }
+    process.exit(code);
+  };
+
+  try {
+    await waitForNode(rpcUrl);
+    const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { pollingInterval: 500 });
+    const signer = process.env.PK ? new ethers.Wallet(process.env.PK, provider) : await provider.getSigner(0);
+    console.log(`Deployer: ${await signer.getAddress()}`);
+
+    const validators = createValidators(config.validators);
+    const devnet = await deployDevnet({
+      signer,
+      manifest,
+      validators,
+      powerThreshold: config.powerThreshold,
+      stalenessThreshold: config.stalenessThreshold,
+    });
+    fs.writeFileSync(values.out, JSON.stringify(describeDevnet(devnet, rpcUrl), null, 2));
+    console.log(`📄 Wrote devnet addresses and validator keys to ${values.out}`);
+    if (values["deploy-only"]) {
+      // keep a node started here running, so the deployment stays usable
+      if (node) {
+        console.log(`⛓️  Node running at ${rpcUrl}, press Ctrl+C to stop`);
+        process.on("SIGINT", () => shutdown(0));
+        process.on("SIGTERM", () => shutdown(0));
+      }
+      return node ? undefined : shutdown(0);
+    }
+
+    if (reporterConfig.layerPort !== undefined) {
+      layerServer = new MockLayerServer();
+      console.log(`📡 Serving attestations at ${await layerServer.listen(reporterConfig.layerPort)}`);
+    }
+    reporter = new SimulatedReporter({
+      dataBank: devnet.dataBank,
+      feeds,
+      validators,
+      validatorCheckpoint: devnet.validatorCheckpoint,
+      relay: reporterConfig.relay,
+      layerServer,
+      intervalSeconds: reporterConfig.intervalSeconds,
+    });
+    process.on("SIGINT", () => shutdown(0));
+    process.on("SIGTERM", () => shutdown(0));
+    await reporter.start();
+  } catch (error) {
+    console.error("Error:", error.message);
+    await shutdown(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Exports the aggregates a TellorDataBank has stored for a query ID as CSV or JSON
+// Usage: node scripts/export-history.js --rpc-url <url> --data-bank <address> --query-id <id> [--type uint256]
+//          [--from-index <n>] [--to-index <n>] [--from-time <time>] [--to-time <time>] [--format csv|json] [--out <file>]
+//          [--events <indexed-events.json>] [--from-block <n>] [--batch-size <n>]
+// Example: node scripts/export-history.js --rpc-url http://127.0.0.1:8545 --data-bank 0x... --query-id 0x83a7...4992 --from-time 2025-06-01
+// Times are unix seconds or ISO dates and filter on the aggregate timestamp.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { loadAbi } = require("./lib/artifacts.js");
+const { JsonEventStore } = require("./lib/eventIndexer.js");
+const { readAggregates, parseTime, readOptimisticDelays, toHistoryRow, lastConsensusTimestampsFromEvents, formatCsv } = require("./lib/feedHistory.js");
+
+function parseIndex(value, option) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${option}: expected a non-negative integer, got '${value}'`);
+  }
+  return Number(value);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "rpc-url": { type: "string" },
+      "data-bank": { type: "string" },
+      "query-id": { type: "string" },
+      type: { type: "string", default: "uint256" },
+      "from-index": { type: "string" },
+      "to-index": { type: "string" },
+      "from-time": { type: "string" },
+      "to-time": { type: "string" },
+      format: { type: "string", default: "csv" },
+      out: { type: "string" },
+      events: { type: "string" },
+      "from-block": { type: "string" },
+      "batch-size": { type: "string" },
+    },
+  });
+
+  if (!values["rpc-url"] || !values["data-bank"] || !values["query-id"] || !["csv", "json"].includes(values.format)) {
+    console.log(`
+Usage: node scripts/export-history.js --rpc-url <url> --data-bank <address> --query-id <id> [options]
+
+Options:
+  --type <abi type>          Type to decode values as, or 'bytes' to keep them encoded (default: uint256)
+  --from-index <n>           First index to export
+  --to-index <n>             Last index to export
+  --from-time <time>         Only aggregates at or after this time (unix seconds or ISO date)
+  --to-time <time>           Only aggregates at or before this time (unix seconds or ISO date)
+  --format <csv|json>        Output format (default: csv)
+  --out <file>               Write to a file instead of stdout
+  --events <file>            Event indexer store used to classify every report as consensus or optimistic
+  --from-block <n>           First block to read query parameter updates from, e.g. the data bank's deployment block (default: 0)
+  --batch-size <n>           Blocks per getLogs request when reading query parameter updates (default: 2000)
+`);
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(values["rpc-url"]);
+  const dataBank = new ethers.Contract(values["data-bank"], loadAbi("TellorDataBank"), provider);
+  const queryId = values["query-id"];
+  const optimisticDelays = await readOptimisticDelays(dataBank, queryId, {
+    fromBlock: parseIndex(values["from-block"], "--from-block"),
+    batchSize: parseIndex(values["batch-size"], "--batch-size"),
+  });
+
+  let lastConsensusTimestamps;
+  if (values.events) {
+    const { chainId } = await provider.getNetwork();
+    const events = new JsonEventStore(values.events).getEvents(chainId, values["data-bank"], "OracleUpdated");
+    lastConsensusTimestamps = lastConsensusTimestampsFromEvents(events, queryId);
+  }
+
+  const aggregates = await readAggregates(dataBank, queryId, {
+    fromIndex: parseIndex(values["from-index"], "--from-index"),
+    toIndex: parseIndex(values["to-index"], "--to-index"),
+    fromTime: parseTime(values["from-time"], "--from-time"),
+    toTime: parseTime(values["to-time"], "--to-time"),
+  });
+  const rows = aggregates.map(aggregate => toHistoryRow(aggregate, { valueType: values.type, optimisticDelay: optimisticDelays, lastConsensusTimestamps }));
+  const output = values.format === "json" ? JSON.stringify(rows, null, 2) + "\n" : formatCsv(rows);
+
+  if (values.out) {
+    fs.writeFileSync(values.out, output);
+    console.log(`📄 Wrote ${rows.length} aggregate(s) to ${values.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
@@ -22,7 +22,7 @@ async function main() {
 
     guardianAddresses.forEach((address, index) => {
         // Validate the address
-        if (!ethers.utils.isAddress(address)) {
+        if (!ethers.isAddress(address)) {
             console.log(`❌ Invalid address at index ${index}: ${address}`);
             return;
         }
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+// Generates (and checks against on-chain state) guardian administration calls for many GuardedPausable contracts
+// Usage: node scripts/guardian-admin.js <addGuardian|removeGuardian|updateAdmin|proposeAdmin|acceptAdmin|cancelAdminTransfer|pause|unpause>
+//          (--targets <a,b> | --targets-file <file> | --network <name>) [--addresses <a,b> | --addresses-file <file>]
+//          [--rpc-url <url>] [--from <address>] [--json]
+// Example: node scripts/guardian-admin.js addGuardian --network sepolia --addresses 0xabc...,0xdef... --rpc-url <url> --from <admin>
+// Files hold a JSON array of addresses or one address per line ('#' starts a comment).
+// Exits non-zero if any call would revert.
+
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { ACTIONS, planGuardianActions, readAddressList, parseAddressList } = require("./lib/guardianAdmin.js");
+const { loadManifest } = require("./lib/feedManifest.js");
+const { IGNITION_DEPLOYMENTS_DIR, getDeployedAdaptors } = require("./lib/ignitionDeployments.js");
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      targets: { type: "string" },
+      "targets-file": { type: "string" },
+      network: { type: "string" },
+      "deployments-dir": { type: "string", default: IGNITION_DEPLOYMENTS_DIR },
+      addresses: { type: "string" },
+      "addresses-file": { type: "string" },
+      "rpc-url": { type: "string" },
+      from: { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+  });
+
+  const [action] = positionals;
+  const targetSources = ["targets", "targets-file", "network"].filter(k => values[k] !== undefined);
+  if (!ACTIONS[action] || targetSources.length !== 1) {
+    console.log(`
+Usage: node scripts/guardian-admin.js <action> <targets> [options]
+
+Actions: ${Object.keys(ACTIONS).join(", ")}
+
+Targets (one of):
+  --targets <a,b>            Comma separated contract addresses
+  --targets-file <file>      File with contract addresses
+  --network <name>           Every adaptor in config/feeds/<name> deployed under --deployments-dir
+
+Options:
+  --addresses <a,b>          Guardian or admin addresses (addGuardian, removeGuardian, updateAdmin, proposeAdmin)
+  --addresses-file <file>    File with guardian or admin addresses
+  --rpc-url <url>            Check every call against on-chain state
+  --from <address>           Address that will send the calls, checked for the admin, pending admin or guardian role
+  --deployments-dir <dir>    Ignition deployments directory (default: ignition/deployments)
+  --json                     Print the calls as JSON
+`);
+    process.exit(1);
+  }
+
+  let targets;
+  if (values.targets !== undefined) {
+    targets = parseAddressList(values.targets);
+  } else if (values["targets-file"] !== undefined) {
+    targets = readAddressList(values["targets-file"]);
+  } else {
+    targets = getDeployedAdaptors(loadManifest(values.network), values["deployments-dir"]).map(a => a.address);
+  }
+  let addresses = [];
+  if (values.addresses !== undefined) {
+    addresses = parseAddressList(values.addresses);
+  } else if (values["addresses-file"] !== undefined) {
+    addresses = readAddressList(values["addresses-file"]);
+  }
+
+  const runner = values["rpc-url"] ? new ethers.JsonRpcProvider(values["rpc-url"]) : undefined;
+  const calls = await planGuardianActions({ action, targets, addresses, runner, sender: values.from });
+  const failed = calls.filter(c => c.errors.length > 0);
+
+  if (values.json) {
+    console.log(JSON.stringify(calls, null, 2));
+  } else {
+    if (!runner) {
+      console.log("⚠️  No --rpc-url given: calls are not checked against on-chain state");
+    }
+    console.log(`\n📋 ${action} calls for ${targets.length} target(s):`);
+    calls.forEach((call, index) => {
+      const status = call.errors.length > 0 ? "❌" : call.checked ? "✅" : "➖";
+      console.log(`\n${index + 1}. ${status} ${call.target} ${action}(${call.args.join(", ")})`);
+      if (call.data) {
+        console.log(`   Call Data: ${call.data}`);
+      }
+      call.errors.forEach(error => console.log(`   ${error}`));
+    });
+  }
+
+  if (failed.length > 0) {
+    if (!values.json) {
+      console.log(`\n💥 ${failed.length} of ${calls.length} call(s) would fail`);
+    }
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
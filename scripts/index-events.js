@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+// Indexes TellorDataBank and GuardedLiquityV2OracleAdaptor events into a local JSON store
+// Usage: node scripts/index-events.js --config <config.json> [--once]
+// Example: node scripts/index-events.js --config config/indexer.example.json --once
+// Contracts come from the config's dataBankAddress and adaptorAddresses, or from a feed manifest
+// and its ignition deployments when the config sets "network".
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { loadAbi } = require("./lib/artifacts.js");
+const { loadManifest } = require("./lib/feedManifest.js");
+const { IGNITION_DEPLOYMENTS_DIR, getDeployedAdaptors } = require("./lib/ignitionDeployments.js");
+const { JsonEventStore, EventIndexer } = require("./lib/eventIndexer.js");
+
+function loadConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (!config.rpcUrl) {
+    throw new Error(`Missing 'rpcUrl' in ${configPath}`);
+  }
+  if (config.network) {
+    const manifest = loadManifest(config.network);
+    config.dataBankAddress = manifest.dataBankAddress;
+    config.adaptorAddresses = getDeployedAdaptors(manifest, config.deploymentsDir || IGNITION_DEPLOYMENTS_DIR).map(a => a.address);
+  }
+  for (const address of [config.dataBankAddress, ...(config.adaptorAddresses || [])]) {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Invalid contract address in ${configPath}: ${address}`);
+    }
+  }
+  return config;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: "string" },
+      once: { type: "boolean", default: false },
+    },
+  });
+
+  if (!values.config) {
+    console.log(`
+Usage: node scripts/index-events.js --config <config.json> [--once]
+
+Options:
+  --config  Path to the indexer config (see config/indexer.example.json)
+  --once    Index up to the latest block and exit
+`);
+    process.exit(1);
+  }
+
+  const config = loadConfig(values.config);
+  const adaptorAbi = loadAbi("GuardedLiquityV2OracleAdaptor");
+  const contracts = [
+    { address: config.dataBankAddress, abi: loadAbi("TellorDataBank"), label: "TellorDataBank" },
+    ...(config.adaptorAddresses || []).map(address => ({ address, abi: adaptorAbi, label: `Adaptor ${address}` })),
+  ];
+  const storeFile = config.storeFile || "indexed-events.json";
+  const indexer = new EventIndexer({
+    provider: new ethers.JsonRpcProvider(config.rpcUrl),
+    contracts,
+    store: new JsonEventStore(storeFile),
+    startBlock: config.startBlock,
+    batchSize: config.batchSize,
+    confirmations: config.confirmations,
+    pollIntervalSeconds: config.pollIntervalSeconds,
+  });
+
+  console.log(`Store: ${storeFile}`);
+
+  if (values.once) {
+    const results = await indexer.indexOnce();
+    results.forEach(r => console.log(`  - ${r.address}: blocks ${r.fromBlock}-${r.toBlock}, ${r.newEvents} new event(s)${r.reorged ? " (reorg)" : ""}`));
+    return;
+  }
+
+  const shutdown = () => {
+    console.log("\nStopping indexer...");
+    indexer.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  await indexer.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
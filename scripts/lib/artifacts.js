@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "..", "artifacts", "contracts");
+
+/**
+ * Loads a compiled contract artifact produced by `npx hardhat compile`
+ * @param {string} contractName - The contract name, e.g. "TellorDataBank"
+ * @param {string} sourcePath - Source path relative to contracts/ (default: `${contractName}.sol`)
+ * @returns {Object} The hardhat artifact (abi, bytecode, ...)
+ */
+function loadArtifact(contractName, sourcePath = `${contractName}.sol`) {
+  const artifactPath = path.join(ARTIFACTS_DIR, sourcePath, `${contractName}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`Artifact for ${contractName} not found at ${artifactPath}. Run 'npx hardhat compile' first.`);
+  }
+  return JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+}
+
+/**
+ * Loads the ABI of a compiled contract
+ * @param {string} contractName - The contract name, e.g. "TellorDataBank"
+ * @param {string} sourcePath - Source path relative to contracts/ (default: `${contractName}.sol`)
+ * @returns {Array} The contract ABI
+ */
+function loadAbi(contractName, sourcePath) {
+  return loadArtifact(contractName, sourcePath).abi;
+}
+
+module.exports = {
+  loadArtifact,
+  loadAbi,
+};
@@ -0,0 +1,187 @@
+const { ethers } = require("ethers");
+
+// domain separator used by the TellorDataBridge when hashing a report attestation
+const NEW_REPORT_ATTESTATION_DOMAIN_SEPARATOR = "0x74656c6c6f7243757272656e744174746573746174696f6e0000000000000000";
+// domain separator used by the TellorDataBridge when hashing a validator set checkpoint
+const VALIDATOR_SET_HASH_DOMAIN_SEPARATOR = "0x636865636b706f696e7400000000000000000000000000000000000000000000";
+const EMPTY_SIGNATURE = { v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+/**
+ * Computes the digest validators sign for a report attestation (mirrors TellorDataBridge)
+ * @param {Object} attestData - The OracleAttestationData struct
+ * @param {string} validatorCheckpoint - The bridge's last validator set checkpoint
+ * @returns {string} The data digest
+ */
+function getAttestationDigest(attestData, validatorCheckpoint) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ["bytes32", "bytes32", "bytes", "uint256", "uint256", "uint256", "uint256", "bytes32", "uint256", "uint256"],
+    [
+      NEW_REPORT_ATTESTATION_DOMAIN_SEPARATOR,
+      attestData.queryId,
+      attestData.report.value,
+      attestData.report.timestamp,
+      attestData.report.aggregatePower,
+      attestData.report.previousTimestamp,
+      attestData.report.nextTimestamp,
+      validatorCheckpoint,
+      attestData.attestationTimestamp,
+      attestData.report.lastConsensusTimestamp,
+    ]
+  ));
+}
+
+/**
+ * Computes a validator set checkpoint (mirrors TellorDataBridge)
+ * @param {Array} validatorSet - Array of {addr, power}
+ * @param {number|bigint} powerThreshold - Power needed to approve attestations
+ * @param {number|bigint} validatorTimestamp - Timestamp of the validator set (ms)
+ * @returns {string} The checkpoint
+ */
+function calculateValidatorCheckpoint(validatorSet, powerThreshold, validatorTimestamp) {
+  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+  const validatorSetHash = ethers.keccak256(abiCoder.encode(
+    ["tuple(address addr, uint256 power)[]"],
+    [validatorSet.map(v => ({ addr: v.addr, power: v.power }))]
+  ));
+  return ethers.keccak256(abiCoder.encode(
+    ["bytes32", "uint256", "uint256", "bytes32"],
+    [VALIDATOR_SET_HASH_DOMAIN_SEPARATOR, powerThreshold, validatorTimestamp, validatorSetHash]
+  ));
+}
+
+/**
+ * Signs a report attestation with validator keys, the way layer validators do
+ * @param {Object} attestData - The OracleAttestationData struct
+ * @param {Array} validators - Array of {wallet, power}, in validator set order
+ * @param {string} validatorCheckpoint - The bridge's last validator set checkpoint
+ * @returns {Object} Object containing attestData, currentValidatorSet, and sigs
+ */
+function signAttestation(attestData, validators, validatorCheckpoint) {
+  const signedHash = ethers.sha256(getAttestationDigest(attestData, validatorCheckpoint));
+  const sigs = validators.map(({ wallet }) => {
+    const sig = wallet.signingKey.sign(signedHash);
+    return { v: sig.v, r: sig.r, s: sig.s };
+  });
+  const currentValidatorSet = validators.map(({ wallet, power }) => ({ addr: wallet.address, power: BigInt(power) }));
+  return { attestData, currentValidatorSet, sigs };
+}
+
+/**
+ * Converts a layer signature into the Signature struct expected by the bridge. Layer signatures
+ * are 64 bytes (r, s) without a recovery id, so v is recovered against the validator address.
+ * @param {string|Object|null} signature - 65 byte hex, 64 byte hex, {v, r, s} or empty for a missing signature
+ * @param {string} validatorAddress - The address of the validator this signature belongs to
+ * @param {string} digest - The attestation digest, required for 64 byte signatures
+ * @returns {Object} Signature struct {v, r, s}
+ */
+function normalizeSignature(signature, validatorAddress, digest) {
+  if (!signature || signature === "0x") {
+    return { ...EMPTY_SIGNATURE };
+  }
+  if (typeof signature === "object") {
+    return { v: Number(signature.v), r: signature.r, s: signature.s };
+  }
+  const bytes = ethers.getBytes(signature);
+  if (bytes.length === 65) {
+    const sig = ethers.Signature.from(signature);
+    return { v: sig.v, r: sig.r, s: sig.s };
+  }
+  if (bytes.length !== 64) {
+    throw new Error(`Invalid signature length ${bytes.length} for validator ${validatorAddress}`);
+  }
+  if (!digest) {
+    throw new Error(`Cannot recover v for 64 byte signature of ${validatorAddress} without a validator checkpoint`);
+  }
+  const r = ethers.hexlify(bytes.slice(0, 32));
+  const s = ethers.hexlify(bytes.slice(32, 64));
+  const signedHash = ethers.sha256(digest);
+  for (const v of [27, 28]) {
+    const recovered = ethers.recoverAddress(signedHash, { r, s, v });
+    if (recovered.toLowerCase() === validatorAddress.toLowerCase()) {
+      return { v, r, s };
+    }
+  }
+  throw new Error(`Signature does not match validator ${validatorAddress}`);
+}
+
+/**
+ * Builds the updateOracleData arguments from a layer attestation payload
+ * @param {Object} payload - The attestation payload served by the layer endpoint
+ * @param {string} payload.queryId - The query ID
+ * @param {Object} payload.report - value, timestamp, aggregatePower, previousTimestamp, nextTimestamp, lastConsensusTimestamp
+ * @param {string|number} payload.attestationTimestamp - The attestation timestamp (ms)
+ * @param {Array} payload.validatorSet - Array of {addr, power}
+ * @param {Array} payload.signatures - One signature per validator, in validator set order
+ * @param {string} payload.validatorCheckpoint - Optional checkpoint, needed to recover v for 64 byte signatures
+ * @returns {Object} Object containing attestData, currentValidatorSet, and sigs
+ */
+function buildRelayArgs(payload) {
+  if (!payload || !payload.report) {
+    throw new Error("Invalid attestation payload: missing report");
+  }
+  if (!Array.isArray(payload.validatorSet) || !Array.isArray(payload.signatures)) {
+    throw new Error("Invalid attestation payload: missing validatorSet or signatures");
+  }
+  if (payload.validatorSet.length !== payload.signatures.length) {
+    throw new Error(`Invalid attestation payload: ${payload.validatorSet.length} validators but ${payload.signatures.length} signatures`);
+  }
+
+  const attestData = {
+    queryId: ethers.zeroPadValue(payload.queryId, 32),
+    report: {
+      value: payload.report.value,
+      timestamp: BigInt(payload.report.timestamp),
+      aggregatePower: BigInt(payload.report.aggregatePower),
+      previousTimestamp: BigInt(payload.report.previousTimestamp || 0),
+      nextTimestamp: BigInt(payload.report.nextTimestamp || 0),
+      lastConsensusTimestamp: BigInt(payload.report.lastConsensusTimestamp),
+    },
+    attestationTimestamp: BigInt(payload.attestationTimestamp),
+  };
+  const currentValidatorSet = payload.validatorSet.map(v => ({
+    addr: ethers.getAddress(v.addr),
+    power: BigInt(v.power),
+  }));
+  const digest = payload.validatorCheckpoint ? getAttestationDigest(attestData, payload.validatorCheckpoint) : null;
+  const sigs = payload.signatures.map((sig, i) => normalizeSignature(sig, currentValidatorSet[i].addr, digest));
+
+  return { attestData, currentValidatorSet, sigs };
+}
+
+/**
+ * Serializes updateOracleData arguments into a JSON-safe layer attestation payload
+ * @param {Object} relayArgs - Object containing attestData, currentValidatorSet, and sigs
+ * @param {string} validatorCheckpoint - Optional validator checkpoint to include
+ * @returns {Object} The attestation payload
+ */
+function toLayerPayload({ attestData, currentValidatorSet, sigs }, validatorCheckpoint) {
+  const payload = {
+    queryId: attestData.queryId,
+    report: {
+      value: attestData.report.value,
+      timestamp: attestData.report.timestamp.toString(),
+      aggregatePower: attestData.report.aggregatePower.toString(),
+      previousTimestamp: attestData.report.previousTimestamp.toString(),
+      nextTimestamp: attestData.report.nextTimestamp.toString(),
+      lastConsensusTimestamp: attestData.report.lastConsensusTimestamp.toString(),
+    },
+    attestationTimestamp: attestData.attestationTimestamp.toString(),
+    validatorSet: currentValidatorSet.map(v => ({ addr: v.addr, power: v.power.toString() })),
+    signatures: sigs.map(s => (Number(s.v) === 0 ? "" : ethers.Signature.from({ v: Number(s.v), r: s.r, s: s.s }).serialized)),
+  };
+  if (validatorCheckpoint) {
+    payload.validatorCheckpoint = validatorCheckpoint;
+  }
+  return payload;
+}
+
+module.exports = {
+  NEW_REPORT_ATTESTATION_DOMAIN_SEPARATOR,
+  VALIDATOR_SET_HASH_DOMAIN_SEPARATOR,
+  getAttestationDigest,
+  calculateValidatorCheckpoint,
+  signAttestation,
+  normalizeSignature,
+  buildRelayArgs,
+  toLayerPayload,
+};
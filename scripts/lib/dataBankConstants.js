@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const { callOptional } = require("./optionalGetters.js");
+
+const DATA_BANK_SOURCE = path.join(__dirname, "..", "..", "contracts", "TellorDataBank.sol");
+const CONSTANT_NAMES = ["MAX_DATA_AGE", "MAX_ATTESTATION_AGE", "MS_PER_SECOND", "OPTIMISTIC_DELAY"];
+const TIME_UNITS = {
+  seconds: 1n,
+  minutes: 60n,
+  hours: 3600n,
+  days: 86400n,
+  weeks: 604800n,
+};
+
+/**
+ * Reads the TellorDataBank constants from the contract source so off-chain tools never
+ * drift from the deployed rules
+ * @param {string} sourcePath - Path to TellorDataBank.sol (default: contracts/TellorDataBank.sol)
+ * @returns {Object} MAX_DATA_AGE, MAX_ATTESTATION_AGE, MS_PER_SECOND and OPTIMISTIC_DELAY as BigInt
+ */
+function getDataBankConstants(sourcePath = DATA_BANK_SOURCE) {
+  const source = fs.readFileSync(sourcePath, "utf8");
+  const constants = {};
+  for (const name of CONSTANT_NAMES) {
+    const match = source.match(new RegExp(`uint256\\s+public\\s+constant\\s+${name}\\s*=\\s*(\\d+)(?:\\s+(\\w+))?\\s*;`));
+    if (!match) {
+      throw new Error(`Constant ${name} not found in ${sourcePath}`);
+    }
+    const unit = match[2] ? TIME_UNITS[match[2]] : 1n;
+    if (unit === undefined) {
+      throw new Error(`Unsupported unit '${match[2]}' for constant ${name} in ${sourcePath}`);
+    }
+    constants[name] = BigInt(match[1]) * unit;
+  }
+  return constants;
+}
+
+/**
+ * Reads the constants from a deployed TellorDataBank
+ * @param {Object} dataBank - ethers Contract for TellorDataBank
+ * @returns {Object} MAX_DATA_AGE, MAX_ATTESTATION_AGE, MS_PER_SECOND and OPTIMISTIC_DELAY as BigInt
+ */
+async function readDataBankConstants(dataBank) {
+  const constants = {};
+  for (const name of CONSTANT_NAMES) {
+    constants[name] = BigInt(await dataBank[name]());
+  }
+  return constants;
+}
+
+/**
+ * Reads the constants from a deployed TellorDataBank with the limits replaced by the parameters it
+ * verifies a query ID's reports with, i.e. the query ID's overrides or the defaults. Data banks
+ * deployed before query parameters verify every query ID with the constants.
+ * @param {Object} dataBank - ethers Contract for TellorDataBank
+ * @param {string} queryId - The query ID
+ * @returns {Object} MAX_DATA_AGE, MAX_ATTESTATION_AGE, MS_PER_SECOND and OPTIMISTIC_DELAY as BigInt
+ */
+async function readQueryConstants(dataBank, queryId) {
+  const [constants, parameters] = await Promise.all([
+    readDataBankConstants(dataBank),
+    callOptional(dataBank, "getQueryParameters", [queryId], null),
+  ]);
+  if (parameters === null) {
+    return constants;
+  }
+  return {
+    ...constants,
+    MAX_DATA_AGE: BigInt(parameters.maxDataAge),
+    MAX_ATTESTATION_AGE: BigInt(parameters.maxAttestationAge),
+    OPTIMISTIC_DELAY: BigInt(parameters.optimisticDelay),
+  };
+}
+
+module.exports = {
+  CONSTANT_NAMES,
+  getDataBankConstants,
+  readDataBankConstants,
+  readQueryConstants,
+};
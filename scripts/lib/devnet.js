@@ -0,0 +1,132 @@
+const { ethers } = require("ethers");
+const { loadArtifact } = require("./artifacts.js");
+const { calculateValidatorCheckpoint } = require("./attestation.js");
+const { getValueFormat } = require("./feedManifest.js");
+
+const UNBONDING_PERIOD = 86400 * 7 * 3; // 3 weeks, as on layer
+const DEFAULT_STALENESS_THRESHOLD = 3600 * 25; // MockMainnetPriceFeedBase staleness threshold, as in the tests
+
+/**
+ * Generates a deterministic validator set, so a devnet restarted with the same seed signs with the same keys
+ * @param {Object} options
+ * @param {Array} options.powers - Power per validator (default: [100])
+ * @param {string} options.seed - Seed the validator keys are derived from (default: "devnet")
+ * @returns {Array} {wallet, power} per validator
+ */
+function createValidators({ powers = [100], seed = "devnet" } = {}) {
+  if (powers.length === 0 || powers.some(p => !Number.isInteger(p) || p <= 0)) {
+    throw new Error(`Validator powers must be positive integers, got ${JSON.stringify(powers)}`);
+  }
+  return powers.map((power, index) => ({
+    wallet: new ethers.Wallet(ethers.id(`${seed}-validator-${index}`)),
+    power,
+  }));
+}
+
+/**
+ * Returns the default power threshold for a validator set: two thirds of the total power, rounded down
+ * @param {Array} validators - {power} per validator
+ * @returns {number} The power threshold
+ */
+function defaultPowerThreshold(validators) {
+  return Math.floor(validators.reduce((total, v) => total + v.power, 0) * 2 / 3);
+}
+
+/**
+ * Deploys a compiled contract and waits for the deployment
+ * @param {string} contractName - The contract name, e.g. "TellorDataBank"
+ * @param {string} sourcePath - Source path relative to contracts/, or undefined for `${contractName}.sol`
+ * @param {Object} signer - ethers signer that deploys the contract
+ * @param {Array} args - The constructor arguments
+ * @returns {Object} The deployed ethers contract
+ */
+async function deploy(contractName, sourcePath, signer, args) {
+  const artifact = loadArtifact(contractName, sourcePath);
+  const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Deploys the full stack on a local chain: a TellorDataBridgeTestnet initialized with the validator set,
+ * a TellorDataBank, one adaptor per manifest feed and a MockMainnetPriceFeedBase reading each adaptor
+ * @param {Object} options
+ * @param {Object} options.signer - ethers signer deploying everything; it becomes the bridge guardian, data bank admin and adaptor admin
+ * @param {Object} options.manifest - A loaded feed manifest; its dataBankAddress and adminAddress are ignored
+ * @param {Array} options.validators - Validators from createValidators
+ * @param {number} options.powerThreshold - Bridge power threshold (default: defaultPowerThreshold(validators))
+ * @param {number} options.stalenessThreshold - Staleness threshold of the MockMainnetPriceFeedBase contracts in seconds (default: 25h)
+ * @param {Object} options.logger - Logger with a log method (default: console)
+ * @returns {Object} {chainId, dataBridge, dataBank, adaptors, validators, powerThreshold, validatorTimestamp, validatorCheckpoint}
+ */
+async function deployDevnet({ signer, manifest, validators, powerThreshold = defaultPowerThreshold(validators), stalenessThreshold = DEFAULT_STALENESS_THRESHOLD, logger = console }) {
+  const { provider } = signer;
+  const admin = await signer.getAddress();
+
+  const dataBridge = await deploy("TellorDataBridgeTestnet", "testing/TellorDataBridgeTestnet.sol", signer, [admin]);
+  const validatorSet = validators.map(v => ({ addr: v.wallet.address, power: v.power }));
+  const validatorTimestamp = ((await provider.getBlock("latest")).timestamp - 2) * 1000;
+  const validatorCheckpoint = calculateValidatorCheckpoint(validatorSet, powerThreshold, validatorTimestamp);
+  await (await dataBridge.init(powerThreshold, validatorTimestamp, UNBONDING_PERIOD, validatorCheckpoint)).wait();
+  logger.log(`🌉 TellorDataBridgeTestnet: ${dataBridge.target} (${validators.length} validator(s), threshold ${powerThreshold})`);
+
+  const dataBank = await deploy("TellorDataBank", undefined, signer, [dataBridge.target, admin]);
+  logger.log(`🏦 TellorDataBank: ${dataBank.target}`);
+
+  const adaptors = [];
+  for (const feed of manifest.feeds) {
+    const { sourceDecimals, signedValue } = getValueFormat(feed);
+    const adaptor = await deploy("GuardedLiquityV2OracleAdaptor", undefined, signer, [dataBank.target, feed.queryId, manifest.decimals, sourceDecimals, signedValue, feed.projectName, feed.feedName, admin]);
+    const mainnetPriceFeed = await deploy("MockMainnetPriceFeedBase", "testing/MockMainnetPriceFeedBase.sol", signer, [adaptor.target, stalenessThreshold]);
+    adaptors.push({ ...feed, decimals: manifest.decimals, adaptor, mainnetPriceFeed });
+    logger.log(`📈 ${feed.projectName} ${feed.feedName}: adaptor ${adaptor.target}, MockMainnetPriceFeedBase ${mainnetPriceFeed.target}`);
+  }
+
+  return {
+    chainId: (await provider.getNetwork()).chainId,
+    dataBridge,
+    dataBank,
+    adaptors,
+    validators,
+    powerThreshold,
+    validatorTimestamp,
+    validatorCheckpoint,
+  };
+}
+
+/**
+ * Describes a deployed devnet as JSON for frontends and bots
+ * @param {Object} devnet - The result of deployDevnet
+ * @param {string} rpcUrl - The RPC URL of the devnet
+ * @returns {Object} Addresses, feeds and validator keys
+ */
+function describeDevnet(devnet, rpcUrl) {
+  return {
+    rpcUrl,
+    chainId: devnet.chainId.toString(),
+    dataBridge: devnet.dataBridge.target,
+    dataBank: devnet.dataBank.target,
+    feeds: devnet.adaptors.map(a => ({
+      deploymentId: a.deploymentId,
+      projectName: a.projectName,
+      feedName: a.feedName,
+      queryId: a.queryId,
+      decimals: a.decimals,
+      adaptor: a.adaptor.target,
+      mainnetPriceFeed: a.mainnetPriceFeed.target,
+    })),
+    powerThreshold: devnet.powerThreshold,
+    validatorTimestamp: devnet.validatorTimestamp,
+    validatorCheckpoint: devnet.validatorCheckpoint,
+    validators: devnet.validators.map(v => ({ address: v.wallet.address, privateKey: v.wallet.privateKey, power: v.power })),
+  };
+}
+
+module.exports = {
+  UNBONDING_PERIOD,
+  createValidators,
+  defaultPowerThreshold,
+  deploy,
+  deployDevnet,
+  describeDevnet,
+};
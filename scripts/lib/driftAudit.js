@@ -0,0 +1,144 @@
+const { ethers } = require("ethers");
+const { getValueFormat } = require("./feedManifest.js");
+const { callOptional } = require("./optionalGetters.js");
+
+const AUDITED_FIELDS = ["dataBank", "queryId", "decimals", "sourceDecimals", "signedValue", "name", "project", "admin", "paused", "guardians"];
+
+/**
+ * Builds the expected on-chain configuration of a feed's adaptor from its manifest
+ * @param {Object} manifest - The network's feed manifest
+ * @param {Object} feed - A feed from the manifest
+ * @returns {Object} Expected values for each audited field
+ */
+function expectedFromManifest(manifest, feed) {
+  return {
+    dataBank: manifest.dataBankAddress,
+    queryId: feed.queryId,
+    decimals: manifest.decimals,
+    ...getValueFormat(feed),
+    name: feed.feedName,
+    project: feed.projectName,
+    admin: manifest.adminAddress,
+    paused: false,
+    guardians: feed.guardians || manifest.guardians || [manifest.adminAddress],
+  };
+}
+
+/**
+ * Normalizes a value so expected and actual values can be compared as strings
+ * @param {string} field - The audited field
+ * @param {*} value - The value to normalize
+ * @returns {string} The normalized value
+ */
+function normalize(field, value) {
+  switch (field) {
+    case "dataBank":
+    case "admin":
+      return ethers.getAddress(value);
+    case "queryId":
+      return value.toLowerCase();
+    case "guardians":
+      return [...value].map(g => ethers.getAddress(g)).sort().join(",");
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Reads the audited fields from a deployed adaptor. Adaptors deployed before decimal scaling have no
+ * sourceDecimals() or signedValue() getters; they decode uint256 values and serve them unscaled, so
+ * those fields read as unsigned with the adaptor's own decimals and are listed in missingGetters.
+ * @param {Object} adaptor - ethers Contract for GuardedLiquityV2OracleAdaptor
+ * @returns {Object} The on-chain values for each audited field, and missingGetters, the fields read as legacy defaults
+ */
+async function readAdaptorConfig(adaptor) {
+  const [dataBank, queryId, decimals, sourceDecimals, signedValue, name, project, admin, paused, guardians] = await Promise.all([
+    adaptor.dataBank(),
+    adaptor.queryId(),
+    adaptor.decimals(),
+    callOptional(adaptor, "sourceDecimals", [], null),
+    callOptional(adaptor, "signedValue", [], null),
+    adaptor.name(),
+    adaptor.project(),
+    adaptor.admin(),
+    adaptor.paused(),
+    adaptor.getGuardianAddresses(),
+  ]);
+  const missingGetters = [];
+  if (sourceDecimals === null) {
+    missingGetters.push("sourceDecimals");
+  }
+  if (signedValue === null) {
+    missingGetters.push("signedValue");
+  }
+  return {
+    dataBank,
+    queryId,
+    decimals: Number(decimals),
+    sourceDecimals: Number(sourceDecimals ?? decimals),
+    signedValue: signedValue ?? false,
+    name,
+    project,
+    admin,
+    paused,
+    guardians: [...guardians],
+    missingGetters,
+  };
+}
+
+/**
+ * Compares a deployed adaptor with its expected configuration. Fields an older adaptor has no getter
+ * for are reported as drift with their legacy default, as the adaptor predates the manifest's format.
+ * @param {Object} adaptor - ethers Contract for GuardedLiquityV2OracleAdaptor
+ * @param {Object} expected - Expected values (see expectedFromManifest)
+ * @returns {Array} One row per field: {field, expected, actual, ok}
+ */
+async function auditAdaptor(adaptor, expected) {
+  const actual = await readAdaptorConfig(adaptor);
+  return AUDITED_FIELDS.map(field => {
+    const expectedValue = normalize(field, expected[field]);
+    const actualValue = normalize(field, actual[field]);
+    if (actual.missingGetters.includes(field)) {
+      return { field, expected: expectedValue, actual: `${actualValue} (no getter)`, ok: false };
+    }
+    return { field, expected: expectedValue, actual: actualValue, ok: expectedValue === actualValue };
+  });
+}
+
+/**
+ * Formats audit results as a diff table
+ * @param {Array} results - One entry per feed: {deploymentId, address, rows, error?}
+ * @param {boolean} onlyMismatches - Only print rows that do not match (default: false)
+ * @returns {string} The table
+ */
+function formatDiffTable(results, onlyMismatches = false) {
+  const lines = [];
+  const header = ["  ", "field", "expected", "actual"]; // the status column holds a double width emoji
+  for (const result of results) {
+    lines.push(`\n${result.deploymentId} ${result.address ? `(${result.address})` : ""}`.trimEnd());
+    if (result.error) {
+      lines.push(`  ❌ ${result.error}`);
+      continue;
+    }
+    const rows = result.rows
+      .filter(row => !onlyMismatches || !row.ok)
+      .map(row => [row.ok ? "✅" : "❌", row.field, row.expected, row.actual]);
+    if (rows.length === 0) {
+      lines.push("  ✅ matches the manifest");
+      continue;
+    }
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+    const format = (cells) => "  " + cells.map((c, i) => (i === 0 ? c : String(c).padEnd(widths[i]))).join("  ").trimEnd();
+    lines.push(format(header));
+    rows.forEach(row => lines.push(format(row)));
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  AUDITED_FIELDS,
+  expectedFromManifest,
+  readAdaptorConfig,
+  auditAdaptor,
+  formatDiffTable,
+};
@@ -0,0 +1,243 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Converts decoded event arguments to JSON friendly values (BigInts become strings)
+ * @param {*} value - A decoded value
+ * @returns {*} The JSON friendly value
+ */
+function toJsonValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value instanceof ethers.Result) {
+    let object;
+    try {
+      object = value.toObject();
+    } catch (error) {
+      // toObject() throws for unnamed values, e.g. arrays
+      return [...value].map(toJsonValue);
+    }
+    return Object.fromEntries(Object.entries(object).map(([name, v]) => [name, toJsonValue(v)]));
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJsonValue);
+  }
+  return value;
+}
+
+/**
+ @dev stores indexed events and indexing progress in a JSON file, keyed by chain ID and contract address
+*/
+class JsonEventStore {
+  /**
+   * @param {string} file - Path of the JSON file; the store is kept in memory only if omitted
+   */
+  constructor(file) {
+    this.file = file;
+    this.data = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  }
+
+  /**
+   * Returns the indexing state of a contract
+   * @param {string|bigint} chainId - The chain ID
+   * @param {string} address - The contract address
+   * @returns {Object} {lastIndexedBlock, lastIndexedBlockHash, events}
+   */
+  getContract(chainId, address) {
+    const chain = (this.data[chainId.toString()] = this.data[chainId.toString()] || {});
+    const key = ethers.getAddress(address);
+    chain[key] = chain[key] || { lastIndexedBlock: null, lastIndexedBlockHash: null, events: [] };
+    return chain[key];
+  }
+
+  /**
+   * Returns the indexed events of a contract, oldest first
+   * @param {string|bigint} chainId - The chain ID
+   * @param {string} address - The contract address
+   * @param {string} eventName - Only return events with this name (optional)
+   * @returns {Array} The events
+   */
+  getEvents(chainId, address, eventName) {
+    const { events } = this.getContract(chainId, address);
+    return eventName === undefined ? events : events.filter(e => e.event === eventName);
+  }
+
+  /**
+   * Drops a contract's events from a block onwards
+   * @param {string|bigint} chainId - The chain ID
+   * @param {string} address - The contract address
+   * @param {number} fromBlock - First block to drop
+   */
+  rewind(chainId, address, fromBlock) {
+    const contract = this.getContract(chainId, address);
+    contract.events = contract.events.filter(e => e.blockNumber < fromBlock);
+  }
+
+  /**
+   * Appends events and records indexing progress for a contract
+   * @param {string|bigint} chainId - The chain ID
+   * @param {string} address - The contract address
+   * @param {Array} events - Events in block order
+   * @param {Object} block - The last indexed block: {number, hash}
+   */
+  append(chainId, address, events, block) {
+    const contract = this.getContract(chainId, address);
+    contract.events.push(...events);
+    contract.lastIndexedBlock = block.number;
+    contract.lastIndexedBlockHash = block.hash;
+  }
+
+  /**
+   * Writes the store to its file
+   */
+  save() {
+    if (this.file) {
+      fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+    }
+  }
+}
+
+/**
+ @dev indexes TellorDataBank and GuardedPausable events (OracleUpdated, GuardianAdded, GuardianRemoved,
+ * AdminUpdated, AdminRemoved, Paused, Unpaused) in block ranges. Each run resumes from the last indexed
+ * block of every contract, rewinding `confirmations` blocks first so events from reorged blocks are
+ * replaced. Reorgs deeper than `confirmations` blocks are not detected.
+*/
+class EventIndexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - ethers provider
+   * @param {Array} options.contracts - {address, abi, label?} per contract to index; abi may be an ABI or an Interface
+   * @param {Object} options.store - Event store (default: an in-memory JsonEventStore)
+   * @param {number} options.startBlock - First block to index for contracts with no progress (default: 0)
+   * @param {number} options.batchSize - Blocks per getLogs request (default: 2000)
+   * @param {number} options.confirmations - Blocks re-scanned on every run to replace reorged events (default: 12)
+   * @param {number} options.pollIntervalSeconds - Seconds between runs when started (default: 30)
+   * @param {Object} options.logger - Logger with log/error methods (default: console)
+   */
+  constructor({ provider, contracts, store = new JsonEventStore(), startBlock = 0, batchSize = 2000, confirmations = 12, pollIntervalSeconds = 30, logger = console }) {
+    if (!contracts || contracts.length === 0) {
+      throw new Error("EventIndexer: at least one contract is required");
+    }
+    if (batchSize < 1) {
+      throw new Error("EventIndexer: batchSize must be at least 1");
+    }
+    this.provider = provider;
+    this.contracts = contracts.map(c => ({
+      address: ethers.getAddress(c.address),
+      label: c.label || c.address,
+      iface: ethers.Interface.from(c.abi),
+    }));
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.pollIntervalSeconds = pollIntervalSeconds;
+    this.logger = logger;
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Indexes every contract up to the latest block
+   * @returns {Array} One result per contract: {address, fromBlock, toBlock, newEvents, reorged}
+   */
+  async indexOnce() {
+    const chainId = (await this.provider.getNetwork()).chainId;
+    const head = await this.provider.getBlock("latest");
+    const results = [];
+    for (const contract of this.contracts) {
+      results.push(await this._indexContract(chainId, contract, head));
+    }
+    this.store.save();
+    return results;
+  }
+
+  /**
+   * Indexes on a schedule until stop() is called
+   */
+  async start() {
+    if (this._running) {
+      return;
+    }
+    this._running = true;
+    this.logger.log(`🚀 Indexing ${this.contracts.length} contract(s) every ${this.pollIntervalSeconds}s`);
+    const loop = async () => {
+      try {
+        await this.indexOnce();
+      } catch (error) {
+        this.logger.error(`❌ Indexing failed: ${error.shortMessage || error.message}`);
+      }
+      if (this._running) {
+        this._timer = setTimeout(loop, this.pollIntervalSeconds * 1000);
+      }
+    };
+    await loop();
+  }
+
+  /**
+   * Stops the indexing schedule
+   */
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _indexContract(chainId, contract, head) {
+    const progress = this.store.getContract(chainId, contract.address);
+    let reorged = false;
+    let fromBlock = this.startBlock;
+    if (progress.lastIndexedBlock !== null) {
+      const lastBlock = await this.provider.getBlock(progress.lastIndexedBlock);
+      reorged = !lastBlock || lastBlock.hash !== progress.lastIndexedBlockHash;
+      if (reorged) {
+        this.logger.log(`🔀 ${contract.label}: block ${progress.lastIndexedBlock} changed, rewinding ${this.confirmations} block(s)`);
+      }
+      fromBlock = Math.max(this.startBlock, progress.lastIndexedBlock - this.confirmations + 1);
+    }
+    if (fromBlock > head.number) {
+      return { address: contract.address, fromBlock, toBlock: head.number, newEvents: 0, reorged };
+    }
+
+    const previousCount = progress.events.length;
+    this.store.rewind(chainId, contract.address, fromBlock);
+    for (let batchStart = fromBlock; batchStart <= head.number; batchStart += this.batchSize) {
+      const batchEnd = Math.min(batchStart + this.batchSize - 1, head.number);
+      const logs = await this.provider.getLogs({ address: contract.address, fromBlock: batchStart, toBlock: batchEnd });
+      const events = logs.map(log => this._decode(contract, log)).filter(e => e !== null);
+      const block = batchEnd === head.number ? head : await this.provider.getBlock(batchEnd);
+      this.store.append(chainId, contract.address, events, { number: block.number, hash: block.hash });
+    }
+    // negative if a reorg dropped events
+    const newEvents = this.store.getContract(chainId, contract.address).events.length - previousCount;
+    if (newEvents !== 0) {
+      this.logger.log(`📥 ${contract.label}: ${newEvents} new event(s) up to block ${head.number}`);
+    }
+    return { address: contract.address, fromBlock, toBlock: head.number, newEvents, reorged };
+  }
+
+  _decode(contract, log) {
+    const parsed = contract.iface.parseLog({ topics: [...log.topics], data: log.data });
+    if (!parsed) {
+      return null;
+    }
+    return {
+      event: parsed.name,
+      args: toJsonValue(parsed.args),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    };
+  }
+}
+
+module.exports = {
+  toJsonValue,
+  JsonEventStore,
+  EventIndexer,
+};
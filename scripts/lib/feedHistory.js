@@ -0,0 +1,278 @@
+const { ethers } = require("ethers");
+const { readDataBankConstants } = require("./dataBankConstants.js");
+const { callOptional } = require("./optionalGetters.js");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+const HISTORY_COLUMNS = [
+  "index",
+  "value",
+  "power",
+  "aggregateTimestamp",
+  "aggregateTime",
+  "attestationTimestamp",
+  "attestationTime",
+  "relayTimestamp",
+  "relayTime",
+  "relayLatencySeconds",
+  "attestationDelaySeconds",
+  "reportType",
+];
+
+/**
+ * Finds the first index whose aggregate timestamp is at or after a time, using that stored
+ * aggregate timestamps strictly increase
+ * @param {Object} dataBank - ethers Contract for TellorDataBank
+ * @param {string} queryId - The query ID
+ * @param {number} count - getAggregateValueCount(queryId)
+ * @param {bigint} timestampMs - The time in milliseconds
+ * @param {number} oldestIndex - getOldestAggregateIndex(queryId), the first index still retained (default: 0)
+ * @returns {number} The index, or count if every aggregate is older
+ */
+async function findIndexAtOrAfter(dataBank, queryId, count, timestampMs, oldestIndex = 0) {
+  let low = oldestIndex;
+  let high = count;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const aggregate = await dataBank.getAggregateByIndex(queryId, mid);
+    if (BigInt(aggregate.aggregateTimestamp) < timestampMs) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Reads stored aggregates for a query ID, skipping aggregates pruned from a bounded history
+ * @param {Object} dataBank - ethers Contract for TellorDataBank
+ * @param {string} queryId - The query ID
+ * @param {Object} filters
+ * @param {number} filters.fromIndex - First index (default: the oldest retained)
+ * @param {number} filters.toIndex - Last index, inclusive (default: the latest)
+ * @param {bigint} filters.fromTime - Only aggregates at or after this time, in seconds (optional)
+ * @param {bigint} filters.toTime - Only aggregates at or before this time, in seconds (optional)
+ * @returns {Array} {index, value, power, aggregateTimestamp, attestationTimestamp, relayTimestamp} per aggregate, oldest first
+ */
+async function readAggregates(dataBank, queryId, { fromIndex = 0, toIndex, fromTime, toTime } = {}) {
+  const [count, oldestIndex] = (await Promise.all([
+    dataBank.getAggregateValueCount(queryId),
+    // data banks deployed before bounded histories retain every aggregate
+    callOptional(dataBank, "getOldestAggregateIndex", [queryId], 0n),
+  ])).map(Number);
+  let start = Math.max(oldestIndex, fromIndex);
+  let end = toIndex === undefined ? count - 1 : Math.min(toIndex, count - 1);
+  if (fromTime !== undefined) {
+    start = Math.max(start, await findIndexAtOrAfter(dataBank, queryId, count, BigInt(fromTime) * 1000n, oldestIndex));
+  }
+  if (toTime !== undefined) {
+    // first index after toTime, minus one
+    end = Math.min(end, (await findIndexAtOrAfter(dataBank, queryId, count, (BigInt(toTime) + 1n) * 1000n, oldestIndex)) - 1);
+  }
+  const aggregates = [];
+  for (let index = start; index <= end; index++) {
+    const aggregate = await dataBank.getAggregateByIndex(queryId, index);
+    aggregates.push({
+      index,
+      value: aggregate.value,
+      power: BigInt(aggregate.power),
+      aggregateTimestamp: BigInt(aggregate.aggregateTimestamp),
+      attestationTimestamp: BigInt(aggregate.attestationTimestamp),
+      relayTimestamp: BigInt(aggregate.relayTimestamp),
+    });
+  }
+  return aggregates;
+}
+
+/**
+ * Decodes a stored value
+ * @param {string} value - The ABI encoded value
+ * @param {string} valueType - ABI type of the value, e.g. "uint256", or "bytes" to keep it encoded
+ * @returns {string} The decoded value
+ */
+function decodeValue(value, valueType) {
+  if (valueType === "bytes") {
+    return value;
+  }
+  return abiCoder.decode([valueType], value)[0].toString();
+}
+
+/**
+ * Parses a time filter given as unix seconds or an ISO date
+ * @param {string} value - The time, or undefined
+ * @param {string} option - Name of the option, for error messages
+ * @returns {bigint|undefined} The time in seconds
+ */
+function parseTime(value, option) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (/^\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`${option}: expected unix seconds or an ISO date, got '${value}'`);
+  }
+  return BigInt(Math.floor(ms / 1000));
+}
+
+function toIsoTime(timestampMs) {
+  return new Date(Number(timestampMs)).toISOString();
+}
+
+function msToSeconds(ms) {
+  return (Number(ms) / 1000).toFixed(3).replace(/\.?0+$/, "");
+}
+
+/**
+ * Reads the optimistic delays a query ID's reports were verified with over time from the
+ * QueryParametersUpdated events, so old reports are classified with the parameters in effect when
+ * they were relayed rather than the current ones. Events are read in block ranges like the event
+ * indexer, starting from fromBlock, e.g. the data bank's deployment block.
+ * @param {Object} dataBank - ethers Contract for TellorDataBank
+ * @param {string} queryId - The query ID
+ * @param {Object} options
+ * @param {number} options.fromBlock - First block to read events from (default: 0)
+ * @param {number} options.batchSize - Blocks per getLogs request (default: 2000)
+ * @returns {Array} {fromTimestamp, optimisticDelay} in seconds as BigInt, oldest first, starting with the default
+ */
+async function readOptimisticDelays(dataBank, queryId, { fromBlock = 0, batchSize = 2000 } = {}) {
+  if (batchSize < 1) {
+    throw new Error("readOptimisticDelays: batchSize must be at least 1");
+  }
+  const provider = dataBank.runner.provider;
+  const [{ OPTIMISTIC_DELAY }, head] = await Promise.all([readDataBankConstants(dataBank), provider.getBlockNumber()]);
+  const filter = dataBank.filters.QueryParametersUpdated(queryId);
+  const logs = [];
+  for (let batchStart = fromBlock; batchStart <= head; batchStart += batchSize) {
+    logs.push(...await dataBank.queryFilter(filter, batchStart, Math.min(batchStart + batchSize - 1, head)));
+  }
+  // one request per block with an update, not per event
+  const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map(blockNumber => provider.getBlock(blockNumber)));
+  const timestamps = new Map(blocks.map(block => [block.number, BigInt(block.timestamp)]));
+
+  const delays = [{ fromTimestamp: 0n, optimisticDelay: OPTIMISTIC_DELAY }];
+  for (const log of logs) {
+    // all zero parameters reset the query ID to the defaults
+    const optimisticDelay = BigInt(log.args.parameters.optimisticDelay);
+    delays.push({ fromTimestamp: timestamps.get(log.blockNumber), optimisticDelay: optimisticDelay > 0n ? optimisticDelay : OPTIMISTIC_DELAY });
+  }
+  return delays;
+}
+
+/**
+ * Returns the optimistic delay in effect at a time
+ * @param {bigint|Array} optimisticDelays - A fixed delay in seconds, or the delays from readOptimisticDelays
+ * @param {bigint} timestamp - The time in seconds
+ * @returns {bigint} The delay in seconds
+ */
+function optimisticDelayAt(optimisticDelays, timestamp) {
+  if (!Array.isArray(optimisticDelays)) {
+    return BigInt(optimisticDelays);
+  }
+  let delay = optimisticDelays[0].optimisticDelay;
+  for (const entry of optimisticDelays) {
+    if (entry.fromTimestamp > timestamp) {
+      break;
+    }
+    delay = entry.optimisticDelay;
+  }
+  return delay;
+}
+
+/**
+ * Classifies an aggregate as consensus or optimistic data. Stored aggregates do not include the
+ * last consensus timestamp, so without the OracleUpdated event only reports attested sooner than
+ * the optimistic delay in effect when they were relayed can be classified (they must be consensus data).
+ * @param {Object} aggregate - An aggregate from readAggregates
+ * @param {bigint|Array} optimisticDelay - A fixed optimistic delay in seconds, or the delays from readOptimisticDelays
+ * @param {Map} lastConsensusTimestamps - Aggregate timestamp -> report.lastConsensusTimestamp from OracleUpdated events (optional)
+ * @returns {string} "consensus", "optimistic" or "unknown"
+ */
+function classifyReport(aggregate, optimisticDelay, lastConsensusTimestamps = new Map()) {
+  const key = aggregate.aggregateTimestamp.toString();
+  if (lastConsensusTimestamps.has(key)) {
+    return BigInt(lastConsensusTimestamps.get(key)) === aggregate.aggregateTimestamp ? "consensus" : "optimistic";
+  }
+  if (aggregate.attestationTimestamp - aggregate.aggregateTimestamp < optimisticDelayAt(optimisticDelay, aggregate.relayTimestamp) * 1000n) {
+    return "consensus";
+  }
+  return "unknown";
+}
+
+/**
+ * Converts an aggregate to an export row with human readable times and derived columns
+ * @param {Object} aggregate - An aggregate from readAggregates
+ * @param {Object} options
+ * @param {string} options.valueType - ABI type of the value (default: "uint256")
+ * @param {bigint|Array} options.optimisticDelay - See classifyReport
+ * @param {Map} options.lastConsensusTimestamps - See classifyReport (optional)
+ * @returns {Object} One value per HISTORY_COLUMNS entry
+ */
+function toHistoryRow(aggregate, { valueType = "uint256", optimisticDelay, lastConsensusTimestamps } = {}) {
+  const relayTimestampMs = aggregate.relayTimestamp * 1000n;
+  return {
+    index: aggregate.index,
+    value: decodeValue(aggregate.value, valueType),
+    power: aggregate.power.toString(),
+    aggregateTimestamp: aggregate.aggregateTimestamp.toString(),
+    aggregateTime: toIsoTime(aggregate.aggregateTimestamp),
+    attestationTimestamp: aggregate.attestationTimestamp.toString(),
+    attestationTime: toIsoTime(aggregate.attestationTimestamp),
+    relayTimestamp: aggregate.relayTimestamp.toString(),
+    relayTime: toIsoTime(relayTimestampMs),
+    relayLatencySeconds: msToSeconds(relayTimestampMs - aggregate.aggregateTimestamp),
+    attestationDelaySeconds: msToSeconds(aggregate.attestationTimestamp - aggregate.aggregateTimestamp),
+    reportType: classifyReport(aggregate, optimisticDelay, lastConsensusTimestamps),
+  };
+}
+
+/**
+ * Builds the aggregate timestamp -> last consensus timestamp map used by classifyReport from OracleUpdated events
+ * @param {Array} events - OracleUpdated events as stored by the event indexer, or decoded logs with args.attestData
+ * @param {string} queryId - Only use events for this query ID
+ * @returns {Map} Aggregate timestamp (string) -> last consensus timestamp (string)
+ */
+function lastConsensusTimestampsFromEvents(events, queryId) {
+  const map = new Map();
+  for (const event of events) {
+    const { attestData } = event.args;
+    if (attestData.queryId.toLowerCase() === queryId.toLowerCase()) {
+      map.set(attestData.report.timestamp.toString(), attestData.report.lastConsensusTimestamp.toString());
+    }
+  }
+  return map;
+}
+
+/**
+ * Formats history rows as CSV
+ * @param {Array} rows - Rows from toHistoryRow
+ * @returns {string} The CSV, with a header line
+ */
+function formatCsv(rows) {
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  };
+  const lines = [HISTORY_COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(HISTORY_COLUMNS.map(column => escape(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  HISTORY_COLUMNS,
+  readAggregates,
+  parseTime,
+  decodeValue,
+  readOptimisticDelays,
+  optimisticDelayAt,
+  classifyReport,
+  toHistoryRow,
+  lastConsensusTimestampsFromEvents,
+  formatCsv,
+};
@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { buildQuery } = require("./queryId.js");
+
+const MANIFEST_DIR = path.join(__dirname, "..", "..", "config", "feeds");
+const MANIFEST_EXTENSIONS = [".json", ".yaml", ".yml"];
+const SUPPORTED_DECIMALS = [8, 18]; // MainnetPriceFeedBase asserts the oracle has 8 or 18 decimals
+const DEFAULT_SOURCE_DECIMALS = 18; // SpotPrice values are reported with 18 decimals
+const MAX_DECIMALS_DIFFERENCE = 76; // GuardedLiquityV2OracleAdaptor.MAX_DECIMALS_DIFFERENCE
+const DEPLOYMENT_ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/; // what hardhat ignition accepts as a deployment id
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const MANIFEST_KEYS = ["network", "dataBankAddress", "adminAddress", "decimals", "guardians", "feeds"];
+const FEED_KEYS = ["projectName", "feedName", "queryId", "queryType", "args", "sourceDecimals", "signedValue", "deploymentId", "guardians"];
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function checkAddress(errors, value, field) {
+  if (!isNonEmptyString(value) || !ethers.isAddress(value)) {
+    errors.push(`${field}: expected an address, got ${JSON.stringify(value)}`);
+  } else if (value === ethers.ZeroAddress) {
+    errors.push(`${field}: must not be the zero address`);
+  }
+}
+
+function checkGuardians(errors, value, field) {
+  if (value === undefined) {
+    return;
+  }
+  if (!Array.isArray(value)) {
+    errors.push(`${field}: expected a list of addresses`);
+    return;
+  }
+  value.forEach((guardian, index) => checkAddress(errors, guardian, `${field}[${index}]`));
+}
+
+function checkUnknownKeys(errors, object, allowed, field) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${field}: unknown key '${key}'`);
+    }
+  }
+}
+
+function checkQuery(errors, feed, field) {
+  if (feed.queryType === undefined) {
+    if (feed.args !== undefined) {
+      errors.push(`${field}.args: only allowed together with queryType`);
+    }
+    if (typeof feed.queryId !== "string" || !BYTES32_PATTERN.test(feed.queryId)) {
+      errors.push(`${field}.queryId: expected a 32-byte hex string, got ${JSON.stringify(feed.queryId)}`);
+    }
+    return;
+  }
+  let query;
+  try {
+    query = buildQuery(feed.queryType, feed.args);
+  } catch (error) {
+    errors.push(`${field}.queryType: ${error.message}`);
+    return;
+  }
+  if (feed.queryId !== undefined && String(feed.queryId).toLowerCase() !== query.queryId) {
+    errors.push(`${field}.queryId: ${JSON.stringify(feed.queryId)} does not match ${feed.queryType}(${feed.args.join(", ")}), expected ${query.queryId}`);
+  }
+}
+
+function checkValueFormat(errors, feed, decimals, field) {
+  if (feed.sourceDecimals !== undefined) {
+    if (!Number.isInteger(feed.sourceDecimals) || feed.sourceDecimals < 0 || feed.sourceDecimals > 255) {
+      errors.push(`${field}.sourceDecimals: expected an integer from 0 to 255, got ${JSON.stringify(feed.sourceDecimals)}`);
+    } else if (Number.isInteger(decimals) && Math.abs(feed.sourceDecimals - decimals) > MAX_DECIMALS_DIFFERENCE) {
+      errors.push(`${field}.sourceDecimals: must be within ${MAX_DECIMALS_DIFFERENCE} of decimals, got ${feed.sourceDecimals}`);
+    }
+  }
+  if (feed.signedValue !== undefined && typeof feed.signedValue !== "boolean") {
+    errors.push(`${field}.signedValue: expected true or false, got ${JSON.stringify(feed.signedValue)}`);
+  }
+}
+
+/**
+ * Returns how a feed's values are stored in the data bank, with the defaults for SpotPrice feeds
+ * @param {Object} feed - A validated feed from a manifest
+ * @returns {Object} {sourceDecimals, signedValue}
+ */
+function getValueFormat(feed) {
+  return {
+    sourceDecimals: feed.sourceDecimals ?? DEFAULT_SOURCE_DECIMALS,
+    signedValue: feed.signedValue ?? false,
+  };
+}
+
+/**
+ * Returns the feed with its queryId built from queryType and args, if given
+ * @param {Object} feed - A validated feed from a manifest
+ * @returns {Object} The feed with queryId set
+ */
+function resolveFeedQueryId(feed) {
+  if (feed.queryType === undefined) {
+    return feed;
+  }
+  return { ...feed, queryId: buildQuery(feed.queryType, feed.args).queryId };
+}
+
+/**
+ * Validates a feed manifest
+ * @param {Object} manifest - The parsed manifest
+ * @returns {Array} A list of human readable errors, empty if the manifest is valid
+ */
+function validateManifest(manifest) {
+  const errors = [];
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    return ["manifest: expected an object"];
+  }
+  checkUnknownKeys(errors, manifest, MANIFEST_KEYS, "manifest");
+  if (manifest.network !== undefined && !isNonEmptyString(manifest.network)) {
+    errors.push(`network: expected a non-empty string, got ${JSON.stringify(manifest.network)}`);
+  }
+  checkAddress(errors, manifest.dataBankAddress, "dataBankAddress");
+  checkAddress(errors, manifest.adminAddress, "adminAddress");
+  checkGuardians(errors, manifest.guardians, "guardians");
+  if (!SUPPORTED_DECIMALS.includes(manifest.decimals)) {
+    errors.push(`decimals: must be one of ${SUPPORTED_DECIMALS.join(", ")} (Liquity's price feeds assert this), got ${JSON.stringify(manifest.decimals)}`);
+  }
+  if (!Array.isArray(manifest.feeds) || manifest.feeds.length === 0) {
+    errors.push("feeds: expected a non-empty list");
+    return errors;
+  }
+
+  const deploymentIds = new Map(); // deploymentId -> index of first feed using it
+  manifest.feeds.forEach((feed, index) => {
+    const field = `feeds[${index}]`;
+    if (!feed || typeof feed !== "object" || Array.isArray(feed)) {
+      errors.push(`${field}: expected an object`);
+      return;
+    }
+    checkUnknownKeys(errors, feed, FEED_KEYS, field);
+    for (const key of ["projectName", "feedName"]) {
+      if (!isNonEmptyString(feed[key])) {
+        errors.push(`${field}.${key}: expected a non-empty string, got ${JSON.stringify(feed[key])}`);
+      }
+    }
+    checkQuery(errors, feed, field);
+    checkValueFormat(errors, feed, manifest.decimals, field);
+    checkGuardians(errors, feed.guardians, `${field}.guardians`);
+    if (typeof feed.deploymentId !== "string" || !DEPLOYMENT_ID_PATTERN.test(feed.deploymentId)) {
+      errors.push(`${field}.deploymentId: expected letters, digits, '-' or '_' starting with a letter, got ${JSON.stringify(feed.deploymentId)}`);
+    } else if (deploymentIds.has(feed.deploymentId)) {
+      errors.push(`${field}.deploymentId: '${feed.deploymentId}' is already used by feeds[${deploymentIds.get(feed.deploymentId)}]`);
+    } else {
+      deploymentIds.set(feed.deploymentId, index);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Loads and validates a manifest file (JSON or YAML)
+ * @param {string} manifestPath - Path to the manifest
+ * @returns {Object} The validated manifest, with every feed's queryId resolved
+ */
+function loadManifestFile(manifestPath) {
+  const source = fs.readFileSync(manifestPath, "utf8");
+  let manifest;
+  try {
+    manifest = path.extname(manifestPath) === ".json" ? JSON.parse(source) : yaml.load(source);
+  } catch (error) {
+    throw new Error(`Could not parse manifest ${manifestPath}: ${error.message}`);
+  }
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    throw new Error(`Invalid manifest ${manifestPath}:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+  }
+  return { ...manifest, feeds: manifest.feeds.map(resolveFeedQueryId) };
+}
+
+/**
+ * Finds the manifest for a network in the manifest directory
+ * @param {string} network - The network name
+ * @param {string} manifestDir - Directory holding <network>.json / .yaml / .yml (default: config/feeds)
+ * @returns {string} Path to the manifest
+ */
+function findManifest(network, manifestDir = MANIFEST_DIR) {
+  const candidates = MANIFEST_EXTENSIONS
+    .map(ext => path.join(manifestDir, `${network}${ext}`))
+    .filter(p => fs.existsSync(p));
+  if (candidates.length === 0) {
+    const available = fs.existsSync(manifestDir)
+      ? fs.readdirSync(manifestDir).filter(f => MANIFEST_EXTENSIONS.includes(path.extname(f))).map(f => path.basename(f, path.extname(f)))
+      : [];
+    throw new Error(`No manifest for network '${network}' in ${manifestDir}. Available: ${available.join(", ") || "none"}`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`Multiple manifests for network '${network}': ${candidates.join(", ")}`);
+  }
+  return candidates[0];
+}
+
+/**
+ * Loads and validates the manifest for a network
+ * @param {string} network - The network name
+ * @param {string} manifestDir - Directory holding the manifests (default: config/feeds)
+ * @returns {Object} The validated manifest
+ */
+function loadManifest(network, manifestDir = MANIFEST_DIR) {
+  const manifest = loadManifestFile(findManifest(network, manifestDir));
+  if (manifest.network && manifest.network !== network) {
+    throw new Error(`Manifest for '${network}' declares network '${manifest.network}'`);
+  }
+  return manifest;
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  SUPPORTED_DECIMALS,
+  DEFAULT_SOURCE_DECIMALS,
+  validateManifest,
+  getValueFormat,
+  resolveFeedQueryId,
+  loadManifestFile,
+  findManifest,
+  loadManifest,
+};
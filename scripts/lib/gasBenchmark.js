@@ -0,0 +1,231 @@
+const { ethers } = require("ethers");
+const { signAttestation } = require("./attestation.js");
+const { createValidators, deploy, deployDevnet } = require("./devnet.js");
+
+const DEFAULT_VALIDATOR_COUNTS = [1, 4, 16, 32];
+const DEFAULT_VALUE_SIZES = [32, 256, 1024];
+const DEFAULT_TOLERANCE_PERCENT = 5;
+const BATCH_SIZE = 10;
+const AVERAGING_WINDOW_SIZES = [4, 16, 32]; // up to the averaging adaptor's MAX_WINDOW_SIZE
+const AVERAGING_METHODS = ["twap", "median"]; // in the order of GuardedLiquityV2AveragingOracleAdaptor.Method
+const OPTIMISTIC_REPORT_AGE_SECONDS = 13 * 3600; // past the data bank's 12 hour dispute period
+const DEVIATION_BREAKER = [1000, 3600, true]; // 10% within an hour, serving the last accepted round
+const FALLBACK_STALENESS_LIMIT_SECONDS = 3600;
+const FALLBACK_MODE_AUTO = 1;
+const silentLogger = { log: () => {}, error: () => {} };
+
+function signRelay(devnet, queryId, value, { aggregateSeconds, optimistic }) {
+  const aggregateTimestamp = BigInt(aggregateSeconds) * 1000n;
+  const attestData = {
+    queryId,
+    report: {
+      value,
+      timestamp: aggregateTimestamp,
+      aggregatePower: BigInt(devnet.validators.reduce((total, v) => total + v.power, 0)),
+      previousTimestamp: 0n,
+      nextTimestamp: 0n,
+      lastConsensusTimestamp: optimistic ? aggregateTimestamp - 1000n : aggregateTimestamp,
+    },
+    attestationTimestamp: BigInt(aggregateSeconds + (optimistic ? OPTIMISTIC_REPORT_AGE_SECONDS : 0) + 1) * 1000n,
+  };
+  return signAttestation(attestData, devnet.validators, devnet.validatorCheckpoint);
+}
+
+async function relay(devnet, queryId, value, options) {
+  const relayArgs = signRelay(devnet, queryId, value, options);
+  const tx = await devnet.dataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+  return (await tx.wait()).gasUsed;
+}
+
+async function relayBatch(devnet, queryIds, value, aggregateSeconds, bestEffort) {
+  const batch = queryIds.map(queryId => signRelay(devnet, queryId, value, { aggregateSeconds, optimistic: false }));
+  const tx = await devnet.dataBank.batchUpdateOracleData(batch.map(b => b.attestData), batch[0].currentValidatorSet, batch.map(b => b.sigs), bestEffort);
+  return (await tx.wait()).gasUsed;
+}
+
+// relays once to warm up the query ID's storage, then measures a second relay, which is what every later relay costs
+async function measureRelay(devnet, queryId, value, optimistic) {
+  const now = (await devnet.dataBank.runner.provider.getBlock("latest")).timestamp;
+  const offset = optimistic ? OPTIMISTIC_REPORT_AGE_SECONDS : 0;
+  await relay(devnet, queryId, value, { aggregateSeconds: now - offset - 3, optimistic });
+  return relay(devnet, queryId, value, { aggregateSeconds: now - offset - 2, optimistic });
+}
+
+// like measureRelay, for a batch of consensus reports for different query IDs
+async function measureBatch(devnet, queryIds, value, bestEffort) {
+  const now = (await devnet.dataBank.runner.provider.getBlock("latest")).timestamp;
+  await relayBatch(devnet, queryIds, value, now - 3, bestEffort);
+  return relayBatch(devnet, queryIds, value, now - 2, bestEffort);
+}
+
+/**
+ * Measures gas on a local Hardhat network: relays through the consensus and optimistic paths for each validator
+ * set size and value length, into a bounded history, batches of ten consensus reports with the smallest validator set, reads through the
+ * adaptor and data bank, reads through averaging adaptors with full windows of 4, 16 and 32 aggregates, the same reads guarded by
+ * a tripped deviation breaker and a fallback oracle in Auto mode, and guardian operations on the adaptor.
+ * Relays are measured after a first relay for the same query ID; reads are estimates, so they include the 21000 base cost.
+ * @param {Object} options
+ * @param {Object} options.signer - ethers signer on a local network; it deploys everything and administers the adaptor
+ * @param {Object} options.guardian - A second signer, added and removed as a guardian
+ * @param {Array} options.validatorCounts - Validator set sizes to relay with (default: [1, 4, 16, 32])
+ * @param {Array} options.valueSizes - Value lengths in bytes to relay with the smallest validator set (default: [32, 256, 1024])
+ * @param {Object} options.logger - Logger with a log method (default: console)
+ * @returns {Array} {name, gas} per measurement, gas being a number
+ */
+async function runGasBenchmarks({ signer, guardian, validatorCounts = DEFAULT_VALIDATOR_COUNTS, valueSizes = DEFAULT_VALUE_SIZES, logger = console }) {
+  if (validatorCounts.length === 0 || validatorCounts.some(n => !Number.isInteger(n) || n <= 0)) {
+    throw new Error(`Validator counts must be positive integers, got ${JSON.stringify(validatorCounts)}`);
+  }
+  if (valueSizes.some(n => !Number.isInteger(n) || n <= 0)) {
+    throw new Error(`Value sizes must be positive integers, got ${JSON.stringify(valueSizes)}`);
+  }
+  const measurements = [];
+  const record = (name, gas) => {
+    measurements.push({ name, gas: Number(gas) });
+    logger.log(`⛽ ${name}: ${gas}`);
+  };
+  const price = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [ethers.parseUnits("2000", 18)]);
+  const feedQueryId = ethers.id("gas-benchmark-feed");
+  const manifest = { decimals: 18, feeds: [{ projectName: "Benchmark", feedName: "ETH/USD", queryId: feedQueryId }] };
+
+  const counts = [...validatorCounts].sort((a, b) => a - b);
+  let smallest;
+  for (const count of counts) {
+    // equal powers, so two thirds of the validators sign before the bridge reaches the threshold
+    const validators = createValidators({ powers: Array(count).fill(100), seed: "gas-benchmark" });
+    const devnet = await deployDevnet({ signer, manifest, validators, logger: silentLogger });
+    smallest = smallest || devnet;
+    record(`updateOracleData/consensus/${count}-validators`, await measureRelay(devnet, ethers.id(`consensus-${count}`), price, false));
+    record(`updateOracleData/optimistic/${count}-validators`, await measureRelay(devnet, ethers.id(`optimistic-${count}`), price, true));
+  }
+  for (const size of valueSizes) {
+    // non-zero bytes, as calldata costs more for them than for zero bytes
+    const value = "0x" + "ff".repeat(size);
+    record(`updateOracleData/consensus/${size}-byte-value`, await measureRelay(smallest, ethers.id(`value-${size}`), value, false));
+  }
+  // with a history limit of one, the measured relay overwrites the warm-up relay's aggregate
+  const boundedQueryId = ethers.id("bounded-history");
+  await (await smallest.dataBank.setHistoryLimit(boundedQueryId, 1)).wait();
+  record("updateOracleData/consensus/bounded-history", await measureRelay(smallest, boundedQueryId, price, false));
+  for (const bestEffort of [false, true]) {
+    const mode = bestEffort ? "best-effort" : "all-or-nothing";
+    const queryIds = Array.from({ length: BATCH_SIZE }, (_, i) => ethers.id(`batch-${mode}-${i}`));
+    record(`batchUpdateOracleData/${mode}/${BATCH_SIZE}-attestations`, await measureBatch(smallest, queryIds, price, bestEffort));
+  }
+
+  const { adaptor } = smallest.adaptors[0];
+  await measureRelay(smallest, feedQueryId, price, false);
+  record("latestRoundData", await adaptor.latestRoundData.estimateGas());
+  record("getCurrentAggregateData", await smallest.dataBank.getCurrentAggregateData.estimateGas(feedQueryId));
+
+  // one aggregate a second, so every window holds as many aggregates as it can
+  const windowQueryId = ethers.id("averaging-window");
+  const windowStart = (await signer.provider.getBlock("latest")).timestamp - 2 * Math.max(...AVERAGING_WINDOW_SIZES);
+  for (let i = 0; i < Math.max(...AVERAGING_WINDOW_SIZES); i++) {
+    await relay(smallest, windowQueryId, price, { aggregateSeconds: windowStart + i, optimistic: false });
+  }
+  for (const [method, name] of AVERAGING_METHODS.entries()) {
+    for (const size of AVERAGING_WINDOW_SIZES) {
+      const averagingAdaptor = await deploy("GuardedLiquityV2AveragingOracleAdaptor", undefined, signer, [
+        smallest.dataBank.target, windowQueryId, 18, 18, false, "Benchmark", "ETH/USD", await signer.getAddress(), method, size, 0,
+      ]);
+      record(`latestRoundData/${name}/${size}-entries`, await averagingAdaptor.latestRoundData.estimateGas());
+    }
+  }
+
+  // the worst case of a read: a full window followed by an outlier, so the deviation breaker replays up to
+  // MAX_DEVIATION_LOOKBACK earlier aggregates and serves the window ending at the last accepted one, after checking
+  // the staleness limit of a fallback oracle in Auto mode
+  const guardedQueryId = ethers.id("averaging-window-guarded");
+  const guardedStart = (await signer.provider.getBlock("latest")).timestamp - 2 * Math.max(...AVERAGING_WINDOW_SIZES) - 1;
+  for (let i = 0; i < Math.max(...AVERAGING_WINDOW_SIZES); i++) {
+    await relay(smallest, guardedQueryId, price, { aggregateSeconds: guardedStart + i, optimistic: false });
+  }
+  const outlier = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [ethers.parseUnits("4000", 18)]);
+  await relay(smallest, guardedQueryId, outlier, { aggregateSeconds: guardedStart + Math.max(...AVERAGING_WINDOW_SIZES), optimistic: false });
+  const fallbackOracle = await deploy("MockAggregatorV3", "testing/MockAggregatorV3.sol", signer, [8]);
+  await (await fallbackOracle.setLatestRound(ethers.parseUnits("2000", 8), (await signer.provider.getBlock("latest")).timestamp)).wait();
+  const guard = async (guardedAdaptor) => {
+    await (await guardedAdaptor.setDeviationBreaker(...DEVIATION_BREAKER)).wait();
+    await (await guardedAdaptor.setFallbackOracle(fallbackOracle.target, FALLBACK_STALENESS_LIMIT_SECONDS)).wait();
+    await (await guardedAdaptor.setFallbackMode(FALLBACK_MODE_AUTO)).wait();
+    return guardedAdaptor;
+  };
+  const admin = await signer.getAddress();
+  const guardedAdaptor = await guard(await deploy("GuardedLiquityV2OracleAdaptor", undefined, signer, [
+    smallest.dataBank.target, guardedQueryId, 18, 18, false, "Benchmark", "ETH/USD", admin,
+  ]));
+  record("latestRoundData/guarded", await guardedAdaptor.latestRoundData.estimateGas());
+  for (const [method, name] of AVERAGING_METHODS.entries()) {
+    for (const size of AVERAGING_WINDOW_SIZES) {
+      const averagingAdaptor = await guard(await deploy("GuardedLiquityV2AveragingOracleAdaptor", undefined, signer, [
+        smallest.dataBank.target, guardedQueryId, 18, 18, false, "Benchmark", "ETH/USD", admin, method, size, 0,
+      ]));
+      record(`latestRoundData/${name}/${size}-entries/guarded`, await averagingAdaptor.latestRoundData.estimateGas());
+    }
+  }
+
+  const guardianAddress = await guardian.getAddress();
+  const send = async (tx) => (await (await tx).wait()).gasUsed;
+  record("addGuardian", await send(adaptor.addGuardian(guardianAddress)));
+  record("pause", await send(adaptor.connect(guardian).pause()));
+  record("unpause", await send(adaptor.connect(guardian).unpause()));
+  record("removeGuardian", await send(adaptor.removeGuardian(guardianAddress)));
+  return measurements;
+}
+
+/**
+ * Compares measurements with a gas budget
+ * @param {Array} measurements - {name, gas} per measurement
+ * @param {Object} budgets - Budgeted gas by measurement name
+ * @param {number} tolerancePercent - How far above its budget a measurement may go before it fails
+ * @returns {Object} {tolerancePercent, rows, failed}; each row has name, gas, budget, changePercent and a status of
+ * ok, over, new (no budget) or missing (budgeted but not measured)
+ */
+function compareToBudget(measurements, budgets, tolerancePercent = DEFAULT_TOLERANCE_PERCENT) {
+  const rows = measurements.map(({ name, gas }) => {
+    const budget = budgets[name];
+    if (budget === undefined) {
+      return { name, gas, budget: null, changePercent: null, status: "new" };
+    }
+    const changePercent = Math.round(((gas - budget) / budget) * 10000) / 100;
+    return { name, gas, budget, changePercent, status: gas > budget * (1 + tolerancePercent / 100) ? "over" : "ok" };
+  });
+  for (const name of Object.keys(budgets)) {
+    if (!measurements.some(m => m.name === name)) {
+      rows.push({ name, gas: null, budget: budgets[name], changePercent: null, status: "missing" });
+    }
+  }
+  return { tolerancePercent, rows, failed: rows.some(row => row.status === "over") };
+}
+
+/**
+ * Renders a budget comparison as a markdown table
+ * @param {Object} comparison - The result of compareToBudget
+ * @returns {string} The markdown report
+ */
+function formatMarkdownReport(comparison) {
+  const icons = { ok: "✅", over: "❌", new: "🆕", missing: "⚠️" };
+  const lines = [
+    "# Gas Report",
+    "",
+    `Measurements may exceed their budget by up to ${comparison.tolerancePercent}%.`,
+    "",
+    "| Measurement | Gas | Budget | Change | Status |",
+    "| --- | ---: | ---: | ---: | --- |",
+  ];
+  for (const row of comparison.rows) {
+    const change = row.changePercent === null ? "" : `${row.changePercent > 0 ? "+" : ""}${row.changePercent}%`;
+    lines.push(`| ${row.name} | ${row.gas ?? ""} | ${row.budget ?? ""} | ${change} | ${icons[row.status]} ${row.status} |`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  DEFAULT_VALIDATOR_COUNTS,
+  DEFAULT_VALUE_SIZES,
+  DEFAULT_TOLERANCE_PERCENT,
+  runGasBenchmarks,
+  compareToBudget,
+  formatMarkdownReport,
+};
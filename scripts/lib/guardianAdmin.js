@@ -0,0 +1,300 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { callOptional } = require("./optionalGetters.js");
+
+const GUARDED_PAUSABLE_ABI = [
+  "function admin() view returns (address)",
+  "function paused() view returns (bool)",
+  "function getGuardianAddresses() view returns (address[])",
+  "function getPendingAdminTransfer() view returns (address _pendingAdmin, uint256 _executableAt)",
+  "function adminTransferDelay() view returns (uint256)",
+  "function addGuardian(address _newGuardian)",
+  "function removeGuardian(address _guardian)",
+  "function updateAdmin(address _newAdmin)",
+  "function proposeAdmin(address _newAdmin)",
+  "function acceptAdmin()",
+  "function cancelAdminTransfer()",
+  "function pause()",
+  "function unpause()",
+];
+
+// role the sender needs and whether the action takes an address argument
+const ACTIONS = {
+  addGuardian: { role: "admin", takesAddress: true },
+  removeGuardian: { role: "admin", takesAddress: true },
+  // contracts deployed before two-step admin transfers only
+  updateAdmin: { role: "admin", takesAddress: true },
+  proposeAdmin: { role: "admin", takesAddress: true },
+  acceptAdmin: { role: "pendingAdmin", takesAddress: false },
+  cancelAdminTransfer: { role: "admin", takesAddress: false },
+  pause: { role: "guardian", takesAddress: false },
+  unpause: { role: "guardian", takesAddress: false },
+};
+
+const guardedPausableInterface = new ethers.Interface(GUARDED_PAUSABLE_ABI);
+
+/**
+ * Reads the admin, pause state, guardians and pending admin transfer of a GuardedPausable contract. Contracts deployed
+ * before two-step admin transfers are read as having no pending transfer.
+ * @param {Object} contract - ethers Contract with the GuardedPausable ABI, connected to a provider or a signer
+ * @returns {Object} {admin, paused, guardians, twoStepAdmin, pendingAdmin, adminTransferExecutableAt, adminTransferDelay,
+ * timestamp}, twoStepAdmin being whether the contract has two-step admin transfers and timestamp the latest block's,
+ * which acceptAdmin is checked against
+ */
+async function readGuardedState(contract) {
+  const provider = contract.runner.provider || contract.runner;
+  const [admin, paused, guardians, pendingTransfer, delay, block] = await Promise.all([
+    contract.admin(),
+    contract.paused(),
+    contract.getGuardianAddresses(),
+    callOptional(contract, "getPendingAdminTransfer", [], null),
+    callOptional(contract, "adminTransferDelay", [], 0n),
+    provider.getBlock("latest"),
+  ]);
+  const [pendingAdmin, executableAt] = pendingTransfer || [ethers.ZeroAddress, 0n];
+  return {
+    admin,
+    paused,
+    guardians: [...guardians],
+    twoStepAdmin: pendingTransfer !== null,
+    pendingAdmin,
+    adminTransferExecutableAt: Number(executableAt),
+    adminTransferDelay: Number(delay),
+    timestamp: block.timestamp,
+  };
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function isGuardian(state, address) {
+  return state.guardians.some(g => sameAddress(g, address));
+}
+
+/**
+ * Checks an action against a GuardedPausable's state, mirroring the contract's require statements
+ * @param {Object} state - See readGuardedState
+ * @param {string} action - One of ACTIONS
+ * @param {string} address - The action's address argument (ignored for actions without one)
+ * @param {string} sender - Address that will send the transaction; its role is not checked if omitted
+ * @returns {Array} The reasons the transaction would revert, empty if it would succeed
+ */
+function checkAction(state, action, address, sender) {
+  const errors = [];
+  const { role } = ACTIONS[action];
+  if (sender && role === "admin" && !sameAddress(sender, state.admin)) {
+    errors.push("GuardedPausable: Not an admin");
+  }
+  if (sender && role === "guardian" && !isGuardian(state, sender)) {
+    errors.push("GuardedPausable: Not a guardian");
+  }
+  // states planned without a twoStepAdmin flag are taken to be current contracts
+  const twoStepAdmin = state.twoStepAdmin !== false;
+  if (action === "updateAdmin" && twoStepAdmin) {
+    errors.push("the contract has no updateAdmin, use proposeAdmin and acceptAdmin");
+  }
+  if (["proposeAdmin", "acceptAdmin", "cancelAdminTransfer"].includes(action) && !twoStepAdmin) {
+    errors.push("the contract has no two-step admin transfer, use updateAdmin");
+  }
+  const hasPendingAdmin = state.pendingAdmin !== ethers.ZeroAddress;
+  if (role === "pendingAdmin" && (!hasPendingAdmin || (sender && !sameAddress(sender, state.pendingAdmin)))) {
+    errors.push("GuardedPausable: Not the pending admin");
+  }
+  switch (action) {
+    case "addGuardian":
+      if (isGuardian(state, address)) {
+        errors.push("GuardedPausable: Guardian already exists");
+      }
+      break;
+    case "removeGuardian":
+      if (!isGuardian(state, address)) {
+        errors.push("GuardedPausable: Guardian does not exist");
+      } else if (sameAddress(address, state.admin) && state.guardians.length !== 1) {
+        errors.push("GuardedPausable: Cannot remove admin if there are other guardians");
+      }
+      break;
+    case "updateAdmin":
+    case "proposeAdmin":
+      if (sameAddress(address, state.admin)) {
+        errors.push("GuardedPausable: New admin cannot be the same as the current admin");
+      }
+      break;
+    case "acceptAdmin":
+      if (hasPendingAdmin && state.timestamp < state.adminTransferExecutableAt) {
+        errors.push("GuardedPausable: Admin transfer delay not passed");
+      }
+      break;
+    case "cancelAdminTransfer":
+      if (!hasPendingAdmin) {
+        errors.push("GuardedPausable: No pending admin transfer");
+      }
+      break;
+    case "pause":
+      if (state.paused) {
+        errors.push("GuardedPausable: Already paused");
+      }
+      break;
+    case "unpause":
+      if (!state.paused) {
+        errors.push("GuardedPausable: Already unpaused");
+      }
+      break;
+  }
+  return errors;
+}
+
+/**
+ * Returns the state after a successful action, so several actions on one contract can be checked in order
+ * @param {Object} state - See readGuardedState
+ * @param {string} action - One of ACTIONS
+ * @param {string} address - The action's address argument
+ * @returns {Object} The new state
+ */
+function applyAction(state, action, address) {
+  const guardians = [...state.guardians];
+  const noPendingAdmin = { pendingAdmin: ethers.ZeroAddress, adminTransferExecutableAt: 0 };
+  switch (action) {
+    case "addGuardian":
+      return { ...state, guardians: [...guardians, address] };
+    case "removeGuardian":
+      if (sameAddress(address, state.admin)) {
+        // removing the admin also cancels a pending admin transfer
+        return { ...state, ...noPendingAdmin, admin: ethers.ZeroAddress, guardians: guardians.filter(g => !sameAddress(g, address)) };
+      }
+      return { ...state, guardians: guardians.filter(g => !sameAddress(g, address)) };
+    case "updateAdmin": {
+      let next = guardians;
+      if (!isGuardian(state, address) && address !== ethers.ZeroAddress) {
+        next = [...next, address];
+      }
+      next = next.filter(g => !sameAddress(g, state.admin));
+      return { ...state, admin: address, guardians: next };
+    }
+    case "proposeAdmin":
+      return { ...state, pendingAdmin: address, adminTransferExecutableAt: state.timestamp + state.adminTransferDelay };
+    case "acceptAdmin": {
+      let next = guardians;
+      if (!isGuardian(state, state.pendingAdmin)) {
+        next = [...next, state.pendingAdmin];
+      }
+      next = next.filter(g => !sameAddress(g, state.admin));
+      return { ...state, ...noPendingAdmin, admin: state.pendingAdmin, guardians: next };
+    }
+    case "cancelAdminTransfer":
+      return { ...state, ...noPendingAdmin };
+    case "pause":
+      return { ...state, paused: true };
+    case "unpause":
+      return { ...state, paused: false };
+  }
+  return state;
+}
+
+/**
+ * Plans an action on many GuardedPausable contracts, validating each call against on-chain state
+ * @param {Object} options
+ * @param {string} options.action - One of ACTIONS
+ * @param {Array} options.targets - Addresses of the contracts
+ * @param {Array} options.addresses - Address arguments, one call per address and target (not used by actions without one)
+ * @param {Object} options.runner - ethers provider used to read state; calls are not checked on-chain if omitted
+ * @param {string} options.sender - Address that will send the transactions (optional)
+ * @param {Map} options.states - Contract states by target, shared between calls to plan several actions in order (optional)
+ * @returns {Array} One call per target and address: {target, action, args, data, checked, errors}
+ */
+async function planGuardianActions({ action, targets, addresses = [], runner, sender, states = new Map() }) {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    throw new Error(`Unknown action '${action}'. Use one of: ${Object.keys(ACTIONS).join(", ")}`);
+  }
+  if (definition.takesAddress && addresses.length === 0) {
+    throw new Error(`${action} needs at least one address`);
+  }
+  if (!definition.takesAddress && addresses.length > 0) {
+    throw new Error(`${action} does not take addresses`);
+  }
+  if ((action === "updateAdmin" || action === "proposeAdmin") && addresses.length > 1) {
+    throw new Error(`${action} takes exactly one address`);
+  }
+  if (sender !== undefined && !ethers.isAddress(sender)) {
+    throw new Error(`Invalid sender address: ${sender}`);
+  }
+
+  const calls = [];
+  for (const target of targets) {
+    if (!ethers.isAddress(target)) {
+      calls.push({ target, action, args: [], data: null, checked: false, errors: [`invalid target address ${JSON.stringify(target)}`] });
+      continue;
+    }
+    const key = ethers.getAddress(target);
+    let state = states.get(key) || null;
+    let readError = null;
+    if (runner && !state) {
+      try {
+        state = await readGuardedState(new ethers.Contract(target, GUARDED_PAUSABLE_ABI, runner));
+      } catch (error) {
+        readError = `could not read on-chain state: ${error.shortMessage || error.message}`;
+      }
+    }
+    for (const address of definition.takesAddress ? addresses : [undefined]) {
+      const args = address === undefined ? [] : [address];
+      const errors = readError ? [readError] : [];
+      if (address !== undefined && !ethers.isAddress(address)) {
+        calls.push({ target, action, args, data: null, checked: false, errors: [...errors, `invalid address ${JSON.stringify(address)}`] });
+        continue;
+      }
+      if (address !== undefined && action !== "updateAdmin" && address === ethers.ZeroAddress) {
+        errors.push(action === "proposeAdmin" ? "GuardedPausable: New admin cannot be the zero address" : "the zero address cannot be a guardian");
+      }
+      if (state) {
+        errors.push(...checkAction(state, action, address, sender));
+        if (errors.length === 0) {
+          state = applyAction(state, action, address);
+        }
+      }
+      const data = guardedPausableInterface.encodeFunctionData(action, args.map(a => ethers.getAddress(a)));
+      calls.push({ target: key, action, args, data, checked: state !== null, errors });
+    }
+    if (state) {
+      states.set(key, state);
+    }
+  }
+  return calls;
+}
+
+/**
+ * Reads a list of addresses from a file holding a JSON array or one address per line ('#' starts a comment)
+ * @param {string} file - Path to the file
+ * @returns {Array} The addresses
+ */
+function readAddressList(file) {
+  const source = fs.readFileSync(file, "utf8");
+  if (path.extname(file) === ".json") {
+    return JSON.parse(source);
+  }
+  return source
+    .split("\n")
+    .map(line => line.replace(/#.*/, "").trim())
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Splits a comma separated list of addresses
+ * @param {string} value - The list
+ * @returns {Array} The addresses
+ */
+function parseAddressList(value) {
+  return value.split(",").map(v => v.trim()).filter(v => v.length > 0);
+}
+
+module.exports = {
+  GUARDED_PAUSABLE_ABI,
+  ACTIONS,
+  readGuardedState,
+  checkAction,
+  applyAction,
+  planGuardianActions,
+  readAddressList,
+  parseAddressList,
+};
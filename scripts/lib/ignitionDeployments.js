@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+const { getValueFormat } = require("./feedManifest.js");
+
+const IGNITION_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "ignition", "deployments");
+const ADAPTOR_MODULE_ID = "GuardedLiquityV2OracleAdaptorModule";
+const ADAPTOR_FUTURE_ID = `${ADAPTOR_MODULE_ID}#GuardedLiquityV2OracleAdaptor`;
+
+/**
+ * Builds the ignition parameters for deploying a feed's adaptor
+ * @param {Object} manifest - The network's feed manifest
+ * @param {Object} feed - A feed from the manifest
+ * @returns {Object} Parameters keyed by module id
+ */
+function buildAdaptorParameters(manifest, feed) {
+  return {
+    [ADAPTOR_MODULE_ID]: {
+      dataBankAddress: manifest.dataBankAddress,
+      queryId: feed.queryId,
+      decimals: manifest.decimals,
+      ...getValueFormat(feed),
+      projectName: feed.projectName,
+      feedName: feed.feedName,
+      adminAddress: manifest.adminAddress,
+    },
+  };
+}
+
+/**
+ * Reads the state of an ignition deployment from disk
+ * @param {string} deploymentId - The ignition deployment id
+ * @param {string} deploymentsDir - The ignition deployments directory (default: ignition/deployments)
+ * @returns {Object} {state, address} where state is "deployed", "partial" (journal without a
+ * deployed adaptor, resumable by deploying again) or "new"
+ */
+function getDeploymentStatus(deploymentId, deploymentsDir = IGNITION_DEPLOYMENTS_DIR) {
+  const deploymentDir = path.join(deploymentsDir, deploymentId);
+  const addressesPath = path.join(deploymentDir, "deployed_addresses.json");
+  if (fs.existsSync(addressesPath)) {
+    const addresses = JSON.parse(fs.readFileSync(addressesPath, "utf8"));
+    if (addresses[ADAPTOR_FUTURE_ID]) {
+      return { state: "deployed", address: addresses[ADAPTOR_FUTURE_ID] };
+    }
+  }
+  if (fs.existsSync(path.join(deploymentDir, "journal.jsonl"))) {
+    return { state: "partial", address: null };
+  }
+  return { state: "new", address: null };
+}
+
+/**
+ * Returns the deployed adaptor of every feed in a manifest
+ * @param {Object} manifest - The network's feed manifest
+ * @param {string} deploymentsDir - The ignition deployments directory (default: ignition/deployments)
+ * @param {string} projectName - Only return the feeds of this project (optional)
+ * @returns {Array} {feed, address} per feed; throws if any of the feeds is not deployed
+ */
+function getDeployedAdaptors(manifest, deploymentsDir = IGNITION_DEPLOYMENTS_DIR, projectName) {
+  const feeds = manifest.feeds.filter(feed => projectName === undefined || feed.projectName === projectName);
+  if (feeds.length === 0) {
+    const projects = [...new Set(manifest.feeds.map(feed => feed.projectName))];
+    throw new Error(`No feeds for project '${projectName}'. Projects: ${projects.join(", ")}`);
+  }
+  return feeds.map(feed => {
+    const status = getDeploymentStatus(feed.deploymentId, deploymentsDir);
+    if (status.state !== "deployed") {
+      throw new Error(`${feed.deploymentId} is not deployed (${status.state})`);
+    }
+    return { feed, address: status.address };
+  });
+}
+
+/**
+ * Finds the hash of the adaptor deployment transaction in an ignition journal
+ * @param {string} deploymentId - The ignition deployment id
+ * @param {string} deploymentsDir - The ignition deployments directory (default: ignition/deployments)
+ * @returns {string|null} The transaction hash, or null if the journal has none
+ */
+function findDeploymentTxHash(deploymentId, deploymentsDir = IGNITION_DEPLOYMENTS_DIR) {
+  const journalPath = path.join(deploymentsDir, deploymentId, "journal.jsonl");
+  if (!fs.existsSync(journalPath)) {
+    return null;
+  }
+  const findHash = (value) => {
+    if (!value || typeof value !== "object") {
+      return null;
+    }
+    if (typeof value.hash === "string" && /^0x[0-9a-fA-F]{64}$/.test(value.hash)) {
+      return value.hash;
+    }
+    for (const child of Object.values(value)) {
+      const hash = findHash(child);
+      if (hash) {
+        return hash;
+      }
+    }
+    return null;
+  };
+  let txHash = null;
+  for (const line of fs.readFileSync(journalPath, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    const entry = JSON.parse(line);
+    if (entry.futureId === ADAPTOR_FUTURE_ID) {
+      // later entries win, so a resent transaction replaces the original
+      txHash = findHash(entry) || txHash;
+    }
+  }
+  return txHash;
+}
+
+module.exports = {
+  IGNITION_DEPLOYMENTS_DIR,
+  ADAPTOR_MODULE_ID,
+  ADAPTOR_FUTURE_ID,
+  buildAdaptorParameters,
+  getDeploymentStatus,
+  getDeployedAdaptors,
+  findDeploymentTxHash,
+};
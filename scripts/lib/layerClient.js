@@ -0,0 +1,40 @@
+/**
+ @dev minimal HTTP client for a Tellor layer attestation endpoint. The endpoint is expected to serve
+ * the latest signed attestation for a query ID at GET <endpoint>/attestations/<queryId>/latest
+ * as a JSON attestation payload (see buildRelayArgs in ./attestation.js), or 404 if none exists.
+*/
+class LayerClient {
+  /**
+   * @param {string} endpoint - Base URL of the layer endpoint, e.g. http://127.0.0.1:1317
+   * @param {Object} options - Optional settings
+   * @param {number} options.timeoutMs - Request timeout in milliseconds (default: 10000)
+   */
+  constructor(endpoint, options = {}) {
+    if (!endpoint) {
+      throw new Error("LayerClient: endpoint is required");
+    }
+    this.endpoint = endpoint.replace(/\/+$/, "");
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  /**
+   * Fetches the latest signed attestation for a query ID
+   * @param {string} queryId - The query ID
+   * @returns {Object|null} The attestation payload, or null if the endpoint has none
+   */
+  async getLatestAttestation(queryId) {
+    const url = `${this.endpoint}/attestations/${queryId}/latest`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`LayerClient: ${url} returned ${response.status}`);
+    }
+    return response.json();
+  }
+}
+
+module.exports = {
+  LayerClient,
+};
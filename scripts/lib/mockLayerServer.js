@@ -0,0 +1,93 @@
+const http = require("http");
+const fs = require("fs");
+
+/**
+ @dev local stand-in for a Tellor layer attestation endpoint. Serves whatever attestation payloads
+ * it has been given at GET /attestations/<queryId>/latest, matching what LayerClient expects.
+*/
+class MockLayerServer {
+  constructor() {
+    this.attestations = new Map(); // lowercase queryId -> latest attestation payload
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Sets the latest attestation payload served for its query ID
+   * @param {Object} payload - The attestation payload
+   */
+  setAttestation(payload) {
+    this.attestations.set(payload.queryId.toLowerCase(), payload);
+  }
+
+  /**
+   * Removes the attestation served for a query ID
+   * @param {string} queryId - The query ID
+   */
+  clearAttestation(queryId) {
+    this.attestations.delete(queryId.toLowerCase());
+  }
+
+  /**
+   * Starts listening
+   * @param {number} port - Port to listen on (default: 0, a random free port)
+   * @param {string} host - Host to bind (default: 127.0.0.1)
+   * @returns {string} The base URL of the server
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, resolve);
+    });
+    return this.url();
+  }
+
+  /**
+   * @returns {string} The base URL of the running server
+   */
+  url() {
+    const { address, port } = this.server.address();
+    return `http://${address}:${port}`;
+  }
+
+  /**
+   * Stops the server
+   */
+  async close() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  _handle(req, res) {
+    const match = req.method === "GET" && req.url.match(/^\/attestations\/(0x[0-9a-fA-F]{64})\/latest$/);
+    const payload = match && this.attestations.get(match[1].toLowerCase());
+    if (!payload) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "not found" }));
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+// Usage: node scripts/lib/mockLayerServer.js <port> <payloads.json>
+// payloads.json holds an array of attestation payloads to serve
+async function main() {
+  const [port = "1317", payloadsFile] = process.argv.slice(2);
+  const server = new MockLayerServer();
+  if (payloadsFile) {
+    JSON.parse(fs.readFileSync(payloadsFile, "utf8")).forEach(p => server.setAttestation(p));
+  }
+  const url = await server.listen(Number(port));
+  console.log(`Mock layer server listening on ${url} with ${server.attestations.size} attestation(s)`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("Error:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MockLayerServer,
+};
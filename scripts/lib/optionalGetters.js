@@ -0,0 +1,33 @@
+/**
+ * Returns whether a failed call hit a function the contract does not have. Contracts deployed
+ * before a getter was added revert without data when it is called, as they have no fallback.
+ * @param {Error} error - The error thrown by an ethers contract call
+ * @returns {boolean} True if the call reverted without data
+ */
+function isMissingFunction(error) {
+  return (error.code === "CALL_EXCEPTION" || error.data !== undefined) && (!error.data || error.data === "0x");
+}
+
+/**
+ * Calls a getter that older deployments may not have
+ * @param {Object} contract - ethers Contract
+ * @param {string} name - The getter name
+ * @param {Array} args - The getter arguments
+ * @param {*} fallback - The value to return if the contract does not have the getter
+ * @returns {*} The getter's result, or fallback
+ */
+async function callOptional(contract, name, args, fallback) {
+  try {
+    return await contract[name](...args);
+  } catch (error) {
+    if (isMissingFunction(error)) {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  isMissingFunction,
+  callOptional,
+};
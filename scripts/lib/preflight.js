@@ -0,0 +1,112 @@
+const { getDataBankConstants } = require("./dataBankConstants.js");
+
+const REVERT_PREFIX = "TellorDataBank: ";
+const ARITHMETIC_UNDERFLOW = "panic: arithmetic underflow (0x11)";
+
+/**
+ * Formats a duration given in seconds as "<s>s (<ms>ms)"
+ * @param {BigInt} seconds - The duration in seconds
+ * @param {BigInt} msPerSecond - Milliseconds per second
+ * @returns {string} The formatted duration
+ */
+function formatSeconds(seconds, msPerSecond = 1000n) {
+  return `${seconds}s (${seconds * msPerSecond}ms)`;
+}
+
+/**
+ * Mirrors TellorDataBank._verifyOracleData off-chain. Every check is evaluated (not just the first
+ * failing one) so a relayer sees all problems with an attestation before paying for a revert.
+ * Signature and validator set verification by the data bridge is not evaluated.
+ * @param {Object} params
+ * @param {Object} params.attestData - The OracleAttestationData struct (see buildRelayArgs)
+ * @param {BigInt|number} params.chainTime - The current chain time in seconds
+ * @param {BigInt|number} params.latestAggregateTimestamp - The stored latest aggregate timestamp in ms (0 if none)
+ * @param {BigInt|number} params.powerThreshold - dataBridge.powerThreshold()
+ * @param {Object} params.constants - Data bank constants (default: read from TellorDataBank.sol)
+ * @returns {Object} {ok, revertReason, checks} where revertReason is what the contract would revert with
+ */
+function preflightOracleData({ attestData, chainTime, latestAggregateTimestamp = 0, powerThreshold, constants = getDataBankConstants() }) {
+  const { MAX_DATA_AGE, MAX_ATTESTATION_AGE, MS_PER_SECOND, OPTIMISTIC_DELAY } = constants;
+  const now = BigInt(chainTime);
+  const reportTimestamp = BigInt(attestData.report.timestamp);
+  const attestationTimestamp = BigInt(attestData.attestationTimestamp);
+  const nextTimestamp = BigInt(attestData.report.nextTimestamp);
+  const lastConsensusTimestamp = BigInt(attestData.report.lastConsensusTimestamp);
+  const aggregatePower = BigInt(attestData.report.aggregatePower);
+  const previousTimestamp = BigInt(latestAggregateTimestamp);
+  const checks = [];
+
+  // records a check whose condition is "now - (timestampMs / 1000) < limit", which underflows when the timestamp is ahead of the chain
+  const ageCheck = (name, reason, timestampMs, limit) => {
+    const timestamp = timestampMs / MS_PER_SECOND;
+    if (now < timestamp) {
+      checks.push({ name, reason: ARITHMETIC_UNDERFLOW, passed: false, details: `timestamp ${timestampMs}ms is ${formatSeconds(timestamp - now, MS_PER_SECOND)} ahead of chain time ${now}s` });
+      return;
+    }
+    const age = now - timestamp;
+    checks.push({ name, reason: REVERT_PREFIX + reason, passed: age < limit, details: `age ${formatSeconds(age, MS_PER_SECOND)}, must be < ${formatSeconds(limit, MS_PER_SECOND)}` });
+  };
+
+  ageCheck("dataAge", "Data too old", reportTimestamp, MAX_DATA_AGE);
+  ageCheck("attestationAge", "Attestation too old", attestationTimestamp, MAX_ATTESTATION_AGE);
+
+  if (previousTimestamp > 0n) {
+    checks.push({
+      name: "timestampIncreases",
+      reason: REVERT_PREFIX + "Report timestamp must increase",
+      passed: reportTimestamp > previousTimestamp,
+      details: `report ${reportTimestamp}ms, stored latest ${previousTimestamp}ms`,
+    });
+  }
+
+  checks.push({
+    name: "notInFuture",
+    reason: REVERT_PREFIX + "Report timestamp is in the future",
+    passed: now >= reportTimestamp / MS_PER_SECOND,
+    details: `report ${reportTimestamp / MS_PER_SECOND}s (${reportTimestamp}ms), chain time ${now}s (${now * MS_PER_SECOND}ms)`,
+  });
+
+  if (nextTimestamp !== 0n) {
+    ageCheck("noNewerOptimisticReport", "More recent optimistic report available", nextTimestamp, OPTIMISTIC_DELAY);
+  }
+
+  if (reportTimestamp !== lastConsensusTimestamp) {
+    checks.push({
+      name: "noNewerConsensus",
+      reason: REVERT_PREFIX + "Newer consensus data available",
+      passed: lastConsensusTimestamp < reportTimestamp,
+      details: `last consensus ${lastConsensusTimestamp}ms, report ${reportTimestamp}ms`,
+    });
+    if (attestationTimestamp < reportTimestamp) {
+      checks.push({ name: "disputePeriodPassed", reason: ARITHMETIC_UNDERFLOW, passed: false, details: `attestation ${attestationTimestamp}ms is before report ${reportTimestamp}ms` });
+    } else {
+      const delay = (attestationTimestamp - reportTimestamp) / MS_PER_SECOND;
+      checks.push({
+        name: "disputePeriodPassed",
+        reason: REVERT_PREFIX + "Dispute period not passed",
+        passed: delay >= OPTIMISTIC_DELAY,
+        details: `attestation delay ${formatSeconds(delay, MS_PER_SECOND)}, must be >= ${formatSeconds(OPTIMISTIC_DELAY, MS_PER_SECOND)}`,
+      });
+    }
+    const requiredPower = BigInt(powerThreshold) / 2n;
+    checks.push({
+      name: "optimisticPower",
+      reason: REVERT_PREFIX + "Insufficient optimistic report power",
+      passed: aggregatePower > requiredPower,
+      details: `aggregate power ${aggregatePower}, must be > ${requiredPower} (powerThreshold ${powerThreshold} / 2)`,
+    });
+  }
+
+  const firstFailure = checks.find(c => !c.passed);
+  return {
+    ok: !firstFailure,
+    optimistic: reportTimestamp !== lastConsensusTimestamp,
+    revertReason: firstFailure ? firstFailure.reason : null,
+    checks,
+  };
+}
+
+module.exports = {
+  formatSeconds,
+  preflightOracleData,
+};
@@ -0,0 +1,109 @@
+const { ethers } = require("ethers");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Common Tellor query types and the ABI types of their arguments
+const QUERY_TYPES = {
+  SpotPrice: { argTypes: ["string", "string"], argNames: ["asset", "currency"] },
+  TellorRNG: { argTypes: ["uint256"], argNames: ["timestamp"] },
+  StringQuery: { argTypes: ["string"], argNames: ["text"] },
+  EVMCall: { argTypes: ["uint256", "address", "bytes"], argNames: ["chainId", "contractAddress", "calldata"] },
+  EVMBalance: { argTypes: ["uint256", "address", "uint256"], argNames: ["chainId", "wallet", "timestamp"] },
+  TRBBridge: { argTypes: ["bool", "uint256"], argNames: ["toLayer", "depositId"] },
+};
+
+/**
+ * Converts a CLI or manifest argument to the value expected by the ABI coder
+ * @param {string} type - The ABI type
+ * @param {*} value - The raw value
+ * @returns {*} The converted value
+ */
+function coerceArg(type, value) {
+  if (type === "bool") {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    if (value === "true" || value === "false") {
+      return value === "true";
+    }
+    throw new Error(`Expected true or false for bool argument, got ${JSON.stringify(value)}`);
+  }
+  if (type.startsWith("uint") || type.startsWith("int")) {
+    return BigInt(value);
+  }
+  if (type === "address") {
+    if (!ethers.isAddress(value)) {
+      throw new Error(`Invalid address argument: ${JSON.stringify(value)}`);
+    }
+    return ethers.getAddress(value);
+  }
+  if (type === "bytes" || type.startsWith("bytes")) {
+    return ethers.hexlify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Builds the query data and query ID for a query type
+ * @param {string} queryType - The query type, e.g. "SpotPrice"
+ * @param {Array} args - The query arguments, e.g. ["eth", "usd"]
+ * @param {Array} argTypes - ABI types of the arguments, required for query types not in QUERY_TYPES
+ * @returns {Object} {queryType, args, queryData, queryId}
+ */
+function buildQuery(queryType, args, argTypes) {
+  const known = QUERY_TYPES[queryType];
+  const types = argTypes || (known && known.argTypes);
+  if (!types) {
+    throw new Error(`Unknown query type '${queryType}'. Known types: ${Object.keys(QUERY_TYPES).join(", ")}; pass argument types for others`);
+  }
+  if (!Array.isArray(args) || args.length !== types.length) {
+    throw new Error(`${queryType} expects ${types.length} argument(s) (${types.join(", ")}), got ${Array.isArray(args) ? args.length : 0}`);
+  }
+  let values = types.map((type, i) => coerceArg(type, args[i]));
+  if (queryType === "SpotPrice") {
+    // reporters use lowercase asset and currency symbols
+    values = values.map(v => v.toLowerCase());
+  }
+  const queryData = abiCoder.encode(["string", "bytes"], [queryType, abiCoder.encode(types, values)]);
+  return { queryType, args: values, queryData, queryId: ethers.keccak256(queryData) };
+}
+
+/**
+ * Decodes query data back to its query type and arguments
+ * @param {string} queryData - The query data
+ * @returns {Object} {queryType, args, argNames?, argTypes?, queryId}; args is the raw encoded
+ * bytes for query types not in QUERY_TYPES
+ */
+function decodeQueryData(queryData) {
+  let queryType;
+  let encodedArgs;
+  try {
+    [queryType, encodedArgs] = abiCoder.decode(["string", "bytes"], queryData);
+  } catch (error) {
+    throw new Error(`Query data is not abi.encode(string queryType, bytes args): ${error.shortMessage || error.message}`);
+  }
+  const queryId = ethers.keccak256(queryData);
+  const known = QUERY_TYPES[queryType];
+  if (!known) {
+    return { queryType, args: encodedArgs, queryId };
+  }
+  const args = [...abiCoder.decode(known.argTypes, encodedArgs)];
+  return { queryType, args, argNames: known.argNames, argTypes: known.argTypes, queryId };
+}
+
+/**
+ * Formats a query for humans, e.g. SpotPrice(eth, usd)
+ * @param {Object} query - A built or decoded query
+ * @returns {string} The formatted query
+ */
+function formatQuery(query) {
+  const args = Array.isArray(query.args) ? query.args.map(a => a.toString()).join(", ") : query.args;
+  return `${query.queryType}(${args})`;
+}
+
+module.exports = {
+  QUERY_TYPES,
+  buildQuery,
+  decodeQueryData,
+  formatQuery,
+};
@@ -0,0 +1,79 @@
+const { ethers } = require("ethers");
+
+// Reference price sources for the watchdog. A source exposes getPrice(feed) resolving to
+// {answer, decimals, updatedAt} (answer as BigInt, updatedAt in seconds), or null if it has no price.
+
+const AGGREGATOR_V3_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+/**
+ @dev in-memory reference source, used for tests and dry runs
+*/
+class MockReferenceSource {
+  constructor() {
+    this.prices = new Map(); // lowercase adaptor address -> {answer, decimals, updatedAt}
+  }
+
+  /**
+   * Sets the reference price for an adaptor
+   * @param {string} adaptorAddress - The adaptor the price is a reference for
+   * @param {BigInt|string|number} answer - The reference price
+   * @param {number} decimals - Decimals of the reference price
+   * @param {number} updatedAt - Timestamp of the reference price in seconds (default: now)
+   */
+  setPrice(adaptorAddress, answer, decimals, updatedAt = Math.floor(Date.now() / 1000)) {
+    this.prices.set(adaptorAddress.toLowerCase(), { answer: BigInt(answer), decimals, updatedAt });
+  }
+
+  async getPrice(feed) {
+    return this.prices.get(feed.address.toLowerCase()) || null;
+  }
+}
+
+/**
+ @dev reads reference prices from Chainlink-compatible aggregators, configured per feed as
+ * feed.reference.address
+*/
+class AggregatorV3ReferenceSource {
+  /**
+   * @param {Object} runner - ethers provider or signer used for the calls
+   */
+  constructor(runner) {
+    this.runner = runner;
+  }
+
+  async getPrice(feed) {
+    if (!feed.reference || !feed.reference.address) {
+      throw new Error(`No reference aggregator configured for ${feed.address}`);
+    }
+    const aggregator = new ethers.Contract(feed.reference.address, AGGREGATOR_V3_ABI, this.runner);
+    const [decimals, roundData] = await Promise.all([aggregator.decimals(), aggregator.latestRoundData()]);
+    return { answer: roundData.answer, decimals: Number(decimals), updatedAt: Number(roundData.updatedAt) };
+  }
+}
+
+/**
+ * Creates a reference source from config
+ * @param {Object} config - {type: "aggregator" | "mock"}
+ * @param {Object} runner - ethers provider or signer
+ * @returns {Object} The reference source
+ */
+function createReferenceSource(config, runner) {
+  switch (config.type) {
+    case "aggregator":
+      return new AggregatorV3ReferenceSource(runner);
+    case "mock":
+      return new MockReferenceSource();
+    default:
+      throw new Error(`Unsupported reference source type: ${config.type}. Use 'aggregator' or 'mock'`);
+  }
+}
+
+module.exports = {
+  AGGREGATOR_V3_ABI,
+  MockReferenceSource,
+  AggregatorV3ReferenceSource,
+  createReferenceSource,
+};
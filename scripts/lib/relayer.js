@@ -0,0 +1,252 @@
+const fs = require("fs");
+const { buildRelayArgs } = require("./attestation.js");
+
+/**
+ @dev relays signed attestations from a Tellor layer endpoint into TellorDataBank.updateOracleData.
+ * The last relayed aggregate timestamp is tracked per query ID (seeded from the data bank and
+ * persisted to an optional state file) and refreshed from the data bank before each submission, so
+ * reports that would fail "Report timestamp must increase" are never submitted, even when another
+ * relayer stores newer data in the meantime. In batch mode each round is sent as one best effort batchUpdateOracleData
+ * transaction per validator set, instead of one updateOracleData transaction per query ID.
+*/
+class Relayer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataBank - ethers Contract for TellorDataBank, connected to the relaying signer
+   * @param {Object} options.layerClient - Client exposing getLatestAttestation(queryId)
+   * @param {Array} options.queryIds - Query IDs to relay
+   * @param {string} options.stateFile - Optional path of a JSON file persisting last relayed timestamps
+   * @param {number} options.confirmations - Confirmations to wait for per relay (default: 1)
+   * @param {number} options.pollIntervalSeconds - Seconds between relay rounds when started (default: 60)
+   * @param {boolean} options.batch - Whether to relay each round in batches (default: false)
+   * @param {Object} options.logger - Logger with log/error methods (default: console)
+   */
+  constructor({ dataBank, layerClient, queryIds, stateFile, confirmations = 1, pollIntervalSeconds = 60, batch = false, logger = console }) {
+    if (!queryIds || queryIds.length === 0) {
+      throw new Error("Relayer: at least one query ID is required");
+    }
+    this.dataBank = dataBank;
+    this.layerClient = layerClient;
+    this.queryIds = queryIds.map(q => q.toLowerCase());
+    this.stateFile = stateFile;
+    this.confirmations = confirmations;
+    this.pollIntervalSeconds = pollIntervalSeconds;
+    this.batch = batch;
+    this.logger = logger;
+    this.lastRelayed = new Map(); // queryId -> last relayed aggregate timestamp (ms)
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Loads persisted state and seeds last relayed timestamps from the data bank
+   */
+  async init() {
+    const persisted = this._loadState();
+    for (const queryId of this.queryIds) {
+      const current = await this.dataBank.getCurrentAggregateData(queryId);
+      const onChain = BigInt(current.aggregateTimestamp);
+      const stored = persisted[queryId] !== undefined ? BigInt(persisted[queryId]) : 0n;
+      this.lastRelayed.set(queryId, onChain > stored ? onChain : stored);
+    }
+    this._saveState();
+  }
+
+  /**
+   * Runs a single relay round over all configured query IDs
+   * @returns {Array} One result per query ID: {queryId, status, aggregateTimestamp?, txHash?, error?}
+   */
+  async relayOnce() {
+    if (this.batch) {
+      return this._relayBatches();
+    }
+    const results = [];
+    for (const queryId of this.queryIds) {
+      try {
+        results.push(await this._relayQuery(queryId));
+      } catch (error) {
+        this.logger.error(`❌ ${queryId}: relay failed: ${error.shortMessage || error.message}`);
+        results.push({ queryId, status: "failed", error: error.shortMessage || error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Starts relaying on a schedule until stop() is called. A round that throws, e.g. when the state file
+   * cannot be written, is logged and the next round is still scheduled.
+   */
+  async start() {
+    if (this._running) {
+      return;
+    }
+    await this.init();
+    this._running = true;
+    this.logger.log(`🚀 Relaying ${this.queryIds.length} query ID(s) every ${this.pollIntervalSeconds}s`);
+    const loop = async () => {
+      try {
+        await this.relayOnce();
+      } catch (error) {
+        this.logger.error(`❌ Relay round failed: ${error.shortMessage || error.message}`);
+      }
+      if (this._running) {
+        this._timer = setTimeout(loop, this.pollIntervalSeconds * 1000);
+      }
+    };
+    await loop();
+  }
+
+  /**
+   * Stops the relay schedule
+   */
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _relayQuery(queryId) {
+    const pending = await this._fetchPending(queryId);
+    if (pending.status) {
+      return pending;
+    }
+    const { attestData, currentValidatorSet, sigs } = pending.relayArgs;
+    const aggregateTimestamp = pending.aggregateTimestamp;
+    const tx = await this.dataBank.updateOracleData(attestData, currentValidatorSet, sigs);
+    await tx.wait(this.confirmations);
+    this.lastRelayed.set(queryId, aggregateTimestamp);
+    this._saveState();
+    this.logger.log(`✅ ${queryId}: relayed report ${aggregateTimestamp} in ${tx.hash}`);
+    return { queryId, status: "relayed", aggregateTimestamp, txHash: tx.hash };
+  }
+
+  // returns {queryId, relayArgs, aggregateTimestamp} for a new attestation, or a result without one to relay
+  async _fetchPending(queryId) {
+    const payload = await this.layerClient.getLatestAttestation(queryId);
+    if (!payload) {
+      return { queryId, status: "no-attestation" };
+    }
+    const relayArgs = buildRelayArgs(payload);
+    if (relayArgs.attestData.queryId.toLowerCase() !== queryId) {
+      throw new Error(`Endpoint returned attestation for ${relayArgs.attestData.queryId}`);
+    }
+    const aggregateTimestamp = relayArgs.attestData.report.timestamp;
+    if (aggregateTimestamp <= (this.lastRelayed.get(queryId) || 0n)) {
+      return { queryId, status: "up-to-date", aggregateTimestamp };
+    }
+    // another relayer may have stored newer data since the last round
+    if (aggregateTimestamp <= await this._refreshLastRelayed(queryId)) {
+      return { queryId, status: "up-to-date", aggregateTimestamp };
+    }
+    return { queryId, relayArgs, aggregateTimestamp };
+  }
+
+  // raises the last relayed timestamp to the data bank's current aggregate timestamp, returning the result
+  async _refreshLastRelayed(queryId) {
+    const current = await this.dataBank.getCurrentAggregateData(queryId);
+    const onChain = BigInt(current.aggregateTimestamp);
+    const lastRelayed = this.lastRelayed.get(queryId) || 0n;
+    if (onChain <= lastRelayed) {
+      return lastRelayed;
+    }
+    this.lastRelayed.set(queryId, onChain);
+    this._saveState();
+    return onChain;
+  }
+
+  async _relayBatches() {
+    const results = [];
+    // attestations can only share a transaction if they were signed by the same validator set
+    const batches = new Map();
+    for (const queryId of this.queryIds) {
+      try {
+        const pending = await this._fetchPending(queryId);
+        if (pending.status) {
+          results.push(pending);
+          continue;
+        }
+        const key = pending.relayArgs.currentValidatorSet.map(v => `${v.addr.toLowerCase()}:${v.power}`).join(",");
+        batches.set(key, [...(batches.get(key) || []), pending]);
+      } catch (error) {
+        this.logger.error(`❌ ${queryId}: relay failed: ${error.shortMessage || error.message}`);
+        results.push({ queryId, status: "failed", error: error.shortMessage || error.message });
+      }
+    }
+    for (const batch of batches.values()) {
+      try {
+        results.push(...await this._relayBatch(batch));
+      } catch (error) {
+        for (const { queryId } of batch) {
+          this.logger.error(`❌ ${queryId}: batch relay failed: ${error.shortMessage || error.message}`);
+          results.push({ queryId, status: "failed", error: error.shortMessage || error.message });
+        }
+      }
+    }
+    return results.sort((a, b) => this.queryIds.indexOf(a.queryId) - this.queryIds.indexOf(b.queryId));
+  }
+
+  async _relayBatch(batch) {
+    const tx = await this.dataBank.batchUpdateOracleData(
+      batch.map(p => p.relayArgs.attestData),
+      batch[0].relayArgs.currentValidatorSet,
+      batch.map(p => p.relayArgs.sigs),
+      true
+    );
+    const receipt = await tx.wait(this.confirmations);
+    const failures = new Map(); // batch index -> failure reason
+    for (const log of receipt.logs) {
+      const parsed = this.dataBank.interface.parseLog(log);
+      if (parsed && parsed.name === "OracleUpdateFailed") {
+        failures.set(Number(parsed.args.index), this._decodeFailure(parsed.args.reason));
+      }
+    }
+
+    const results = batch.map(({ queryId, aggregateTimestamp }, i) => {
+      if (failures.has(i)) {
+        this.logger.error(`❌ ${queryId}: report ${aggregateTimestamp} failed in ${tx.hash}: ${failures.get(i)}`);
+        return { queryId, status: "failed", aggregateTimestamp, txHash: tx.hash, error: failures.get(i) };
+      }
+      this.lastRelayed.set(queryId, aggregateTimestamp);
+      this.logger.log(`✅ ${queryId}: relayed report ${aggregateTimestamp} in ${tx.hash}`);
+      return { queryId, status: "relayed", aggregateTimestamp, txHash: tx.hash };
+    });
+    this._saveState();
+    return results;
+  }
+
+  // turns OracleUpdateFailed revert data into a readable reason; data bridge errors are not in the data bank's ABI
+  _decodeFailure(reason) {
+    if (reason === "0x") {
+      return "reverted without a reason";
+    }
+    const error = this.dataBank.interface.parseError(reason);
+    if (!error) {
+      return `reverted with data ${reason}`;
+    }
+    return error.name === "Error" ? error.args[0] : `${error.name}(${error.args.join(", ")})`;
+  }
+
+  _loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+  }
+
+  _saveState() {
+    if (!this.stateFile) {
+      return;
+    }
+    const state = {};
+    for (const [queryId, timestamp] of this.lastRelayed) {
+      state[queryId] = timestamp.toString();
+    }
+    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+  }
+}
+
+module.exports = {
+  Relayer,
+};
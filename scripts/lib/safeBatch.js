@@ -0,0 +1,122 @@
+const { ethers } = require("ethers");
+const { GUARDED_PAUSABLE_ABI, planGuardianActions } = require("./guardianAdmin.js");
+const { loadManifest } = require("./feedManifest.js");
+const { IGNITION_DEPLOYMENTS_DIR, getDeployedAdaptors } = require("./ignitionDeployments.js");
+
+const TX_BUILDER_VERSION = "1.16.5";
+const ALREADY_PAUSED = "GuardedPausable: Already paused";
+
+const guardedPausableInterface = new ethers.Interface(GUARDED_PAUSABLE_ABI);
+
+/**
+ * Converts a planned GuardedPausable call to a Safe Transaction Builder transaction
+ * @param {Object} call - A call from planGuardianActions
+ * @returns {Object} {to, value, data, contractMethod, contractInputsValues}
+ */
+function toSafeTransaction(call) {
+  const fragment = guardedPausableInterface.getFunction(call.action);
+  return {
+    to: call.target,
+    value: "0",
+    data: call.data,
+    contractMethod: {
+      inputs: fragment.inputs.map(input => ({ internalType: input.type, name: input.name, type: input.type })),
+      name: fragment.name,
+      payable: false,
+    },
+    contractInputsValues: Object.fromEntries(fragment.inputs.map((input, i) => [input.name, ethers.getAddress(call.args[i])])),
+  };
+}
+
+/**
+ * Builds a Safe Transaction Builder batch from planned GuardedPausable calls
+ * @param {Object} options
+ * @param {string|number|bigint} options.chainId - Chain the Safe is on
+ * @param {string} options.safeAddress - The Safe that will execute the batch
+ * @param {Array} options.calls - Calls from planGuardianActions; any call with errors is rejected
+ * @param {string} options.name - Batch name shown in the Transaction Builder
+ * @param {string} options.description - Batch description
+ * @param {number} options.createdAt - Creation time in milliseconds (default: now)
+ * @returns {Object} The batch, ready to be written as JSON and imported into the Transaction Builder
+ */
+function buildSafeBatch({ chainId, safeAddress, calls, name = "Transactions Batch", description = "", createdAt = Date.now() }) {
+  if (calls.length === 0) {
+    throw new Error("Nothing to batch");
+  }
+  // the batch executes atomically, so a single reverting call reverts all of them
+  const failing = calls.filter(call => call.errors.length > 0);
+  if (failing.length > 0) {
+    const details = failing.map(call => `  - ${call.target} ${call.action}(${call.args.join(", ")}): ${call.errors.join("; ")}`);
+    throw new Error(`${failing.length} call(s) would revert the batch:\n${details.join("\n")}`);
+  }
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt,
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.getAddress(safeAddress),
+      createdFromOwnerAddress: "",
+    },
+    transactions: calls.map(toSafeTransaction),
+  };
+}
+
+/**
+ * Plans a list of operations in order, tracking each target's state across operations
+ * @param {Array} operations - {action, targets | network (+ project), addresses} per operation
+ * @param {Object} options
+ * @param {Object} options.runner - ethers provider used to check calls against on-chain state (optional)
+ * @param {string} options.sender - Address that will execute the calls, e.g. the Safe (optional)
+ * @param {string} options.deploymentsDir - Ignition deployments directory for network targets
+ * @param {string} options.manifestDir - Feed manifest directory for network targets (default: config/feeds)
+ * @returns {Array} The planned calls of every operation
+ */
+async function planOperations(operations, { runner, sender, deploymentsDir = IGNITION_DEPLOYMENTS_DIR, manifestDir } = {}) {
+  const states = new Map();
+  const calls = [];
+  for (const [index, operation] of operations.entries()) {
+    let targets = operation.targets;
+    if (operation.network !== undefined) {
+      const manifest = manifestDir ? loadManifest(operation.network, manifestDir) : loadManifest(operation.network);
+      targets = getDeployedAdaptors(manifest, deploymentsDir, operation.project).map(a => a.address);
+    } else if (operation.project !== undefined) {
+      throw new Error(`operations[${index}]: project needs a network`);
+    }
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error(`operations[${index}]: expected targets or a network`);
+    }
+    calls.push(...await planGuardianActions({ action: operation.action, targets, addresses: operation.addresses, runner, sender, states }));
+  }
+  return calls;
+}
+
+/**
+ * Plans pausing every deployed feed of a project, leaving out adaptors that are already paused
+ * @param {Object} options
+ * @param {string} options.network - The network whose feed manifest lists the project's feeds
+ * @param {string} options.project - The project name
+ * @param {Object} options.runner - ethers provider used to check calls against on-chain state (optional)
+ * @param {string} options.sender - Address that will execute the calls (optional)
+ * @param {string} options.deploymentsDir - Ignition deployments directory
+ * @param {string} options.manifestDir - Feed manifest directory (default: config/feeds)
+ * @returns {Object} {calls, alreadyPaused} where alreadyPaused lists the adaptors left out
+ */
+async function planEmergencyPause({ network, project, runner, sender, deploymentsDir, manifestDir }) {
+  const planned = await planOperations([{ action: "pause", network, project }], { runner, sender, deploymentsDir, manifestDir });
+  const isAlreadyPaused = call => call.errors.length === 1 && call.errors[0] === ALREADY_PAUSED;
+  return {
+    calls: planned.filter(call => !isAlreadyPaused(call)),
+    alreadyPaused: planned.filter(isAlreadyPaused).map(call => call.target),
+  };
+}
+
+module.exports = {
+  TX_BUILDER_VERSION,
+  toSafeTransaction,
+  buildSafeBatch,
+  planOperations,
+  planEmergencyPause,
+};
@@ -0,0 +1,228 @@
+const { ethers } = require("ethers");
+const { signAttestation, toLayerPayload } = require("./attestation.js");
+
+/**
+ * Returns a seeded pseudo random number generator (mulberry32)
+ * @param {number} seed - The seed
+ * @returns {Function} A function returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ @dev a deterministic price path, advanced one tick per report. Random walks, step changes and gaps
+ * combine freely: a path with only `start` is constant, `volatility` makes it a random walk, `steps`
+ * jump to a price (or by a fraction) at a tick and `gaps` are tick ranges with no report.
+*/
+class PricePath {
+  /**
+   * @param {Object} spec
+   * @param {number} spec.start - Price at tick 0
+   * @param {number} spec.volatility - Standard deviation of the per tick log return (default: 0)
+   * @param {Array} spec.steps - {at, price} or {at, change} per step, change being a fraction such as -0.2 (default: [])
+   * @param {Array} spec.gaps - {from, to} tick ranges, inclusive, that are not reported (default: [])
+   * @param {number} spec.seed - Random walk seed (default: 1)
+   */
+  constructor({ start, volatility = 0, steps = [], gaps = [], seed = 1 }) {
+    if (typeof start !== "number" || !(start > 0)) {
+      throw new Error(`PricePath: start must be a positive number, got ${JSON.stringify(start)}`);
+    }
+    if (typeof volatility !== "number" || volatility < 0) {
+      throw new Error(`PricePath: volatility must be a non-negative number, got ${JSON.stringify(volatility)}`);
+    }
+    for (const step of steps) {
+      if (!Number.isInteger(step.at) || (step.price === undefined) === (step.change === undefined)) {
+        throw new Error(`PricePath: each step needs an integer 'at' and either 'price' or 'change', got ${JSON.stringify(step)}`);
+      }
+    }
+    for (const gap of gaps) {
+      if (!Number.isInteger(gap.from) || !Number.isInteger(gap.to) || gap.to < gap.from) {
+        throw new Error(`PricePath: each gap needs integer 'from' <= 'to', got ${JSON.stringify(gap)}`);
+      }
+    }
+    this.price = start;
+    this.volatility = volatility;
+    this.steps = steps;
+    this.gaps = gaps;
+    this.random = seededRandom(seed);
+    this.tick = 0;
+  }
+
+  /**
+   * Returns the price of the current tick and advances to the next one. The path keeps moving during gaps.
+   * @returns {Object} {tick, price, gap}
+   */
+  next() {
+    const tick = this.tick++;
+    if (tick > 0 && this.volatility > 0) {
+      // Box-Muller transform of two uniform samples into a standard normal sample
+      const normal = Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+      this.price *= Math.exp(this.volatility * normal);
+    }
+    for (const step of this.steps.filter(s => s.at === tick)) {
+      this.price = step.price !== undefined ? step.price : this.price * (1 + step.change);
+    }
+    const gap = this.gaps.some(g => tick >= g.from && tick <= g.to);
+    return { tick, price: this.price, gap };
+  }
+}
+
+/**
+ * Converts a price to the integer value reported for a feed
+ * @param {number} price - The price
+ * @param {number} decimals - Decimals of the feed
+ * @returns {bigint} The scaled price
+ */
+function scalePrice(price, decimals) {
+  return ethers.parseUnits(price.toFixed(Math.min(decimals, 8)), decimals);
+}
+
+/**
+ @dev stands in for layer reporters and validators on a devnet: every round, each feed's price path
+ * advances one tick and the price is signed as a consensus report by the validator set, then relayed
+ * into the data bank and/or published on a MockLayerServer for a Relayer to pick up.
+*/
+class SimulatedReporter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataBank - ethers Contract for TellorDataBank, connected to the relaying signer
+   * @param {Array} options.feeds - {queryId, name, decimals, signedValue?, path} per query ID, path being a PricePath and
+   *   signedValue whether values are ABI encoded as int256 rather than uint256 (default: false)
+   * @param {Array} options.validators - Validators from createValidators, in validator set order
+   * @param {string} options.validatorCheckpoint - The bridge's validator set checkpoint
+   * @param {boolean} options.relay - Whether to relay reports into the data bank (default: true)
+   * @param {Object} options.layerServer - MockLayerServer to publish reports on (optional)
+   * @param {number} options.intervalSeconds - Seconds between rounds when started (default: 30)
+   * @param {Object} options.logger - Logger with log/error methods (default: console)
+   */
+  constructor({ dataBank, feeds, validators, validatorCheckpoint, relay = true, layerServer, intervalSeconds = 30, logger = console }) {
+    if (!feeds || feeds.length === 0) {
+      throw new Error("SimulatedReporter: at least one feed is required");
+    }
+    if (!relay && !layerServer) {
+      throw new Error("SimulatedReporter: nothing to do without relaying or a layer server");
+    }
+    this.dataBank = dataBank;
+    this.feeds = feeds;
+    this.validators = validators;
+    this.validatorCheckpoint = validatorCheckpoint;
+    this.relay = relay;
+    this.layerServer = layerServer;
+    this.intervalSeconds = intervalSeconds;
+    this.logger = logger;
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Reports the next tick of every feed
+   * @returns {Array} One result per feed: {queryId, name, tick, price, status, aggregateTimestamp?, txHash?, error?}
+   */
+  async reportOnce() {
+    const results = [];
+    for (const feed of this.feeds) {
+      const { tick, price, gap } = feed.path.next();
+      const result = { queryId: feed.queryId, name: feed.name, tick, price };
+      if (gap) {
+        results.push({ ...result, status: "gap" });
+        continue;
+      }
+      try {
+        results.push({ ...result, ...(await this._report(feed, price)) });
+      } catch (error) {
+        this.logger.error(`❌ ${feed.name}: report failed: ${error.shortMessage || error.message}`);
+        results.push({ ...result, status: "failed", error: error.shortMessage || error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Reports on a schedule until stop() is called
+   */
+  async start() {
+    if (this._running) {
+      return;
+    }
+    this._running = true;
+    this.logger.log(`🚀 Reporting ${this.feeds.length} feed(s) every ${this.intervalSeconds}s`);
+    const loop = async () => {
+      await this.reportOnce();
+      if (this._running) {
+        this._timer = setTimeout(loop, this.intervalSeconds * 1000);
+      }
+    };
+    await loop();
+  }
+
+  /**
+   * Stops the reporting schedule
+   */
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  // the time of the next block, which can run ahead of the wall clock after evm_increaseTime
+  async _chainTime() {
+    const provider = this.dataBank.runner.provider;
+    try {
+      const pending = await provider.send("eth_getBlockByNumber", ["pending", false]);
+      if (pending && pending.timestamp) {
+        return Number(pending.timestamp);
+      }
+    } catch (error) {
+      // the node does not serve pending blocks
+    }
+    const latest = await provider.getBlock("latest");
+    return Math.max(Math.floor(Date.now() / 1000), latest.timestamp);
+  }
+
+  async _report(feed, price) {
+    const aggregateTimestamp = BigInt((await this._chainTime()) - 2) * 1000n;
+    const value = ethers.AbiCoder.defaultAbiCoder().encode([feed.signedValue ? "int256" : "uint256"], [scalePrice(price, feed.decimals)]);
+    const attestData = {
+      queryId: feed.queryId,
+      report: {
+        value,
+        timestamp: aggregateTimestamp,
+        aggregatePower: BigInt(this.validators.reduce((total, v) => total + v.power, 0)),
+        previousTimestamp: 0n,
+        nextTimestamp: 0n,
+        lastConsensusTimestamp: aggregateTimestamp,
+      },
+      attestationTimestamp: aggregateTimestamp + 1000n,
+    };
+    const relayArgs = signAttestation(attestData, this.validators, this.validatorCheckpoint);
+
+    if (this.layerServer) {
+      this.layerServer.setAttestation(toLayerPayload(relayArgs, this.validatorCheckpoint));
+    }
+    if (!this.relay) {
+      this.logger.log(`📡 ${feed.name}: published ${price.toFixed(4)} at ${aggregateTimestamp}`);
+      return { status: "published", aggregateTimestamp };
+    }
+    const tx = await this.dataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+    await tx.wait();
+    this.logger.log(`✅ ${feed.name}: relayed ${price.toFixed(4)} at ${aggregateTimestamp} in ${tx.hash}`);
+    return { status: "relayed", aggregateTimestamp, txHash: tx.hash };
+  }
+}
+
+module.exports = {
+  seededRandom,
+  PricePath,
+  scalePrice,
+  SimulatedReporter,
+};
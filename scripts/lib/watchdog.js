@@ -0,0 +1,218 @@
+const { ethers } = require("ethers");
+const { loadAbi } = require("./artifacts.js");
+
+const BPS = 10000n;
+const DEFAULT_THRESHOLDS = {
+  maxDeviationPercent: 5, // max deviation of the adaptor answer from the reference price
+  maxStalenessSeconds: 24 * 3600, // max age of the adaptor's updatedAt
+  maxReferenceAgeSeconds: 24 * 3600, // max age of the reference price's updatedAt for the deviation check
+  maxReadFailures: 1, // consecutive latestRoundData reverts or decode failures before pausing
+};
+
+/**
+ * Scales an answer from one decimal precision to another
+ * @param {BigInt} answer - The answer to scale
+ * @param {number} fromDecimals - Decimals of the answer
+ * @param {number} toDecimals - Target decimals
+ * @returns {BigInt} The scaled answer
+ */
+function scaleDecimals(answer, fromDecimals, toDecimals) {
+  if (toDecimals >= fromDecimals) {
+    return answer * 10n ** BigInt(toDecimals - fromDecimals);
+  }
+  return answer / 10n ** BigInt(fromDecimals - toDecimals);
+}
+
+/**
+ * Calculates the deviation of an answer from a reference, in basis points
+ * @param {BigInt} answer - The observed answer
+ * @param {BigInt} reference - The reference answer, in the same decimals
+ * @returns {BigInt} The absolute deviation in basis points
+ */
+function deviationBps(answer, reference) {
+  if (reference === 0n) {
+    return answer === 0n ? 0n : ethers.MaxUint256;
+  }
+  const diff = answer > reference ? answer - reference : reference - answer;
+  const absReference = reference < 0n ? -reference : reference;
+  return (diff * BPS) / absReference;
+}
+
+/**
+ @dev watches GuardedLiquityV2OracleAdaptors and pauses them (or recommends pausing them) when
+ * latestRoundData deviates from a reference source, goes stale, or can no longer be read.
+*/
+class Watchdog {
+  /**
+   * @param {Object} options
+   * @param {Array} options.feeds - Feeds to watch: {address, name?, reference?, thresholds?}
+   * @param {Object} options.referenceSource - Source exposing getPrice(feed)
+   * @param {Object} options.runner - ethers signer of a guardian (or a provider in recommend mode)
+   * @param {string} options.mode - "pause" to send pause() or "recommend" to only print the transaction (default: "recommend")
+   * @param {Object} options.thresholds - Default thresholds, overridable per feed (see DEFAULT_THRESHOLDS)
+   * @param {number} options.pollIntervalSeconds - Seconds between checks when started (default: 60)
+   * @param {Object} options.logger - Logger with log/error methods (default: console)
+   */
+  constructor({ feeds, referenceSource, runner, mode = "recommend", thresholds = {}, pollIntervalSeconds = 60, logger = console }) {
+    if (mode !== "pause" && mode !== "recommend") {
+      throw new Error(`Watchdog: unsupported mode '${mode}'. Use 'pause' or 'recommend'`);
+    }
+    if (!feeds || feeds.length === 0) {
+      throw new Error("Watchdog: at least one feed is required");
+    }
+    const abi = loadAbi("GuardedLiquityV2OracleAdaptor");
+    this.feeds = feeds.map(feed => ({
+      ...feed,
+      thresholds: { ...DEFAULT_THRESHOLDS, ...thresholds, ...(feed.thresholds || {}) },
+      contract: new ethers.Contract(feed.address, abi, runner),
+    }));
+    this.referenceSource = referenceSource;
+    this.runner = runner;
+    this.mode = mode;
+    this.pollIntervalSeconds = pollIntervalSeconds;
+    this.logger = logger;
+    this.readFailures = new Map(); // lowercase adaptor address -> consecutive read failures
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Checks every feed once and pauses (or recommends pausing) the ones that trip a threshold
+   * @returns {Array} One result per feed: {address, status, reasons, txHash?, transaction?}
+   */
+  async checkOnce() {
+    const results = [];
+    for (const feed of this.feeds) {
+      try {
+        results.push(await this._checkFeed(feed));
+      } catch (error) {
+        this.logger.error(`❌ ${this._label(feed)}: check failed: ${error.shortMessage || error.message}`);
+        results.push({ address: feed.address, status: "error", reasons: [error.shortMessage || error.message] });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Starts checking on a schedule until stop() is called
+   */
+  async start() {
+    if (this._running) {
+      return;
+    }
+    this._running = true;
+    this.logger.log(`🐕 Watching ${this.feeds.length} adaptor(s) every ${this.pollIntervalSeconds}s in ${this.mode} mode`);
+    const loop = async () => {
+      await this.checkOnce();
+      if (this._running) {
+        this._timer = setTimeout(loop, this.pollIntervalSeconds * 1000);
+      }
+    };
+    await loop();
+  }
+
+  /**
+   * Stops the check schedule
+   */
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Evaluates a feed against its thresholds without acting on it
+   * @param {Object} feed - A configured feed
+   * @returns {Object} {paused, readFailed, reasons, referenceStale} where reasons lists every tripped threshold and
+   * referenceStale tells whether the deviation check was skipped because the reference price is too old
+   */
+  async evaluate(feed) {
+    const key = feed.address.toLowerCase();
+    if (await feed.contract.paused()) {
+      return { paused: true, readFailed: false, reasons: [], referenceStale: false };
+    }
+    const { maxDeviationPercent, maxStalenessSeconds, maxReferenceAgeSeconds, maxReadFailures } = feed.thresholds;
+    const reasons = [];
+
+    let roundData;
+    let decimals;
+    try {
+      [roundData, decimals] = await Promise.all([feed.contract.latestRoundData(), feed.contract.decimals()]);
+      this.readFailures.set(key, 0);
+    } catch (error) {
+      const failures = (this.readFailures.get(key) || 0) + 1;
+      this.readFailures.set(key, failures);
+      const message = error.reason || error.shortMessage || error.message;
+      if (failures >= maxReadFailures) {
+        reasons.push(`latestRoundData failed ${failures} time(s) in a row: ${message}`);
+      } else {
+        this.logger.log(`⚠️  ${this._label(feed)}: latestRoundData failed (${failures}/${maxReadFailures}): ${message}`);
+      }
+      return { paused: false, readFailed: true, reasons, referenceStale: false };
+    }
+
+    const block = await this.runner.provider.getBlock("latest");
+    const age = BigInt(block.timestamp) - BigInt(roundData.updatedAt);
+    if (age > BigInt(maxStalenessSeconds)) {
+      reasons.push(`stale: updatedAt ${roundData.updatedAt} is ${age}s old, max ${maxStalenessSeconds}s`);
+    }
+
+    const reference = await this.referenceSource.getPrice(feed);
+    const referenceAge = reference ? BigInt(block.timestamp) - BigInt(reference.updatedAt) : 0n;
+    // a stale or frozen reference can deviate from a healthy adaptor, so it is reported rather than acted on
+    const referenceStale = referenceAge > BigInt(maxReferenceAgeSeconds);
+    if (!reference) {
+      this.logger.log(`⚠️  ${this._label(feed)}: no reference price, skipping deviation check`);
+    } else if (referenceStale) {
+      this.logger.log(`⚠️  ${this._label(feed)}: reference price updatedAt ${reference.updatedAt} is ${referenceAge}s old, max ${maxReferenceAgeSeconds}s, skipping deviation check`);
+    } else {
+      const referenceAnswer = scaleDecimals(BigInt(reference.answer), reference.decimals, Number(decimals));
+      const deviation = deviationBps(BigInt(roundData.answer), referenceAnswer);
+      const maxDeviationBps = BigInt(Math.round(maxDeviationPercent * 100));
+      if (deviation > maxDeviationBps) {
+        reasons.push(`deviation: answer ${roundData.answer} vs reference ${referenceAnswer} is ${Number(deviation) / 100}%, max ${maxDeviationPercent}%`);
+      }
+    }
+    return { paused: false, readFailed: false, reasons, referenceStale };
+  }
+
+  async _checkFeed(feed) {
+    const { paused, readFailed, reasons, referenceStale } = await this.evaluate(feed);
+    if (paused) {
+      return { address: feed.address, status: "paused", reasons };
+    }
+    if (reasons.length === 0) {
+      const status = readFailed ? "read-failed" : referenceStale ? "reference-stale" : "ok";
+      return { address: feed.address, status, reasons };
+    }
+
+    const transaction = {
+      to: feed.address,
+      value: "0",
+      data: feed.contract.interface.encodeFunctionData("pause"),
+    };
+    this.logger.log(`🚨 ${this._label(feed)}: ${reasons.join("; ")}`);
+    if (this.mode === "recommend") {
+      this.logger.log(`   Recommended pause transaction: ${JSON.stringify(transaction)}`);
+      return { address: feed.address, status: "recommended", reasons, transaction };
+    }
+
+    const tx = await feed.contract.pause();
+    await tx.wait();
+    this.logger.log(`⏸️  ${this._label(feed)}: paused in ${tx.hash}`);
+    return { address: feed.address, status: "paused-now", reasons, txHash: tx.hash };
+  }
+
+  _label(feed) {
+    return feed.name ? `${feed.name} (${feed.address})` : feed.address;
+  }
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  scaleDecimals,
+  deviationBps,
+  Watchdog,
+};
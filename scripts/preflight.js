@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Checks an attestation payload against the TellorDataBank acceptance rules before relaying it
+// Usage: node scripts/preflight.js --payload <attestation.json> [--chain-time <s>] [--latest-aggregate-timestamp <ms>]
+//          [--power-threshold <n>] [--rpc-url <url> --data-bank <address>] [--json]
+// Values not passed explicitly are read from the chain when --rpc-url and --data-bank are given.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { loadAbi } = require("./lib/artifacts.js");
+const { buildRelayArgs } = require("./lib/attestation.js");
+const { getDataBankConstants, readQueryConstants } = require("./lib/dataBankConstants.js");
+const { preflightOracleData } = require("./lib/preflight.js");
+
+const DATA_BRIDGE_ABI = ["function powerThreshold() view returns (uint256)"];
+
+async function readChainInputs(rpcUrl, dataBankAddress, queryId) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const dataBank = new ethers.Contract(dataBankAddress, loadAbi("TellorDataBank"), provider);
+  const dataBridge = new ethers.Contract(await dataBank.dataBridge(), DATA_BRIDGE_ABI, provider);
+  const [block, current, powerThreshold, constants] = await Promise.all([
+    provider.getBlock("latest"),
+    dataBank.getCurrentAggregateData(queryId),
+    dataBridge.powerThreshold(),
+    readQueryConstants(dataBank, queryId),
+  ]);
+  return {
+    chainTime: BigInt(block.timestamp),
+    latestAggregateTimestamp: current.aggregateTimestamp,
+    powerThreshold,
+    constants,
+  };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      payload: { type: "string" },
+      "chain-time": { type: "string" },
+      "latest-aggregate-timestamp": { type: "string" },
+      "power-threshold": { type: "string" },
+      "rpc-url": { type: "string" },
+      "data-bank": { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+  });
+
+  if (!values.payload) {
+    console.log(`
+Usage: node scripts/preflight.js --payload <attestation.json> [options]
+
+Options:
+  --chain-time <s>                    Current chain time in seconds
+  --latest-aggregate-timestamp <ms>   Stored latest aggregate timestamp for the query ID
+  --power-threshold <n>               dataBridge.powerThreshold()
+  --rpc-url <url> --data-bank <addr>  Read any of the above that are missing from the chain
+  --json                              Print the result as JSON
+`);
+    process.exit(1);
+  }
+
+  const { attestData } = buildRelayArgs(JSON.parse(fs.readFileSync(values.payload, "utf8")));
+  let inputs = {
+    chainTime: values["chain-time"],
+    latestAggregateTimestamp: values["latest-aggregate-timestamp"],
+    powerThreshold: values["power-threshold"],
+  };
+  // without a data bank to read the query ID's parameters from, the defaults in TellorDataBank.sol apply
+  let constants = getDataBankConstants();
+  if (values["rpc-url"] && values["data-bank"]) {
+    const chainInputs = await readChainInputs(values["rpc-url"], values["data-bank"], attestData.queryId);
+    inputs = Object.fromEntries(Object.entries(inputs).map(([k, v]) => [k, v !== undefined ? v : chainInputs[k]]));
+    constants = chainInputs.constants;
+  }
+  if (inputs.chainTime === undefined) {
+    inputs.chainTime = Math.floor(Date.now() / 1000);
+  }
+  if (inputs.powerThreshold === undefined && attestData.report.timestamp !== attestData.report.lastConsensusTimestamp) {
+    throw new Error("--power-threshold (or --rpc-url and --data-bank) is required for optimistic reports");
+  }
+
+  const result = preflightOracleData({
+    attestData,
+    chainTime: inputs.chainTime,
+    latestAggregateTimestamp: inputs.latestAggregateTimestamp || 0,
+    powerThreshold: inputs.powerThreshold || 0,
+    constants,
+  });
+
+  if (values.json) {
+    console.log(JSON.stringify(result, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+  } else {
+    console.log(`Preflight for ${attestData.queryId} (${result.optimistic ? "optimistic" : "consensus"} report)`);
+    console.log("-".repeat(60));
+    for (const check of result.checks) {
+      console.log(`${check.passed ? "✅" : "❌"} ${check.name}: ${check.details}`);
+      if (!check.passed) {
+        console.log(`   would revert: ${check.reason}`);
+      }
+    }
+    console.log("-".repeat(60));
+    console.log(result.ok ? "All checks passed (signatures are verified by the data bridge on-chain)" : `Relay would revert with: ${result.revertReason}`);
+  }
+  process.exit(result.ok ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
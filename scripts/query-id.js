@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+// Builds and decodes Tellor query data and query IDs
+// Usage: node scripts/query-id.js build <queryType> [args...] [--arg-types <t1,t2>] [--json]
+//        node scripts/query-id.js decode <queryData> [--json]
+//        node scripts/query-id.js types
+
+const { parseArgs } = require("util");
+const { QUERY_TYPES, buildQuery, decodeQueryData, formatQuery } = require("./lib/queryId.js");
+
+function printUsage() {
+  console.log(`
+Usage:
+  node scripts/query-id.js build <queryType> [args...]   Build query data and query ID, e.g. build SpotPrice eth usd
+  node scripts/query-id.js decode <queryData>            Decode query data to its query type and arguments
+  node scripts/query-id.js types                         List the known query types
+
+Options:
+  --arg-types <t1,t2>   ABI types of the arguments, for query types not listed by 'types'
+  --json                Print the result as JSON
+`);
+}
+
+function toJson(query) {
+  return JSON.stringify(query, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "arg-types": { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+  });
+  const [command, ...rest] = positionals;
+
+  if (command === "types") {
+    for (const [name, { argTypes, argNames }] of Object.entries(QUERY_TYPES)) {
+      console.log(`${name}(${argTypes.map((t, i) => `${t} ${argNames[i]}`).join(", ")})`);
+    }
+    return;
+  }
+
+  let query;
+  if (command === "build" && rest.length > 0) {
+    const [queryType, ...args] = rest;
+    const argTypes = values["arg-types"] !== undefined ? values["arg-types"].split(",").filter(t => t) : undefined;
+    query = buildQuery(queryType, args, argTypes);
+  } else if (command === "decode" && rest.length === 1) {
+    query = decodeQueryData(rest[0]);
+  } else {
+    printUsage();
+    process.exit(1);
+  }
+
+  if (values.json) {
+    console.log(toJson(query));
+    return;
+  }
+  console.log(`🔎 ${formatQuery(query)}`);
+  if (query.queryData) {
+    console.log(`   queryData: ${query.queryData}`);
+  }
+  console.log(`   queryId:   ${query.queryId}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+// Long-running relayer that pushes signed Tellor layer attestations into TellorDataBank
+// Usage: PK=<relayer private key> node scripts/relayer.js --config <config.json> [--once]
+// Example: PK=0x... node scripts/relayer.js --config config/relayer.example.json
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { loadAbi } = require("./lib/artifacts.js");
+const { LayerClient } = require("./lib/layerClient.js");
+const { Relayer } = require("./lib/relayer.js");
+
+function loadConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  for (const key of ["rpcUrl", "dataBankAddress", "layerEndpoint", "queryIds"]) {
+    if (!config[key]) {
+      throw new Error(`Missing '${key}' in ${configPath}`);
+    }
+  }
+  if (!ethers.isAddress(config.dataBankAddress)) {
+    throw new Error(`Invalid dataBankAddress in ${configPath}: ${config.dataBankAddress}`);
+  }
+  return config;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: "string" },
+      once: { type: "boolean", default: false },
+    },
+  });
+
+  if (!values.config) {
+    console.log(`
+Usage: PK=<relayer private key> node scripts/relayer.js --config <config.json> [--once]
+
+Options:
+  --config  Path to the relayer config (see config/relayer.example.json)
+  --once    Run a single relay round and exit
+`);
+    process.exit(1);
+  }
+  if (!process.env.PK) {
+    throw new Error("PK environment variable with the relayer private key is required");
+  }
+
+  const config = loadConfig(values.config);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const wallet = new ethers.Wallet(process.env.PK, provider);
+  const dataBank = new ethers.Contract(config.dataBankAddress, loadAbi("TellorDataBank"), wallet);
+
+  const relayer = new Relayer({
+    dataBank,
+    layerClient: new LayerClient(config.layerEndpoint),
+    queryIds: config.queryIds,
+    stateFile: config.stateFile,
+    confirmations: config.confirmations,
+    pollIntervalSeconds: config.pollIntervalSeconds,
+    batch: config.batch,
+  });
+
+  console.log(`Relayer: ${wallet.address}`);
+  console.log(`Data Bank Address: ${config.dataBankAddress}`);
+  console.log(`Layer Endpoint: ${config.layerEndpoint}`);
+
+  if (values.once) {
+    await relayer.init();
+    const results = await relayer.relayOnce();
+    results.forEach(r => console.log(`  - ${r.queryId}: ${r.status}`));
+    return;
+  }
+
+  const shutdown = () => {
+    console.log("\nStopping relayer...");
+    relayer.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  await relayer.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
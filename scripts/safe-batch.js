@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Exports GuardedPausable operations across many adaptors as one Safe Transaction Builder batch
+// Usage: node scripts/safe-batch.js --operations <operations.json> --safe <address> (--rpc-url <url> | --chain-id <id>) [--out <batch.json>]
+//        node scripts/safe-batch.js emergency-pause --network <name> --project <name> --safe <address> (--rpc-url <url> | --chain-id <id>) [--out <batch.json>]
+// Example: node scripts/safe-batch.js emergency-pause --network sepolia --project ProjectA --safe 0xabc... --rpc-url <url> --out pause-projecta.json
+// With --rpc-url every call is checked against on-chain state with the Safe as the sender.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { IGNITION_DEPLOYMENTS_DIR } = require("./lib/ignitionDeployments.js");
+const { buildSafeBatch, planOperations, planEmergencyPause } = require("./lib/safeBatch.js");
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      operations: { type: "string" },
+      network: { type: "string" },
+      project: { type: "string" },
+      safe: { type: "string" },
+      "rpc-url": { type: "string" },
+      "chain-id": { type: "string" },
+      "deployments-dir": { type: "string", default: IGNITION_DEPLOYMENTS_DIR },
+      name: { type: "string" },
+      description: { type: "string", default: "" },
+      out: { type: "string" },
+    },
+  });
+
+  const emergency = positionals[0] === "emergency-pause";
+  const hasSource = emergency ? values.network && values.project : values.operations;
+  if (!hasSource || !values.safe || !(values["rpc-url"] || values["chain-id"])) {
+    console.log(`
+Usage:
+  node scripts/safe-batch.js --operations <operations.json> --safe <address> [options]
+  node scripts/safe-batch.js emergency-pause --network <name> --project <name> --safe <address> [options]
+
+The operations file is a JSON list of {action, targets | network (+ project), addresses}, e.g.
+  [{ "action": "addGuardian", "network": "sepolia", "addresses": ["0x..."] }]
+
+Options:
+  --rpc-url <url>            Check every call against on-chain state and read the chain id
+  --chain-id <id>            Chain id of the Safe, if --rpc-url is not given
+  --deployments-dir <dir>    Ignition deployments directory (default: ignition/deployments)
+  --name <name>              Batch name shown in the Transaction Builder
+  --description <text>       Batch description
+  --out <file>               Write the batch to a file instead of stdout
+`);
+    process.exit(1);
+  }
+
+  const runner = values["rpc-url"] ? new ethers.JsonRpcProvider(values["rpc-url"]) : undefined;
+  const chainId = values["chain-id"] || (await runner.getNetwork()).chainId;
+  const options = { runner, sender: values.safe, deploymentsDir: values["deployments-dir"] };
+  if (!runner) {
+    console.error("⚠️  No --rpc-url given: calls are not checked against on-chain state");
+  }
+
+  let calls;
+  let name = values.name;
+  if (emergency) {
+    const plan = await planEmergencyPause({ network: values.network, project: values.project, ...options });
+    plan.alreadyPaused.forEach(address => console.error(`⏸️  ${address} is already paused, leaving it out`));
+    if (plan.calls.length === 0) {
+      console.error(`✨ Every ${values.project} feed on ${values.network} is already paused`);
+      return;
+    }
+    calls = plan.calls;
+    name = name || `Emergency pause ${values.project} feeds on ${values.network}`;
+  } else {
+    calls = await planOperations(JSON.parse(fs.readFileSync(values.operations, "utf8")), options);
+  }
+
+  const batch = buildSafeBatch({ chainId, safeAddress: values.safe, calls, name, description: values.description });
+  const json = JSON.stringify(batch, null, 2);
+  if (values.out) {
+    fs.writeFileSync(values.out, json + "\n");
+    console.error(`📦 Wrote ${batch.transactions.length} transaction(s) to ${values.out}`);
+  } else {
+    console.log(json);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
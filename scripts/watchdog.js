@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+// Guardian watchdog that pauses GuardedLiquityV2OracleAdaptors when their data looks wrong
+// Usage: [PK=<guardian private key>] node scripts/watchdog.js --config <config.json> [--mode pause|recommend] [--once]
+// Example: node scripts/watchdog.js --config config/watchdog.example.json --once
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { createReferenceSource } = require("./lib/referenceSources.js");
+const { Watchdog } = require("./lib/watchdog.js");
+
+function loadConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  for (const key of ["rpcUrl", "feeds", "reference"]) {
+    if (!config[key]) {
+      throw new Error(`Missing '${key}' in ${configPath}`);
+    }
+  }
+  config.feeds.forEach((feed, index) => {
+    if (!ethers.isAddress(feed.address)) {
+      throw new Error(`Invalid adaptor address for feed ${index} in ${configPath}: ${feed.address}`);
+    }
+  });
+  return config;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: "string" },
+      mode: { type: "string" },
+      once: { type: "boolean", default: false },
+    },
+  });
+
+  if (!values.config) {
+    console.log(`
+Usage: [PK=<guardian private key>] node scripts/watchdog.js --config <config.json> [options]
+
+Options:
+  --config  Path to the watchdog config (see config/watchdog.example.json)
+  --mode    'pause' to send pause() from the guardian key, 'recommend' to only print it (default: config mode or recommend)
+  --once    Check every feed once and exit
+`);
+    process.exit(1);
+  }
+
+  const config = loadConfig(values.config);
+  const mode = values.mode || config.mode || "recommend";
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  let runner = provider;
+  if (mode === "pause") {
+    if (!process.env.PK) {
+      throw new Error("PK environment variable with a guardian private key is required in pause mode");
+    }
+    runner = new ethers.Wallet(process.env.PK, provider);
+    console.log(`Guardian: ${runner.address}`);
+  }
+
+  const watchdog = new Watchdog({
+    feeds: config.feeds,
+    referenceSource: createReferenceSource(config.reference, provider),
+    runner,
+    mode,
+    thresholds: config.thresholds,
+    pollIntervalSeconds: config.pollIntervalSeconds,
+  });
+
+  if (mode === "pause") {
+    for (const feed of watchdog.feeds) {
+      if (!(await feed.contract.guardians(runner.address))) {
+        console.log(`⚠️  ${runner.address} is not a guardian of ${feed.address}; pausing it will fail`);
+      }
+    }
+  }
+
+  if (values.once) {
+    const results = await watchdog.checkOnce();
+    results.forEach(r => console.log(`  - ${r.address}: ${r.status}`));
+    return;
+  }
+
+  const shutdown = () => {
+    console.log("\nStopping watchdog...");
+    watchdog.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  await watchdog.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
+}
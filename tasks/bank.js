@@ -0,0 +1,94 @@
+const { task } = require("hardhat/config");
+const { printJson, latestTimestamp, formatAge } = require("./utils.js");
+const { readQueryConstants } = require("../scripts/lib/dataBankConstants.js");
+const { decodeValue } = require("../scripts/lib/feedHistory.js");
+const { callOptional } = require("../scripts/lib/optionalGetters.js");
+
+function toParameters(parameters) {
+  return {
+    maxDataAge: Number(parameters.maxDataAge),
+    maxAttestationAge: Number(parameters.maxAttestationAge),
+    optimisticDelay: Number(parameters.optimisticDelay),
+  };
+}
+
+task("bank:latest", "Prints the current aggregate a TellorDataBank holds for a query ID and the parameters it verifies reports with")
+  .addParam("address", "The TellorDataBank address")
+  .addParam("queryId", "The query ID")
+  .addOptionalParam("valueType", "ABI type to decode the value as", "uint256")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, queryId, valueType, json }, hre) => {
+    const dataBank = await hre.ethers.getContractAt("TellorDataBank", address);
+    const [aggregate, count, historyLimit, oldestIndex, constants, pending] = await Promise.all([
+      dataBank.getCurrentAggregateData(queryId),
+      dataBank.getAggregateValueCount(queryId),
+      // data banks deployed before bounded histories retain every aggregate
+      callOptional(dataBank, "getHistoryLimit", [queryId], 0n),
+      callOptional(dataBank, "getOldestAggregateIndex", [queryId], 0n),
+      readQueryConstants(dataBank, queryId),
+      // data banks deployed before query parameters have no proposals
+      callOptional(dataBank, "pendingQueryParameters", [queryId], null),
+    ]);
+    const parameters = {
+      maxDataAge: constants.MAX_DATA_AGE,
+      maxAttestationAge: constants.MAX_ATTESTATION_AGE,
+      optimisticDelay: constants.OPTIMISTIC_DELAY,
+    };
+    const result = {
+      address,
+      queryId,
+      count: Number(count),
+      historyLimit: Number(historyLimit),
+      oldestIndex: Number(oldestIndex),
+      value: null,
+      power: null,
+      aggregateTimestamp: null,
+      attestationTimestamp: null,
+      relayTimestamp: null,
+      ageSeconds: null,
+      parameters: toParameters(parameters),
+      pendingParameters: pending && pending.executableAt > 0n ? { ...toParameters(pending.parameters), executableAt: Number(pending.executableAt) } : null,
+    };
+    if (aggregate.aggregateTimestamp > 0n) {
+      result.value = decodeValue(aggregate.value, valueType);
+      result.power = aggregate.power;
+      result.aggregateTimestamp = aggregate.aggregateTimestamp;
+      result.attestationTimestamp = aggregate.attestationTimestamp;
+      result.relayTimestamp = aggregate.relayTimestamp;
+      result.ageSeconds = (await latestTimestamp(hre)) - Number(aggregate.aggregateTimestamp / 1000n);
+    }
+
+    if (json) {
+      printJson(result);
+      return result;
+    }
+    const { maxDataAge, maxAttestationAge, optimisticDelay } = result.parameters;
+    const parameterSummary = `max data age ${formatAge(maxDataAge)}, max attestation age ${formatAge(maxAttestationAge)}, optimistic delay ${formatAge(optimisticDelay)}`;
+    let pendingSummary;
+    if (result.pendingParameters) {
+      const pending = result.pendingParameters;
+      // all zero parameters reset the query ID to the defaults
+      const proposed = pending.maxDataAge === 0 ? "reset to the defaults" : `${formatAge(pending.maxDataAge)} / ${formatAge(pending.maxAttestationAge)} / ${formatAge(pending.optimisticDelay)}`;
+      pendingSummary = `⏳ Pending: ${proposed}, executable at ${new Date(pending.executableAt * 1000).toISOString()}`;
+    }
+    if (result.count === 0) {
+      console.log(`📭 No data for ${queryId} in ${address}`);
+      console.log(`   Parameters:  ${parameterSummary}`);
+      if (pendingSummary) {
+        console.log(`   ${pendingSummary}`);
+      }
+      return result;
+    }
+    const retained = result.historyLimit > 0 ? `, indexes ${result.oldestIndex}-${result.count - 1} retained of at most ${result.historyLimit}` : "";
+    console.log(`🏦 ${queryId} (${result.count} aggregate(s)${retained})`);
+    console.log(`   Value:       ${result.value}`);
+    console.log(`   Power:       ${result.power}`);
+    console.log(`   Aggregated:  ${new Date(Number(result.aggregateTimestamp)).toISOString()} (${formatAge(result.ageSeconds)} ago)`);
+    console.log(`   Attested:    ${new Date(Number(result.attestationTimestamp)).toISOString()}`);
+    console.log(`   Relayed:     ${new Date(Number(result.relayTimestamp) * 1000).toISOString()}`);
+    console.log(`   Parameters:  ${parameterSummary}`);
+    if (pendingSummary) {
+      console.log(`   ${pendingSummary}`);
+    }
+    return result;
+  });
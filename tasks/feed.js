@@ -0,0 +1,213 @@
+const { task, types } = require("hardhat/config");
+const { printJson, latestTimestamp, formatAge } = require("./utils.js");
+const { readAdaptorConfig } = require("../scripts/lib/driftAudit.js");
+const { readGuardedState, checkAction } = require("../scripts/lib/guardianAdmin.js");
+const { callOptional } = require("../scripts/lib/optionalGetters.js");
+const { readAggregates, parseTime, readOptimisticDelays, toHistoryRow } = require("../scripts/lib/feedHistory.js");
+
+const FALLBACK_MODES = ["off", "auto", "forced"]; // GuardedLiquityV2OracleAdaptor.FallbackMode, in order
+
+/**
+ * Sends pause() or unpause() to a GuardedPausable contract from the first signer, after checking it would succeed
+ * @param {Object} hre - The Hardhat runtime environment
+ * @param {string} address - The contract address
+ * @param {string} action - "pause" or "unpause"
+ * @returns {Object} {address, action, sender, txHash}
+ */
+async function sendPauseAction(hre, address, action) {
+  const [signer] = await hre.ethers.getSigners();
+  const contract = await hre.ethers.getContractAt("GuardedPausable", address, signer);
+  const errors = checkAction(await readGuardedState(contract), action, undefined, signer.address);
+  if (errors.length > 0) {
+    throw new Error(`${action}() would revert: ${errors.join("; ")}`);
+  }
+  const tx = await contract[action]();
+  await tx.wait();
+  return { address, action, sender: signer.address, txHash: tx.hash };
+}
+
+task("feed:status", "Prints the latest value, age, pause state, admin, guardians, deviation breaker and fallback oracle of an adaptor")
+  .addParam("address", "The GuardedLiquityV2OracleAdaptor address")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const adaptor = await hre.ethers.getContractAt("GuardedLiquityV2OracleAdaptor", address);
+    const config = await readAdaptorConfig(adaptor);
+    // adaptors deployed before the breaker, the fallback oracle or two-step admin transfers read as having none
+    const legacyDefaults = {
+      deviationBreaker: { maxDeviationBps: 0n, window: 0n, serveLastAccepted: false },
+      getDeviationStatus: { _tripped: false, _deviationBps: 0n },
+      fallbackOracle: hre.ethers.ZeroAddress,
+      fallbackMode: 0n,
+      fallbackStalenessLimit: 0n,
+      isFallbackActive: false,
+      getPendingAdminTransfer: [hre.ethers.ZeroAddress, 0n],
+    };
+    const getters = Object.keys(legacyDefaults);
+    const values = await Promise.all(getters.map(getter => callOptional(adaptor, getter, [], null)));
+    const missingGetters = [...config.missingGetters, ...getters.filter((_, i) => values[i] === null)];
+    const [breaker, deviation, fallbackOracle, fallbackMode, fallbackStalenessLimit, fallbackActive, [pendingAdmin, adminTransferExecutableAt]] =
+      values.map((value, i) => value ?? legacyDefaults[getters[i]]);
+    const status = {
+      address,
+      ...config,
+      missingGetters,
+      deviationBreaker: {
+        maxDeviationBps: Number(breaker.maxDeviationBps),
+        window: Number(breaker.window),
+        serveLastAccepted: breaker.serveLastAccepted,
+        tripped: deviation._tripped,
+        deviationBps: deviation._deviationBps,
+      },
+      fallback: {
+        oracle: fallbackOracle === hre.ethers.ZeroAddress ? null : fallbackOracle,
+        mode: FALLBACK_MODES[Number(fallbackMode)],
+        stalenessLimit: Number(fallbackStalenessLimit),
+        active: fallbackActive,
+      },
+      pendingAdmin: pendingAdmin === hre.ethers.ZeroAddress ? null : { address: pendingAdmin, executableAt: Number(adminTransferExecutableAt) },
+      answer: null,
+      updatedAt: null,
+      ageSeconds: null,
+      error: null,
+    };
+    try {
+      const { answer, updatedAt } = await adaptor.latestRoundData();
+      status.answer = answer;
+      status.updatedAt = Number(updatedAt);
+      status.ageSeconds = (await latestTimestamp(hre)) - status.updatedAt;
+    } catch (error) {
+      status.error = error.reason || error.shortMessage || error.message;
+    }
+
+    if (json) {
+      printJson(status);
+      return status;
+    }
+    console.log(`📈 ${status.project} ${status.name} (${address})`);
+    if (status.error) {
+      console.log(`   Latest:    ❌ ${status.error}`);
+    } else {
+      console.log(`   Latest:    ${hre.ethers.formatUnits(status.answer, status.decimals)} (${status.answer})`);
+      console.log(`   Updated:   ${new Date(status.updatedAt * 1000).toISOString()} (${formatAge(status.ageSeconds)} ago)`);
+    }
+    console.log(`   Decimals:  ${status.decimals} (source ${status.sourceDecimals}${status.signedValue ? ", signed" : ""})`);
+    if (status.missingGetters.length > 0) {
+      console.log(`   Legacy:    ⚠️  no ${status.missingGetters.join(", ")} getter(s), shown with their defaults`);
+    }
+    console.log(`   Paused:    ${status.paused ? "⏸️  yes" : "no"}`);
+    const { deviationBreaker } = status;
+    if (deviationBreaker.maxDeviationBps === 0) {
+      console.log("   Breaker:   disabled");
+    } else {
+      const mode = deviationBreaker.serveLastAccepted ? "serve last accepted" : "revert";
+      const state = deviationBreaker.tripped ? `🚨 tripped at ${deviationBreaker.deviationBps} bps` : "ok";
+      console.log(`   Breaker:   ${deviationBreaker.maxDeviationBps} bps within ${deviationBreaker.window}s, ${mode} (${state})`);
+    }
+    const { fallback } = status;
+    if (fallback.oracle === null) {
+      console.log("   Fallback:  none");
+    } else {
+      const limit = fallback.stalenessLimit > 0 ? `, stale after ${formatAge(fallback.stalenessLimit)}` : "";
+      console.log(`   Fallback:  ${fallback.oracle}, ${fallback.mode}${limit}${fallback.active ? " (🔀 serving the fallback)" : ""}`);
+    }
+    console.log(`   Admin:     ${status.admin}`);
+    if (status.pendingAdmin !== null) {
+      const { address: next, executableAt } = status.pendingAdmin;
+      console.log(`   Pending:   ${next}, can accept from ${new Date(executableAt * 1000).toISOString()}`);
+    }
+    console.log(`   Guardians: ${status.guardians.join(", ")}`);
+    console.log(`   Query ID:  ${status.queryId}`);
+    console.log(`   Data Bank: ${status.dataBank}`);
+    return status;
+  });
+
+task("feed:history", "Prints the aggregates stored for an adaptor's query ID")
+  .addParam("address", "The GuardedLiquityV2OracleAdaptor address, or the TellorDataBank address when --query-id is given")
+  .addOptionalParam("queryId", "Query ID to read from the data bank at --address")
+  .addOptionalParam("valueType", "ABI type to decode values as", "uint256")
+  .addOptionalParam("fromIndex", "First index", undefined, types.int)
+  .addOptionalParam("toIndex", "Last index", undefined, types.int)
+  .addOptionalParam("fromTime", "Only aggregates at or after this time (unix seconds or ISO date)")
+  .addOptionalParam("toTime", "Only aggregates at or before this time (unix seconds or ISO date)")
+  .addOptionalParam("fromBlock", "First block to read query parameter updates from, e.g. the data bank's deployment block", 0, types.int)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, queryId, valueType, fromIndex, toIndex, fromTime, toTime, fromBlock, json }, hre) => {
+    let dataBankAddress = address;
+    if (queryId === undefined) {
+      const adaptor = await hre.ethers.getContractAt("GuardedLiquityV2OracleAdaptor", address);
+      [dataBankAddress, queryId] = await Promise.all([adaptor.dataBank(), adaptor.queryId()]);
+    }
+    const dataBank = await hre.ethers.getContractAt("TellorDataBank", dataBankAddress);
+    const optimisticDelays = await readOptimisticDelays(dataBank, queryId, { fromBlock });
+    const aggregates = await readAggregates(dataBank, queryId, {
+      fromIndex,
+      toIndex,
+      fromTime: parseTime(fromTime, "--from-time"),
+      toTime: parseTime(toTime, "--to-time"),
+    });
+    const rows = aggregates.map(aggregate => toHistoryRow(aggregate, { valueType, optimisticDelay: optimisticDelays }));
+
+    if (json) {
+      printJson(rows);
+      return rows;
+    }
+    console.log(`📜 ${rows.length} aggregate(s) for ${queryId} in ${dataBankAddress}`);
+    for (const row of rows) {
+      console.log(`   #${row.index}  ${row.aggregateTime}  ${row.value}  relayed after ${row.relayLatencySeconds}s  ${row.reportType}`);
+    }
+    return rows;
+  });
+
+task("feed:pause", "Pauses an adaptor from the first signer, which must be a guardian")
+  .addParam("address", "The GuardedLiquityV2OracleAdaptor address")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const result = await sendPauseAction(hre, address, "pause");
+    json ? printJson(result) : console.log(`⏸️  Paused ${address} in ${result.txHash}`);
+    return result;
+  });
+
+task("feed:unpause", "Unpauses an adaptor from the first signer, which must be a guardian")
+  .addParam("address", "The GuardedLiquityV2OracleAdaptor address")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const result = await sendPauseAction(hre, address, "unpause");
+    json ? printJson(result) : console.log(`▶️  Unpaused ${address} in ${result.txHash}`);
+    return result;
+  });
+
+task("feed:fallback-mode", "Sets when an adaptor serves its fallback oracle, from the first signer, which must be a guardian")
+  .addParam("address", "The GuardedLiquityV2OracleAdaptor address")
+  .addParam("mode", `One of ${FALLBACK_MODES.join(", ")}`)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, mode, json }, hre) => {
+    const modeIndex = FALLBACK_MODES.indexOf(mode);
+    if (modeIndex === -1) {
+      throw new Error(`Unknown fallback mode '${mode}', expected one of ${FALLBACK_MODES.join(", ")}`);
+    }
+    const [signer] = await hre.ethers.getSigners();
+    const adaptor = await hre.ethers.getContractAt("GuardedLiquityV2OracleAdaptor", address, signer);
+    const [isGuardian, currentMode, fallbackOracle] = await Promise.all([
+      adaptor.guardians(signer.address),
+      adaptor.fallbackMode(),
+      adaptor.fallbackOracle(),
+    ]);
+    const errors = [];
+    if (!isGuardian) {
+      errors.push("GuardedLiquityV2OracleAdaptor: Not a guardian");
+    }
+    if (Number(currentMode) === modeIndex) {
+      errors.push("GuardedLiquityV2OracleAdaptor: Fallback mode unchanged");
+    }
+    if (mode !== "off" && fallbackOracle === hre.ethers.ZeroAddress) {
+      errors.push("GuardedLiquityV2OracleAdaptor: Fallback oracle not set");
+    }
+    if (errors.length > 0) {
+      throw new Error(`setFallbackMode() would revert: ${errors.join("; ")}`);
+    }
+    const tx = await adaptor.setFallbackMode(modeIndex);
+    await tx.wait();
+    const result = { address, mode, sender: signer.address, txHash: tx.hash };
+    json ? printJson(result) : console.log(`🔀 Set the fallback mode of ${address} to ${mode} in ${result.txHash}`);
+    return result;
+  });
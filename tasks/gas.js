@@ -0,0 +1,57 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { printJson } = require("./utils.js");
+const { DEFAULT_TOLERANCE_PERCENT, runGasBenchmarks, compareToBudget, formatMarkdownReport } = require("../scripts/lib/gasBenchmark.js");
+
+task("gas:benchmark", "Measures relay, read and guardian gas on the Hardhat network and checks it against a budget")
+  .addOptionalParam("budget", "Budget file with scenarios, tolerance and budgeted gas", "config/gas-budget.json")
+  .addOptionalParam("tolerance", "Percentage a measurement may exceed its budget by (default: from the budget file)")
+  .addOptionalParam("out", "Path prefix of the .json and .md reports", "gas-report")
+  .addFlag("update", "Write the measurements to the budget file instead of checking them")
+  .addFlag("noCompile", "Don't compile before running the benchmarks")
+  .addFlag("json", "Print the comparison as JSON")
+  .addFlag("quiet", "Print nothing, e.g. when run from tests")
+  .setAction(async ({ budget, tolerance, out, update, noCompile, json, quiet }, hre) => {
+    if (hre.network.name !== "hardhat") {
+      throw new Error(`gas:benchmark deploys its own contracts and only runs on the hardhat network, not ${hre.network.name}`);
+    }
+    if (!noCompile) {
+      await hre.run("compile", { quiet: true });
+    }
+    const logger = quiet ? { log: () => {} } : console;
+    const budgetFile = JSON.parse(fs.readFileSync(budget, "utf8"));
+    const [signer, guardian] = await hre.ethers.getSigners();
+    const measurements = await runGasBenchmarks({
+      signer,
+      guardian,
+      validatorCounts: budgetFile.validatorCounts,
+      valueSizes: budgetFile.valueSizes,
+      logger: json || quiet ? { log: () => {} } : console,
+    });
+
+    if (update) {
+      budgetFile.budgets = Object.fromEntries(measurements.map(m => [m.name, m.gas]));
+      fs.writeFileSync(budget, JSON.stringify(budgetFile, null, 2) + "\n");
+      logger.log(`📝 Wrote ${measurements.length} budget(s) to ${budget}`);
+      return { measurements, updated: true };
+    }
+
+    const tolerancePercent = tolerance !== undefined ? Number(tolerance) : (budgetFile.tolerancePercent ?? DEFAULT_TOLERANCE_PERCENT);
+    const comparison = compareToBudget(measurements, budgetFile.budgets || {}, tolerancePercent);
+    fs.writeFileSync(`${out}.json`, JSON.stringify(comparison, null, 2) + "\n");
+    fs.writeFileSync(`${out}.md`, formatMarkdownReport(comparison));
+
+    if (json && !quiet) {
+      printJson(comparison);
+    } else {
+      logger.log(`📄 Wrote ${out}.json and ${out}.md`);
+      for (const row of comparison.rows.filter(r => r.status !== "ok")) {
+        logger.log(`${row.status === "over" ? "❌" : "⚠️ "} ${row.name}: ${row.status}${row.changePercent !== null ? ` (${row.changePercent > 0 ? "+" : ""}${row.changePercent}%)` : ""}`);
+      }
+    }
+    if (comparison.failed) {
+      const over = comparison.rows.filter(r => r.status === "over").length;
+      throw new Error(`${over} measurement(s) exceed their budget by more than ${tolerancePercent}%`);
+    }
+    return comparison;
+  });
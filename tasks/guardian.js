@@ -0,0 +1,46 @@
+const { task } = require("hardhat/config");
+const { printJson } = require("./utils.js");
+const { readGuardedState, checkAction } = require("../scripts/lib/guardianAdmin.js");
+
+/**
+ * Sends addGuardian() or removeGuardian() from the first signer, after checking it would succeed
+ * @param {Object} hre - The Hardhat runtime environment
+ * @param {string} address - The GuardedPausable contract address
+ * @param {string} action - "addGuardian" or "removeGuardian"
+ * @param {string} guardian - The guardian address
+ * @returns {Object} {address, action, guardian, sender, txHash}
+ */
+async function sendGuardianAction(hre, address, action, guardian) {
+  if (!hre.ethers.isAddress(guardian)) {
+    throw new Error(`Invalid guardian address: ${guardian}`);
+  }
+  const [signer] = await hre.ethers.getSigners();
+  const contract = await hre.ethers.getContractAt("GuardedPausable", address, signer);
+  const errors = checkAction(await readGuardedState(contract), action, guardian, signer.address);
+  if (errors.length > 0) {
+    throw new Error(`${action}(${guardian}) would revert: ${errors.join("; ")}`);
+  }
+  const tx = await contract[action](guardian);
+  await tx.wait();
+  return { address, action, guardian, sender: signer.address, txHash: tx.hash };
+}
+
+task("guardian:add", "Adds a guardian to an adaptor from the first signer, which must be the admin")
+  .addParam("address", "The GuardedLiquityV2OracleAdaptor address")
+  .addParam("guardian", "The guardian to add")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, guardian, json }, hre) => {
+    const result = await sendGuardianAction(hre, address, "addGuardian", guardian);
+    json ? printJson(result) : console.log(`🛡️  Added guardian ${guardian} to ${address} in ${result.txHash}`);
+    return result;
+  });
+
+task("guardian:remove", "Removes a guardian from an adaptor from the first signer, which must be the admin")
+  .addParam("address", "The GuardedLiquityV2OracleAdaptor address")
+  .addParam("guardian", "The guardian to remove")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, guardian, json }, hre) => {
+    const result = await sendGuardianAction(hre, address, "removeGuardian", guardian);
+    json ? printJson(result) : console.log(`🗑️  Removed guardian ${guardian} from ${address} in ${result.txHash}`);
+    return result;
+  });
@@ -0,0 +1,40 @@
+/**
+ * Prints a task result as JSON, with BigInts as strings
+ * @param {*} result - The result to print
+ */
+function printJson(result) {
+  console.log(JSON.stringify(result, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+}
+
+/**
+ * Returns the latest block timestamp of the task's network
+ * @param {Object} hre - The Hardhat runtime environment
+ * @returns {number} The timestamp in seconds
+ */
+async function latestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * Formats an age in seconds, e.g. 1h 2m 3s
+ * @param {number} seconds - The age
+ * @returns {string} The formatted age
+ */
+function formatAge(seconds) {
+  const parts = [];
+  let remaining = Math.max(0, Math.floor(seconds));
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60]]) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+  parts.push(`${remaining}s`);
+  return parts.join(" ");
+}
+
+module.exports = {
+  printJson,
+  latestTimestamp,
+  formatAge,
+};
@@ -0,0 +1,85 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGuardedAdaptorFixture, relayPrice, ETH_USD_QUERY_ID, DECIMALS } = require("./fixtures.js");
+
+describe("GuardedLiquityV2OracleAdaptor AggregatorV3Interface", function () {
+  // Chainlink's AggregatorV3Interface and the legacy AggregatorInterface getters, as other consumers declare them
+  const CHAINLINK_ABI = [
+    "function decimals() view returns (uint8)",
+    "function description() view returns (string)",
+    "function version() view returns (uint256)",
+    "function getRoundData(uint80 _roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+    "function latestAnswer() view returns (int256)",
+    "function latestTimestamp() view returns (uint256)",
+  ];
+  const PRICES = [2000n, 2100n, 2050n].map(p => ethers.parseUnits(p.toString(), DECIMALS));
+
+  // relays three prices a minute apart
+  async function deployRoundsFixture() {
+    const fixture = await deployGuardedAdaptorFixture();
+    const timestamps = [];
+    for (const price of PRICES) {
+      await time.increase(60);
+      const { attestData } = await relayPrice(fixture, ETH_USD_QUERY_ID, price);
+      timestamps.push(BigInt(attestData.report.timestamp) / 1000n);
+    }
+    const aggregator = new ethers.Contract(fixture.guardedLiquityV2OracleAdaptor.target, CHAINLINK_ABI, ethers.provider);
+    return { ...fixture, aggregator, timestamps };
+  }
+
+  it("Should describe the feed", async function () {
+    const { aggregator } = await loadFixture(deployRoundsFixture);
+    expect(await aggregator.description()).to.equal("ProjectA ETH/USD");
+    expect(await aggregator.version()).to.equal(1);
+    expect(await aggregator.decimals()).to.equal(DECIMALS);
+  });
+
+  it("Should map round IDs to data bank indexes plus one", async function () {
+    const { aggregator, tellorDataBank, timestamps } = await loadFixture(deployRoundsFixture);
+    for (let index = 0; index < PRICES.length; index++) {
+      const roundId = index + 1;
+      const round = await aggregator.getRoundData(roundId);
+      const aggregate = await tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, index);
+      expect(aggregate.aggregateTimestamp / 1000n).to.equal(timestamps[index]);
+      expect([...round]).to.deep.equal([BigInt(roundId), PRICES[index], timestamps[index], timestamps[index], BigInt(roundId)]);
+    }
+    await expect(aggregator.getRoundData(0)).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: No data present");
+    await expect(aggregator.getRoundData(PRICES.length + 1)).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: No data present");
+  });
+
+  it("Should return the latest round from every latest getter", async function () {
+    const { aggregator, timestamps } = await loadFixture(deployRoundsFixture);
+    const latest = await aggregator.latestRoundData();
+    expect([...latest]).to.deep.equal([...(await aggregator.getRoundData(PRICES.length))]);
+    expect(latest.roundId).to.equal(PRICES.length);
+    expect(latest.answeredInRound).to.equal(latest.roundId);
+    expect(await aggregator.latestAnswer()).to.equal(PRICES[PRICES.length - 1]);
+    expect(await aggregator.latestTimestamp()).to.equal(timestamps[timestamps.length - 1]);
+  });
+
+  it("Should revert every getter before the first aggregate and while paused", async function () {
+    const { guardedLiquityV2OracleAdaptor, admin } = await loadFixture(deployGuardedAdaptorFixture);
+    for (const getter of ["latestRoundData", "latestAnswer", "latestTimestamp"]) {
+      await expect(guardedLiquityV2OracleAdaptor[getter]()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: No data available");
+    }
+    await expect(guardedLiquityV2OracleAdaptor.getRoundData(1)).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: No data present");
+
+    await guardedLiquityV2OracleAdaptor.connect(admin).pause();
+    for (const getter of ["latestRoundData", "latestAnswer", "latestTimestamp"]) {
+      await expect(guardedLiquityV2OracleAdaptor[getter]()).to.be.revertedWith("GuardedPausable: Tellor is paused");
+    }
+    await expect(guardedLiquityV2OracleAdaptor.getRoundData(1)).to.be.revertedWith("GuardedPausable: Tellor is paused");
+    // the description is not oracle data
+    expect(await guardedLiquityV2OracleAdaptor.description()).to.equal("ProjectA ETH/USD");
+  });
+
+  it("Should keep counting rounds through a bounded history", async function () {
+    const { aggregator, tellorDataBank, admin } = await loadFixture(deployRoundsFixture);
+    await tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 1);
+    expect((await aggregator.latestRoundData()).roundId).to.equal(PRICES.length);
+    expect((await aggregator.getRoundData(PRICES.length)).answer).to.equal(PRICES[PRICES.length - 1]);
+    await expect(aggregator.getRoundData(1)).to.be.revertedWith("TellorDataBank: Aggregate pruned");
+  });
+});
@@ -0,0 +1,239 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const h = require("./customHelpers.js");
+const { deployTellorDataBankFixture, relayPrice, ETH_USD_QUERY_ID, DECIMALS } = require("./fixtures.js");
+
+describe("GuardedLiquityV2AveragingOracleAdaptor", function () {
+  const STALENESS_THRESHOLD = 3600 * 25; // 25 hours staleness threshold
+  const [TWAP, MEDIAN] = [0, 1];
+  const abiCoder = new ethers.AbiCoder();
+  const p = (price) => ethers.parseUnits(price, DECIMALS);
+  // seconds before the first aggregate, so every aggregate is relayed within the attestation age limit
+  const HISTORY_AGE = 300;
+  const PRICES = [p("2000"), p("2100"), p("1900"), p("2200")];
+  const OFFSETS = [0, 60, 180, 210];
+
+  async function deployAveragingAdaptor(fixture, method, windowSize, windowDuration = 0, signedValue = false) {
+    const GuardedLiquityV2AveragingOracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2AveragingOracleAdaptor");
+    return GuardedLiquityV2AveragingOracleAdaptor.deploy(
+      fixture.tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, DECIMALS, signedValue, "ProjectA", "ETH/USD", fixture.admin.address,
+      method, windowSize, windowDuration
+    );
+  }
+
+  // relays PRICES with aggregate timestamps OFFSETS seconds after a start HISTORY_AGE seconds ago
+  async function deployHistoryFixture() {
+    const fixture = await deployTellorDataBankFixture();
+    const start = (await time.latest()) - HISTORY_AGE;
+    for (const [i, price] of PRICES.entries()) {
+      await relayPrice(fixture, ETH_USD_QUERY_ID, price, { aggregateTimestamp: (start + OFFSETS[i]) * 1000 });
+    }
+    return { ...fixture, start };
+  }
+
+  async function answerAt(adaptor, roundId) {
+    return (await adaptor.getRoundData(roundId)).answer;
+  }
+
+  describe("Deployment", function () {
+    it("Should store the method and window", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAveragingAdaptor(fixture, MEDIAN, 5, 600);
+      expect(await adaptor.method()).to.equal(MEDIAN);
+      expect(await adaptor.windowSize()).to.equal(5);
+      expect(await adaptor.windowDuration()).to.equal(600);
+      expect(await adaptor.decimals()).to.equal(DECIMALS);
+      expect(await adaptor.admin()).to.equal(fixture.admin.address);
+    });
+
+    it("Should reject window sizes out of range", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      await expect(deployAveragingAdaptor(fixture, TWAP, 0)).to.be.revertedWith("GuardedLiquityV2AveragingOracleAdaptor: Window size out of range");
+      await expect(deployAveragingAdaptor(fixture, TWAP, 33)).to.be.revertedWith("GuardedLiquityV2AveragingOracleAdaptor: Window size out of range");
+      await deployAveragingAdaptor(fixture, TWAP, 1);
+      await deployAveragingAdaptor(fixture, TWAP, 32);
+    });
+  });
+
+  describe("Time-weighted average", function () {
+    it("Should weight each value by the seconds until the next aggregate", async function () {
+      const fixture = await loadFixture(deployHistoryFixture);
+      const adaptor = await deployAveragingAdaptor(fixture, TWAP, 32);
+      expect(await answerAt(adaptor, 1)).to.equal(p("2000"));
+      expect(await answerAt(adaptor, 2)).to.equal((p("2000") * 60n + p("2100") * 120n) / 180n);
+      expect(await answerAt(adaptor, 3)).to.equal((p("2000") * 60n + p("2100") * 120n + p("1900") * 30n) / 210n);
+
+      // the rounds keep their own IDs and timestamps
+      const round = await adaptor.getRoundData(3);
+      expect(round.roundId).to.equal(3);
+      expect(round.updatedAt).to.equal(fixture.start + OFFSETS[2]);
+    });
+
+    it("Should weight the latest value until now", async function () {
+      const fixture = await loadFixture(deployHistoryFixture);
+      const adaptor = await deployAveragingAdaptor(fixture, TWAP, 32);
+      const MockMainnetPriceFeedBase = await ethers.getContractFactory("MockMainnetPriceFeedBase");
+      const mockMainnetPriceFeed = await MockMainnetPriceFeedBase.deploy(adaptor.target, STALENESS_THRESHOLD);
+      await time.setNextBlockTimestamp(fixture.start + 600);
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.lastGoodPrice())
+        .to.equal((p("2000") * 60n + p("2100") * 120n + p("1900") * 30n + p("2200") * 390n) / 600n);
+      expect(await mockMainnetPriceFeed.shutDown()).to.equal(false);
+    });
+
+    it("Should move the latest answer towards a step change as time passes", async function () {
+      const fixture = await loadFixture(deployHistoryFixture);
+      const [lastTwo, lastHour] = [await deployAveragingAdaptor(fixture, TWAP, 2), await deployAveragingAdaptor(fixture, TWAP, 32, 3600)];
+      await time.increase(3600);
+      await relayPrice(fixture, ETH_USD_QUERY_ID, p("3000"));
+      const latest = await lastTwo.latestRoundData();
+      expect(latest.answer).to.be.lessThan(p("2300"));
+
+      await time.increase(1800);
+      const halfway = await lastTwo.latestRoundData();
+      expect(halfway.answer).to.be.greaterThan(latest.answer + p("100"));
+      expect(await lastHour.latestAnswer()).to.be.within(p("2550"), p("2650"));
+      // the round ID and updatedAt stay those of the latest aggregate while its answer moves
+      expect([halfway.roundId, halfway.updatedAt]).to.deep.equal([latest.roundId, latest.updatedAt]);
+
+      await time.increase(3600);
+      expect(await lastHour.latestAnswer()).to.equal(p("3000"));
+    });
+
+    it("Should average extreme values without overflowing, truncating towards zero", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAveragingAdaptor(fixture, TWAP, 2, 0, true);
+      const relayAfter = async (seconds, value) => {
+        await time.increase(seconds - 1);
+        const relayArgs = await h.prepareOracleData(ETH_USD_QUERY_ID, abiCoder.encode(["int256"], [value]), fixture.validators, fixture.powers, fixture.valCheckpoint);
+        await fixture.tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+      };
+      // the weights are the seconds between the aggregates' timestamps, which the relays set to their blocks'
+      const weighted = async (values) => {
+        const count = await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID);
+        const aggregates = await Promise.all([0n, 1n, 2n].map((i) => fixture.tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, count - 3n + i)));
+        const [t0, t1, t2] = aggregates.map((aggregate) => aggregate.aggregateTimestamp / 1000n);
+        return (values[0] * (t1 - t0) + values[1] * (t2 - t1)) / (t2 - t0);
+      };
+      const cases = [
+        [ethers.MaxInt256, ethers.MaxInt256 - 1n],
+        [ethers.MinInt256, ethers.MinInt256 + 1n],
+        [ethers.MaxInt256, ethers.MinInt256],
+        [-7n, 2n],
+      ];
+      for (const values of cases) {
+        await relayAfter(60, values[0]);
+        await relayAfter(120, values[1]);
+        await relayAfter(60, 0n);
+        const roundId = await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID) - 1n;
+        expect(await answerAt(adaptor, roundId)).to.equal(await weighted(values), values.join(", "));
+      }
+    });
+
+    it("Should limit the window to the last entries and seconds", async function () {
+      const fixture = await loadFixture(deployHistoryFixture);
+      const lastTwo = await deployAveragingAdaptor(fixture, TWAP, 2);
+      expect(await answerAt(lastTwo, 3)).to.equal((p("2100") * 120n + p("1900") * 30n) / 150n);
+
+      // the oldest value in the window is weighted from the window's start
+      const lastHundredSeconds = await deployAveragingAdaptor(fixture, TWAP, 32, 100);
+      expect(await answerAt(lastHundredSeconds, 3)).to.equal((p("2100") * 70n + p("1900") * 30n) / 100n);
+      expect(await answerAt(lastHundredSeconds, 2)).to.equal(p("2100"));
+    });
+
+    it("Should serve the value itself when the window lasts no time", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAveragingAdaptor(fixture, TWAP, 32);
+      // two aggregates within the same second
+      const { attestData } = await relayPrice(fixture, ETH_USD_QUERY_ID, p("2000"));
+      await relayPrice(fixture, ETH_USD_QUERY_ID, p("2100"), { aggregateTimestamp: Number(attestData.report.timestamp) + 500 });
+      expect(await answerAt(adaptor, 1)).to.equal(p("2000"));
+    });
+  });
+
+  describe("Median", function () {
+    it("Should serve the median of the window", async function () {
+      const fixture = await loadFixture(deployHistoryFixture);
+      const adaptor = await deployAveragingAdaptor(fixture, MEDIAN, 32);
+      expect(await answerAt(adaptor, 1)).to.equal(p("2000"));
+      expect(await answerAt(adaptor, 3)).to.equal(p("2000"));
+      expect(await adaptor.latestAnswer()).to.equal(p("2050"));
+
+      // a single outlier does not move the median far
+      await relayPrice(fixture, ETH_USD_QUERY_ID, p("1000000"));
+      expect(await adaptor.latestAnswer()).to.equal(p("2100"));
+    });
+
+    it("Should limit the window to the last entries and seconds", async function () {
+      const fixture = await loadFixture(deployHistoryFixture);
+      expect(await (await deployAveragingAdaptor(fixture, MEDIAN, 3)).latestAnswer()).to.equal(p("2100"));
+      expect(await (await deployAveragingAdaptor(fixture, MEDIAN, 32, 100)).latestAnswer()).to.equal(p("2050"));
+      expect(await (await deployAveragingAdaptor(fixture, MEDIAN, 1)).latestAnswer()).to.equal(p("2200"));
+    });
+
+    it("Should average the middle values without overflowing, truncating towards zero", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAveragingAdaptor(fixture, MEDIAN, 2, 0, true);
+      const cases = [
+        [[-1n, -2n], -1n],
+        [[3n, -8n], -2n],
+        [[ethers.MaxInt256, ethers.MaxInt256 - 1n], ethers.MaxInt256 - 1n],
+        [[ethers.MinInt256, ethers.MinInt256 + 1n], ethers.MinInt256 + 1n],
+      ];
+      for (const [values, median] of cases) {
+        for (const value of values) {
+          await time.increase(60);
+          const relayArgs = await h.prepareOracleData(ETH_USD_QUERY_ID, abiCoder.encode(["int256"], [value]), fixture.validators, fixture.powers, fixture.valCheckpoint);
+          await fixture.tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+        }
+        expect(await adaptor.latestAnswer()).to.equal(median, values.join(", "));
+      }
+    });
+  });
+
+  describe("Guards", function () {
+    it("Should only average aggregates the data bank retains", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      await fixture.tellorDataBank.connect(fixture.admin).setHistoryLimit(ETH_USD_QUERY_ID, 2);
+      const start = (await time.latest()) - HISTORY_AGE;
+      for (const [i, price] of PRICES.entries()) {
+        await relayPrice(fixture, ETH_USD_QUERY_ID, price, { aggregateTimestamp: (start + OFFSETS[i]) * 1000 });
+      }
+      const median = await deployAveragingAdaptor(fixture, MEDIAN, 32);
+      const twap = await deployAveragingAdaptor(fixture, TWAP, 32);
+      expect(await median.latestAnswer()).to.equal(p("2050"));
+      expect(await answerAt(twap, 3)).to.equal(p("1900"));
+      await expect(answerAt(twap, 2)).to.be.revertedWith("TellorDataBank: Aggregate pruned");
+    });
+
+    it("Should read a data bank without bounded histories as retaining every aggregate", async function () {
+      const fixture = await loadFixture(deployHistoryFixture);
+      const MockLegacyTellorDataBank = await ethers.getContractFactory("MockLegacyTellorDataBank");
+      const legacy = await MockLegacyTellorDataBank.deploy();
+      for (const index of PRICES.keys()) {
+        await legacy.addAggregate(ETH_USD_QUERY_ID, (await fixture.tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, index)).toObject());
+      }
+      const legacyFixture = { ...fixture, tellorDataBank: legacy };
+      const [twap, expected] = [await deployAveragingAdaptor(legacyFixture, TWAP, 32), await deployAveragingAdaptor(fixture, TWAP, 32)];
+      expect(await answerAt(twap, 3)).to.equal(await answerAt(expected, 3));
+      expect(await (await deployAveragingAdaptor(legacyFixture, MEDIAN, 32)).latestAnswer()).to.equal(p("2050"));
+    });
+
+    it("Should keep the adaptor's pause and breaker controls", async function () {
+      const fixture = await loadFixture(deployHistoryFixture);
+      const adaptor = await deployAveragingAdaptor(fixture, MEDIAN, 32);
+      await adaptor.connect(fixture.admin).addGuardian(fixture.guardian2.address);
+      await adaptor.connect(fixture.guardian2).pause();
+      await expect(adaptor.latestRoundData()).to.be.revertedWith("GuardedPausable: Tellor is paused");
+      await adaptor.connect(fixture.guardian2).unpause();
+
+      // the breaker compares the aggregates themselves and serves the window ending at the last accepted one
+      await adaptor.connect(fixture.admin).setDeviationBreaker(2000, 3600, true);
+      await relayPrice(fixture, ETH_USD_QUERY_ID, p("4000"));
+      const round = await adaptor.latestRoundData();
+      expect(round.roundId).to.equal(4);
+      expect(round.answer).to.equal(p("2050"));
+    });
+  });
+});
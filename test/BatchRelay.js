@@ -0,0 +1,172 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const h = require("./customHelpers.js");
+const { deployTellorDataBankFixture, ETH_USD_QUERY_ID } = require("./fixtures.js");
+const { buildQuery } = require("../scripts/lib/queryId.js");
+
+describe("TellorDataBank batch relay", function () {
+  const BTC_USD_QUERY_ID = buildQuery("SpotPrice", ["btc", "usd"]).queryId;
+  const TRB_USD_QUERY_ID = buildQuery("SpotPrice", ["trb", "usd"]).queryId;
+  const abiCoder = new ethers.AbiCoder();
+  const errorInterface = new ethers.Interface(["error Error(string)"]);
+
+  // prepares a uint256 price attestation for each item, all signed by the fixture's validator set
+  async function prepareBatch(fixture, items) {
+    const { validators, powers, valCheckpoint } = fixture;
+    const prepared = [];
+    for (const { queryId, price, overrides } of items) {
+      const value = abiCoder.encode(["uint256"], [price]);
+      prepared.push(await h.prepareOracleData(queryId, value, validators, powers, valCheckpoint, overrides));
+    }
+    return {
+      attestData: prepared.map(p => p.attestData),
+      currentValidatorSet: prepared[0].currentValidatorSet,
+      sigs: prepared.map(p => p.sigs),
+    };
+  }
+
+  async function sendBatch(tellorDataBank, batch, bestEffort) {
+    const args = [batch.attestData, batch.currentValidatorSet, batch.sigs, bestEffort];
+    const stored = await tellorDataBank.batchUpdateOracleData.staticCall(...args);
+    const tx = await tellorDataBank.batchUpdateOracleData(...args);
+    return { stored, tx };
+  }
+
+  async function latestPrice(tellorDataBank, queryId) {
+    const data = await tellorDataBank.getCurrentAggregateData(queryId);
+    return abiCoder.decode(["uint256"], data.value)[0];
+  }
+
+  describe("All or nothing", function () {
+    it("Should store every attestation and emit OracleUpdated for each", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank } = fixture;
+      const batch = await prepareBatch(fixture, [
+        { queryId: ETH_USD_QUERY_ID, price: 2000n },
+        { queryId: BTC_USD_QUERY_ID, price: 60000n },
+        { queryId: TRB_USD_QUERY_ID, price: 50n },
+      ]);
+      const { stored, tx } = await sendBatch(tellorDataBank, batch, false);
+      expect(stored).to.deep.equal([true, true, true]);
+      await expect(tx).to.emit(tellorDataBank, "OracleUpdated").withArgs(ETH_USD_QUERY_ID, anyValue)
+        .and.to.emit(tellorDataBank, "OracleUpdated").withArgs(BTC_USD_QUERY_ID, anyValue)
+        .and.to.emit(tellorDataBank, "OracleUpdated").withArgs(TRB_USD_QUERY_ID, anyValue)
+        .and.not.to.emit(tellorDataBank, "OracleUpdateFailed");
+      expect((await (await tx).wait()).logs.length).to.equal(3);
+      expect(await latestPrice(tellorDataBank, ETH_USD_QUERY_ID)).to.equal(2000n);
+      expect(await latestPrice(tellorDataBank, BTC_USD_QUERY_ID)).to.equal(60000n);
+      expect(await latestPrice(tellorDataBank, TRB_USD_QUERY_ID)).to.equal(50n);
+    });
+
+    it("Should store the same query ID more than once in order", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank } = fixture;
+      const now = await time.latest();
+      const batch = await prepareBatch(fixture, [
+        { queryId: ETH_USD_QUERY_ID, price: 2000n, overrides: { aggregateTimestamp: (now - 10) * 1000 } },
+        { queryId: ETH_USD_QUERY_ID, price: 2001n, overrides: { aggregateTimestamp: (now - 5) * 1000 } },
+      ]);
+      await sendBatch(tellorDataBank, batch, false);
+      expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(2);
+      expect(await latestPrice(tellorDataBank, ETH_USD_QUERY_ID)).to.equal(2001n);
+    });
+
+    it("Should revert the whole batch with the reason of the first failing attestation", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, dataBridge } = fixture;
+      const now = await time.latest();
+      const tooOld = await prepareBatch(fixture, [
+        { queryId: ETH_USD_QUERY_ID, price: 2000n },
+        { queryId: BTC_USD_QUERY_ID, price: 60000n, overrides: { aggregateTimestamp: (now - 25 * 3600) * 1000, attestationTimestamp: now * 1000 } },
+      ]);
+      await expect(tellorDataBank.batchUpdateOracleData(tooOld.attestData, tooOld.currentValidatorSet, tooOld.sigs, false))
+        .to.be.revertedWith("TellorDataBank: Data too old");
+
+      const unsigned = await prepareBatch(fixture, [
+        { queryId: ETH_USD_QUERY_ID, price: 2000n },
+        { queryId: BTC_USD_QUERY_ID, price: 60000n, overrides: { signers: [] } },
+      ]);
+      await expect(tellorDataBank.batchUpdateOracleData(unsigned.attestData, unsigned.currentValidatorSet, unsigned.sigs, false))
+        .to.be.revertedWithCustomError(dataBridge, "InsufficientVotingPower");
+      expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(0);
+    });
+  });
+
+  describe("Best effort", function () {
+    it("Should store the valid attestations and report why the others failed", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, dataBridge } = fixture;
+      const now = await time.latest();
+      const batch = await prepareBatch(fixture, [
+        { queryId: ETH_USD_QUERY_ID, price: 2000n },
+        { queryId: BTC_USD_QUERY_ID, price: 60000n, overrides: { aggregateTimestamp: (now - 25 * 3600) * 1000, attestationTimestamp: now * 1000 } },
+        { queryId: TRB_USD_QUERY_ID, price: 50n, overrides: { wrongKeys: { 0: ethers.Wallet.createRandom().privateKey } } },
+        { queryId: TRB_USD_QUERY_ID, price: 51n },
+      ]);
+      const { stored, tx } = await sendBatch(tellorDataBank, batch, true);
+      expect(stored).to.deep.equal([true, false, false, true]);
+      await expect(tx).to.emit(tellorDataBank, "OracleUpdateFailed")
+        .withArgs(BTC_USD_QUERY_ID, 1, errorInterface.encodeErrorResult("Error", ["TellorDataBank: Data too old"]))
+        .and.to.emit(tellorDataBank, "OracleUpdateFailed")
+        .withArgs(TRB_USD_QUERY_ID, 2, dataBridge.interface.encodeErrorResult("InvalidSignature"));
+
+      const logs = (await (await tx).wait()).logs.map(log => tellorDataBank.interface.parseLog(log));
+      expect(logs.map(log => [log.name, log.args.queryId])).to.deep.equal([
+        ["OracleUpdated", ETH_USD_QUERY_ID],
+        ["OracleUpdateFailed", BTC_USD_QUERY_ID],
+        ["OracleUpdateFailed", TRB_USD_QUERY_ID],
+        ["OracleUpdated", TRB_USD_QUERY_ID],
+      ]);
+      expect(await tellorDataBank.getAggregateValueCount(BTC_USD_QUERY_ID)).to.equal(0);
+      expect(await tellorDataBank.getAggregateValueCount(TRB_USD_QUERY_ID)).to.equal(1);
+      expect(await latestPrice(tellorDataBank, TRB_USD_QUERY_ID)).to.equal(51n);
+    });
+
+    it("Should skip an attestation that is older than one stored earlier in the batch", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank } = fixture;
+      const now = await time.latest();
+      const batch = await prepareBatch(fixture, [
+        { queryId: ETH_USD_QUERY_ID, price: 2001n, overrides: { aggregateTimestamp: (now - 5) * 1000 } },
+        { queryId: ETH_USD_QUERY_ID, price: 2000n, overrides: { aggregateTimestamp: (now - 10) * 1000 } },
+      ]);
+      const { stored, tx } = await sendBatch(tellorDataBank, batch, true);
+      expect(stored).to.deep.equal([true, false]);
+      await expect(tx).to.emit(tellorDataBank, "OracleUpdateFailed")
+        .withArgs(ETH_USD_QUERY_ID, 1, errorInterface.encodeErrorResult("Error", ["TellorDataBank: Report timestamp must increase"]));
+      expect(await latestPrice(tellorDataBank, ETH_USD_QUERY_ID)).to.equal(2001n);
+    });
+
+    it("Should succeed without storing anything when every attestation fails", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank } = fixture;
+      const batch = await prepareBatch(fixture, [
+        { queryId: ETH_USD_QUERY_ID, price: 2000n, overrides: { signers: [] } },
+        { queryId: BTC_USD_QUERY_ID, price: 60000n, overrides: { signers: [] } },
+      ]);
+      const { stored, tx } = await sendBatch(tellorDataBank, batch, true);
+      expect(stored).to.deep.equal([false, false]);
+      await expect(tx).not.to.emit(tellorDataBank, "OracleUpdated");
+      expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(0);
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should reject empty batches and mismatched signature arrays", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank } = fixture;
+      const batch = await prepareBatch(fixture, [
+        { queryId: ETH_USD_QUERY_ID, price: 2000n },
+        { queryId: BTC_USD_QUERY_ID, price: 60000n },
+      ]);
+      for (const bestEffort of [false, true]) {
+        await expect(tellorDataBank.batchUpdateOracleData([], batch.currentValidatorSet, [], bestEffort))
+          .to.be.revertedWith("TellorDataBank: Empty batch");
+        await expect(tellorDataBank.batchUpdateOracleData(batch.attestData, batch.currentValidatorSet, batch.sigs.slice(1), bestEffort))
+          .to.be.revertedWith("TellorDataBank: Array lengths must match");
+      }
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const h = require("./customHelpers.js");
+const { deployTellorDataBankFixture, relayPrice, ETH_USD_QUERY_ID } = require("./fixtures.js");
+const { buildQuery } = require("../scripts/lib/queryId.js");
+
+describe("TellorDataBank bounded history", function () {
+  const BTC_USD_QUERY_ID = buildQuery("SpotPrice", ["btc", "usd"]).queryId;
+  const abiCoder = new ethers.AbiCoder();
+
+  // relays one price per entry, a minute apart
+  async function relayPrices(fixture, queryId, prices) {
+    for (const price of prices) {
+      await time.increase(60);
+      await relayPrice(fixture, queryId, price);
+    }
+  }
+
+  async function priceAt(tellorDataBank, queryId, index) {
+    const aggregate = await tellorDataBank.getAggregateByIndex(queryId, index);
+    return abiCoder.decode(["uint256"], aggregate.value)[0];
+  }
+
+  async function retainedPrices(tellorDataBank, queryId) {
+    const count = Number(await tellorDataBank.getAggregateValueCount(queryId));
+    const prices = [];
+    for (let index = Number(await tellorDataBank.getOldestAggregateIndex(queryId)); index < count; index++) {
+      prices.push(await priceAt(tellorDataBank, queryId, index));
+    }
+    return prices;
+  }
+
+  describe("Unbounded history", function () {
+    it("Should retain every aggregate by default", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank } = fixture;
+      await relayPrices(fixture, ETH_USD_QUERY_ID, [1n, 2n, 3n]);
+      expect(await tellorDataBank.getHistoryLimit(ETH_USD_QUERY_ID)).to.equal(0);
+      expect(await tellorDataBank.getOldestAggregateIndex(ETH_USD_QUERY_ID)).to.equal(0);
+      expect(await retainedPrices(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal([1n, 2n, 3n]);
+      expect((await tellorDataBank.data(ETH_USD_QUERY_ID, 2)).aggregateTimestamp)
+        .to.equal((await tellorDataBank.getCurrentAggregateData(ETH_USD_QUERY_ID)).aggregateTimestamp);
+      await expect(tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, 3)).to.be.revertedWith("TellorDataBank: Index out of range");
+    });
+  });
+
+  describe("setHistoryLimit", function () {
+    it("Should only let the admin set a new, non-zero limit", async function () {
+      const { tellorDataBank, admin, nonGuardian } = await loadFixture(deployTellorDataBankFixture);
+      await expect(tellorDataBank.connect(nonGuardian).setHistoryLimit(ETH_USD_QUERY_ID, 3)).to.be.revertedWith("TellorDataBank: Not the admin");
+      await expect(tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 0))
+        .to.be.revertedWith("TellorDataBank: History limit must be greater than zero");
+      await expect(tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 3))
+        .to.emit(tellorDataBank, "HistoryLimitUpdated")
+        .withArgs(ETH_USD_QUERY_ID, 3, 0);
+      await expect(tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 3)).to.be.revertedWith("TellorDataBank: History limit unchanged");
+      await expect(tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 0))
+        .to.be.revertedWith("TellorDataBank: History limit must be greater than zero");
+      expect(await tellorDataBank.getHistoryLimit(ETH_USD_QUERY_ID)).to.equal(3);
+      expect(await tellorDataBank.getHistoryLimit(BTC_USD_QUERY_ID)).to.equal(0);
+    });
+
+    it("Should keep only the most recent aggregates with global indexes", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin } = fixture;
+      await tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 3);
+      await relayPrices(fixture, ETH_USD_QUERY_ID, [1n, 2n]);
+      expect(await tellorDataBank.getOldestAggregateIndex(ETH_USD_QUERY_ID)).to.equal(0);
+      expect(await retainedPrices(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal([1n, 2n]);
+
+      await relayPrices(fixture, ETH_USD_QUERY_ID, [3n, 4n, 5n]);
+      expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(5);
+      expect(await tellorDataBank.getOldestAggregateIndex(ETH_USD_QUERY_ID)).to.equal(2);
+      expect(await retainedPrices(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal([3n, 4n, 5n]);
+      await expect(tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, 1)).to.be.revertedWith("TellorDataBank: Aggregate pruned");
+      await expect(tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, 5)).to.be.revertedWith("TellorDataBank: Index out of range");
+      const current = await tellorDataBank.getCurrentAggregateData(ETH_USD_QUERY_ID);
+      expect(abiCoder.decode(["uint256"], current.value)[0]).to.equal(5n);
+    });
+
+    it("Should bound a query ID that already has history", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin } = fixture;
+      await relayPrices(fixture, ETH_USD_QUERY_ID, [1n, 2n, 3n, 4n, 5n]);
+      await expect(tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 3))
+        .to.emit(tellorDataBank, "HistoryLimitUpdated")
+        .withArgs(ETH_USD_QUERY_ID, 3, 2);
+      expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(5);
+      expect(await retainedPrices(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal([3n, 4n, 5n]);
+
+      await relayPrices(fixture, ETH_USD_QUERY_ID, [6n, 7n]);
+      expect(await tellorDataBank.getOldestAggregateIndex(ETH_USD_QUERY_ID)).to.equal(4);
+      expect(await retainedPrices(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal([5n, 6n, 7n]);
+      // the unbounded array stops growing
+      expect((await tellorDataBank.data(ETH_USD_QUERY_ID, 4)).aggregateTimestamp).to.be.greaterThan(0n);
+      await expect(tellorDataBank.data(ETH_USD_QUERY_ID, 5)).to.be.reverted;
+    });
+
+    it("Should lower and raise the limit without exposing pruned aggregates", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin } = fixture;
+      await tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 4);
+      await relayPrices(fixture, ETH_USD_QUERY_ID, [1n, 2n, 3n, 4n, 5n, 6n]);
+
+      await tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 2);
+      expect(await tellorDataBank.getOldestAggregateIndex(ETH_USD_QUERY_ID)).to.equal(4);
+      expect(await retainedPrices(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal([5n, 6n]);
+
+      // pruned aggregates do not come back when the limit is raised
+      await expect(tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 5))
+        .to.emit(tellorDataBank, "HistoryLimitUpdated")
+        .withArgs(ETH_USD_QUERY_ID, 5, 4);
+      expect(await retainedPrices(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal([5n, 6n]);
+      await expect(tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, 3)).to.be.revertedWith("TellorDataBank: Aggregate pruned");
+
+      await relayPrices(fixture, ETH_USD_QUERY_ID, [7n, 8n, 9n, 10n]);
+      expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(10);
+      expect(await tellorDataBank.getOldestAggregateIndex(ETH_USD_QUERY_ID)).to.equal(5);
+      expect(await retainedPrices(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal([6n, 7n, 8n, 9n, 10n]);
+    });
+  });
+
+  describe("Ring buffer", function () {
+    it("Should overwrite a longer value with a shorter one", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin, validators, powers, valCheckpoint } = fixture;
+      await tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 1);
+      for (const value of ["0x" + "ab".repeat(100), "0x1234"]) {
+        await time.increase(60);
+        const relayArgs = await h.prepareOracleData(ETH_USD_QUERY_ID, value, validators, powers, valCheckpoint);
+        await expect(tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs))
+          .to.emit(tellorDataBank, "OracleUpdated");
+      }
+      expect((await tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, 1)).value).to.equal("0x1234");
+      expect((await tellorDataBank.getCurrentAggregateData(ETH_USD_QUERY_ID)).value).to.equal("0x1234");
+    });
+
+    it("Should make relays cheaper once the ring buffer is full", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin } = fixture;
+      await tellorDataBank.connect(admin).setHistoryLimit(BTC_USD_QUERY_ID, 2);
+      await relayPrices(fixture, ETH_USD_QUERY_ID, [1n, 2n]);
+      await relayPrices(fixture, BTC_USD_QUERY_ID, [1n, 2n]);
+
+      const gasUsed = async (queryId) => {
+        await time.increase(60);
+        const value = abiCoder.encode(["uint256"], [3n]);
+        const relayArgs = await h.prepareOracleData(queryId, value, fixture.validators, fixture.powers, fixture.valCheckpoint);
+        const tx = await tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+        return (await tx.wait()).gasUsed;
+      };
+      // overwriting storage costs less than taking new storage
+      expect(await gasUsed(BTC_USD_QUERY_ID)).to.be.lessThan(await gasUsed(ETH_USD_QUERY_ID));
+    });
+  });
+});
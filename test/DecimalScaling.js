@@ -0,0 +1,149 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const h = require("./customHelpers.js");
+const { deployTellorDataBankFixture, ETH_USD_QUERY_ID } = require("./fixtures.js");
+
+describe("GuardedLiquityV2OracleAdaptor decimal scaling", function () {
+  const abiCoder = new ethers.AbiCoder();
+
+  async function deployAdaptor(fixture, decimals, sourceDecimals, signedValue = false) {
+    const GuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2OracleAdaptor");
+    return GuardedLiquityV2OracleAdaptor.deploy(fixture.tellorDataBank.target, ETH_USD_QUERY_ID, decimals, sourceDecimals, signedValue, "ProjectA", "ETH/USD", fixture.admin.address);
+  }
+
+  // relays an ABI encoded value of the given type a minute after the previous one
+  async function relayValue(fixture, type, value) {
+    const { tellorDataBank, validators, powers, valCheckpoint } = fixture;
+    await time.increase(60);
+    const relayArgs = await h.prepareOracleData(ETH_USD_QUERY_ID, abiCoder.encode([type], [value]), validators, powers, valCheckpoint);
+    await tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+  }
+
+  describe("Deployment", function () {
+    it("Should store the source decimals and value type", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAdaptor(fixture, 8, 18, true);
+      expect(await adaptor.decimals()).to.equal(8);
+      expect(await adaptor.sourceDecimals()).to.equal(18);
+      expect(await adaptor.signedValue()).to.equal(true);
+    });
+
+    it("Should reject scaling factors that do not fit in an int256", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      await expect(deployAdaptor(fixture, 0, 77)).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Decimals difference too large");
+      await expect(deployAdaptor(fixture, 95, 18)).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Decimals difference too large");
+      await deployAdaptor(fixture, 0, 76);
+      await deployAdaptor(fixture, 94, 18);
+    });
+  });
+
+  describe("Unsigned values", function () {
+    it("Should serve values as stored when the decimals match", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAdaptor(fixture, 18, 18);
+      await relayValue(fixture, "uint256", ethers.parseUnits("2000.123456789012345678", 18));
+      expect(await adaptor.latestAnswer()).to.equal(ethers.parseUnits("2000.123456789012345678", 18));
+    });
+
+    it("Should add decimals to an 8 decimal source", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAdaptor(fixture, 18, 8);
+      await relayValue(fixture, "uint256", ethers.parseUnits("2000.12345678", 8));
+      expect(await adaptor.latestAnswer()).to.equal(ethers.parseUnits("2000.12345678", 18));
+      expect((await adaptor.getRoundData(1)).answer).to.equal(ethers.parseUnits("2000.12345678", 18));
+    });
+
+    it("Should remove decimals rounding half up", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAdaptor(fixture, 8, 18);
+      const cases = [
+        ["2000.123456784999999999", "2000.12345678"],
+        ["2000.123456785", "2000.12345679"],
+        ["2000.123456789999999999", "2000.12345679"],
+        ["0.000000004999999999", "0"],
+        ["0.000000005", "0.00000001"],
+      ];
+      for (const [stored, served] of cases) {
+        await relayValue(fixture, "uint256", ethers.parseUnits(stored, 18));
+        expect(await adaptor.latestAnswer()).to.equal(ethers.parseUnits(served, 8), stored);
+      }
+    });
+
+    it("Should reject values too large to serve", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const upscaling = await deployAdaptor(fixture, 18, 8);
+      const downscaling = await deployAdaptor(fixture, 8, 18);
+      const largest = ethers.MaxInt256 / 10n ** 10n;
+      await relayValue(fixture, "uint256", largest);
+      expect(await upscaling.latestAnswer()).to.equal(largest * 10n ** 10n);
+
+      await relayValue(fixture, "uint256", largest + 1n);
+      await expect(upscaling.latestAnswer()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Price too large");
+
+      // removing decimals cannot overflow, but uint256 values above the int256 range are still refused
+      await relayValue(fixture, "uint256", ethers.MaxInt256 - 1n);
+      expect(await downscaling.latestAnswer()).to.equal((ethers.MaxInt256 - 1n) / 10n ** 10n + 1n);
+      await relayValue(fixture, "uint256", ethers.MaxUint256);
+      await expect(downscaling.latestAnswer()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Price too large");
+    });
+  });
+
+  describe("Signed values", function () {
+    it("Should decode negative values", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAdaptor(fixture, 18, 18, true);
+      await relayValue(fixture, "int256", -ethers.parseUnits("0.25", 18));
+      expect(await adaptor.latestAnswer()).to.equal(-ethers.parseUnits("0.25", 18));
+      await relayValue(fixture, "int256", ethers.MinInt256);
+      expect(await adaptor.latestAnswer()).to.equal(ethers.MinInt256);
+
+      // an unsigned adaptor over the same feed reads the two's complement as a price too large
+      const unsigned = await deployAdaptor(fixture, 18, 18, false);
+      await expect(unsigned.latestAnswer()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Price too large");
+    });
+
+    it("Should round negative values half away from zero", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAdaptor(fixture, 8, 18, true);
+      const cases = [
+        ["-2000.123456784999999999", "-2000.12345678"],
+        ["-2000.123456785", "-2000.12345679"],
+        ["-0.000000004999999999", "0"],
+        ["-0.000000005", "-0.00000001"],
+      ];
+      for (const [stored, served] of cases) {
+        await relayValue(fixture, "int256", ethers.parseUnits(stored, 18));
+        expect(await adaptor.latestAnswer()).to.equal(ethers.parseUnits(served, 8), stored);
+      }
+      await relayValue(fixture, "int256", ethers.MinInt256);
+      expect(await adaptor.latestAnswer()).to.equal(ethers.MinInt256 / 10n ** 10n - 1n);
+    });
+
+    it("Should reject negative values too large to serve", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAdaptor(fixture, 18, 8, true);
+      const largest = ethers.MaxInt256 / 10n ** 10n;
+      await relayValue(fixture, "int256", -largest);
+      expect(await adaptor.latestAnswer()).to.equal(-largest * 10n ** 10n);
+      await relayValue(fixture, "int256", -largest - 1n);
+      await expect(adaptor.latestAnswer()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Price too large");
+    });
+
+    it("Should measure deviations across zero on the served values", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const adaptor = await deployAdaptor(fixture, 8, 18, true);
+      await adaptor.connect(fixture.admin).setDeviationBreaker(1000, 3600, false);
+      await relayValue(fixture, "int256", ethers.parseUnits("1", 18));
+      await relayValue(fixture, "int256", ethers.parseUnits("-1", 18));
+      expect([...(await adaptor.getDeviationStatus())]).to.deep.equal([true, 20000n, 2n, 1n]);
+      await expect(adaptor.latestRoundData()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Deviation too large");
+
+      // the extremes of the int256 range do not overflow the change, once the window has passed so the first is accepted
+      await time.increase(3601);
+      await relayValue(fixture, "int256", ethers.MaxInt256);
+      await relayValue(fixture, "int256", ethers.MinInt256);
+      expect((await adaptor.getDeviationStatus())._deviationBps).to.equal(20000n);
+    });
+  });
+});
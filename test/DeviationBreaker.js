@@ -0,0 +1,222 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGuardedAdaptorFixture, relayPrice, ETH_USD_QUERY_ID } = require("./fixtures.js");
+
+describe("GuardedLiquityV2OracleAdaptor deviation circuit breaker", function () {
+  const STALENESS_THRESHOLD = 3600 * 25; // 25 hours staleness threshold
+  const MAX_DEVIATION_BPS = 1000; // 10%
+  const WINDOW = 3600;
+  const price = (usd) => ethers.parseUnits(usd, 18);
+
+  // an adaptor with a MockMainnetPriceFeedBase reading it, as Liquity's price feeds do
+  async function deployBreakerFixture() {
+    const fixture = await deployGuardedAdaptorFixture();
+    const MockMainnetPriceFeedBase = await ethers.getContractFactory("MockMainnetPriceFeedBase");
+    const mockMainnetPriceFeed = await MockMainnetPriceFeedBase.deploy(fixture.guardedLiquityV2OracleAdaptor.target, STALENESS_THRESHOLD);
+    return { ...fixture, mockMainnetPriceFeed };
+  }
+
+  // relays prices secondsApart from each other
+  async function relayPrices(fixture, prices, secondsApart = 60) {
+    for (const usd of prices) {
+      await time.increase(secondsApart);
+      await relayPrice(fixture, ETH_USD_QUERY_ID, price(usd));
+    }
+  }
+
+  async function setBreaker(fixture, serveLastAccepted) {
+    await fixture.guardedLiquityV2OracleAdaptor.connect(fixture.admin).setDeviationBreaker(MAX_DEVIATION_BPS, WINDOW, serveLastAccepted);
+  }
+
+  describe("Settings", function () {
+    it("Should be disabled by default", async function () {
+      const fixture = await loadFixture(deployBreakerFixture);
+      const { guardedLiquityV2OracleAdaptor, mockMainnetPriceFeed } = fixture;
+      expect([...(await guardedLiquityV2OracleAdaptor.deviationBreaker())]).to.deep.equal([0n, 0n, false]);
+      await relayPrices(fixture, ["2000", "4000"]);
+      expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).answer).to.equal(price("4000"));
+      expect([...(await guardedLiquityV2OracleAdaptor.getDeviationStatus())]).to.deep.equal([false, 10000n, 2n, 1n]);
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.lastGoodPrice()).to.equal(price("4000"));
+    });
+
+    it("Should only let the admin set, update and disable the breaker", async function () {
+      const { guardedLiquityV2OracleAdaptor, admin, nonGuardian } = await loadFixture(deployBreakerFixture);
+      await expect(guardedLiquityV2OracleAdaptor.connect(nonGuardian).setDeviationBreaker(MAX_DEVIATION_BPS, WINDOW, false))
+        .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Not an admin");
+      for (const [maxDeviationBps, window, serveLastAccepted] of [[MAX_DEVIATION_BPS, 0, false], [0, WINDOW, false], [0, 0, true]]) {
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).setDeviationBreaker(maxDeviationBps, window, serveLastAccepted))
+          .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Deviation window must be set with a max deviation");
+      }
+      await expect(guardedLiquityV2OracleAdaptor.connect(admin).setDeviationBreaker(MAX_DEVIATION_BPS, WINDOW, true))
+        .to.emit(guardedLiquityV2OracleAdaptor, "DeviationBreakerUpdated")
+        .withArgs(MAX_DEVIATION_BPS, WINDOW, true);
+      expect([...(await guardedLiquityV2OracleAdaptor.deviationBreaker())]).to.deep.equal([BigInt(MAX_DEVIATION_BPS), BigInt(WINDOW), true]);
+      await guardedLiquityV2OracleAdaptor.connect(admin).setDeviationBreaker(0, 0, false);
+      expect([...(await guardedLiquityV2OracleAdaptor.deviationBreaker())]).to.deep.equal([0n, 0n, false]);
+    });
+  });
+
+  describe("Revert mode", function () {
+    it("Should refuse a jump above the max deviation and shut the price feed down", async function () {
+      const fixture = await loadFixture(deployBreakerFixture);
+      const { guardedLiquityV2OracleAdaptor, mockMainnetPriceFeed } = fixture;
+      await setBreaker(fixture, false);
+      await relayPrices(fixture, ["2000"]);
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.lastGoodPrice()).to.equal(price("2000"));
+
+      await relayPrices(fixture, ["2500"]);
+      for (const getter of ["latestRoundData", "latestAnswer", "latestTimestamp"]) {
+        await expect(guardedLiquityV2OracleAdaptor[getter]()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Deviation too large");
+      }
+      expect([...(await guardedLiquityV2OracleAdaptor.getDeviationStatus())]).to.deep.equal([true, 2500n, 2n, 1n]);
+      // historical rounds are served as stored
+      expect((await guardedLiquityV2OracleAdaptor.getRoundData(2)).answer).to.equal(price("2500"));
+
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.shutDown()).to.equal(true);
+    });
+
+    it("Should trip on drops as well as rises", async function () {
+      const fixture = await loadFixture(deployBreakerFixture);
+      await setBreaker(fixture, false);
+      await relayPrices(fixture, ["2000", "1700"]);
+      await expect(fixture.guardedLiquityV2OracleAdaptor.latestRoundData()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Deviation too large");
+      expect((await fixture.guardedLiquityV2OracleAdaptor.getDeviationStatus())._deviationBps).to.equal(1500);
+    });
+
+    it("Should serve changes within the max deviation or outside the window", async function () {
+      const fixture = await loadFixture(deployBreakerFixture);
+      const { guardedLiquityV2OracleAdaptor, mockMainnetPriceFeed } = fixture;
+      await setBreaker(fixture, false);
+      // exactly the max deviation is allowed
+      await relayPrices(fixture, ["2000", "2200"]);
+      expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).answer).to.equal(price("2200"));
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.lastGoodPrice()).to.equal(price("2200"));
+
+      // a larger move is allowed over more than the window
+      await relayPrices(fixture, ["3000"], WINDOW + 60);
+      expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).answer).to.equal(price("3000"));
+      const status = await guardedLiquityV2OracleAdaptor.getDeviationStatus();
+      expect(status._tripped).to.equal(false);
+      expect(status._deviationBps).to.equal(3636);
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.lastGoodPrice()).to.equal(price("3000"));
+      expect(await mockMainnetPriceFeed.shutDown()).to.equal(false);
+    });
+  });
+
+  describe("Serve last accepted mode", function () {
+    it("Should serve the last accepted round until the move outlasts the window", async function () {
+      const fixture = await loadFixture(deployBreakerFixture);
+      const { guardedLiquityV2OracleAdaptor, mockMainnetPriceFeed } = fixture;
+      await setBreaker(fixture, true);
+      await relayPrices(fixture, ["2000", "2500"]);
+
+      const latest = await guardedLiquityV2OracleAdaptor.latestRoundData();
+      expect([...latest]).to.deep.equal([...(await guardedLiquityV2OracleAdaptor.getRoundData(1))]);
+      expect(latest.roundId).to.equal(1);
+      expect(await guardedLiquityV2OracleAdaptor.latestAnswer()).to.equal(price("2000"));
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.lastGoodPrice()).to.equal(price("2000"));
+      expect(await mockMainnetPriceFeed.shutDown()).to.equal(false);
+
+      // a second report close to the first outlier is still compared with the last accepted value
+      await relayPrices(fixture, ["2510"]);
+      expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).roundId).to.equal(1);
+      expect([...(await guardedLiquityV2OracleAdaptor.getDeviationStatus())]).to.deep.equal([true, 2550n, 3n, 1n]);
+
+      // once the window has passed since the last accepted value, the move is accepted
+      await relayPrices(fixture, ["2520"], WINDOW);
+      expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).roundId).to.equal(4);
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.lastGoodPrice()).to.equal(price("2520"));
+    });
+
+    it("Should never serve a rejected round after consecutive outliers", async function () {
+      const fixture = await loadFixture(deployBreakerFixture);
+      const { guardedLiquityV2OracleAdaptor } = fixture;
+      await setBreaker(fixture, true);
+      // two outliers far from each other, then a value back near the last accepted one
+      await relayPrices(fixture, ["2000", "2050", "3000", "5000"]);
+      const latest = await guardedLiquityV2OracleAdaptor.latestRoundData();
+      expect(latest.roundId).to.equal(2);
+      expect(latest.answer).to.equal(price("2050"));
+      expect([...(await guardedLiquityV2OracleAdaptor.getDeviationStatus())]).to.deep.equal([true, 14390n, 4n, 2n]);
+
+      await relayPrices(fixture, ["2100"]);
+      expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).roundId).to.equal(5);
+      expect([...(await guardedLiquityV2OracleAdaptor.getDeviationStatus())]).to.deep.equal([false, 243n, 5n, 2n]);
+    });
+
+    it("Should replay at most MAX_DEVIATION_LOOKBACK earlier aggregates", async function () {
+      const fixture = await loadFixture(deployBreakerFixture);
+      const { guardedLiquityV2OracleAdaptor } = fixture;
+      const lookback = Number(await guardedLiquityV2OracleAdaptor.MAX_DEVIATION_LOOKBACK());
+      await setBreaker(fixture, true);
+      await relayPrices(fixture, ["2000", ...Array(lookback).fill("3000")]);
+      expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).roundId).to.equal(1);
+      // the accepted value is now outside the lookback, so the oldest outlier read is taken as accepted
+      await relayPrices(fixture, ["3000"]);
+      expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).roundId).to.equal(lookback + 2);
+    });
+
+    it("Should let the price feed's staleness check catch a previous round that is too old", async function () {
+      const fixture = await loadFixture(deployBreakerFixture);
+      const { mockMainnetPriceFeed } = fixture;
+      await setBreaker(fixture, true);
+      await relayPrices(fixture, ["2000"]);
+      await relayPrices(fixture, ["2500"], STALENESS_THRESHOLD);
+      // the previous round is older than the window, so the jump is served
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.lastGoodPrice()).to.equal(price("2500"));
+
+      // with a window longer than the staleness threshold the previous round is served and found stale
+      await fixture.guardedLiquityV2OracleAdaptor.connect(fixture.admin).setDeviationBreaker(MAX_DEVIATION_BPS, STALENESS_THRESHOLD + 3600, true);
+      await mockMainnetPriceFeed.fetchPriceMock();
+      expect(await mockMainnetPriceFeed.shutDown()).to.equal(true);
+    });
+  });
+
+  it("Should not compare with a value pruned from a bounded history", async function () {
+    const fixture = await loadFixture(deployBreakerFixture);
+    const { guardedLiquityV2OracleAdaptor, tellorDataBank, admin } = fixture;
+    await setBreaker(fixture, false);
+    await relayPrices(fixture, ["2000", "4000"]);
+    await tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 1);
+    expect((await guardedLiquityV2OracleAdaptor.latestRoundData()).answer).to.equal(price("4000"));
+    expect([...(await guardedLiquityV2OracleAdaptor.getDeviationStatus())]).to.deep.equal([false, 0n, 2n, 0n]);
+  });
+
+  it("Should read a data bank without bounded histories as retaining every aggregate", async function () {
+    const fixture = await loadFixture(deployBreakerFixture);
+    const { tellorDataBank, admin } = fixture;
+    await relayPrices(fixture, ["2000", "2100", "4000"]);
+    const MockLegacyTellorDataBank = await ethers.getContractFactory("MockLegacyTellorDataBank");
+    const legacy = await MockLegacyTellorDataBank.deploy();
+    for (const index of [0, 1, 2]) {
+      await legacy.addAggregate(ETH_USD_QUERY_ID, (await tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, index)).toObject());
+    }
+    const GuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2OracleAdaptor");
+    const adaptor = await GuardedLiquityV2OracleAdaptor.deploy(legacy.target, ETH_USD_QUERY_ID, 18, 18, false, "ProjectA", "ETH/USD", admin.address);
+    await adaptor.connect(admin).setDeviationBreaker(MAX_DEVIATION_BPS, WINDOW, true);
+    const round = await adaptor.latestRoundData();
+    expect([round.roundId, round.answer]).to.deep.equal([2n, price("2100")]);
+    expect([...(await adaptor.getDeviationStatus())]).to.deep.equal([true, 9047n, 3n, 2n]);
+    expect((await adaptor.getRoundData(1)).answer).to.equal(price("2000"));
+  });
+
+  it("Should report the status without data and for changes too large to scale", async function () {
+    const fixture = await loadFixture(deployBreakerFixture);
+    const { guardedLiquityV2OracleAdaptor } = fixture;
+    expect([...(await guardedLiquityV2OracleAdaptor.getDeviationStatus())]).to.deep.equal([false, 0n, 0n, 0n]);
+    await setBreaker(fixture, false);
+    await relayPrice(fixture, ETH_USD_QUERY_ID, 1n);
+    await time.increase(60);
+    await relayPrice(fixture, ETH_USD_QUERY_ID, ethers.MaxInt256 - 1n);
+    expect([...(await guardedLiquityV2OracleAdaptor.getDeviationStatus())]).to.deep.equal([true, ethers.MaxUint256, 2n, 1n]);
+  });
+});
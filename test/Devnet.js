@@ -0,0 +1,149 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployTellorDataBankFixture, ETH_USD_QUERY_ID } = require("./fixtures.js");
+const { calculateValidatorCheckpoint, signAttestation } = require("../scripts/lib/attestation.js");
+const { createValidators, deployDevnet, describeDevnet } = require("../scripts/lib/devnet.js");
+const { PricePath, SimulatedReporter } = require("../scripts/lib/simulatedReporter.js");
+const { buildQuery } = require("../scripts/lib/queryId.js");
+
+describe("Devnet", function () {
+  const silentLogger = { log: () => {}, error: () => {} };
+  const BTC_USD_QUERY_ID = buildQuery("SpotPrice", ["btc", "usd"]).queryId;
+  const manifest = {
+    decimals: 18,
+    feeds: [
+      { projectName: "ProjectA", feedName: "ETH/USD", queryId: ETH_USD_QUERY_ID, deploymentId: "devnet-projecta-ethusd" },
+      { projectName: "ProjectA", feedName: "BTC/USD", queryId: BTC_USD_QUERY_ID, deploymentId: "devnet-projecta-btcusd" },
+      { projectName: "ProjectB", feedName: "ETH/USD", queryId: ETH_USD_QUERY_ID, deploymentId: "devnet-projectb-ethusd" },
+    ],
+  };
+
+  async function deployDevnetFixture() {
+    const [deployer] = await ethers.getSigners();
+    const validators = createValidators({ powers: [40, 35, 25] });
+    return deployDevnet({ signer: deployer, manifest, validators, logger: silentLogger });
+  }
+
+  function prices(path, ticks) {
+    return Array.from({ length: ticks }, () => path.next());
+  }
+
+  describe("PricePath", function () {
+    it("Should repeat the same random walk for the same seed", function () {
+      const first = prices(new PricePath({ start: 3000, volatility: 0.01, seed: 7 }), 20);
+      const second = prices(new PricePath({ start: 3000, volatility: 0.01, seed: 7 }), 20);
+      const other = prices(new PricePath({ start: 3000, volatility: 0.01, seed: 8 }), 20);
+      expect(first).to.deep.equal(second);
+      expect(first).to.not.deep.equal(other);
+      expect(first[0].price).to.equal(3000);
+      expect(first.every(p => p.price > 0)).to.equal(true);
+    });
+
+    it("Should apply steps and report gaps", function () {
+      const path = new PricePath({ start: 100, steps: [{ at: 2, change: -0.2 }, { at: 4, price: 150 }], gaps: [{ from: 3, to: 4 }] });
+      expect(prices(path, 6)).to.deep.equal([
+        { tick: 0, price: 100, gap: false },
+        { tick: 1, price: 100, gap: false },
+        { tick: 2, price: 80, gap: false },
+        { tick: 3, price: 80, gap: true },
+        { tick: 4, price: 150, gap: true },
+        { tick: 5, price: 150, gap: false },
+      ]);
+    });
+
+    it("Should reject invalid specs", function () {
+      expect(() => new PricePath({ start: 0 })).to.throw("start must be a positive number");
+      expect(() => new PricePath({ start: 1, steps: [{ at: 1 }] })).to.throw("either 'price' or 'change'");
+      expect(() => new PricePath({ start: 1, gaps: [{ from: 5, to: 4 }] })).to.throw("integer 'from' <= 'to'");
+    });
+  });
+
+  it("Should sign attestations the data bridge accepts", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const { tellorDataBank, validators, powers, valCheckpoint, threshold } = fixture;
+    const validatorTimestamp = await fixture.dataBridge.validatorTimestamp();
+    const validatorSet = validators.map((v, i) => ({ addr: v.address, power: powers[i] }));
+    expect(calculateValidatorCheckpoint(validatorSet, threshold, validatorTimestamp)).to.equal(valCheckpoint);
+
+    const aggregateTimestamp = BigInt((await time.latest()) - 2) * 1000n;
+    const attestData = {
+      queryId: ETH_USD_QUERY_ID,
+      report: {
+        value: ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [2000n]),
+        timestamp: aggregateTimestamp,
+        aggregatePower: 100n,
+        previousTimestamp: 0n,
+        nextTimestamp: 0n,
+        lastConsensusTimestamp: aggregateTimestamp,
+      },
+      attestationTimestamp: aggregateTimestamp + 1000n,
+    };
+    const relayArgs = signAttestation(attestData, validators.map((wallet, i) => ({ wallet, power: powers[i] })), valCheckpoint);
+    await tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+    expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(1);
+  });
+
+  it("Should deploy the bridge, data bank, adaptors and mainnet price feeds", async function () {
+    const devnet = await loadFixture(deployDevnetFixture);
+    expect(await devnet.dataBank.dataBridge()).to.equal(devnet.dataBridge.target);
+    expect(await devnet.dataBridge.powerThreshold()).to.equal(66);
+    expect(devnet.adaptors.map(a => [a.projectName, a.feedName])).to.deep.equal([["ProjectA", "ETH/USD"], ["ProjectA", "BTC/USD"], ["ProjectB", "ETH/USD"]]);
+    for (const { adaptor, mainnetPriceFeed, queryId } of devnet.adaptors) {
+      expect(await adaptor.queryId()).to.equal(queryId);
+      expect((await mainnetPriceFeed.ethUsdOracle()).aggregator).to.equal(adaptor.target);
+    }
+
+    const description = describeDevnet(devnet, "http://127.0.0.1:8545");
+    expect(description.feeds.map(f => f.adaptor)).to.deep.equal(devnet.adaptors.map(a => a.adaptor.target));
+    expect(description.validators.map(v => v.address)).to.deep.equal(createValidators({ powers: [40, 35, 25] }).map(v => v.wallet.address));
+  });
+
+  it("Should relay price paths that adaptors and mainnet price feeds read", async function () {
+    const devnet = await loadFixture(deployDevnetFixture);
+    const reporter = new SimulatedReporter({
+      dataBank: devnet.dataBank,
+      feeds: [
+        { queryId: ETH_USD_QUERY_ID, name: "ETH/USD", decimals: 18, path: new PricePath({ start: 3000, steps: [{ at: 1, price: 2500 }] }) },
+        { queryId: BTC_USD_QUERY_ID, name: "BTC/USD", decimals: 18, path: new PricePath({ start: 65000, gaps: [{ from: 1, to: 1 }] }) },
+      ],
+      validators: devnet.validators,
+      validatorCheckpoint: devnet.validatorCheckpoint,
+      logger: silentLogger,
+    });
+
+    expect((await reporter.reportOnce()).map(r => r.status)).to.deep.equal(["relayed", "relayed"]);
+    await time.increase(60);
+    expect((await reporter.reportOnce()).map(r => r.status)).to.deep.equal(["relayed", "gap"]);
+
+    const [ethA, btcA, ethB] = devnet.adaptors;
+    expect((await ethA.adaptor.latestRoundData()).answer).to.equal(ethers.parseUnits("2500", 18));
+    expect((await ethB.adaptor.latestRoundData()).answer).to.equal(ethers.parseUnits("2500", 18));
+    expect((await btcA.adaptor.latestRoundData()).answer).to.equal(ethers.parseUnits("65000", 18));
+    expect(await devnet.dataBank.getAggregateValueCount(BTC_USD_QUERY_ID)).to.equal(1);
+
+    await ethA.mainnetPriceFeed.fetchPriceMock();
+    expect(await ethA.mainnetPriceFeed.lastGoodPrice()).to.equal(ethers.parseUnits("2500", 18));
+  });
+
+  it("Should encode the values of signed feeds as int256", async function () {
+    const [deployer] = await ethers.getSigners();
+    const validators = createValidators({ powers: [40, 35, 25] });
+    const signedManifest = { decimals: 18, feeds: [{ ...manifest.feeds[0], sourceDecimals: 8, signedValue: true }] };
+    const devnet = await deployDevnet({ signer: deployer, manifest: signedManifest, validators, logger: silentLogger });
+    const reporter = new SimulatedReporter({
+      dataBank: devnet.dataBank,
+      feeds: [{ queryId: ETH_USD_QUERY_ID, name: "ETH/USD", decimals: 8, signedValue: true, path: new PricePath({ start: 3, steps: [{ at: 1, price: -1.5 }] }) }],
+      validators: devnet.validators,
+      validatorCheckpoint: devnet.validatorCheckpoint,
+      logger: silentLogger,
+    });
+
+    expect((await reporter.reportOnce()).map(r => r.status)).to.deep.equal(["relayed"]);
+    await time.increase(60);
+    expect((await reporter.reportOnce()).map(r => r.status)).to.deep.equal(["relayed"]);
+    const { value } = await devnet.dataBank.getCurrentAggregateData(ETH_USD_QUERY_ID);
+    expect(ethers.AbiCoder.defaultAbiCoder().decode(["int256"], value)[0]).to.equal(ethers.parseUnits("-1.5", 8));
+    expect((await devnet.adaptors[0].adaptor.latestRoundData()).answer).to.equal(ethers.parseUnits("-1.5", 18));
+  });
+});
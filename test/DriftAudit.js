@@ -0,0 +1,83 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGuardedAdaptorFixture, ETH_USD_QUERY_ID, DECIMALS } = require("./fixtures.js");
+const { expectedFromManifest, auditAdaptor, formatDiffTable } = require("../scripts/lib/driftAudit.js");
+
+describe("Drift audit", function () {
+  function manifestFor(fixture, feedOverrides = {}, manifestOverrides = {}) {
+    const feed = {
+      projectName: "ProjectA",
+      feedName: "ETH/USD",
+      queryId: ETH_USD_QUERY_ID,
+      deploymentId: "hardhat-projecta-ethusd",
+      ...feedOverrides,
+    };
+    return {
+      manifest: {
+        dataBankAddress: fixture.tellorDataBank.target,
+        adminAddress: fixture.admin.address,
+        decimals: DECIMALS,
+        feeds: [feed],
+        ...manifestOverrides,
+      },
+      feed,
+    };
+  }
+
+  it("Should match an adaptor deployed as described in the manifest", async function () {
+    const fixture = await loadFixture(deployGuardedAdaptorFixture);
+    const { manifest, feed } = manifestFor(fixture);
+    const rows = await auditAdaptor(fixture.guardedLiquityV2OracleAdaptor, expectedFromManifest(manifest, feed));
+    expect(rows.map(r => r.field)).to.deep.equal(["dataBank", "queryId", "decimals", "sourceDecimals", "signedValue", "name", "project", "admin", "paused", "guardians"]);
+    expect(rows.filter(r => !r.ok)).to.deep.equal([]);
+  });
+
+  it("Should report every drifted field", async function () {
+    const fixture = await loadFixture(deployGuardedAdaptorFixture);
+    const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = fixture;
+    await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
+    await guardedLiquityV2OracleAdaptor.connect(admin).pause();
+
+    const { manifest, feed } = manifestFor(fixture, { feedName: "BTC/USD", signedValue: true }, { decimals: 8 });
+    const rows = await auditAdaptor(guardedLiquityV2OracleAdaptor, expectedFromManifest(manifest, feed));
+    const mismatches = rows.filter(r => !r.ok);
+    expect(mismatches.map(r => r.field)).to.deep.equal(["decimals", "signedValue", "name", "paused", "guardians"]);
+    expect(mismatches.find(r => r.field === "name")).to.deep.equal({ field: "name", expected: "BTC/USD", actual: "ETH/USD", ok: false });
+    expect(mismatches.find(r => r.field === "paused")).to.deep.include({ expected: "false", actual: "true" });
+
+    const table = formatDiffTable([{ deploymentId: feed.deploymentId, address: guardedLiquityV2OracleAdaptor.target, rows }], true);
+    expect(table).to.contain("BTC/USD");
+    expect(table).to.not.contain("queryId");
+  });
+
+  it("Should report the fields of an adaptor without their getters as drift", async function () {
+    const fixture = await loadFixture(deployGuardedAdaptorFixture);
+    const MockLegacyGuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("MockLegacyGuardedLiquityV2OracleAdaptor");
+    const legacy = await MockLegacyGuardedLiquityV2OracleAdaptor.deploy(fixture.tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, "ProjectA", "ETH/USD", fixture.admin.address);
+    const adaptor = await ethers.getContractAt("GuardedLiquityV2OracleAdaptor", legacy.target);
+
+    const { manifest, feed } = manifestFor(fixture);
+    const rows = await auditAdaptor(adaptor, expectedFromManifest(manifest, feed));
+    expect(rows.filter(r => !r.ok)).to.deep.equal([
+      { field: "sourceDecimals", expected: "18", actual: "18 (no getter)", ok: false },
+      { field: "signedValue", expected: "false", actual: "false (no getter)", ok: false },
+    ]);
+  });
+
+  it("Should compare guardians regardless of order", async function () {
+    const fixture = await loadFixture(deployGuardedAdaptorFixture);
+    const { guardedLiquityV2OracleAdaptor, admin, guardian2, guardian3 } = fixture;
+    await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
+    await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian3.address);
+
+    const { manifest, feed } = manifestFor(fixture, {}, { guardians: [guardian3.address, admin.address, guardian2.address] });
+    const rows = await auditAdaptor(guardedLiquityV2OracleAdaptor, expectedFromManifest(manifest, feed));
+    expect(rows.find(r => r.field === "guardians").ok).to.equal(true);
+
+    // a per-feed guardian list overrides the network-wide one
+    feed.guardians = [admin.address];
+    const feedRows = await auditAdaptor(guardedLiquityV2OracleAdaptor, expectedFromManifest(manifest, feed));
+    expect(feedRows.find(r => r.field === "guardians").ok).to.equal(false);
+  });
+});
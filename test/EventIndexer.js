@@ -0,0 +1,88 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployGuardedAdaptorFixture, relayPrice, ETH_USD_QUERY_ID } = require("./fixtures.js");
+const { JsonEventStore, EventIndexer } = require("../scripts/lib/eventIndexer.js");
+
+describe("Event indexer", function () {
+  const silentLogger = { log() {}, error() {} };
+
+  function makeIndexer(fixture, store, options = {}) {
+    const { tellorDataBank, guardedLiquityV2OracleAdaptor } = fixture;
+    return new EventIndexer({
+      provider: ethers.provider,
+      contracts: [
+        { address: tellorDataBank.target, abi: tellorDataBank.interface },
+        { address: guardedLiquityV2OracleAdaptor.target, abi: guardedLiquityV2OracleAdaptor.interface },
+      ],
+      store,
+      logger: silentLogger,
+      ...options,
+    });
+  }
+
+  it("Should decode data bank and adaptor events across block ranges", async function () {
+    const fixture = await loadFixture(deployGuardedAdaptorFixture);
+    const { tellorDataBank, guardedLiquityV2OracleAdaptor, admin, guardian2 } = fixture;
+    await relayPrice(fixture, ETH_USD_QUERY_ID, 3000n * 10n ** 18n);
+    await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
+    await guardedLiquityV2OracleAdaptor.connect(guardian2).pause();
+    await guardedLiquityV2OracleAdaptor.connect(admin).removeGuardian(guardian2.address);
+    await guardedLiquityV2OracleAdaptor.connect(admin).unpause();
+
+    const store = new JsonEventStore();
+    const indexer = makeIndexer(fixture, store, { batchSize: 2 });
+    await indexer.indexOnce();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const [oracleUpdated] = store.getEvents(chainId, tellorDataBank.target);
+    expect(oracleUpdated.event).to.equal("OracleUpdated");
+    expect(oracleUpdated.args.queryId).to.equal(ETH_USD_QUERY_ID);
+    expect(oracleUpdated.args.attestData.report.value).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [3000n * 10n ** 18n]));
+    expect(oracleUpdated.args.attestData.report.timestamp).to.be.a("string");
+
+    const adaptorEvents = store.getEvents(chainId, guardedLiquityV2OracleAdaptor.target);
+    expect(adaptorEvents.map(e => e.event)).to.deep.equal(["GuardianAdded", "GuardianAdded", "Paused", "GuardianRemoved", "Unpaused"]);
+    expect(adaptorEvents[1].args).to.deep.equal({ guardian: guardian2.address });
+    expect(store.getEvents(chainId, guardedLiquityV2OracleAdaptor.target, "Paused").length).to.equal(1);
+  });
+
+  it("Should resume from the last indexed block of a persisted store", async function () {
+    const fixture = await loadFixture(deployGuardedAdaptorFixture);
+    const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = fixture;
+    const storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "events.json");
+    await makeIndexer(fixture, new JsonEventStore(storeFile), { confirmations: 0 }).indexOnce();
+
+    await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
+    const lastIndexedBlock = new JsonEventStore(storeFile).getContract((await ethers.provider.getNetwork()).chainId, guardedLiquityV2OracleAdaptor.target).lastIndexedBlock;
+    const [, adaptorResult] = await makeIndexer(fixture, new JsonEventStore(storeFile), { confirmations: 0 }).indexOnce();
+    expect(adaptorResult).to.deep.include({ fromBlock: lastIndexedBlock + 1, newEvents: 1, reorged: false });
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const events = new JsonEventStore(storeFile).getEvents(chainId, guardedLiquityV2OracleAdaptor.target);
+    expect(events.map(e => e.event)).to.deep.equal(["GuardianAdded", "GuardianAdded"]);
+  });
+
+  it("Should replace events from reorged blocks", async function () {
+    const fixture = await loadFixture(deployGuardedAdaptorFixture);
+    const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = fixture;
+    const store = new JsonEventStore();
+    const indexer = makeIndexer(fixture, store, { confirmations: 3 });
+    await indexer.indexOnce();
+
+    // index a pause that is then reorged out in favour of a different block
+    const snapshot = await network.provider.send("evm_snapshot");
+    await guardedLiquityV2OracleAdaptor.connect(admin).pause();
+    await indexer.indexOnce();
+    await network.provider.send("evm_revert", [snapshot]);
+    await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
+
+    const [, adaptorResult] = await indexer.indexOnce();
+    expect(adaptorResult.reorged).to.equal(true);
+    const { chainId } = await ethers.provider.getNetwork();
+    expect(store.getEvents(chainId, guardedLiquityV2OracleAdaptor.target).map(e => e.event)).to.deep.equal(["GuardianAdded", "GuardianAdded"]);
+  });
+});
@@ -0,0 +1,204 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGuardedAdaptorFixture, relayPrice, ETH_USD_QUERY_ID, DECIMALS } = require("./fixtures.js");
+
+describe("GuardedLiquityV2OracleAdaptor fallback oracle", function () {
+  const STALENESS_THRESHOLD = 3600 * 25; // 25 hours staleness threshold
+  const FALLBACK_STALENESS_LIMIT = 3600;
+  const FALLBACK_DECIMALS = 8;
+  const [OFF, AUTO, FORCED] = [0, 1, 2];
+
+  // an adaptor with an 8 decimal fallback oracle and a MockMainnetPriceFeedBase reading it, as Liquity's price feeds do
+  async function deployFallbackFixture() {
+    const fixture = await deployGuardedAdaptorFixture();
+    const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
+    const fallbackOracle = await MockAggregatorV3.deploy(FALLBACK_DECIMALS);
+    const MockMainnetPriceFeedBase = await ethers.getContractFactory("MockMainnetPriceFeedBase");
+    const mockMainnetPriceFeed = await MockMainnetPriceFeedBase.deploy(fixture.guardedLiquityV2OracleAdaptor.target, STALENESS_THRESHOLD);
+    return { ...fixture, fallbackOracle, mockMainnetPriceFeed };
+  }
+
+  // the fallback fixture with a Tellor price of 2000 and a fallback price of 1990, in Auto mode
+  async function deployAutoFallbackFixture() {
+    const fixture = await deployFallbackFixture();
+    const { guardedLiquityV2OracleAdaptor, fallbackOracle, admin } = fixture;
+    await relayPrice(fixture, ETH_USD_QUERY_ID, ethers.parseUnits("2000", DECIMALS));
+    await fallbackOracle.setLatestRound(ethers.parseUnits("1990", FALLBACK_DECIMALS), await time.latest());
+    await guardedLiquityV2OracleAdaptor.connect(admin).setFallbackOracle(fallbackOracle.target, FALLBACK_STALENESS_LIMIT);
+    await guardedLiquityV2OracleAdaptor.connect(admin).setFallbackMode(AUTO);
+    return fixture;
+  }
+
+  async function fetchPrice(mockMainnetPriceFeed) {
+    await mockMainnetPriceFeed.fetchPriceMock();
+    return { lastGoodPrice: await mockMainnetPriceFeed.lastGoodPrice(), shutDown: await mockMainnetPriceFeed.shutDown() };
+  }
+
+  describe("Settings", function () {
+    it("Should only let the admin set the fallback oracle", async function () {
+      const { guardedLiquityV2OracleAdaptor, fallbackOracle, admin, guardian2 } = await loadFixture(deployFallbackFixture);
+      expect(await guardedLiquityV2OracleAdaptor.fallbackOracle()).to.equal(ethers.ZeroAddress);
+      expect(await guardedLiquityV2OracleAdaptor.fallbackMode()).to.equal(OFF);
+      await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
+      await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).setFallbackOracle(fallbackOracle.target, FALLBACK_STALENESS_LIMIT))
+        .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Not an admin");
+
+      await expect(guardedLiquityV2OracleAdaptor.connect(admin).setFallbackOracle(fallbackOracle.target, FALLBACK_STALENESS_LIMIT))
+        .to.emit(guardedLiquityV2OracleAdaptor, "FallbackOracleUpdated")
+        .withArgs(fallbackOracle.target, FALLBACK_STALENESS_LIMIT);
+      expect(await guardedLiquityV2OracleAdaptor.fallbackOracle()).to.equal(fallbackOracle.target);
+      expect(await guardedLiquityV2OracleAdaptor.fallbackStalenessLimit()).to.equal(FALLBACK_STALENESS_LIMIT);
+      expect(await guardedLiquityV2OracleAdaptor.fallbackDecimals()).to.equal(FALLBACK_DECIMALS);
+
+      const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
+      const unscalable = await MockAggregatorV3.deploy(DECIMALS + 77);
+      await expect(guardedLiquityV2OracleAdaptor.connect(admin).setFallbackOracle(unscalable.target, 0))
+        .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Decimals difference too large");
+    });
+
+    it("Should only let guardians switch the mode, and only with a fallback oracle", async function () {
+      const { guardedLiquityV2OracleAdaptor, fallbackOracle, admin, guardian2, nonGuardian } = await loadFixture(deployFallbackFixture);
+      await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
+      await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).setFallbackMode(AUTO))
+        .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Fallback oracle not set");
+      await guardedLiquityV2OracleAdaptor.connect(admin).setFallbackOracle(fallbackOracle.target, 0);
+
+      await expect(guardedLiquityV2OracleAdaptor.connect(nonGuardian).setFallbackMode(AUTO))
+        .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Not a guardian");
+      await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).setFallbackMode(OFF))
+        .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Fallback mode unchanged");
+      await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).setFallbackMode(FORCED))
+        .to.emit(guardedLiquityV2OracleAdaptor, "FallbackModeUpdated")
+        .withArgs(FORCED);
+      expect(await guardedLiquityV2OracleAdaptor.fallbackMode()).to.equal(FORCED);
+
+      // the fallback oracle can only be removed once it is no longer selected
+      await expect(guardedLiquityV2OracleAdaptor.connect(admin).setFallbackOracle(ethers.ZeroAddress, 0))
+        .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Fallback mode must be off");
+      await guardedLiquityV2OracleAdaptor.connect(guardian2).setFallbackMode(OFF);
+      await expect(guardedLiquityV2OracleAdaptor.connect(admin).setFallbackOracle(ethers.ZeroAddress, 0))
+        .to.emit(guardedLiquityV2OracleAdaptor, "FallbackOracleUpdated")
+        .withArgs(ethers.ZeroAddress, 0);
+      expect(await guardedLiquityV2OracleAdaptor.fallbackDecimals()).to.equal(0);
+    });
+  });
+
+  describe("Off", function () {
+    it("Should shut the price feed down when paused, as without a fallback oracle", async function () {
+      const fixture = await loadFixture(deployAutoFallbackFixture);
+      const { guardedLiquityV2OracleAdaptor, mockMainnetPriceFeed, admin } = fixture;
+      await guardedLiquityV2OracleAdaptor.connect(admin).setFallbackMode(OFF);
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(false);
+      await guardedLiquityV2OracleAdaptor.connect(admin).pause();
+      await expect(guardedLiquityV2OracleAdaptor.latestRoundData()).to.be.revertedWith("GuardedPausable: Tellor is paused");
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(false);
+      expect((await fetchPrice(mockMainnetPriceFeed)).shutDown).to.equal(true);
+    });
+  });
+
+  describe("Auto", function () {
+    it("Should keep the price feed running while paused", async function () {
+      const fixture = await loadFixture(deployAutoFallbackFixture);
+      const { guardedLiquityV2OracleAdaptor, fallbackOracle, mockMainnetPriceFeed, admin } = fixture;
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(false);
+      expect(await fetchPrice(mockMainnetPriceFeed)).to.deep.equal({ lastGoodPrice: ethers.parseUnits("2000", 18), shutDown: false });
+
+      await expect(guardedLiquityV2OracleAdaptor.connect(admin).pause()).to.emit(guardedLiquityV2OracleAdaptor, "Paused");
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(true);
+      const round = await guardedLiquityV2OracleAdaptor.latestRoundData();
+      const fallbackRound = await fallbackOracle.latestRoundData();
+      // the fallback oracle's round with its answer scaled to the adaptor's decimals and its round IDs flagged
+      const flag = await guardedLiquityV2OracleAdaptor.FALLBACK_ROUND_ID_FLAG();
+      expect([...round]).to.deep.equal([fallbackRound[0] | flag, ethers.parseUnits("1990", DECIMALS), fallbackRound[2], fallbackRound[3], fallbackRound[4] | flag]);
+      expect(await guardedLiquityV2OracleAdaptor.latestAnswer()).to.equal(ethers.parseUnits("1990", DECIMALS));
+      expect(await fetchPrice(mockMainnetPriceFeed)).to.deep.equal({ lastGoodPrice: ethers.parseUnits("1990", 18), shutDown: false });
+      // Tellor rounds stay paused
+      await expect(guardedLiquityV2OracleAdaptor.getRoundData(1)).to.be.revertedWith("GuardedPausable: Tellor is paused");
+
+      await expect(guardedLiquityV2OracleAdaptor.connect(admin).unpause()).to.emit(guardedLiquityV2OracleAdaptor, "Unpaused");
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(false);
+      expect(await fetchPrice(mockMainnetPriceFeed)).to.deep.equal({ lastGoodPrice: ethers.parseUnits("2000", 18), shutDown: false });
+    });
+
+    it("Should fall back while the Tellor value is older than the staleness limit", async function () {
+      const fixture = await loadFixture(deployAutoFallbackFixture);
+      const { guardedLiquityV2OracleAdaptor, fallbackOracle, mockMainnetPriceFeed } = fixture;
+      const { updatedAt } = await guardedLiquityV2OracleAdaptor.latestRoundData();
+      await time.increaseTo(updatedAt + BigInt(FALLBACK_STALENESS_LIMIT));
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(false);
+
+      await time.increase(1);
+      await fallbackOracle.setLatestRound(ethers.parseUnits("1995", FALLBACK_DECIMALS), await time.latest());
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(true);
+      expect(await fetchPrice(mockMainnetPriceFeed)).to.deep.equal({ lastGoodPrice: ethers.parseUnits("1995", 18), shutDown: false });
+
+      // a new Tellor value switches back
+      await relayPrice(fixture, ETH_USD_QUERY_ID, ethers.parseUnits("2005", DECIMALS));
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(false);
+      expect(await fetchPrice(mockMainnetPriceFeed)).to.deep.equal({ lastGoodPrice: ethers.parseUnits("2005", 18), shutDown: false });
+    });
+
+    it("Should fall back before the first Tellor value, and only on pauses without a staleness limit", async function () {
+      const fixture = await loadFixture(deployFallbackFixture);
+      const { guardedLiquityV2OracleAdaptor, fallbackOracle, admin } = fixture;
+      await fallbackOracle.setLatestRound(ethers.parseUnits("1990", FALLBACK_DECIMALS), await time.latest());
+      await guardedLiquityV2OracleAdaptor.connect(admin).setFallbackOracle(fallbackOracle.target, 0);
+      await guardedLiquityV2OracleAdaptor.connect(admin).setFallbackMode(AUTO);
+      expect(await guardedLiquityV2OracleAdaptor.latestAnswer()).to.equal(ethers.parseUnits("1990", DECIMALS));
+
+      await relayPrice(fixture, ETH_USD_QUERY_ID, ethers.parseUnits("2000", DECIMALS));
+      await time.increase(STALENESS_THRESHOLD);
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(false);
+      expect(await guardedLiquityV2OracleAdaptor.latestAnswer()).to.equal(ethers.parseUnits("2000", DECIMALS));
+    });
+
+    it("Should leave a failing or stale fallback oracle to the price feed's own checks", async function () {
+      const fixture = await loadFixture(deployAutoFallbackFixture);
+      const { guardedLiquityV2OracleAdaptor, fallbackOracle, mockMainnetPriceFeed, admin } = fixture;
+      await guardedLiquityV2OracleAdaptor.connect(admin).pause();
+      await fallbackOracle.setReverts(true);
+      await expect(guardedLiquityV2OracleAdaptor.latestRoundData()).to.be.revertedWith("MockAggregatorV3: Reverted");
+      await fallbackOracle.setReverts(false);
+
+      await time.increase(STALENESS_THRESHOLD + 1);
+      expect(await fetchPrice(mockMainnetPriceFeed)).to.deep.equal({ lastGoodPrice: 0n, shutDown: true });
+    });
+
+    it("Should reject fallback answers that are not positive or not yet or never updated", async function () {
+      const fixture = await loadFixture(deployAutoFallbackFixture);
+      const { guardedLiquityV2OracleAdaptor, fallbackOracle, admin } = fixture;
+      await guardedLiquityV2OracleAdaptor.connect(admin).pause();
+      const now = await time.latest();
+      await fallbackOracle.setLatestRound(0, now);
+      await expect(guardedLiquityV2OracleAdaptor.latestRoundData()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Invalid fallback answer");
+      await fallbackOracle.setLatestRound(ethers.parseUnits("-1990", FALLBACK_DECIMALS), now);
+      await expect(guardedLiquityV2OracleAdaptor.latestRoundData()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Invalid fallback answer");
+      await fallbackOracle.setLatestRound(ethers.parseUnits("1990", FALLBACK_DECIMALS), 0);
+      await expect(guardedLiquityV2OracleAdaptor.latestRoundData()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Invalid fallback timestamp");
+      await fallbackOracle.setLatestRound(ethers.parseUnits("1990", FALLBACK_DECIMALS), now + 3600);
+      await expect(guardedLiquityV2OracleAdaptor.latestRoundData()).to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Invalid fallback timestamp");
+    });
+  });
+
+  describe("Forced", function () {
+    it("Should serve the fallback oracle while the Tellor value is fresh", async function () {
+      const fixture = await loadFixture(deployAutoFallbackFixture);
+      const { guardedLiquityV2OracleAdaptor, mockMainnetPriceFeed, admin } = fixture;
+      await expect(guardedLiquityV2OracleAdaptor.connect(admin).setFallbackMode(FORCED))
+        .to.emit(guardedLiquityV2OracleAdaptor, "FallbackModeUpdated")
+        .withArgs(FORCED);
+      expect(await guardedLiquityV2OracleAdaptor.isFallbackActive()).to.equal(true);
+      expect(await fetchPrice(mockMainnetPriceFeed)).to.deep.equal({ lastGoodPrice: ethers.parseUnits("1990", 18), shutDown: false });
+      // Tellor rounds are still served by round ID, fallback rounds are not
+      expect((await guardedLiquityV2OracleAdaptor.getRoundData(1)).answer).to.equal(ethers.parseUnits("2000", DECIMALS));
+      const { roundId } = await guardedLiquityV2OracleAdaptor.latestRoundData();
+      expect(roundId).to.equal((await guardedLiquityV2OracleAdaptor.FALLBACK_ROUND_ID_FLAG()) + 1n);
+      await expect(guardedLiquityV2OracleAdaptor.getRoundData(roundId))
+        .to.be.revertedWith("GuardedLiquityV2OracleAdaptor: Fallback rounds not served by round ID");
+
+      await guardedLiquityV2OracleAdaptor.connect(admin).setFallbackMode(OFF);
+      expect(await fetchPrice(mockMainnetPriceFeed)).to.deep.equal({ lastGoodPrice: ethers.parseUnits("2000", 18), shutDown: false });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { time, mine, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployTellorDataBankFixture, relayPrice, ETH_USD_QUERY_ID } = require("./fixtures.js");
+const { getDataBankConstants } = require("../scripts/lib/dataBankConstants.js");
+const { JsonEventStore, EventIndexer } = require("../scripts/lib/eventIndexer.js");
+const {
+  HISTORY_COLUMNS,
+  readAggregates,
+  readOptimisticDelays,
+  toHistoryRow,
+  lastConsensusTimestampsFromEvents,
+  formatCsv,
+} = require("../scripts/lib/feedHistory.js");
+
+describe("Feed history export", function () {
+  const { OPTIMISTIC_DELAY } = getDataBankConstants();
+
+  // relays one optimistic report followed by three consensus reports an hour apart
+  async function deployHistoryFixture() {
+    const fixture = await deployTellorDataBankFixture();
+    const now = await time.latest();
+    const optimisticTimestamp = now - Number(OPTIMISTIC_DELAY) - 3600;
+    await relayPrice(fixture, ETH_USD_QUERY_ID, 2000n, {
+      aggregateTimestamp: optimisticTimestamp * 1000,
+      attestationTimestamp: now * 1000,
+      lastConsensusTimestamp: (optimisticTimestamp - 3600) * 1000,
+      aggregatePower: fixture.threshold / 2 + 1,
+    });
+    for (const price of [2001n, 2002n, 2003n]) {
+      await time.increase(3600);
+      await relayPrice(fixture, ETH_USD_QUERY_ID, price);
+    }
+    return fixture;
+  }
+
+  it("Should read every aggregate with decoded values and derived columns", async function () {
+    const { tellorDataBank } = await loadFixture(deployHistoryFixture);
+    const aggregates = await readAggregates(tellorDataBank, ETH_USD_QUERY_ID);
+    const rows = aggregates.map(a => toHistoryRow(a, { optimisticDelay: OPTIMISTIC_DELAY }));
+
+    expect(rows.map(r => r.value)).to.deep.equal(["2000", "2001", "2002", "2003"]);
+    const latest = await tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, 3);
+    expect(rows[3]).to.deep.include({
+      index: 3,
+      aggregateTimestamp: latest.aggregateTimestamp.toString(),
+      aggregateTime: new Date(Number(latest.aggregateTimestamp)).toISOString(),
+      relayTime: new Date(Number(latest.relayTimestamp) * 1000).toISOString(),
+      relayLatencySeconds: ((Number(latest.relayTimestamp) * 1000 - Number(latest.aggregateTimestamp)) / 1000).toString(),
+      attestationDelaySeconds: "1",
+      reportType: "consensus",
+    });
+    // attested after the dispute period, so storage alone cannot tell
+    expect(rows[0].reportType).to.equal("unknown");
+    expect(Number(rows[0].relayLatencySeconds)).to.be.greaterThan(Number(OPTIMISTIC_DELAY));
+  });
+
+  it("Should classify optimistic reports from indexed OracleUpdated events", async function () {
+    const { tellorDataBank } = await loadFixture(deployHistoryFixture);
+    const store = new JsonEventStore();
+    await new EventIndexer({ provider: ethers.provider, contracts: [{ address: tellorDataBank.target, abi: tellorDataBank.interface }], store, logger: { log() {}, error() {} } }).indexOnce();
+    const { chainId } = await ethers.provider.getNetwork();
+    const lastConsensusTimestamps = lastConsensusTimestampsFromEvents(store.getEvents(chainId, tellorDataBank.target, "OracleUpdated"), ETH_USD_QUERY_ID);
+
+    const aggregates = await readAggregates(tellorDataBank, ETH_USD_QUERY_ID);
+    const rows = aggregates.map(a => toHistoryRow(a, { optimisticDelay: OPTIMISTIC_DELAY, lastConsensusTimestamps }));
+    expect(rows.map(r => r.reportType)).to.deep.equal(["optimistic", "consensus", "consensus", "consensus"]);
+  });
+
+  it("Should classify each report with the optimistic delay in effect when it was relayed", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const { tellorDataBank, admin } = fixture;
+    // consensus reports attested two hours after their aggregate
+    const relayLateAttestation = async (price) => {
+      const now = await time.latest();
+      await relayPrice(fixture, ETH_USD_QUERY_ID, price, { aggregateTimestamp: (now - 7200) * 1000, attestationTimestamp: now * 1000 });
+    };
+    await relayLateAttestation(2000n);
+    await tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, [24 * 3600, 600, 3600]);
+    await time.increase(2 * 24 * 3600);
+    await tellorDataBank.connect(admin).executeQueryParameters(ETH_USD_QUERY_ID);
+    await relayLateAttestation(2001n);
+
+    const optimisticDelays = await readOptimisticDelays(tellorDataBank, ETH_USD_QUERY_ID);
+    expect(optimisticDelays.map(d => d.optimisticDelay)).to.deep.equal([OPTIMISTIC_DELAY, 3600n]);
+    const aggregates = await readAggregates(tellorDataBank, ETH_USD_QUERY_ID);
+    expect(aggregates.map(a => toHistoryRow(a, { optimisticDelay: optimisticDelays }).reportType)).to.deep.equal(["consensus", "unknown"]);
+    // the current delay alone would misclassify the older report
+    expect(aggregates.map(a => toHistoryRow(a, { optimisticDelay: 3600n }).reportType)).to.deep.equal(["unknown", "unknown"]);
+  });
+
+  it("Should read optimistic delay updates in block ranges from a block", async function () {
+    const { tellorDataBank, admin } = await loadFixture(deployTellorDataBankFixture);
+    const update = async (parameters) => {
+      await tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, parameters);
+      await time.increase(2 * 24 * 3600);
+      return (await tellorDataBank.connect(admin).executeQueryParameters(ETH_USD_QUERY_ID)).wait();
+    };
+    const first = await update([24 * 3600, 600, 3600]);
+    await mine(5);
+    const second = await update([0, 0, 0]);
+
+    const all = await readOptimisticDelays(tellorDataBank, ETH_USD_QUERY_ID);
+    const timestampOf = async (receipt) => BigInt((await receipt.getBlock()).timestamp);
+    expect(all).to.deep.equal([
+      { fromTimestamp: 0n, optimisticDelay: OPTIMISTIC_DELAY },
+      { fromTimestamp: await timestampOf(first), optimisticDelay: 3600n },
+      { fromTimestamp: await timestampOf(second), optimisticDelay: OPTIMISTIC_DELAY },
+    ]);
+    expect(await readOptimisticDelays(tellorDataBank, ETH_USD_QUERY_ID, { batchSize: 3 })).to.deep.equal(all);
+    expect(await readOptimisticDelays(tellorDataBank, ETH_USD_QUERY_ID, { fromBlock: first.blockNumber + 1, batchSize: 1 })).to.deep.equal([all[0], all[2]]);
+    await expect(readOptimisticDelays(tellorDataBank, ETH_USD_QUERY_ID, { batchSize: 0 })).to.be.rejectedWith("batchSize must be at least 1");
+  });
+
+  it("Should filter by index and aggregate time", async function () {
+    const { tellorDataBank } = await loadFixture(deployHistoryFixture);
+    const all = await readAggregates(tellorDataBank, ETH_USD_QUERY_ID);
+    expect((await readAggregates(tellorDataBank, ETH_USD_QUERY_ID, { fromIndex: 1, toIndex: 2 })).map(a => a.index)).to.deep.equal([1, 2]);
+    expect((await readAggregates(tellorDataBank, ETH_USD_QUERY_ID, { toIndex: 10 })).length).to.equal(4);
+
+    const seconds = (a) => a.aggregateTimestamp / 1000n;
+    const byTime = await readAggregates(tellorDataBank, ETH_USD_QUERY_ID, { fromTime: seconds(all[1]), toTime: seconds(all[2]) });
+    expect(byTime.map(a => a.index)).to.deep.equal([1, 2]);
+    expect(await readAggregates(tellorDataBank, ETH_USD_QUERY_ID, { fromTime: seconds(all[3]) + 1n })).to.deep.equal([]);
+    expect(await readAggregates(tellorDataBank, ethers.ZeroHash)).to.deep.equal([]);
+  });
+
+  it("Should start from the oldest retained aggregate of a bounded history", async function () {
+    const { tellorDataBank, admin } = await loadFixture(deployHistoryFixture);
+    const all = await readAggregates(tellorDataBank, ETH_USD_QUERY_ID);
+    await tellorDataBank.connect(admin).setHistoryLimit(ETH_USD_QUERY_ID, 2);
+    expect((await readAggregates(tellorDataBank, ETH_USD_QUERY_ID)).map(a => a.index)).to.deep.equal([2, 3]);
+    expect((await readAggregates(tellorDataBank, ETH_USD_QUERY_ID, { fromIndex: 1 })).map(a => a.index)).to.deep.equal([2, 3]);
+    const fromTime = all[0].aggregateTimestamp / 1000n;
+    expect(await readAggregates(tellorDataBank, ETH_USD_QUERY_ID, { fromTime })).to.deep.equal(all.slice(2));
+  });
+
+  it("Should format rows as CSV", async function () {
+    const { tellorDataBank } = await loadFixture(deployHistoryFixture);
+    const rows = (await readAggregates(tellorDataBank, ETH_USD_QUERY_ID)).map(a => toHistoryRow(a, { valueType: "bytes", optimisticDelay: OPTIMISTIC_DELAY }));
+    const lines = formatCsv(rows).trim().split("\n");
+    expect(lines[0]).to.equal(HISTORY_COLUMNS.join(","));
+    expect(lines.length).to.equal(5);
+    expect(lines[1].split(",")[1]).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [2000n]));
+  });
+});
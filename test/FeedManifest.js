@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateManifest, resolveFeedQueryId, getValueFormat, loadManifest, loadManifestFile } = require("../scripts/lib/feedManifest.js");
+
+describe("Feed manifest", function () {
+  function validManifest() {
+    return {
+      network: "testnet",
+      dataBankAddress: "0x6f250229af8D83c51500f3565b10E93d8907B644",
+      adminAddress: "0xC69f43741D379cE93bdaAC9b5135EA3e697df1F8",
+      decimals: 18,
+      feeds: [
+        {
+          projectName: "ProjectA",
+          feedName: "ETH/USD",
+          queryId: "0x83a7f3d48786ac2667503a61e8c415438ed2922eb86a2906e4ee66d9a2ce4992",
+          deploymentId: "testnet-projecta-ethusd",
+        },
+        {
+          projectName: "ProjectB",
+          feedName: "ETH/USD",
+          queryId: "0x83a7f3d48786ac2667503a61e8c415438ed2922eb86a2906e4ee66d9a2ce4992",
+          deploymentId: "testnet-projectb-ethusd",
+        },
+      ],
+    };
+  }
+
+  function writeManifest(fileName, contents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+    fs.writeFileSync(path.join(dir, fileName), contents);
+    return dir;
+  }
+
+  describe("validateManifest", function () {
+    it("Should accept a valid manifest", function () {
+      expect(validateManifest(validManifest())).to.deep.equal([]);
+    });
+
+    it("Should reject invalid and zero addresses", function () {
+      const manifest = validManifest();
+      manifest.dataBankAddress = " ";
+      manifest.adminAddress = "0x0000000000000000000000000000000000000000";
+      expect(validateManifest(manifest)).to.deep.equal([
+        "dataBankAddress: expected an address, got \" \"",
+        "adminAddress: must not be the zero address",
+      ]);
+    });
+
+    it("Should reject decimals Liquity does not support", function () {
+      const manifest = validManifest();
+      manifest.decimals = 6;
+      expect(validateManifest(manifest)[0]).to.contain("decimals: must be one of 8, 18");
+      manifest.decimals = 8;
+      expect(validateManifest(manifest)).to.deep.equal([]);
+    });
+
+    it("Should validate optional source decimals and signed values", function () {
+      const manifest = validManifest();
+      manifest.decimals = 8;
+      manifest.feeds[0].sourceDecimals = 6;
+      manifest.feeds[0].signedValue = true;
+      expect(validateManifest(manifest)).to.deep.equal([]);
+      expect(getValueFormat(manifest.feeds[0])).to.deep.equal({ sourceDecimals: 6, signedValue: true });
+      expect(getValueFormat(manifest.feeds[1])).to.deep.equal({ sourceDecimals: 18, signedValue: false });
+
+      manifest.feeds[0].sourceDecimals = 85;
+      manifest.feeds[0].signedValue = "yes";
+      manifest.feeds[1].sourceDecimals = 1.5;
+      expect(validateManifest(manifest)).to.deep.equal([
+        "feeds[0].sourceDecimals: must be within 76 of decimals, got 85",
+        "feeds[0].signedValue: expected true or false, got \"yes\"",
+        "feeds[1].sourceDecimals: expected an integer from 0 to 255, got 1.5",
+      ]);
+    });
+
+    it("Should reject query IDs that are not 32 bytes", function () {
+      const manifest = validManifest();
+      manifest.feeds[1].queryId = "0x01";
+      expect(validateManifest(manifest)).to.deep.equal([
+        "feeds[1].queryId: expected a 32-byte hex string, got \"0x01\"",
+      ]);
+    });
+
+    it("Should accept a query type and arguments instead of a query ID", function () {
+      const manifest = validManifest();
+      delete manifest.feeds[0].queryId;
+      manifest.feeds[0].queryType = "SpotPrice";
+      manifest.feeds[0].args = ["eth", "usd"];
+      expect(validateManifest(manifest)).to.deep.equal([]);
+      expect(resolveFeedQueryId(manifest.feeds[0]).queryId).to.equal(manifest.feeds[1].queryId);
+
+      // a query ID given alongside must match
+      manifest.feeds[0].queryId = "0x0000000000000000000000000000000000000000000000000000000000000001";
+      manifest.feeds[1].queryType = "SpotPrice";
+      manifest.feeds[1].args = ["eth"];
+      expect(validateManifest(manifest)).to.deep.equal([
+        "feeds[0].queryId: \"0x0000000000000000000000000000000000000000000000000000000000000001\" does not match SpotPrice(eth, usd), expected 0x83a7f3d48786ac2667503a61e8c415438ed2922eb86a2906e4ee66d9a2ce4992",
+        "feeds[1].queryType: SpotPrice expects 2 argument(s) (string, string), got 1",
+      ]);
+    });
+
+    it("Should reject duplicate deployment IDs", function () {
+      const manifest = validManifest();
+      manifest.feeds[1].deploymentId = manifest.feeds[0].deploymentId;
+      expect(validateManifest(manifest)).to.deep.equal([
+        "feeds[1].deploymentId: 'testnet-projecta-ethusd' is already used by feeds[0]",
+      ]);
+    });
+
+    it("Should reject missing fields and unknown keys", function () {
+      const manifest = validManifest();
+      delete manifest.feeds[0].feedName;
+      manifest.feeds[0].queryID = manifest.feeds[0].queryId;
+      manifest.contracts = [];
+      expect(validateManifest(manifest)).to.deep.equal([
+        "manifest: unknown key 'contracts'",
+        "feeds[0]: unknown key 'queryID'",
+        "feeds[0].feedName: expected a non-empty string, got undefined",
+      ]);
+    });
+
+    it("Should validate optional guardian lists", function () {
+      const manifest = validManifest();
+      manifest.guardians = [manifest.adminAddress];
+      manifest.feeds[0].guardians = [manifest.adminAddress, "0x1234"];
+      expect(validateManifest(manifest)).to.deep.equal([
+        "feeds[0].guardians[1]: expected an address, got \"0x1234\"",
+      ]);
+    });
+
+    it("Should reject an empty feed list", function () {
+      const manifest = validManifest();
+      manifest.feeds = [];
+      expect(validateManifest(manifest)).to.deep.equal(["feeds: expected a non-empty list"]);
+    });
+  });
+
+  describe("loading", function () {
+    it("Should load JSON and YAML manifests by network", function () {
+      const jsonDir = writeManifest("testnet.json", JSON.stringify(validManifest()));
+      expect(loadManifest("testnet", jsonDir)).to.deep.equal(validManifest());
+
+      const manifest = validManifest();
+      const yamlSource = [
+        `network: ${manifest.network}`,
+        `dataBankAddress: "${manifest.dataBankAddress}"`,
+        `adminAddress: "${manifest.adminAddress}"`,
+        `decimals: ${manifest.decimals}`,
+        "feeds:",
+        ...manifest.feeds.flatMap(f => [
+          `  - projectName: ${f.projectName}`,
+          `    feedName: ${f.feedName}`,
+          `    queryId: "${f.queryId}"`,
+          `    deploymentId: ${f.deploymentId}`,
+        ]),
+      ].join("\n");
+      const yamlDir = writeManifest("testnet.yaml", yamlSource);
+      expect(loadManifest("testnet", yamlDir)).to.deep.equal(manifest);
+    });
+
+    it("Should list every error in one message", function () {
+      const manifest = validManifest();
+      manifest.decimals = 6;
+      manifest.feeds[0].queryId = "0x01";
+      const dir = writeManifest("testnet.json", JSON.stringify(manifest));
+      expect(() => loadManifestFile(path.join(dir, "testnet.json"))).to.throw(/decimals: must be one of 8, 18[\s\S]*feeds\[0\]\.queryId/);
+    });
+
+    it("Should fail for unknown networks and mismatched network names", function () {
+      const dir = writeManifest("testnet.json", JSON.stringify(validManifest()));
+      expect(() => loadManifest("mainnet", dir)).to.throw("No manifest for network 'mainnet'");
+      fs.copyFileSync(path.join(dir, "testnet.json"), path.join(dir, "other.json"));
+      expect(() => loadManifest("other", dir)).to.throw("Manifest for 'other' declares network 'testnet'");
+    });
+
+    it("Should ship a valid manifest for sepolia", function () {
+      const { feeds } = loadManifest("sepolia");
+      expect(feeds.length).to.be.greaterThan(0);
+      expect(feeds[0].queryId).to.equal("0x83a7f3d48786ac2667503a61e8c415438ed2922eb86a2906e4ee66d9a2ce4992");
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { compareToBudget, formatMarkdownReport } = require("../scripts/lib/gasBenchmark.js");
+
+describe("Gas benchmarks", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gas-benchmark-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeBudget(budgets) {
+    const budgetPath = path.join(dir, "gas-budget.json");
+    fs.writeFileSync(budgetPath, JSON.stringify({ tolerancePercent: 5, validatorCounts: [1, 3], valueSizes: [64], budgets }));
+    return budgetPath;
+  }
+
+  describe("compareToBudget", function () {
+    it("Should fail only measurements above the tolerance", function () {
+      const comparison = compareToBudget(
+        [{ name: "a", gas: 105 }, { name: "b", gas: 106 }, { name: "c", gas: 80 }, { name: "d", gas: 50 }],
+        { a: 100, b: 100, c: 100, e: 10 },
+        5
+      );
+      expect(comparison.rows.map(r => [r.name, r.status, r.changePercent])).to.deep.equal([
+        ["a", "ok", 5],
+        ["b", "over", 6],
+        ["c", "ok", -20],
+        ["d", "new", null],
+        ["e", "missing", null],
+      ]);
+      expect(comparison.failed).to.equal(true);
+      expect(compareToBudget([{ name: "b", gas: 106 }], { b: 100 }, 10).failed).to.equal(false);
+    });
+
+    it("Should render a markdown table", function () {
+      const markdown = formatMarkdownReport(compareToBudget([{ name: "a", gas: 110 }, { name: "b", gas: 90 }], { a: 100, b: 100 }, 5));
+      expect(markdown).to.contain("up to 5%");
+      expect(markdown).to.contain("| a | 110 | 100 | +10% | ❌ over |");
+      expect(markdown).to.contain("| b | 90 | 100 | -10% | ✅ ok |");
+    });
+  });
+
+  describe("gas:benchmark", function () {
+    it("Should write budgets with --update and pass against them", async function () {
+      const budgetPath = writeBudget({});
+      const { measurements } = await hre.run("gas:benchmark", { budget: budgetPath, update: true, noCompile: true, quiet: true });
+      expect(measurements.map(m => m.name)).to.deep.equal([
+        "updateOracleData/consensus/1-validators",
+        "updateOracleData/optimistic/1-validators",
+        "updateOracleData/consensus/3-validators",
+        "updateOracleData/optimistic/3-validators",
+        "updateOracleData/consensus/64-byte-value",
+        "updateOracleData/consensus/bounded-history",
+        "batchUpdateOracleData/all-or-nothing/10-attestations",
+        "batchUpdateOracleData/best-effort/10-attestations",
+        "latestRoundData",
+        "getCurrentAggregateData",
+        "latestRoundData/twap/4-entries",
+        "latestRoundData/twap/16-entries",
+        "latestRoundData/twap/32-entries",
+        "latestRoundData/median/4-entries",
+        "latestRoundData/median/16-entries",
+        "latestRoundData/median/32-entries",
+        "latestRoundData/guarded",
+        "latestRoundData/twap/4-entries/guarded",
+        "latestRoundData/twap/16-entries/guarded",
+        "latestRoundData/twap/32-entries/guarded",
+        "latestRoundData/median/4-entries/guarded",
+        "latestRoundData/median/16-entries/guarded",
+        "latestRoundData/median/32-entries/guarded",
+        "addGuardian",
+        "pause",
+        "unpause",
+        "removeGuardian",
+      ]);
+      const gas = Object.fromEntries(measurements.map(m => [m.name, m.gas]));
+      // more signatures and longer values cost more
+      expect(gas["updateOracleData/consensus/3-validators"]).to.be.greaterThan(gas["updateOracleData/consensus/1-validators"]);
+      expect(gas["updateOracleData/consensus/64-byte-value"]).to.be.greaterThan(gas["updateOracleData/consensus/1-validators"]);
+      expect(gas["updateOracleData/consensus/bounded-history"]).to.be.lessThan(gas["updateOracleData/consensus/1-validators"]);
+      // a batch saves the base cost of all but one transaction
+      expect(gas["batchUpdateOracleData/all-or-nothing/10-attestations"]).to.be.lessThan(10 * gas["updateOracleData/consensus/1-validators"] - 9 * 21000);
+      expect(gas["batchUpdateOracleData/best-effort/10-attestations"]).to.be.greaterThan(gas["batchUpdateOracleData/all-or-nothing/10-attestations"]);
+      // an averaging adaptor reads one aggregate per window entry
+      expect(gas["latestRoundData/twap/32-entries"]).to.be.greaterThan(gas["latestRoundData/twap/4-entries"]);
+      expect(gas["latestRoundData/median/32-entries"]).to.be.greaterThan(gas["latestRoundData/median/4-entries"]);
+      // the deviation breaker and fallback oracle add to every read
+      expect(gas["latestRoundData/guarded"]).to.be.greaterThan(gas.latestRoundData);
+      expect(gas["latestRoundData/twap/32-entries/guarded"]).to.be.greaterThan(gas["latestRoundData/twap/32-entries"]);
+      expect(gas["latestRoundData/median/32-entries/guarded"]).to.be.greaterThan(gas["latestRoundData/median/32-entries"]);
+      expect(JSON.parse(fs.readFileSync(budgetPath, "utf8")).budgets).to.deep.equal(gas);
+
+      const out = path.join(dir, "report");
+      const comparison = await hre.run("gas:benchmark", { budget: budgetPath, out, noCompile: true, quiet: true });
+      expect(comparison.failed).to.equal(false);
+      expect(comparison.rows.every(r => r.status === "ok")).to.equal(true);
+      expect(JSON.parse(fs.readFileSync(`${out}.json`, "utf8")).rows).to.have.length(measurements.length);
+      expect(fs.readFileSync(`${out}.md`, "utf8")).to.contain("| latestRoundData |");
+    });
+
+    it("Should fail when a measurement exceeds its budget", async function () {
+      const budgetPath = writeBudget({ "updateOracleData/consensus/1-validators": 100000, latestRoundData: 1000000 });
+      const out = path.join(dir, "report");
+      await expect(hre.run("gas:benchmark", { budget: budgetPath, out, noCompile: true, quiet: true }))
+        .to.be.rejectedWith("1 measurement(s) exceed their budget by more than 5%");
+      const rows = JSON.parse(fs.readFileSync(`${out}.json`, "utf8")).rows;
+      expect(rows.find(r => r.name === "updateOracleData/consensus/1-validators").status).to.equal("over");
+      expect(rows.find(r => r.name === "latestRoundData").status).to.equal("ok");
+      expect(rows.find(r => r.name === "pause").status).to.equal("new");
+
+      await hre.run("gas:benchmark", { budget: budgetPath, out, tolerance: "1000", noCompile: true, quiet: true });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGuardedAdaptorFixture, ETH_USD_QUERY_ID, DECIMALS } = require("./fixtures.js");
+const { planGuardianActions } = require("../scripts/lib/guardianAdmin.js");
+
+describe("Guardian admin", function () {
+  async function deployTwoAdaptorsFixture() {
+    const fixture = await deployGuardedAdaptorFixture();
+    const GuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2OracleAdaptor");
+    const secondAdaptor = await GuardedLiquityV2OracleAdaptor.deploy(fixture.tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, DECIMALS, false, "ProjectB", "ETH/USD", fixture.admin.address);
+    return { ...fixture, secondAdaptor };
+  }
+
+  async function send(signer, call) {
+    return signer.sendTransaction({ to: call.target, data: call.data });
+  }
+
+  it("Should produce calldata per target and address that the admin can send", async function () {
+    const { guardedLiquityV2OracleAdaptor, secondAdaptor, admin, guardian2, guardian3 } = await loadFixture(deployTwoAdaptorsFixture);
+    const calls = await planGuardianActions({
+      action: "addGuardian",
+      targets: [guardedLiquityV2OracleAdaptor.target, secondAdaptor.target],
+      addresses: [guardian2.address, guardian3.address],
+      runner: ethers.provider,
+      sender: admin.address,
+    });
+    expect(calls.map(c => [c.target, c.args[0]])).to.deep.equal([
+      [guardedLiquityV2OracleAdaptor.target, guardian2.address],
+      [guardedLiquityV2OracleAdaptor.target, guardian3.address],
+      [secondAdaptor.target, guardian2.address],
+      [secondAdaptor.target, guardian3.address],
+    ]);
+    expect(calls.every(c => c.checked && c.errors.length === 0)).to.equal(true);
+
+    for (const call of calls) {
+      await send(admin, call);
+    }
+    expect([...await secondAdaptor.getGuardianAddresses()]).to.deep.equal([admin.address, guardian2.address, guardian3.address]);
+  });
+
+  it("Should flag calls that would revert against on-chain state", async function () {
+    const { guardedLiquityV2OracleAdaptor, secondAdaptor, admin, guardian2, nonGuardian } = await loadFixture(deployTwoAdaptorsFixture);
+    await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
+    const targets = [guardedLiquityV2OracleAdaptor.target, secondAdaptor.target];
+
+    const adds = await planGuardianActions({ action: "addGuardian", targets, addresses: [guardian2.address], runner: ethers.provider });
+    expect(adds.map(c => c.errors)).to.deep.equal([["GuardedPausable: Guardian already exists"], []]);
+
+    // the admin is only removable once it is the last guardian
+    const removes = await planGuardianActions({ action: "removeGuardian", targets, addresses: [admin.address], runner: ethers.provider, sender: admin.address });
+    expect(removes.map(c => c.errors)).to.deep.equal([["GuardedPausable: Cannot remove admin if there are other guardians"], []]);
+    await expect(send(admin, removes[0])).to.be.revertedWith("GuardedPausable: Cannot remove admin if there are other guardians");
+
+    const pauses = await planGuardianActions({ action: "pause", targets, runner: ethers.provider, sender: nonGuardian.address });
+    expect(pauses.map(c => c.errors)).to.deep.equal([["GuardedPausable: Not a guardian"], ["GuardedPausable: Not a guardian"]]);
+  });
+
+  it("Should check several calls on one target in order", async function () {
+    const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = await loadFixture(deployTwoAdaptorsFixture);
+    const calls = await planGuardianActions({
+      action: "addGuardian",
+      targets: [guardedLiquityV2OracleAdaptor.target],
+      addresses: [guardian2.address, guardian2.address],
+      runner: ethers.provider,
+    });
+    expect(calls.map(c => c.errors)).to.deep.equal([[], ["GuardedPausable: Guardian already exists"]]);
+  });
+
+  it("Should check admin transfers for the admin and then the pending admin", async function () {
+    const { guardedLiquityV2OracleAdaptor, secondAdaptor, admin, guardian2 } = await loadFixture(deployTwoAdaptorsFixture);
+    const targets = [guardedLiquityV2OracleAdaptor.target, secondAdaptor.target];
+    await secondAdaptor.connect(admin).setAdminTransferDelay(3600);
+
+    const zero = await planGuardianActions({ action: "proposeAdmin", targets, addresses: [ethers.ZeroAddress], runner: ethers.provider });
+    expect(zero[0].errors).to.deep.equal(["GuardedPausable: New admin cannot be the zero address"]);
+    const early = await planGuardianActions({ action: "acceptAdmin", targets, runner: ethers.provider, sender: guardian2.address });
+    expect(early.map(c => c.errors)).to.deep.equal([["GuardedPausable: Not the pending admin"], ["GuardedPausable: Not the pending admin"]]);
+
+    const proposals = await planGuardianActions({ action: "proposeAdmin", targets, addresses: [guardian2.address], runner: ethers.provider, sender: admin.address });
+    expect(proposals.every(c => c.errors.length === 0)).to.equal(true);
+    for (const call of proposals) {
+      await send(admin, call);
+    }
+    // only the adaptor without a delay can be accepted yet
+    const accepts = await planGuardianActions({ action: "acceptAdmin", targets, runner: ethers.provider, sender: guardian2.address });
+    expect(accepts.map(c => c.errors)).to.deep.equal([[], ["GuardedPausable: Admin transfer delay not passed"]]);
+    await send(guardian2, accepts[0]);
+    await time.increase(3600);
+    await send(guardian2, (await planGuardianActions({ action: "acceptAdmin", targets: [secondAdaptor.target], runner: ethers.provider, sender: guardian2.address }))[0]);
+    expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(guardian2.address);
+    expect(await secondAdaptor.admin()).to.equal(guardian2.address);
+
+    const cancels = await planGuardianActions({ action: "cancelAdminTransfer", targets, runner: ethers.provider, sender: guardian2.address });
+    expect(cancels.map(c => c.errors)).to.deep.equal([["GuardedPausable: No pending admin transfer"], ["GuardedPausable: No pending admin transfer"]]);
+  });
+
+  it("Should read and manage adaptors without two-step admin transfers", async function () {
+    const { tellorDataBank, guardedLiquityV2OracleAdaptor, admin, guardian2, guardian3 } = await loadFixture(deployTwoAdaptorsFixture);
+    const MockLegacyGuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("MockLegacyGuardedLiquityV2OracleAdaptor");
+    const legacyAdaptor = await MockLegacyGuardedLiquityV2OracleAdaptor.deploy(tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, "ProjectA", "ETH/USD", admin.address);
+    const targets = [legacyAdaptor.target, guardedLiquityV2OracleAdaptor.target];
+
+    const adds = await planGuardianActions({ action: "addGuardian", targets, addresses: [guardian2.address], runner: ethers.provider, sender: admin.address });
+    expect(adds.map(c => [c.checked, c.errors])).to.deep.equal([[true, []], [true, []]]);
+    await send(admin, adds[0]);
+
+    // the admin is handed over with updateAdmin on the legacy adaptor, and in two steps on the current one
+    const updates = await planGuardianActions({ action: "updateAdmin", targets, addresses: [guardian3.address], runner: ethers.provider, sender: admin.address });
+    expect(updates.map(c => c.errors)).to.deep.equal([[], ["the contract has no updateAdmin, use proposeAdmin and acceptAdmin"]]);
+    const proposals = await planGuardianActions({ action: "proposeAdmin", targets, addresses: [guardian3.address], runner: ethers.provider, sender: admin.address });
+    expect(proposals.map(c => c.errors)).to.deep.equal([["the contract has no two-step admin transfer, use updateAdmin"], []]);
+    const same = await planGuardianActions({ action: "updateAdmin", targets: [legacyAdaptor.target], addresses: [admin.address], runner: ethers.provider });
+    expect(same[0].errors).to.deep.equal(["GuardedPausable: New admin cannot be the same as the current admin"]);
+
+    await send(admin, updates[0]);
+    expect(await legacyAdaptor.admin()).to.equal(guardian3.address);
+    expect([...await legacyAdaptor.getGuardianAddresses()]).to.have.members([guardian2.address, guardian3.address]);
+    const pauses = await planGuardianActions({ action: "pause", targets: [legacyAdaptor.target], runner: ethers.provider, sender: guardian3.address });
+    expect(pauses[0].errors).to.deep.equal([]);
+  });
+
+  it("Should reject unknown actions and missing or extra addresses", async function () {
+    const { guardedLiquityV2OracleAdaptor, guardian2, guardian3 } = await loadFixture(deployTwoAdaptorsFixture);
+    const targets = [guardedLiquityV2OracleAdaptor.target];
+    await expect(planGuardianActions({ action: "transferOwnership", targets })).to.be.rejectedWith("Unknown action 'transferOwnership'");
+    await expect(planGuardianActions({ action: "addGuardian", targets })).to.be.rejectedWith("addGuardian needs at least one address");
+    await expect(planGuardianActions({ action: "pause", targets, addresses: [guardian2.address] })).to.be.rejectedWith("pause does not take addresses");
+    await expect(planGuardianActions({ action: "proposeAdmin", targets, addresses: [guardian2.address, guardian3.address] })).to.be.rejectedWith("proposeAdmin takes exactly one address");
+    await expect(planGuardianActions({ action: "updateAdmin", targets, addresses: [guardian2.address, guardian3.address] })).to.be.rejectedWith("updateAdmin takes exactly one address");
+  });
+});
@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ADAPTOR_FUTURE_ID,
+  buildAdaptorParameters,
+  getDeploymentStatus,
+  findDeploymentTxHash,
+} = require("../scripts/lib/ignitionDeployments.js");
+
+describe("Ignition deployments", function () {
+  const ADAPTOR_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const TX_HASH_1 = "0x" + "11".repeat(32);
+  const TX_HASH_2 = "0x" + "22".repeat(32);
+
+  function makeDeploymentsDir(deployments) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    for (const [deploymentId, files] of Object.entries(deployments)) {
+      fs.mkdirSync(path.join(dir, deploymentId));
+      for (const [fileName, contents] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, deploymentId, fileName), contents);
+      }
+    }
+    return dir;
+  }
+
+  it("Should build ignition parameters from the manifest", function () {
+    const manifest = { dataBankAddress: "0xbank", adminAddress: "0xadmin", decimals: 8 };
+    const feed = { projectName: "ProjectA", feedName: "ETH/USD", queryId: "0x01", deploymentId: "a" };
+    expect(buildAdaptorParameters(manifest, feed)).to.deep.equal({
+      GuardedLiquityV2OracleAdaptorModule: {
+        dataBankAddress: "0xbank",
+        queryId: "0x01",
+        decimals: 8,
+        sourceDecimals: 18,
+        signedValue: false,
+        projectName: "ProjectA",
+        feedName: "ETH/USD",
+        adminAddress: "0xadmin",
+      },
+    });
+    const signedFeed = { ...feed, sourceDecimals: 6, signedValue: true };
+    expect(buildAdaptorParameters(manifest, signedFeed).GuardedLiquityV2OracleAdaptorModule).to.deep.include({ sourceDecimals: 6, signedValue: true });
+  });
+
+  it("Should detect new, partial and completed deployments", function () {
+    const dir = makeDeploymentsDir({
+      done: {
+        "deployed_addresses.json": JSON.stringify({ [ADAPTOR_FUTURE_ID]: ADAPTOR_ADDRESS }),
+        "journal.jsonl": "",
+      },
+      partial: { "journal.jsonl": "" },
+    });
+    expect(getDeploymentStatus("done", dir)).to.deep.equal({ state: "deployed", address: ADAPTOR_ADDRESS });
+    expect(getDeploymentStatus("partial", dir)).to.deep.equal({ state: "partial", address: null });
+    expect(getDeploymentStatus("missing", dir)).to.deep.equal({ state: "new", address: null });
+  });
+
+  it("Should find the latest adaptor deployment transaction in the journal", function () {
+    const journal = [
+      { type: "DEPLOYMENT_INITIALIZE", chainId: 11155111 },
+      { type: "TRANSACTION_SEND", futureId: "OtherModule#Other", transaction: { hash: "0x" + "33".repeat(32) } },
+      { type: "TRANSACTION_SEND", futureId: ADAPTOR_FUTURE_ID, transaction: { hash: TX_HASH_1 } },
+      { type: "TRANSACTION_SEND", futureId: ADAPTOR_FUTURE_ID, transaction: { hash: TX_HASH_2 } },
+      { type: "DEPLOYMENT_EXECUTION_STATE_COMPLETE", futureId: ADAPTOR_FUTURE_ID, result: { type: "SUCCESS", address: ADAPTOR_ADDRESS } },
+    ].map(entry => JSON.stringify(entry)).join("\n");
+    const dir = makeDeploymentsDir({ done: { "journal.jsonl": journal } });
+    expect(findDeploymentTxHash("done", dir)).to.equal(TX_HASH_2);
+    expect(findDeploymentTxHash("missing", dir)).to.equal(null);
+  });
+});
@@ -0,0 +1,139 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const h = require("./customHelpers.js");
+const { deployTellorDataBankFixture } = require("./fixtures.js");
+const { getDataBankConstants, readDataBankConstants } = require("../scripts/lib/dataBankConstants.js");
+const { preflightOracleData } = require("../scripts/lib/preflight.js");
+
+describe("Preflight validator", function () {
+  const abiCoder = new ethers.AbiCoder();
+  const ETH_USD_QUERY_DATA_ARGS = abiCoder.encode(["string", "string"], ["eth", "usd"]);
+  const ETH_USD_QUERY_DATA = abiCoder.encode(["string", "bytes"], ["SpotPrice", ETH_USD_QUERY_DATA_ARGS]);
+  const ETH_USD_QUERY_ID = h.hash(ETH_USD_QUERY_DATA);
+  const { OPTIMISTIC_DELAY } = getDataBankConstants();
+  const mockValue = abiCoder.encode(["uint256"], [h.toWei("2000")]);
+
+  // runs the preflight for the next block and checks the data bank agrees with it
+  async function expectPreflightMatchesChain(fixture, { attestData, currentValidatorSet, sigs }) {
+    const { tellorDataBank, dataBridge } = fixture;
+    const chainTime = (await time.latest()) + 1;
+    const current = await tellorDataBank.getCurrentAggregateData(attestData.queryId);
+    const result = preflightOracleData({
+      attestData,
+      chainTime,
+      latestAggregateTimestamp: current.aggregateTimestamp,
+      powerThreshold: await dataBridge.powerThreshold(),
+    });
+    await time.setNextBlockTimestamp(chainTime);
+    if (result.ok) {
+      await expect(tellorDataBank.updateOracleData(attestData, currentValidatorSet, sigs))
+        .to.emit(tellorDataBank, "OracleUpdated");
+    } else {
+      await expect(tellorDataBank.updateOracleData(attestData, currentValidatorSet, sigs))
+        .to.be.revertedWith(result.revertReason);
+    }
+    return result;
+  }
+
+  async function prepareOptimisticData(fixture, overrides = {}) {
+    const { validators, powers, valCheckpoint, threshold } = fixture;
+    const now = await time.latest();
+    const aggregateTimestamp = now - Number(OPTIMISTIC_DELAY) - 3600;
+    return h.prepareOracleData(ETH_USD_QUERY_ID, mockValue, validators, powers, valCheckpoint, {
+      aggregateTimestamp: aggregateTimestamp * 1000,
+      attestationTimestamp: now * 1000,
+      lastConsensusTimestamp: (aggregateTimestamp - 3600) * 1000,
+      aggregatePower: threshold / 2 + 1,
+      ...overrides,
+    });
+  }
+
+  it("Should read the same constants as the deployed data bank", async function () {
+    const { tellorDataBank } = await loadFixture(deployTellorDataBankFixture);
+    expect(await readDataBankConstants(tellorDataBank)).to.deep.equal(getDataBankConstants());
+  });
+
+  it("Should pass valid consensus data", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const relayArgs = await h.prepareOracleData(ETH_USD_QUERY_ID, mockValue, fixture.validators, fixture.powers, fixture.valCheckpoint);
+    const result = await expectPreflightMatchesChain(fixture, relayArgs);
+    expect(result.ok).to.equal(true);
+    expect(result.optimistic).to.equal(false);
+  });
+
+  it("Should pass valid optimistic data", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const result = await expectPreflightMatchesChain(fixture, await prepareOptimisticData(fixture));
+    expect(result.ok).to.equal(true);
+    expect(result.optimistic).to.equal(true);
+    expect(result.checks.map(c => c.name)).to.include.members(["noNewerConsensus", "disputePeriodPassed", "optimisticPower"]);
+  });
+
+  it("Should flag data that is too old", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const relayArgs = await h.prepareOldOracleData(ETH_USD_QUERY_ID, mockValue, fixture.validators, fixture.powers, fixture.valCheckpoint, 25);
+    const result = await expectPreflightMatchesChain(fixture, relayArgs);
+    expect(result.revertReason).to.equal("TellorDataBank: Data too old");
+    // the attestation is old as well, and every failing check is reported
+    expect(result.checks.filter(c => !c.passed).map(c => c.name)).to.deep.equal(["dataAge", "attestationAge"]);
+    expect(result.checks[0].details).to.match(/age \d+s \(\d+ms\), must be < 86400s \(86400000ms\)/);
+  });
+
+  it("Should flag an attestation that is too old", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const relayArgs = await h.prepareOldAttestationData(ETH_USD_QUERY_ID, mockValue, fixture.validators, fixture.powers, fixture.valCheckpoint, 15);
+    const result = await expectPreflightMatchesChain(fixture, relayArgs);
+    expect(result.revertReason).to.equal("TellorDataBank: Attestation too old");
+  });
+
+  it("Should flag a report timestamp that does not increase", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const first = await h.prepareOracleData(ETH_USD_QUERY_ID, mockValue, fixture.validators, fixture.powers, fixture.valCheckpoint);
+    await fixture.tellorDataBank.updateOracleData(first.attestData, first.currentValidatorSet, first.sigs);
+    const older = await h.prepareOracleDataWithTimestamp(ETH_USD_QUERY_ID, mockValue, fixture.validators, fixture.powers, fixture.valCheckpoint, first.attestData.report.timestamp - 10000);
+    const result = await expectPreflightMatchesChain(fixture, older);
+    expect(result.revertReason).to.equal("TellorDataBank: Report timestamp must increase");
+  });
+
+  it("Should flag optimistic data with insufficient power", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const result = await expectPreflightMatchesChain(fixture, await prepareOptimisticData(fixture, { aggregatePower: fixture.threshold / 2 }));
+    expect(result.revertReason).to.equal("TellorDataBank: Insufficient optimistic report power");
+  });
+
+  it("Should flag optimistic data before the dispute period has passed", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const now = await time.latest();
+    const aggregateTimestamp = now - Number(OPTIMISTIC_DELAY) + 3600;
+    const result = await expectPreflightMatchesChain(fixture, await prepareOptimisticData(fixture, {
+      aggregateTimestamp: aggregateTimestamp * 1000,
+      lastConsensusTimestamp: (aggregateTimestamp - 3600) * 1000,
+    }));
+    expect(result.revertReason).to.equal("TellorDataBank: Dispute period not passed");
+  });
+
+  it("Should flag a more recent optimistic report", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const now = await time.latest();
+    const result = await expectPreflightMatchesChain(fixture, await prepareOptimisticData(fixture, {
+      nextTimestamp: (now - Number(OPTIMISTIC_DELAY) - 1) * 1000,
+    }));
+    expect(result.revertReason).to.equal("TellorDataBank: More recent optimistic report available");
+  });
+
+  it("Should report an arithmetic underflow for reports ahead of the chain", async function () {
+    const fixture = await loadFixture(deployTellorDataBankFixture);
+    const now = await time.latest();
+    const relayArgs = await h.prepareOracleDataWithTimestamp(ETH_USD_QUERY_ID, mockValue, fixture.validators, fixture.powers, fixture.valCheckpoint, (now + 100) * 1000);
+    const result = preflightOracleData({ attestData: relayArgs.attestData, chainTime: now + 1, powerThreshold: fixture.threshold });
+    expect(result.ok).to.equal(false);
+    expect(result.checks[0].reason).to.contain("arithmetic underflow");
+    await time.setNextBlockTimestamp(now + 1);
+    await expect(fixture.tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs))
+      .to.be.revertedWithPanic(0x11);
+  });
+});
@@ -0,0 +1,42 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { buildQuery, decodeQueryData, formatQuery } = require("../scripts/lib/queryId.js");
+
+describe("Query IDs", function () {
+  const abiCoder = new ethers.AbiCoder();
+
+  it("Should build the SpotPrice query ID reporters use", function () {
+    const queryData = abiCoder.encode(["string", "bytes"], ["SpotPrice", abiCoder.encode(["string", "string"], ["eth", "usd"])]);
+    const query = buildQuery("SpotPrice", ["ETH", "usd"]);
+    expect(query.queryData).to.equal(queryData);
+    expect(query.queryId).to.equal("0x83a7f3d48786ac2667503a61e8c415438ed2922eb86a2906e4ee66d9a2ce4992");
+    expect(formatQuery(query)).to.equal("SpotPrice(eth, usd)");
+  });
+
+  it("Should build other known query types and round trip them", function () {
+    const wallet = "0xC69f43741D379cE93bdaAC9b5135EA3e697df1F8";
+    for (const [queryType, args] of [["TellorRNG", ["1750000000"]], ["EVMBalance", ["1", wallet.toLowerCase(), "1750000000"]], ["TRBBridge", ["true", "7"]]]) {
+      const query = buildQuery(queryType, args);
+      const decoded = decodeQueryData(query.queryData);
+      expect(decoded.queryType).to.equal(queryType);
+      expect(decoded.args).to.deep.equal(query.args);
+      expect(decoded.queryId).to.equal(query.queryId);
+    }
+    expect(buildQuery("EVMBalance", ["1", wallet.toLowerCase(), "0"]).args[1]).to.equal(wallet);
+  });
+
+  it("Should build unknown query types from explicit argument types", function () {
+    const query = buildQuery("MyQuery", ["abc", "5"], ["string", "uint256"]);
+    expect(query.queryData).to.equal(abiCoder.encode(["string", "bytes"], ["MyQuery", abiCoder.encode(["string", "uint256"], ["abc", 5])]));
+    // arguments of unknown types are left encoded
+    expect(decodeQueryData(query.queryData)).to.deep.equal({ queryType: "MyQuery", args: abiCoder.encode(["string", "uint256"], ["abc", 5]), queryId: query.queryId });
+  });
+
+  it("Should reject bad query types, argument counts and values", function () {
+    expect(() => buildQuery("MyQuery", ["abc"])).to.throw("Unknown query type 'MyQuery'");
+    expect(() => buildQuery("SpotPrice", ["eth"])).to.throw("SpotPrice expects 2 argument(s) (string, string), got 1");
+    expect(() => buildQuery("TRBBridge", ["yes", "1"])).to.throw("Expected true or false");
+    expect(() => buildQuery("EVMBalance", ["1", "0x1234", "0"])).to.throw("Invalid address argument");
+    expect(() => decodeQueryData("0x1234")).to.throw("Query data is not abi.encode(string queryType, bytes args)");
+  });
+});
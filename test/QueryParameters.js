@@ -0,0 +1,268 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployTellorDataBankFixture, relayPrice, ETH_USD_QUERY_ID } = require("./fixtures.js");
+const { readQueryConstants, getDataBankConstants } = require("../scripts/lib/dataBankConstants.js");
+const { buildQuery } = require("../scripts/lib/queryId.js");
+
+describe("TellorDataBank query parameters", function () {
+  const HOUR = 3600;
+  const MAX_DATA_AGE = 24 * HOUR;
+  const MAX_ATTESTATION_AGE = 10 * 60;
+  const OPTIMISTIC_DELAY = 12 * HOUR;
+  const PARAMETER_TIMELOCK = 2 * 24 * HOUR;
+  const BTC_USD_QUERY_ID = buildQuery("SpotPrice", ["btc", "usd"]).queryId;
+  const DEFAULTS = [MAX_DATA_AGE, MAX_ATTESTATION_AGE, OPTIMISTIC_DELAY];
+  const RESET = [0, 0, 0];
+
+  async function setParameters(tellorDataBank, admin, queryId, parameters) {
+    await tellorDataBank.connect(admin).proposeQueryParameters(queryId, parameters);
+    await time.increase(PARAMETER_TIMELOCK);
+    await tellorDataBank.connect(admin).executeQueryParameters(queryId);
+  }
+
+  // relays a consensus report whose data is ageSeconds old, attested just now
+  async function relayAged(fixture, queryId, ageSeconds, overrides = {}) {
+    const now = await time.latest();
+    const aggregateTimestamp = (now - ageSeconds) * 1000;
+    return relayPrice(fixture, queryId, 2000n, { aggregateTimestamp, attestationTimestamp: now * 1000, ...overrides });
+  }
+
+  // relays an optimistic report attested delaySeconds after its data
+  async function relayOptimistic(fixture, queryId, delaySeconds) {
+    const now = await time.latest();
+    const aggregateTimestamp = (now - delaySeconds) * 1000;
+    return relayPrice(fixture, queryId, 2000n, { aggregateTimestamp, attestationTimestamp: now * 1000, lastConsensusTimestamp: aggregateTimestamp - 1000 });
+  }
+
+  function values(parameters) {
+    return [Number(parameters.maxDataAge), Number(parameters.maxAttestationAge), Number(parameters.optimisticDelay)];
+  }
+
+  describe("Defaults and access control", function () {
+    it("Should default every query ID to the constants", async function () {
+      const { tellorDataBank, admin } = await loadFixture(deployTellorDataBankFixture);
+      expect(await tellorDataBank.admin()).to.equal(admin.address);
+      expect(await tellorDataBank.PARAMETER_TIMELOCK()).to.equal(PARAMETER_TIMELOCK);
+      expect(values(await tellorDataBank.getQueryParameters(ETH_USD_QUERY_ID))).to.deep.equal(DEFAULTS);
+      expect(values(await tellorDataBank.getQueryParameters(ethers.ZeroHash))).to.deep.equal(DEFAULTS);
+    });
+
+    it("Should require an admin", async function () {
+      const { tellorDataBank } = await loadFixture(deployTellorDataBankFixture);
+      const TellorDataBank = await ethers.getContractFactory("TellorDataBank");
+      await expect(TellorDataBank.deploy(await tellorDataBank.dataBridge(), ethers.ZeroAddress))
+        .to.be.revertedWith("TellorDataBank: Admin cannot be the zero address");
+    });
+
+    it("Should only let the admin propose, execute and cancel parameters or an admin transfer", async function () {
+      const { tellorDataBank, admin, nonGuardian } = await loadFixture(deployTellorDataBankFixture);
+      const bank = tellorDataBank.connect(nonGuardian);
+      await expect(bank.proposeQueryParameters(ETH_USD_QUERY_ID, [2 * HOUR, 60, HOUR])).to.be.revertedWith("TellorDataBank: Not the admin");
+      await tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, [2 * HOUR, 60, HOUR]);
+      await time.increase(PARAMETER_TIMELOCK);
+      await expect(bank.executeQueryParameters(ETH_USD_QUERY_ID)).to.be.revertedWith("TellorDataBank: Not the admin");
+      await expect(bank.cancelQueryParameters(ETH_USD_QUERY_ID)).to.be.revertedWith("TellorDataBank: Not the admin");
+      await expect(bank.proposeAdmin(nonGuardian.address)).to.be.revertedWith("TellorDataBank: Not the admin");
+      await tellorDataBank.connect(admin).proposeAdmin(nonGuardian.address);
+      await expect(bank.cancelAdminTransfer()).to.be.revertedWith("TellorDataBank: Not the admin");
+    });
+
+    it("Should hand over to a new admin once they accept after the timelock", async function () {
+      const { tellorDataBank, admin, guardian2, guardian3 } = await loadFixture(deployTellorDataBankFixture);
+      await expect(tellorDataBank.connect(admin).proposeAdmin(admin.address))
+        .to.be.revertedWith("TellorDataBank: New admin cannot be the same as the current admin");
+      await expect(tellorDataBank.connect(admin).proposeAdmin(ethers.ZeroAddress))
+        .to.be.revertedWith("TellorDataBank: Admin cannot be the zero address");
+      const executableAt = (await time.latest()) + 1 + PARAMETER_TIMELOCK;
+      await expect(tellorDataBank.connect(admin).proposeAdmin(guardian2.address))
+        .to.emit(tellorDataBank, "AdminTransferProposed")
+        .withArgs(guardian2.address, executableAt);
+      expect([await tellorDataBank.pendingAdmin(), await tellorDataBank.adminTransferExecutableAt()]).to.deep.equal([guardian2.address, BigInt(executableAt)]);
+
+      // the admin does not change until the pending admin accepts after the timelock
+      await expect(tellorDataBank.connect(guardian3).acceptAdmin()).to.be.revertedWith("TellorDataBank: Not the pending admin");
+      await time.setNextBlockTimestamp(executableAt - 1);
+      await expect(tellorDataBank.connect(guardian2).acceptAdmin()).to.be.revertedWith("TellorDataBank: Timelock not passed");
+      expect(await tellorDataBank.admin()).to.equal(admin.address);
+      await expect(tellorDataBank.connect(guardian2).acceptAdmin()).to.emit(tellorDataBank, "AdminUpdated").withArgs(guardian2.address);
+      expect(await tellorDataBank.admin()).to.equal(guardian2.address);
+      expect(await tellorDataBank.pendingAdmin()).to.equal(ethers.ZeroAddress);
+      await expect(tellorDataBank.connect(guardian2).acceptAdmin()).to.be.revertedWith("TellorDataBank: Not the pending admin");
+
+      await expect(tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, [2 * HOUR, 60, HOUR])).to.be.revertedWith("TellorDataBank: Not the admin");
+      await setParameters(tellorDataBank, guardian2, ETH_USD_QUERY_ID, [2 * HOUR, 60, HOUR]);
+      expect(values(await tellorDataBank.getQueryParameters(ETH_USD_QUERY_ID))).to.deep.equal([2 * HOUR, 60, HOUR]);
+    });
+
+    it("Should cancel a pending admin transfer", async function () {
+      const { tellorDataBank, admin, guardian2 } = await loadFixture(deployTellorDataBankFixture);
+      await expect(tellorDataBank.connect(admin).cancelAdminTransfer()).to.be.revertedWith("TellorDataBank: No pending admin transfer");
+      await tellorDataBank.connect(admin).proposeAdmin(guardian2.address);
+      await expect(tellorDataBank.connect(admin).cancelAdminTransfer())
+        .to.emit(tellorDataBank, "AdminTransferCancelled")
+        .withArgs(guardian2.address);
+      await time.increase(PARAMETER_TIMELOCK);
+      await expect(tellorDataBank.connect(guardian2).acceptAdmin()).to.be.revertedWith("TellorDataBank: Not the pending admin");
+      expect(await tellorDataBank.admin()).to.equal(admin.address);
+    });
+  });
+
+  describe("Timelock", function () {
+    it("Should apply proposed parameters only after the timelock", async function () {
+      const { tellorDataBank, admin } = await loadFixture(deployTellorDataBankFixture);
+      const parameters = [2 * HOUR, 5 * 60, HOUR];
+      const proposedAt = (await time.latest()) + 10;
+      const executableAt = proposedAt + PARAMETER_TIMELOCK;
+      await time.setNextBlockTimestamp(proposedAt);
+      await expect(tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, parameters)).to.emit(tellorDataBank, "QueryParametersProposed").withArgs(ETH_USD_QUERY_ID, parameters, executableAt);
+      const pending = await tellorDataBank.pendingQueryParameters(ETH_USD_QUERY_ID);
+      expect(values(pending.parameters)).to.deep.equal(parameters);
+      expect(pending.executableAt).to.equal(executableAt);
+
+      // pending parameters do not apply yet
+      expect(values(await tellorDataBank.getQueryParameters(ETH_USD_QUERY_ID))).to.deep.equal(DEFAULTS);
+      await time.setNextBlockTimestamp(executableAt - 1);
+      await expect(tellorDataBank.connect(admin).executeQueryParameters(ETH_USD_QUERY_ID)).to.be.revertedWith("TellorDataBank: Timelock not passed");
+
+      await expect(tellorDataBank.connect(admin).executeQueryParameters(ETH_USD_QUERY_ID))
+        .to.emit(tellorDataBank, "QueryParametersUpdated")
+        .withArgs(ETH_USD_QUERY_ID, parameters);
+      expect(values(await tellorDataBank.getQueryParameters(ETH_USD_QUERY_ID))).to.deep.equal(parameters);
+      expect(values(await tellorDataBank.getQueryParameters(BTC_USD_QUERY_ID))).to.deep.equal(DEFAULTS);
+      expect((await tellorDataBank.pendingQueryParameters(ETH_USD_QUERY_ID)).executableAt).to.equal(0);
+      await expect(tellorDataBank.connect(admin).executeQueryParameters(ETH_USD_QUERY_ID)).to.be.revertedWith("TellorDataBank: No pending parameters");
+    });
+
+    it("Should restart the timelock when a proposal is replaced", async function () {
+      const { tellorDataBank, admin } = await loadFixture(deployTellorDataBankFixture);
+      await tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, [2 * HOUR, 60, HOUR]);
+      await time.increase(PARAMETER_TIMELOCK - HOUR);
+      await tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, [3 * HOUR, 60, HOUR]);
+      await time.increase(HOUR);
+      await expect(tellorDataBank.connect(admin).executeQueryParameters(ETH_USD_QUERY_ID)).to.be.revertedWith("TellorDataBank: Timelock not passed");
+      await time.increase(PARAMETER_TIMELOCK);
+      await tellorDataBank.connect(admin).executeQueryParameters(ETH_USD_QUERY_ID);
+      expect(values(await tellorDataBank.getQueryParameters(ETH_USD_QUERY_ID))).to.deep.equal([3 * HOUR, 60, HOUR]);
+    });
+
+    it("Should cancel a pending proposal", async function () {
+      const { tellorDataBank, admin } = await loadFixture(deployTellorDataBankFixture);
+      await expect(tellorDataBank.connect(admin).cancelQueryParameters(ETH_USD_QUERY_ID)).to.be.revertedWith("TellorDataBank: No pending parameters");
+      await tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, [2 * HOUR, 60, HOUR]);
+      await expect(tellorDataBank.connect(admin).cancelQueryParameters(ETH_USD_QUERY_ID))
+        .to.emit(tellorDataBank, "QueryParametersCancelled")
+        .withArgs(ETH_USD_QUERY_ID);
+      await time.increase(PARAMETER_TIMELOCK);
+      await expect(tellorDataBank.connect(admin).executeQueryParameters(ETH_USD_QUERY_ID)).to.be.revertedWith("TellorDataBank: No pending parameters");
+      expect(values(await tellorDataBank.getQueryParameters(ETH_USD_QUERY_ID))).to.deep.equal(DEFAULTS);
+    });
+
+    it("Should reject partially set parameters and reset to the defaults with all zero", async function () {
+      const { tellorDataBank, admin } = await loadFixture(deployTellorDataBankFixture);
+      for (const parameters of [[0, 60, HOUR], [2 * HOUR, 0, HOUR], [2 * HOUR, 60, 0]]) {
+        await expect(tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, parameters))
+          .to.be.revertedWith("TellorDataBank: Parameters must all be set or all be zero");
+      }
+      await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, [2 * HOUR, 60, HOUR]);
+      await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, RESET);
+      expect(values(await tellorDataBank.getQueryParameters(ETH_USD_QUERY_ID))).to.deep.equal(DEFAULTS);
+    });
+
+    it("Should reject parameters out of range", async function () {
+      const { tellorDataBank, admin } = await loadFixture(deployTellorDataBankFixture);
+      const rejections = [
+        [[7 * 24 * HOUR + 1, 60, HOUR], "TellorDataBank: Max data age above the limit"],
+        [[2 * HOUR, 2 * HOUR + 1, HOUR], "TellorDataBank: Max attestation age above the max data age"],
+        [[2 * HOUR, 60, HOUR - 1], "TellorDataBank: Optimistic delay below the minimum"],
+        [[2 * HOUR, 60, 2 * HOUR], "TellorDataBank: Optimistic delay must be below the max data age"],
+      ];
+      for (const [parameters, reason] of rejections) {
+        await expect(tellorDataBank.connect(admin).proposeQueryParameters(ETH_USD_QUERY_ID, parameters)).to.be.revertedWith(reason);
+      }
+      expect((await tellorDataBank.pendingQueryParameters(ETH_USD_QUERY_ID)).executableAt).to.equal(0);
+
+      // the bounds themselves are accepted
+      expect(await tellorDataBank.MAX_DATA_AGE_LIMIT()).to.equal(7 * 24 * HOUR);
+      expect(await tellorDataBank.MIN_OPTIMISTIC_DELAY()).to.equal(HOUR);
+      await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, [7 * 24 * HOUR, 7 * 24 * HOUR, HOUR]);
+      expect(values(await tellorDataBank.getQueryParameters(ETH_USD_QUERY_ID))).to.deep.equal([7 * 24 * HOUR, 7 * 24 * HOUR, HOUR]);
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should verify data age with the query ID's max data age", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin } = fixture;
+      await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, [2 * HOUR, MAX_ATTESTATION_AGE, HOUR]);
+
+      await expect(relayAged(fixture, ETH_USD_QUERY_ID, 3 * HOUR)).to.be.revertedWith("TellorDataBank: Data too old");
+      await relayAged(fixture, BTC_USD_QUERY_ID, 3 * HOUR);
+      await relayAged(fixture, ETH_USD_QUERY_ID, 2 * HOUR - 10);
+
+      // a longer window than the default admits older data
+      await setParameters(tellorDataBank, admin, BTC_USD_QUERY_ID, [48 * HOUR, MAX_ATTESTATION_AGE, OPTIMISTIC_DELAY]);
+      await relayAged(fixture, BTC_USD_QUERY_ID, 30 * HOUR);
+      await expect(relayAged(fixture, BTC_USD_QUERY_ID, 48 * HOUR)).to.be.revertedWith("TellorDataBank: Data too old");
+      expect(await tellorDataBank.getAggregateValueCount(BTC_USD_QUERY_ID)).to.equal(2);
+    });
+
+    it("Should verify attestation age with the query ID's max attestation age", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin } = fixture;
+      const attestedAgo = async (seconds) => ({ attestationTimestamp: ((await time.latest()) - seconds) * 1000 });
+
+      await expect(relayAged(fixture, ETH_USD_QUERY_ID, 30 * 60, await attestedAgo(20 * 60))).to.be.revertedWith("TellorDataBank: Attestation too old");
+      await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, [MAX_DATA_AGE, 30 * 60, OPTIMISTIC_DELAY]);
+      await relayAged(fixture, ETH_USD_QUERY_ID, 30 * 60, await attestedAgo(20 * 60));
+
+      await setParameters(tellorDataBank, admin, BTC_USD_QUERY_ID, [MAX_DATA_AGE, 60, OPTIMISTIC_DELAY]);
+      await expect(relayAged(fixture, BTC_USD_QUERY_ID, 10 * 60, await attestedAgo(2 * 60))).to.be.revertedWith("TellorDataBank: Attestation too old");
+    });
+
+    it("Should verify optimistic reports with the query ID's optimistic delay", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin } = fixture;
+
+      await expect(relayOptimistic(fixture, ETH_USD_QUERY_ID, 2 * HOUR)).to.be.revertedWith("TellorDataBank: Dispute period not passed");
+      await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, [MAX_DATA_AGE, MAX_ATTESTATION_AGE, HOUR]);
+      await relayOptimistic(fixture, ETH_USD_QUERY_ID, 2 * HOUR);
+
+      // a newer optimistic report than the delay rules out the relayed one
+      const now = await time.latest();
+      await expect(relayAged(fixture, ETH_USD_QUERY_ID, 2 * HOUR - 10, { nextTimestamp: (now - HOUR - 10) * 1000 }))
+        .to.be.revertedWith("TellorDataBank: More recent optimistic report available");
+      await relayAged(fixture, ETH_USD_QUERY_ID, 2 * HOUR - 10, { nextTimestamp: (now - HOUR + 60) * 1000 });
+      expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(2);
+    });
+
+    it("Should go back to the defaults after a reset", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { tellorDataBank, admin } = fixture;
+      await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, [2 * HOUR, MAX_ATTESTATION_AGE, HOUR]);
+      await expect(relayAged(fixture, ETH_USD_QUERY_ID, 2 * HOUR)).to.be.revertedWith("TellorDataBank: Data too old");
+      await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, RESET);
+      await relayAged(fixture, ETH_USD_QUERY_ID, 2 * HOUR);
+      await expect(relayOptimistic(fixture, ETH_USD_QUERY_ID, 2 * HOUR)).to.be.revertedWith("TellorDataBank: Dispute period not passed");
+    });
+  });
+
+  it("Should give off-chain tools the query ID's parameters", async function () {
+    const { tellorDataBank, admin } = await loadFixture(deployTellorDataBankFixture);
+    await setParameters(tellorDataBank, admin, ETH_USD_QUERY_ID, [2 * HOUR, 60, HOUR]);
+    expect(await readQueryConstants(tellorDataBank, ETH_USD_QUERY_ID)).to.deep.equal({
+      MAX_DATA_AGE: BigInt(2 * HOUR),
+      MAX_ATTESTATION_AGE: 60n,
+      MS_PER_SECOND: 1000n,
+      OPTIMISTIC_DELAY: BigInt(HOUR),
+    });
+    expect(await readQueryConstants(tellorDataBank, BTC_USD_QUERY_ID)).to.deep.equal(getDataBankConstants());
+  });
+
+  it("Should give off-chain tools the constants of a data bank without query parameters", async function () {
+    const MockLegacyTellorDataBank = await ethers.getContractFactory("MockLegacyTellorDataBank");
+    const legacy = await MockLegacyTellorDataBank.deploy();
+    const dataBank = await ethers.getContractAt("TellorDataBank", legacy.target);
+    expect(await readQueryConstants(dataBank, ETH_USD_QUERY_ID)).to.deep.equal(getDataBankConstants());
+  });
+});
@@ -0,0 +1,268 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const h = require("./customHelpers.js");
+const { deployTellorDataBankFixture } = require("./fixtures.js");
+const { buildRelayArgs, toLayerPayload, getAttestationDigest } = require("../scripts/lib/attestation.js");
+const { LayerClient } = require("../scripts/lib/layerClient.js");
+const { MockLayerServer } = require("../scripts/lib/mockLayerServer.js");
+const { Relayer } = require("../scripts/lib/relayer.js");
+
+describe("Relayer", function () {
+  const abiCoder = new ethers.AbiCoder();
+  const ETH_USD_QUERY_DATA_ARGS = abiCoder.encode(["string", "string"], ["eth", "usd"]);
+  const ETH_USD_QUERY_DATA = abiCoder.encode(["string", "bytes"], ["SpotPrice", ETH_USD_QUERY_DATA_ARGS]);
+  const ETH_USD_QUERY_ID = h.hash(ETH_USD_QUERY_DATA);
+  const silentLogger = { log() {}, error() {} };
+
+  let server;
+  let layerClient;
+
+  before(async function () {
+    server = new MockLayerServer();
+    layerClient = new LayerClient(await server.listen());
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  beforeEach(function () {
+    server.clearAttestation(ETH_USD_QUERY_ID);
+  });
+
+  async function servePrice(fixture, price, overrides = {}) {
+    const { validators, powers, valCheckpoint } = fixture;
+    const value = abiCoder.encode(["uint256"], [h.toWei(price)]);
+    const relayArgs = await h.prepareOracleData(ETH_USD_QUERY_ID, value, validators, powers, valCheckpoint, overrides);
+    server.setAttestation(toLayerPayload(relayArgs));
+    return relayArgs;
+  }
+
+  describe("attestation payloads", function () {
+    it("Should round trip updateOracleData arguments through a layer payload", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const value = abiCoder.encode(["uint256"], [h.toWei("2000")]);
+      const relayArgs = await h.prepareOracleData(ETH_USD_QUERY_ID, value, fixture.validators, fixture.powers, fixture.valCheckpoint);
+
+      const rebuilt = buildRelayArgs(JSON.parse(JSON.stringify(toLayerPayload(relayArgs))));
+      expect(rebuilt.attestData.queryId).to.equal(relayArgs.attestData.queryId);
+      expect(rebuilt.attestData.report.value).to.equal(relayArgs.attestData.report.value);
+      expect(rebuilt.attestData.report.timestamp).to.equal(BigInt(relayArgs.attestData.report.timestamp));
+      expect(rebuilt.attestData.report.aggregatePower).to.equal(BigInt(relayArgs.attestData.report.aggregatePower));
+      expect(rebuilt.attestData.report.lastConsensusTimestamp).to.equal(BigInt(relayArgs.attestData.report.lastConsensusTimestamp));
+      expect(rebuilt.attestData.attestationTimestamp).to.equal(BigInt(relayArgs.attestData.attestationTimestamp));
+      expect(rebuilt.currentValidatorSet[0].addr).to.equal(fixture.validators[0].address);
+      expect(rebuilt.sigs[0].r).to.equal(relayArgs.sigs[0].r);
+      expect(rebuilt.sigs[0].s).to.equal(relayArgs.sigs[0].s);
+      expect(rebuilt.sigs[0].v).to.equal(Number(relayArgs.sigs[0].v));
+    });
+
+    it("Should recover v for 64 byte layer signatures", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const value = abiCoder.encode(["uint256"], [h.toWei("2000")]);
+      const relayArgs = await h.prepareOracleData(ETH_USD_QUERY_ID, value, fixture.validators, fixture.powers, fixture.valCheckpoint);
+      const payload = toLayerPayload(relayArgs, fixture.valCheckpoint);
+      // strip the recovery id, as the layer does
+      payload.signatures = payload.signatures.map(sig => sig.slice(0, 130));
+
+      const digest = getAttestationDigest(relayArgs.attestData, fixture.valCheckpoint);
+      expect(digest).to.equal(await h.getDataDigest(
+        ETH_USD_QUERY_ID,
+        value,
+        relayArgs.attestData.report.timestamp,
+        relayArgs.attestData.report.aggregatePower,
+        relayArgs.attestData.report.previousTimestamp,
+        relayArgs.attestData.report.nextTimestamp,
+        fixture.valCheckpoint,
+        relayArgs.attestData.attestationTimestamp,
+        relayArgs.attestData.report.lastConsensusTimestamp
+      ));
+      const { attestData, currentValidatorSet, sigs } = buildRelayArgs(payload);
+      expect(sigs[0].v).to.equal(Number(relayArgs.sigs[0].v));
+
+      await expect(fixture.tellorDataBank.updateOracleData(attestData, currentValidatorSet, sigs))
+        .to.emit(fixture.tellorDataBank, "OracleUpdated");
+    });
+
+    it("Should reject payloads with mismatched signature count", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const value = abiCoder.encode(["uint256"], [h.toWei("2000")]);
+      const payload = toLayerPayload(await h.prepareOracleData(ETH_USD_QUERY_ID, value, fixture.validators, fixture.powers, fixture.valCheckpoint));
+      payload.signatures.push("");
+      expect(() => buildRelayArgs(payload)).to.throw("1 validators but 2 signatures");
+    });
+  });
+
+  describe("relayOnce", function () {
+    it("Should relay a new attestation from the layer endpoint", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const { attestData } = await servePrice(fixture, "2000");
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID], logger: silentLogger });
+      await relayer.init();
+
+      const [result] = await relayer.relayOnce();
+      expect(result.status).to.equal("relayed");
+      expect(result.aggregateTimestamp).to.equal(BigInt(attestData.report.timestamp));
+      expect(await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(1);
+      const aggData = await fixture.tellorDataBank.getCurrentAggregateData(ETH_USD_QUERY_ID);
+      expect(abiCoder.decode(["uint256"], aggData.value)[0]).to.equal(h.toWei("2000"));
+    });
+
+    it("Should not resend a report that was already relayed", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      await servePrice(fixture, "2000");
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID], logger: silentLogger });
+      await relayer.init();
+
+      expect((await relayer.relayOnce())[0].status).to.equal("relayed");
+      expect((await relayer.relayOnce())[0].status).to.equal("up-to-date");
+      expect(await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(1);
+
+      // a newer report is relayed
+      await time.increase(60);
+      await servePrice(fixture, "2100");
+      expect((await relayer.relayOnce())[0].status).to.equal("relayed");
+      expect(await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(2);
+    });
+
+    it("Should seed the last relayed timestamp from the data bank", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const relayArgs = await servePrice(fixture, "2000");
+      // someone else relays the report first
+      await fixture.tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID], logger: silentLogger });
+      await relayer.init();
+      expect((await relayer.relayOnce())[0].status).to.equal("up-to-date");
+    });
+
+    it("Should not send a report older than one another relayer stored after init", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID], logger: silentLogger });
+      await relayer.init();
+      await servePrice(fixture, "2000");
+      // someone else relays a newer report before this relayer's next round
+      await time.increase(60);
+      const newer = await h.prepareOracleData(ETH_USD_QUERY_ID, abiCoder.encode(["uint256"], [h.toWei("2100")]), fixture.validators, fixture.powers, fixture.valCheckpoint);
+      await fixture.tellorDataBank.updateOracleData(newer.attestData, newer.currentValidatorSet, newer.sigs);
+
+      const [result] = await relayer.relayOnce();
+      expect(result.status).to.equal("up-to-date");
+      expect(relayer.lastRelayed.get(ETH_USD_QUERY_ID.toLowerCase())).to.equal(BigInt(newer.attestData.report.timestamp));
+      expect(await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(1);
+    });
+
+    it("Should persist and reload state from the state file", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relayer-")), "state.json");
+      const { attestData } = await servePrice(fixture, "2000");
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID], stateFile, logger: silentLogger });
+      await relayer.init();
+      await relayer.relayOnce();
+
+      const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      expect(state[ETH_USD_QUERY_ID.toLowerCase()]).to.equal(attestData.report.timestamp.toString());
+
+      const restarted = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID], stateFile, logger: silentLogger });
+      await restarted.init();
+      expect(restarted.lastRelayed.get(ETH_USD_QUERY_ID.toLowerCase())).to.equal(BigInt(attestData.report.timestamp));
+    });
+
+    it("Should report failures and keep relaying other query IDs", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const otherQueryId = h.hash(abiCoder.encode(["string", "bytes"], ["SpotPrice", abiCoder.encode(["string", "string"], ["btc", "usd"])]));
+      // attestation that is too old to be accepted
+      const value = abiCoder.encode(["uint256"], [h.toWei("2000")]);
+      server.setAttestation(toLayerPayload(await h.prepareOldOracleData(ETH_USD_QUERY_ID, value, fixture.validators, fixture.powers, fixture.valCheckpoint)));
+
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID, otherQueryId], logger: silentLogger });
+      await relayer.init();
+      const results = await relayer.relayOnce();
+      expect(results[0].status).to.equal("failed");
+      expect(results[0].error).to.contain("Data too old");
+      expect(results[1].status).to.equal("no-attestation");
+      expect(relayer.lastRelayed.get(ETH_USD_QUERY_ID.toLowerCase())).to.equal(0n);
+    });
+  });
+
+  describe("schedule", function () {
+    it("Should log a round that throws and keep relaying", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const errors = [];
+      const logger = { log() {}, error(message) { errors.push(message); } };
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID], pollIntervalSeconds: 0.05, logger });
+      let rounds = 0;
+      const relayOnce = relayer.relayOnce.bind(relayer);
+      relayer.relayOnce = async () => {
+        if (++rounds === 1) {
+          throw new Error("ENOSPC: no space left on device");
+        }
+        return relayOnce();
+      };
+
+      await servePrice(fixture, "2000");
+      await relayer.start();
+      expect(errors).to.deep.equal(["❌ Relay round failed: ENOSPC: no space left on device"]);
+      await new Promise(resolve => setTimeout(resolve, 500));
+      relayer.stop();
+      expect(rounds).to.be.greaterThan(1);
+      expect(await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(1);
+    });
+  });
+
+  describe("batch mode", function () {
+    const BTC_USD_QUERY_ID = h.hash(abiCoder.encode(["string", "bytes"], ["SpotPrice", abiCoder.encode(["string", "string"], ["btc", "usd"])]));
+
+    afterEach(function () {
+      server.clearAttestation(BTC_USD_QUERY_ID);
+    });
+
+    async function serveBtcPrice(fixture, price, overrides = {}) {
+      const { validators, powers, valCheckpoint } = fixture;
+      const value = abiCoder.encode(["uint256"], [h.toWei(price)]);
+      server.setAttestation(toLayerPayload(await h.prepareOracleData(BTC_USD_QUERY_ID, value, validators, powers, valCheckpoint, overrides)));
+    }
+
+    it("Should relay every query ID in one transaction", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      await servePrice(fixture, "2000");
+      await serveBtcPrice(fixture, "60000");
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID, BTC_USD_QUERY_ID], batch: true, logger: silentLogger });
+      await relayer.init();
+
+      const results = await relayer.relayOnce();
+      expect(results.map(r => [r.queryId, r.status])).to.deep.equal([
+        [ETH_USD_QUERY_ID.toLowerCase(), "relayed"],
+        [BTC_USD_QUERY_ID.toLowerCase(), "relayed"],
+      ]);
+      expect(results[0].txHash).to.equal(results[1].txHash);
+      expect(await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(1);
+      expect(await fixture.tellorDataBank.getAggregateValueCount(BTC_USD_QUERY_ID)).to.equal(1);
+
+      expect((await relayer.relayOnce()).map(r => r.status)).to.deep.equal(["up-to-date", "up-to-date"]);
+    });
+
+    it("Should report the reason of failed items and keep the stored ones", async function () {
+      const fixture = await loadFixture(deployTellorDataBankFixture);
+      const value = abiCoder.encode(["uint256"], [h.toWei("2000")]);
+      server.setAttestation(toLayerPayload(await h.prepareOldOracleData(ETH_USD_QUERY_ID, value, fixture.validators, fixture.powers, fixture.valCheckpoint)));
+      await serveBtcPrice(fixture, "60000");
+      const relayer = new Relayer({ dataBank: fixture.tellorDataBank, layerClient, queryIds: [ETH_USD_QUERY_ID, BTC_USD_QUERY_ID], batch: true, logger: silentLogger });
+      await relayer.init();
+
+      const results = await relayer.relayOnce();
+      expect(results.map(r => r.status)).to.deep.equal(["failed", "relayed"]);
+      expect(results[0].error).to.equal("TellorDataBank: Data too old");
+      expect(results[0].txHash).to.equal(results[1].txHash);
+      expect(relayer.lastRelayed.get(ETH_USD_QUERY_ID.toLowerCase())).to.equal(0n);
+      expect(await fixture.tellorDataBank.getAggregateValueCount(BTC_USD_QUERY_ID)).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { deployGuardedAdaptorFixture, ETH_USD_QUERY_ID, DECIMALS } = require("./fixtures.js");
+const { ADAPTOR_FUTURE_ID } = require("../scripts/lib/ignitionDeployments.js");
+const { buildSafeBatch, planOperations, planEmergencyPause } = require("../scripts/lib/safeBatch.js");
+
+describe("Safe batch export", function () {
+  async function deployProjectsFixture() {
+    const fixture = await deployGuardedAdaptorFixture();
+    const GuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2OracleAdaptor");
+    const projectABtc = await GuardedLiquityV2OracleAdaptor.deploy(fixture.tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, DECIMALS, false, "ProjectA", "BTC/USD", fixture.admin.address);
+    const projectBEth = await GuardedLiquityV2OracleAdaptor.deploy(fixture.tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, DECIMALS, false, "ProjectB", "ETH/USD", fixture.admin.address);
+    const adaptors = {
+      "hardhat-projecta-ethusd": fixture.guardedLiquityV2OracleAdaptor,
+      "hardhat-projecta-btcusd": projectABtc,
+      "hardhat-projectb-ethusd": projectBEth,
+    };
+
+    // manifest and ignition deployments describing the three adaptors
+    const manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+    const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    const feeds = Object.entries(adaptors).map(([deploymentId, adaptor]) => {
+      fs.mkdirSync(path.join(deploymentsDir, deploymentId));
+      fs.writeFileSync(path.join(deploymentsDir, deploymentId, "deployed_addresses.json"), JSON.stringify({ [ADAPTOR_FUTURE_ID]: adaptor.target }));
+      const [, project, pair] = deploymentId.split("-");
+      return { projectName: project === "projecta" ? "ProjectA" : "ProjectB", feedName: pair === "btcusd" ? "BTC/USD" : "ETH/USD", queryId: ETH_USD_QUERY_ID, deploymentId };
+    });
+    fs.writeFileSync(path.join(manifestDir, "hardhat.json"), JSON.stringify({
+      network: "hardhat",
+      dataBankAddress: fixture.tellorDataBank.target,
+      adminAddress: fixture.admin.address,
+      decimals: DECIMALS,
+      feeds,
+    }));
+    return { ...fixture, adaptors, manifestDir, deploymentsDir };
+  }
+
+  async function execute(signer, batch) {
+    for (const transaction of batch.transactions) {
+      await signer.sendTransaction({ to: transaction.to, value: transaction.value, data: transaction.data });
+    }
+  }
+
+  it("Should export operations across adaptors in Transaction Builder format", async function () {
+    const { adaptors, admin, guardian2, guardian3, manifestDir, deploymentsDir } = await loadFixture(deployProjectsFixture);
+    const target = adaptors["hardhat-projectb-ethusd"].target;
+    const calls = await planOperations([
+      { action: "addGuardian", network: "hardhat", project: "ProjectA", addresses: [guardian2.address] },
+      { action: "addGuardian", targets: [target], addresses: [guardian3.address] },
+    ], { runner: ethers.provider, sender: admin.address, deploymentsDir, manifestDir });
+    const batch = buildSafeBatch({ chainId: 31337n, safeAddress: admin.address, calls, createdAt: 1 });
+
+    expect(batch).to.deep.include({ version: "1.0", chainId: "31337", createdAt: 1 });
+    expect(batch.meta.createdFromSafeAddress).to.equal(admin.address);
+    expect(batch.transactions.length).to.equal(3);
+    expect(batch.transactions[2]).to.deep.equal({
+      to: target,
+      value: "0",
+      data: adaptors["hardhat-projectb-ethusd"].interface.encodeFunctionData("addGuardian", [guardian3.address]),
+      contractMethod: {
+        inputs: [{ internalType: "address", name: "_newGuardian", type: "address" }],
+        name: "addGuardian",
+        payable: false,
+      },
+      contractInputsValues: { _newGuardian: guardian3.address },
+    });
+
+    await execute(admin, batch);
+    expect(await adaptors["hardhat-projecta-btcusd"].guardians(guardian2.address)).to.equal(true);
+    expect(await adaptors["hardhat-projectb-ethusd"].guardians(guardian3.address)).to.equal(true);
+  });
+
+  it("Should check operations on the same adaptor in order", async function () {
+    const { adaptors, admin, guardian2, deploymentsDir, manifestDir } = await loadFixture(deployProjectsFixture);
+    const targets = [adaptors["hardhat-projecta-ethusd"].target];
+    const calls = await planOperations([
+      { action: "addGuardian", targets, addresses: [guardian2.address] },
+      { action: "removeGuardian", targets, addresses: [admin.address] },
+    ], { runner: ethers.provider, sender: admin.address, deploymentsDir, manifestDir });
+    expect(calls[1].errors).to.deep.equal(["GuardedPausable: Cannot remove admin if there are other guardians"]);
+    expect(() => buildSafeBatch({ chainId: 31337, safeAddress: admin.address, calls })).to.throw("1 call(s) would revert the batch");
+  });
+
+  it("Should pause every feed of a project in one batch, skipping paused ones", async function () {
+    const { adaptors, admin, deploymentsDir, manifestDir } = await loadFixture(deployProjectsFixture);
+    await adaptors["hardhat-projecta-btcusd"].connect(admin).pause();
+
+    const plan = await planEmergencyPause({ network: "hardhat", project: "ProjectA", runner: ethers.provider, sender: admin.address, deploymentsDir, manifestDir });
+    expect(plan.alreadyPaused).to.deep.equal([adaptors["hardhat-projecta-btcusd"].target]);
+    const batch = buildSafeBatch({ chainId: 31337, safeAddress: admin.address, calls: plan.calls });
+    expect(batch.transactions.map(t => [t.to, t.contractMethod.name])).to.deep.equal([[adaptors["hardhat-projecta-ethusd"].target, "pause"]]);
+
+    await execute(admin, batch);
+    expect(await adaptors["hardhat-projecta-ethusd"].paused()).to.equal(true);
+    expect(await adaptors["hardhat-projectb-ethusd"].paused()).to.equal(false);
+  });
+});
@@ -0,0 +1,160 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployGuardedAdaptorFixture, relayPrice, ETH_USD_QUERY_ID, DECIMALS } = require("./fixtures.js");
+
+describe("Hardhat tasks", function () {
+  const { ethers } = hre;
+  let log;
+
+  // tasks print their results; keep the test output readable
+  beforeEach(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+  });
+
+  async function deployRelayedAdaptorFixture() {
+    const fixture = await deployGuardedAdaptorFixture();
+    await relayPrice(fixture, ETH_USD_QUERY_ID, ethers.parseUnits("2000", DECIMALS));
+    await relayPrice(fixture, ETH_USD_QUERY_ID, ethers.parseUnits("2100", DECIMALS));
+    return fixture;
+  }
+
+  it("feed:status should report the latest value, pause state, admin, guardians and deviation breaker", async function () {
+    const { guardedLiquityV2OracleAdaptor, tellorDataBank, admin, guardian2 } = await loadFixture(deployRelayedAdaptorFixture);
+    const status = await hre.run("feed:status", { address: guardedLiquityV2OracleAdaptor.target, json: true });
+    expect(status.answer).to.equal(ethers.parseUnits("2100", DECIMALS));
+    expect(status.ageSeconds).to.be.at.least(0);
+    expect(status.paused).to.equal(false);
+    expect(status.guardians).to.deep.equal([admin.address]);
+    expect(status.queryId).to.equal(ETH_USD_QUERY_ID);
+    expect(status.dataBank).to.equal(tellorDataBank.target);
+    expect(status.error).to.equal(null);
+    expect(status.deviationBreaker).to.deep.equal({ maxDeviationBps: 0, window: 0, serveLastAccepted: false, tripped: false, deviationBps: 500n });
+    expect(status.fallback).to.deep.equal({ oracle: null, mode: "off", stalenessLimit: 0, active: false });
+    expect(status.pendingAdmin).to.equal(null);
+
+    await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+    const proposed = await hre.run("feed:status", { address: guardedLiquityV2OracleAdaptor.target });
+    expect(proposed.pendingAdmin).to.deep.equal({ address: guardian2.address, executableAt: await time.latest() });
+
+    await guardedLiquityV2OracleAdaptor.connect(admin).setDeviationBreaker(100, 3600, false);
+    const tripped = await hre.run("feed:status", { address: guardedLiquityV2OracleAdaptor.target });
+    expect(tripped.deviationBreaker.tripped).to.equal(true);
+    expect(tripped.error).to.contain("GuardedLiquityV2OracleAdaptor: Deviation too large");
+
+    await guardedLiquityV2OracleAdaptor.connect(admin).pause();
+    const paused = await hre.run("feed:status", { address: guardedLiquityV2OracleAdaptor.target });
+    expect(paused.paused).to.equal(true);
+    expect(paused.answer).to.equal(null);
+    expect(paused.error).to.contain("GuardedPausable: Tellor is paused");
+  });
+
+  it("feed:history should read aggregates through the adaptor or by query ID", async function () {
+    const { guardedLiquityV2OracleAdaptor, tellorDataBank } = await loadFixture(deployRelayedAdaptorFixture);
+    const rows = await hre.run("feed:history", { address: guardedLiquityV2OracleAdaptor.target, json: true });
+    expect(rows.map(row => row.value)).to.deep.equal([ethers.parseUnits("2000", DECIMALS).toString(), ethers.parseUnits("2100", DECIMALS).toString()]);
+    expect(rows.every(row => row.reportType === "consensus")).to.equal(true);
+
+    const fromIndex = await hre.run("feed:history", { address: tellorDataBank.target, queryId: ETH_USD_QUERY_ID, fromIndex: 1 });
+    expect(fromIndex.map(row => row.index)).to.deep.equal([1]);
+  });
+
+  it("guardian and pause tasks should send from the first signer after checking the on-chain state", async function () {
+    const { tellorDataBank, deployer, guardian2 } = await loadFixture(deployRelayedAdaptorFixture);
+    // the tasks send from the first signer, so deploy an adaptor it administers
+    const GuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2OracleAdaptor");
+    const adaptor = await GuardedLiquityV2OracleAdaptor.deploy(tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, DECIMALS, false, "ProjectB", "ETH/USD", deployer.address);
+
+    await hre.run("guardian:add", { address: adaptor.target, guardian: guardian2.address });
+    expect(await adaptor.guardians(guardian2.address)).to.equal(true);
+    await expect(hre.run("guardian:add", { address: adaptor.target, guardian: guardian2.address }))
+      .to.be.rejectedWith("GuardedPausable: Guardian already exists");
+
+    const result = await hre.run("feed:pause", { address: adaptor.target, json: true });
+    expect(result.sender).to.equal(deployer.address);
+    expect(await adaptor.paused()).to.equal(true);
+    await expect(hre.run("feed:pause", { address: adaptor.target })).to.be.rejectedWith("GuardedPausable: Already paused");
+    await hre.run("feed:unpause", { address: adaptor.target });
+    expect(await adaptor.paused()).to.equal(false);
+
+    await hre.run("guardian:remove", { address: adaptor.target, guardian: guardian2.address });
+    expect(await adaptor.guardians(guardian2.address)).to.equal(false);
+  });
+
+  it("feed:fallback-mode should switch the fallback oracle after checking the on-chain state", async function () {
+    const { tellorDataBank, deployer } = await loadFixture(deployRelayedAdaptorFixture);
+    const GuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2OracleAdaptor");
+    const adaptor = await GuardedLiquityV2OracleAdaptor.deploy(tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, DECIMALS, false, "ProjectB", "ETH/USD", deployer.address);
+    await expect(hre.run("feed:fallback-mode", { address: adaptor.target, mode: "auto" }))
+      .to.be.rejectedWith("GuardedLiquityV2OracleAdaptor: Fallback oracle not set");
+    await expect(hre.run("feed:fallback-mode", { address: adaptor.target, mode: "always" })).to.be.rejectedWith("Unknown fallback mode 'always'");
+
+    const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
+    const fallbackOracle = await MockAggregatorV3.deploy(8);
+    await fallbackOracle.setLatestRound(ethers.parseUnits("1990", 8), 1);
+    await adaptor.setFallbackOracle(fallbackOracle.target, 3600);
+    const result = await hre.run("feed:fallback-mode", { address: adaptor.target, mode: "forced", json: true });
+    expect(result.sender).to.equal(deployer.address);
+    expect(await adaptor.fallbackMode()).to.equal(2);
+    await expect(hre.run("feed:fallback-mode", { address: adaptor.target, mode: "forced" }))
+      .to.be.rejectedWith("GuardedLiquityV2OracleAdaptor: Fallback mode unchanged");
+
+    const status = await hre.run("feed:status", { address: adaptor.target });
+    expect(status.fallback).to.deep.equal({ oracle: fallbackOracle.target, mode: "forced", stalenessLimit: 3600, active: true });
+    expect(status.answer).to.equal(ethers.parseUnits("1990", DECIMALS));
+  });
+
+  it("feed:status should read an adaptor without the newer getters", async function () {
+    const { tellorDataBank, admin } = await loadFixture(deployRelayedAdaptorFixture);
+    const MockLegacyGuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("MockLegacyGuardedLiquityV2OracleAdaptor");
+    const legacy = await MockLegacyGuardedLiquityV2OracleAdaptor.deploy(tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, "ProjectA", "ETH/USD", admin.address);
+    const status = await hre.run("feed:status", { address: legacy.target });
+    expect(status).to.deep.include({ sourceDecimals: DECIMALS, signedValue: false, pendingAdmin: null, error: null });
+    expect(status.missingGetters).to.deep.equal([
+      "sourceDecimals", "signedValue", "deviationBreaker", "getDeviationStatus", "fallbackOracle",
+      "fallbackMode", "fallbackStalenessLimit", "isFallbackActive", "getPendingAdminTransfer",
+    ]);
+    expect(status.deviationBreaker).to.deep.include({ maxDeviationBps: 0, tripped: false });
+    expect(status.fallback).to.deep.equal({ oracle: null, mode: "off", stalenessLimit: 0, active: false });
+    expect(status.answer).to.equal(ethers.parseUnits("2100", DECIMALS));
+  });
+
+  it("bank:latest should report the current aggregate, or no data, and the query parameters", async function () {
+    const { tellorDataBank, admin } = await loadFixture(deployRelayedAdaptorFixture);
+    const latest = await hre.run("bank:latest", { address: tellorDataBank.target, queryId: ETH_USD_QUERY_ID, json: true });
+    expect(latest.count).to.equal(2);
+    expect(latest.historyLimit).to.equal(0);
+    expect(latest.oldestIndex).to.equal(0);
+    expect(latest.value).to.equal(ethers.parseUnits("2100", DECIMALS).toString());
+    expect(latest.ageSeconds).to.be.at.least(0);
+    expect(latest.parameters).to.deep.equal({ maxDataAge: 86400, maxAttestationAge: 600, optimisticDelay: 43200 });
+    expect(latest.pendingParameters).to.equal(null);
+
+    await tellorDataBank.connect(admin).proposeQueryParameters(ethers.ZeroHash, [7200, 60, 3600]);
+    const empty = await hre.run("bank:latest", { address: tellorDataBank.target, queryId: ethers.ZeroHash });
+    expect(empty.count).to.equal(0);
+    expect(empty.value).to.equal(null);
+    expect(empty.pendingParameters).to.deep.include({ maxDataAge: 7200, maxAttestationAge: 60, optimisticDelay: 3600 });
+  });
+
+  it("bank:latest and feed:history should read a data bank without bounded histories or query parameters", async function () {
+    const { tellorDataBank } = await loadFixture(deployRelayedAdaptorFixture);
+    const MockLegacyTellorDataBank = await ethers.getContractFactory("MockLegacyTellorDataBank");
+    const legacy = await MockLegacyTellorDataBank.deploy();
+    for (const index of [0, 1]) {
+      await legacy.addAggregate(ETH_USD_QUERY_ID, (await tellorDataBank.getAggregateByIndex(ETH_USD_QUERY_ID, index)).toObject());
+    }
+
+    const latest = await hre.run("bank:latest", { address: legacy.target, queryId: ETH_USD_QUERY_ID, json: true });
+    expect(latest).to.deep.include({ count: 2, historyLimit: 0, oldestIndex: 0, pendingParameters: null });
+    expect(latest.value).to.equal(ethers.parseUnits("2100", DECIMALS).toString());
+    expect(latest.parameters).to.deep.equal({ maxDataAge: 86400, maxAttestationAge: 600, optimisticDelay: 43200 });
+    const rows = await hre.run("feed:history", { address: legacy.target, queryId: ETH_USD_QUERY_ID, json: true });
+    expect(rows.map(r => r.index)).to.deep.equal([0, 1]);
+  });
+});
@@ -43,12 +43,12 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
 
     // Deploy TellorDataBank
     const TellorDataBank = await ethers.getContractFactory("TellorDataBank");
-    const tellorDataBank = await TellorDataBank.deploy(dataBridge.target);
+    const tellorDataBank = await TellorDataBank.deploy(dataBridge.target, admin.address);
     await tellorDataBank.waitForDeployment();
 
     // Deploy GuardedLiquityV2OracleAdaptor with tellorDataBank and admin as the first guardian
     const GuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2OracleAdaptor");
-    const guardedLiquityV2OracleAdaptor = await GuardedLiquityV2OracleAdaptor.deploy(tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, "ProjectA", "ETH/USD", admin.address);
+    const guardedLiquityV2OracleAdaptor = await GuardedLiquityV2OracleAdaptor.deploy(tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, DECIMALS, false, "ProjectA", "ETH/USD", admin.address);
     await guardedLiquityV2OracleAdaptor.waitForDeployment();
 
     // Deploy MockMainnetPriceFeedBase for integration testing
@@ -78,6 +78,7 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
       const { tellorDataBank, guardedLiquityV2OracleAdaptor, admin, dataBridge } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
       // tellorDataBank
       expect(await tellorDataBank.dataBridge()).to.equal(dataBridge.target);
+      expect(await tellorDataBank.admin()).to.equal(admin.address);
       expect(await tellorDataBank.MAX_DATA_AGE()).to.equal(MAX_DATA_AGE);
       expect(await tellorDataBank.MAX_ATTESTATION_AGE()).to.equal(MAX_ATTESTATION_AGE);
       expect(await tellorDataBank.OPTIMISTIC_DELAY()).to.equal(OPTIMISTIC_DELAY);
@@ -221,40 +222,115 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
       });
     });
 
-    describe("updateAdmin", function () {
-      it("Should allow admin to update admin", async function () {
+    describe("Admin transfer", function () {
+      const ADMIN_TRANSFER_DELAY = 2 * 24 * 60 * 60; // 2 days
+
+      it("Should hand over the admin once the pending admin accepts", async function () {
         const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
         expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(admin.address);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
         expect(await guardedLiquityV2OracleAdaptor.guardians(admin)).to.equal(true);
         expect(await guardedLiquityV2OracleAdaptor.guardians(guardian2)).to.equal(false);
-        await guardedLiquityV2OracleAdaptor.connect(admin).updateAdmin(guardian2.address);
+        const proposal = await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        await expect(proposal)
+          .to.emit(guardedLiquityV2OracleAdaptor, "AdminTransferProposed")
+          .withArgs(guardian2.address, await time.latest());
+        // nothing changes until the pending admin accepts
+        expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(admin.address);
+        expect(await guardedLiquityV2OracleAdaptor.pendingAdmin()).to.equal(guardian2.address);
+        expect([...await guardedLiquityV2OracleAdaptor.getPendingAdminTransfer()]).to.deep.equal([guardian2.address, BigInt(await time.latest())]);
+
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin())
+          .to.emit(guardedLiquityV2OracleAdaptor, "AdminUpdated")
+          .withArgs(guardian2.address);
         expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(guardian2.address);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
         expect(await guardedLiquityV2OracleAdaptor.guardians(admin)).to.equal(false);
         expect(await guardedLiquityV2OracleAdaptor.guardians(guardian2)).to.equal(true);
+        expect([...await guardedLiquityV2OracleAdaptor.getPendingAdminTransfer()]).to.deep.equal([ethers.ZeroAddress, 0n]);
       });
 
-      it("Should revert when non-admin tries to update admin", async function () {
+      it("Should revert when non-admin tries to propose, cancel or set the delay", async function () {
         const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
-        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).updateAdmin(guardian2.address))
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).proposeAdmin(guardian2.address))
+          .to.be.revertedWith("GuardedPausable: Not an admin");
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).cancelAdminTransfer())
+          .to.be.revertedWith("GuardedPausable: Not an admin");
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).setAdminTransferDelay(ADMIN_TRANSFER_DELAY))
           .to.be.revertedWith("GuardedPausable: Not an admin");
         expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(admin.address);
-        expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
       });
 
-      it("Should revert when new admin is the same as the current admin", async function () {
+      it("Should revert when the new admin is the current admin or the zero address", async function () {
         const { guardedLiquityV2OracleAdaptor, admin } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
-        await expect(guardedLiquityV2OracleAdaptor.connect(admin).updateAdmin(admin.address))
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(admin.address))
           .to.be.revertedWith("GuardedPausable: New admin cannot be the same as the current admin");
-        expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(admin.address);
-        expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(ethers.ZeroAddress))
+          .to.be.revertedWith("GuardedPausable: New admin cannot be the zero address");
+        expect(await guardedLiquityV2OracleAdaptor.pendingAdmin()).to.equal(ethers.ZeroAddress);
       });
 
-      it("Should handle when new admin is the zero address", async function () {
-        const { guardedLiquityV2OracleAdaptor, admin } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
-        await guardedLiquityV2OracleAdaptor.connect(admin).updateAdmin("0x0000000000000000000000000000000000000000");
-        expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal("0x0000000000000000000000000000000000000000");
+      it("Should only let the pending admin accept", async function () {
+        const { guardedLiquityV2OracleAdaptor, admin, guardian2, guardian3 } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin())
+          .to.be.revertedWith("GuardedPausable: Not the pending admin");
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).acceptAdmin())
+          .to.be.revertedWith("GuardedPausable: Not the pending admin");
+
+        // a new proposal replaces the pending one
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian3.address);
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin())
+          .to.be.revertedWith("GuardedPausable: Not the pending admin");
+        await guardedLiquityV2OracleAdaptor.connect(guardian3).acceptAdmin();
+        expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(guardian3.address);
+      });
+
+      it("Should only accept once the delay has passed", async function () {
+        const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).setAdminTransferDelay(ADMIN_TRANSFER_DELAY))
+          .to.emit(guardedLiquityV2OracleAdaptor, "AdminTransferDelayUpdated")
+          .withArgs(ADMIN_TRANSFER_DELAY);
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).setAdminTransferDelay(ADMIN_TRANSFER_DELAY))
+          .to.be.revertedWith("GuardedPausable: Admin transfer delay unchanged");
+        expect(await guardedLiquityV2OracleAdaptor.adminTransferDelay()).to.equal(ADMIN_TRANSFER_DELAY);
+
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        const executableAt = BigInt(await time.latest()) + BigInt(ADMIN_TRANSFER_DELAY);
+        expect(await guardedLiquityV2OracleAdaptor.adminTransferExecutableAt()).to.equal(executableAt);
+        // lowering the delay does not shorten a pending transfer
+        await guardedLiquityV2OracleAdaptor.connect(admin).setAdminTransferDelay(0);
+        await time.setNextBlockTimestamp(executableAt - 1n);
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin())
+          .to.be.revertedWith("GuardedPausable: Admin transfer delay not passed");
+        await guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin();
+        expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(guardian2.address);
+      });
+
+      it("Should let the admin cancel a pending transfer", async function () {
+        const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).cancelAdminTransfer())
+          .to.be.revertedWith("GuardedPausable: No pending admin transfer");
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).cancelAdminTransfer())
+          .to.emit(guardedLiquityV2OracleAdaptor, "AdminTransferCancelled")
+          .withArgs(guardian2.address);
+        expect([...await guardedLiquityV2OracleAdaptor.getPendingAdminTransfer()]).to.deep.equal([ethers.ZeroAddress, 0n]);
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin())
+          .to.be.revertedWith("GuardedPausable: Not the pending admin");
+      });
+
+      it("Should cancel a pending transfer when the admin removes itself", async function () {
+        const { guardedLiquityV2OracleAdaptor, admin, guardian2 } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).removeGuardian(admin.address))
+          .to.emit(guardedLiquityV2OracleAdaptor, "AdminRemoved")
+          .and.to.emit(guardedLiquityV2OracleAdaptor, "AdminTransferCancelled")
+          .withArgs(guardian2.address);
+        await expect(guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin())
+          .to.be.revertedWith("GuardedPausable: Not the pending admin");
+        expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(ethers.ZeroAddress);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(0);
       });
 
@@ -264,8 +340,9 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
         await guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian2.address);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(2);
         expect(await guardedLiquityV2OracleAdaptor.guardians(guardian2)).to.equal(true);
-        // update admin to guardian2
-        await guardedLiquityV2OracleAdaptor.connect(admin).updateAdmin(guardian2.address);
+        // hand the admin over to guardian2
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        await guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin();
         expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(guardian2.address);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
         expect(await guardedLiquityV2OracleAdaptor.guardians(guardian2)).to.equal(true);
@@ -274,10 +351,14 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
       it("New admin should be able to add and remove guardians", async function () {
         const { guardedLiquityV2OracleAdaptor, admin, guardian2, guardian3 } = await loadFixture(deployGuardedLiquityV2DataFeedFixture);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
-        // update admin to guardian2
-        await guardedLiquityV2OracleAdaptor.connect(admin).updateAdmin(guardian2.address);
+        // hand the admin over to guardian2
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        await guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin();
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
         expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(guardian2.address);
+        // the previous admin has no admin rights left
+        await expect(guardedLiquityV2OracleAdaptor.connect(admin).addGuardian(guardian3.address))
+          .to.be.revertedWith("GuardedPausable: Not an admin");
         // add guardian3
         await guardedLiquityV2OracleAdaptor.connect(guardian2).addGuardian(guardian3.address);
         expect(await guardedLiquityV2OracleAdaptor.guardians(guardian3)).to.equal(true);
@@ -286,8 +367,9 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
         await guardedLiquityV2OracleAdaptor.connect(guardian2).removeGuardian(guardian3.address);
         expect(await guardedLiquityV2OracleAdaptor.guardians(guardian3)).to.equal(false);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
-        // update admin back to original admin
-        await guardedLiquityV2OracleAdaptor.connect(guardian2).updateAdmin(admin.address);
+        // hand the admin back to the original admin
+        await guardedLiquityV2OracleAdaptor.connect(guardian2).proposeAdmin(admin.address);
+        await guardedLiquityV2OracleAdaptor.connect(admin).acceptAdmin();
         expect(await guardedLiquityV2OracleAdaptor.admin()).to.equal(admin.address);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(1);
       });
@@ -378,8 +460,9 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
         expect(guardianAddresses.length).to.equal(3);
         expect(await guardedLiquityV2OracleAdaptor.guardianCount()).to.equal(3);
         
-        // Update admin to guardian2 (who is already a guardian)
-        await guardedLiquityV2OracleAdaptor.connect(admin).updateAdmin(guardian2.address);
+        // Hand the admin over to guardian2 (who is already a guardian)
+        await guardedLiquityV2OracleAdaptor.connect(admin).proposeAdmin(guardian2.address);
+        await guardedLiquityV2OracleAdaptor.connect(guardian2).acceptAdmin();
         
         guardianAddresses = await guardedLiquityV2OracleAdaptor.getGuardianAddresses();
         expect(guardianAddresses.length).to.equal(2);
@@ -817,9 +900,9 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
         latestRoundData = await guardedLiquityV2OracleAdaptor.latestRoundData();
         expect(latestRoundData.roundId).to.equal(1);
         expect(latestRoundData.answer).to.equal(mockPrice1);
-        expect(latestRoundData.startedAt).to.equal(0);
+        expect(latestRoundData.startedAt).to.equal(consensusData.report.timestamp / 1000);
         expect(latestRoundData.updatedAt).to.equal(consensusData.report.timestamp / 1000);
-        expect(latestRoundData.answeredInRound).to.equal(0);
+        expect(latestRoundData.answeredInRound).to.equal(1);
         
         // Wait some time, then add optimistic data
         await time.increase(24 * 3600); // 24 hours
@@ -865,11 +948,11 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
         expect(aggData.power).to.equal(optimisticData.report.aggregatePower);
 
         latestRoundData = await guardedLiquityV2OracleAdaptor.latestRoundData();
-        expect(latestRoundData.roundId).to.equal(1);
+        expect(latestRoundData.roundId).to.equal(2);
         expect(latestRoundData.answer).to.equal(mockPrice2);
-        expect(latestRoundData.startedAt).to.equal(0);
+        expect(latestRoundData.startedAt).to.equal(optimisticData.report.timestamp / 1000);
         expect(latestRoundData.updatedAt).to.equal(optimisticData.report.timestamp / 1000);
-        expect(latestRoundData.answeredInRound).to.equal(0);
+        expect(latestRoundData.answeredInRound).to.equal(2);
       });
 
       it("Should revert optimistic data when newer consensus data is available", async function () {
@@ -1164,9 +1247,9 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
         
         expect(latestRoundData.roundId).to.equal(1);
         expect(latestRoundData.answer).to.equal(this.testValue);
-        expect(latestRoundData.startedAt).to.equal(0);
+        expect(latestRoundData.startedAt).to.equal(this.testTimestamp / 1000);
         expect(latestRoundData.updatedAt).to.equal(this.testTimestamp / 1000);
-        expect(latestRoundData.answeredInRound).to.equal(0);
+        expect(latestRoundData.answeredInRound).to.equal(1);
       });
 
       it("Should revert when paused", async function () {        
@@ -1181,9 +1264,9 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
 
         expect(latestRoundDataBeforePause.roundId).to.equal(1);
         expect(latestRoundDataBeforePause.answer).to.equal(this.testValue);
-        expect(latestRoundDataBeforePause.startedAt).to.equal(0);
+        expect(latestRoundDataBeforePause.startedAt).to.equal(this.testTimestamp / 1000);
         expect(latestRoundDataBeforePause.updatedAt).to.equal(this.testTimestamp / 1000);
-        expect(latestRoundDataBeforePause.answeredInRound).to.equal(0);
+        expect(latestRoundDataBeforePause.answeredInRound).to.equal(1);
 
         await this.guardedLiquityV2OracleAdaptor.connect(this.admin).pause();
 
@@ -1196,9 +1279,9 @@ describe("TellorDataBank and GuardedLiquityV2OracleAdaptor", function () {
 
         expect(latestRoundDataAfterUnpause.roundId).to.equal(1);
         expect(latestRoundDataAfterUnpause.answer).to.equal(this.testValue);
-        expect(latestRoundDataAfterUnpause.startedAt).to.equal(0);
+        expect(latestRoundDataAfterUnpause.startedAt).to.equal(this.testTimestamp / 1000);
         expect(latestRoundDataAfterUnpause.updatedAt).to.equal(this.testTimestamp / 1000);
-        expect(latestRoundDataAfterUnpause.answeredInRound).to.equal(0);
+        expect(latestRoundDataAfterUnpause.answeredInRound).to.equal(1);
       });
 
       it("Should revert when no data is available", async function () {
@@ -0,0 +1,184 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fc = require("fast-check");
+const h = require("./customHelpers.js");
+const { deployTellorDataBankFixture, ETH_USD_QUERY_ID } = require("./fixtures.js");
+
+// Property-based tests: random report sequences are relayed and every outcome is compared with an
+// independent model of TellorDataBank's rules. fast-check shrinks a failing sequence to a minimal one
+// and prints it with the seed; rerun it with FUZZ_SEED=<seed>. FUZZ_RUNS sets the number of sequences.
+describe("TellorDataBank acceptance properties", function () {
+  this.timeout(600000);
+
+  const MAX_DATA_AGE = 24 * 60 * 60;
+  const MAX_ATTESTATION_AGE = 10 * 60;
+  const OPTIMISTIC_DELAY = 12 * 60 * 60;
+  const MS = 1000;
+  const PANIC_UNDERFLOW = "panic 0x11";
+  const abiCoder = new ethers.AbiCoder();
+  const runs = Number(process.env.FUZZ_RUNS || 100);
+  const seed = process.env.FUZZ_SEED === undefined ? undefined : Number(process.env.FUZZ_SEED);
+
+  /**
+   * Independent model of TellorDataBank._verifyOracleData, checked in the same order as the contract.
+   * Subtractions that would underflow in Solidity revert with a panic before their require is reached.
+   * @param {Object} report - {aggregateTimestamp, attestationTimestamp, nextTimestamp, lastConsensusTimestamp, aggregatePower} as BigInts
+   * @param {bigint} blockTimestamp - block.timestamp of the relay, in seconds
+   * @param {bigint} previousTimestamp - Aggregate timestamp of the current aggregate, 0 if none
+   * @param {bigint} powerThreshold - The bridge's power threshold
+   * @returns {string|null} The expected revert, or null if the report is accepted
+   */
+  function expectedRevert(report, blockTimestamp, previousTimestamp, powerThreshold) {
+    const ms = BigInt(MS);
+    const secondsSince = (timestampMs) => (timestampMs / ms > blockTimestamp ? null : blockTimestamp - timestampMs / ms);
+
+    const dataAge = secondsSince(report.aggregateTimestamp);
+    if (dataAge === null) return PANIC_UNDERFLOW;
+    if (dataAge >= BigInt(MAX_DATA_AGE)) return "TellorDataBank: Data too old";
+    const attestationAge = secondsSince(report.attestationTimestamp);
+    if (attestationAge === null) return PANIC_UNDERFLOW;
+    if (attestationAge >= BigInt(MAX_ATTESTATION_AGE)) return "TellorDataBank: Attestation too old";
+    if (previousTimestamp > 0n && report.aggregateTimestamp <= previousTimestamp) return "TellorDataBank: Report timestamp must increase";
+    if (report.nextTimestamp !== 0n) {
+      const nextAge = secondsSince(report.nextTimestamp);
+      if (nextAge === null) return PANIC_UNDERFLOW;
+      if (nextAge >= BigInt(OPTIMISTIC_DELAY)) return "TellorDataBank: More recent optimistic report available";
+    }
+    if (report.aggregateTimestamp !== report.lastConsensusTimestamp) {
+      if (report.lastConsensusTimestamp >= report.aggregateTimestamp) return "TellorDataBank: Newer consensus data available";
+      if (report.attestationTimestamp < report.aggregateTimestamp) return PANIC_UNDERFLOW;
+      if ((report.attestationTimestamp - report.aggregateTimestamp) / ms < BigInt(OPTIMISTIC_DELAY)) return "TellorDataBank: Dispute period not passed";
+      if (report.aggregatePower <= powerThreshold / 2n) return "TellorDataBank: Insufficient optimistic report power";
+    }
+    return null;
+  }
+
+  function revertOf(error) {
+    const reason = error.message.match(/reverted with reason string '([^']*)'/);
+    if (reason) return reason[1];
+    const panic = error.message.match(/reverted with panic code (0x[0-9a-f]+)/);
+    if (panic) return `panic ${panic[1]}`;
+    throw error;
+  }
+
+  // values spread around a rule's boundary, shrinking towards the boundary itself
+  function nearBoundary(boundaryMs) {
+    return fc.integer({ min: -2 * MS, max: 2 * MS }).map(delta => boundaryMs + delta);
+  }
+
+  // each report is positioned relative to the block it is relayed in, so shrinking keeps it meaningful
+  const reportArbitrary = fc.record({
+    advanceSeconds: fc.oneof(fc.integer({ min: 1, max: 120 }), fc.integer({ min: 1, max: 2 * MAX_DATA_AGE })),
+    attestationAgeMs: fc.oneof(fc.integer({ min: -5 * MS, max: 2 * MAX_ATTESTATION_AGE * MS }), nearBoundary(MAX_ATTESTATION_AGE * MS)),
+    reportDelayMs: fc.oneof(
+      fc.integer({ min: -5 * MS, max: 2 * MAX_DATA_AGE * MS }),
+      nearBoundary(OPTIMISTIC_DELAY * MS),
+      nearBoundary(MAX_DATA_AGE * MS)
+    ),
+    // places the aggregate next to the previous accepted one instead, to exercise the monotonic rule
+    afterPreviousMs: fc.option(fc.integer({ min: -3 * MS, max: 3 * MS })),
+    // null for consensus data, otherwise how far the last consensus report precedes the aggregate
+    consensusLagMs: fc.option(fc.integer({ min: -5 * MS, max: MAX_DATA_AGE * MS })),
+    nextAgeMs: fc.option(fc.oneof(fc.integer({ min: -5 * MS, max: 2 * OPTIMISTIC_DELAY * MS }), nearBoundary(OPTIMISTIC_DELAY * MS))),
+    aggregatePower: fc.oneof(fc.integer({ min: 0, max: 100 }), fc.integer({ min: 30, max: 36 })),
+  });
+
+  function buildReport(spec, blockTimestamp, previousTimestamp) {
+    const blockMs = blockTimestamp * MS;
+    const attestationTimestamp = blockMs - spec.attestationAgeMs;
+    const aggregateTimestamp = spec.afterPreviousMs !== null && previousTimestamp > 0
+      ? previousTimestamp + spec.afterPreviousMs
+      : attestationTimestamp - spec.reportDelayMs;
+    return {
+      aggregateTimestamp,
+      attestationTimestamp,
+      lastConsensusTimestamp: spec.consensusLagMs === null ? aggregateTimestamp : aggregateTimestamp - spec.consensusLagMs,
+      nextTimestamp: spec.nextAgeMs === null ? 0 : blockMs - spec.nextAgeMs,
+      aggregatePower: spec.aggregatePower,
+    };
+  }
+
+  // validator timestamps must precede every generated attestation, so start well after the bridge was set up
+  async function deployPropertiesFixture() {
+    const fixture = await deployTellorDataBankFixture();
+    await time.increase(3 * MAX_DATA_AGE);
+    return fixture;
+  }
+
+  async function relaySequence(fixture, specs) {
+    const { tellorDataBank, validators, powers, valCheckpoint, threshold } = fixture;
+    let previousTimestamp = 0;
+    let count = 0;
+    for (const [index, spec] of specs.entries()) {
+      const blockTimestamp = (await time.latest()) + spec.advanceSeconds;
+      const report = buildReport(spec, blockTimestamp, previousTimestamp);
+      const expected = expectedRevert(
+        Object.fromEntries(Object.entries(report).map(([key, value]) => [key, BigInt(value)])),
+        BigInt(blockTimestamp),
+        BigInt(previousTimestamp),
+        BigInt(threshold)
+      );
+      const value = abiCoder.encode(["uint256"], [2000n + BigInt(index)]);
+      const { attestData, currentValidatorSet, sigs } = await h.prepareOracleData(ETH_USD_QUERY_ID, value, validators, powers, valCheckpoint, {
+        ...report,
+        ignoreInvariantChecks: true,
+      });
+
+      await time.setNextBlockTimestamp(blockTimestamp);
+      let actual = null;
+      try {
+        // a fixed gas limit skips estimateGas, so the relay is always mined at blockTimestamp
+        await tellorDataBank.updateOracleData(attestData, currentValidatorSet, sigs, { gasLimit: 1000000 });
+      } catch (error) {
+        actual = revertOf(error);
+      }
+      expect(actual, `report ${index}: ${JSON.stringify(report)} at block ${blockTimestamp}`).to.equal(expected);
+
+      if (actual === null) {
+        previousTimestamp = report.aggregateTimestamp;
+        count++;
+        const stored = await tellorDataBank.getCurrentAggregateData(ETH_USD_QUERY_ID);
+        expect(stored.aggregateTimestamp).to.equal(report.aggregateTimestamp);
+        expect(stored.relayTimestamp).to.equal(blockTimestamp);
+      }
+      expect(await tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(count);
+    }
+  }
+
+  it("Should accept a report exactly when the model does", async function () {
+    await fc.assert(
+      fc.asyncProperty(fc.array(reportArbitrary, { minLength: 1, maxLength: 3 }), async (specs) => {
+        const fixture = await loadFixture(deployPropertiesFixture);
+        await relaySequence(fixture, specs);
+      }),
+      { numRuns: runs, seed }
+    );
+  });
+
+  it("Should agree with the model on every rule boundary", async function () {
+    const base = { advanceSeconds: 60, attestationAgeMs: 0, reportDelayMs: MS, afterPreviousMs: null, consensusLagMs: null, nextAgeMs: null, aggregatePower: 100 };
+    const cases = [
+      { reportDelayMs: MAX_DATA_AGE * MS - MS },
+      { reportDelayMs: MAX_DATA_AGE * MS },
+      { attestationAgeMs: MAX_ATTESTATION_AGE * MS - 1 },
+      { attestationAgeMs: MAX_ATTESTATION_AGE * MS },
+      { attestationAgeMs: -MS },
+      { nextAgeMs: OPTIMISTIC_DELAY * MS - 1 },
+      { nextAgeMs: OPTIMISTIC_DELAY * MS },
+      { reportDelayMs: OPTIMISTIC_DELAY * MS, consensusLagMs: MS },
+      { reportDelayMs: OPTIMISTIC_DELAY * MS - 1, consensusLagMs: MS },
+      { reportDelayMs: OPTIMISTIC_DELAY * MS, consensusLagMs: -MS },
+      { reportDelayMs: OPTIMISTIC_DELAY * MS, consensusLagMs: MS, aggregatePower: 33 },
+      { reportDelayMs: OPTIMISTIC_DELAY * MS, consensusLagMs: MS, aggregatePower: 34 },
+    ];
+    for (const overrides of cases) {
+      const fixture = await loadFixture(deployPropertiesFixture);
+      await relaySequence(fixture, [{ ...base, ...overrides }]);
+    }
+    for (const afterPreviousMs of [-1, 0, 1]) {
+      const fixture = await loadFixture(deployPropertiesFixture);
+      await relaySequence(fixture, [base, { ...base, afterPreviousMs }]);
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const h = require("./customHelpers.js");
+const { deployTellorDataBankWithValidators, relayPrice, ETH_USD_QUERY_ID } = require("./fixtures.js");
+
+describe("Validator sets", function () {
+  const abiCoder = new ethers.AbiCoder();
+  const value = abiCoder.encode(["uint256"], [ethers.parseUnits("2000", 18)]);
+
+  // validators 0 and 1 hold exactly the threshold, 1 and 2 fall short of it
+  async function deployThreeValidatorFixture() {
+    return deployTellorDataBankWithValidators(h.createValidatorSet([40, 26, 34], 66));
+  }
+
+  async function verify(fixture, overrides = {}) {
+    const { dataBridge, validators, powers, valCheckpoint } = fixture;
+    const { attestData, currentValidatorSet, sigs } = await h.prepareOracleData(ETH_USD_QUERY_ID, value, validators, powers, valCheckpoint, overrides);
+    return dataBridge.verifyOracleData(attestData, currentValidatorSet, sigs);
+  }
+
+  describe("Helpers", function () {
+    it("Should default the threshold to two thirds of the total power", function () {
+      expect(h.createValidatorSet([100]).threshold).to.equal(66);
+      expect(h.createValidatorSet([40, 35, 25]).threshold).to.equal(66);
+      expect(h.createValidatorSet([1, 1, 1, 1]).threshold).to.equal(2);
+      expect(h.createValidatorSet([10], 10).threshold).to.equal(10);
+    });
+
+    it("Should calculate the checkpoint the bridge stores", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      expect(await fixture.dataBridge.lastValidatorSetCheckpoint()).to.equal(fixture.valCheckpoint);
+      expect(await h.calculateValidatorSetCheckpoint(fixture, fixture.validatorTimestamp)).to.equal(fixture.valCheckpoint);
+    });
+
+    it("Should leave non-signers empty and apply wrong keys and duplicates", function () {
+      const { validators } = h.createValidatorSet([40, 26, 34]);
+      const digest = ethers.id("digest");
+      const sigs = h.signDigest(digest, validators, { signers: [0, 2], wrongKeys: { 2: validators[1].privateKey } });
+      expect(sigs[1]).to.deep.equal(h.EMPTY_SIGNATURE);
+      expect(ethers.recoverAddress(ethers.sha256(digest), sigs[0])).to.equal(validators[0].address);
+      expect(ethers.recoverAddress(ethers.sha256(digest), sigs[2])).to.equal(validators[1].address);
+      expect(h.signDigest(digest, validators, { duplicateSignatures: { 1: 0 } })[1]).to.deep.equal(sigs[0]);
+    });
+  });
+
+  describe("Signature thresholds", function () {
+    it("Should accept signers holding exactly the threshold", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      await verify(fixture);
+      await verify(fixture, { signers: [0, 1] });
+      await verify(fixture, { signers: [0, 2] });
+    });
+
+    it("Should reject signers holding less than the threshold", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      await expect(verify(fixture, { signers: [1, 2] })).to.be.revertedWithCustomError(fixture.dataBridge, "InsufficientVotingPower");
+      await expect(verify(fixture, { signers: [0] })).to.be.revertedWithCustomError(fixture.dataBridge, "InsufficientVotingPower");
+      await expect(verify(fixture, { signers: [] })).to.be.revertedWithCustomError(fixture.dataBridge, "InsufficientVotingPower");
+    });
+
+    it("Should reject a threshold one above the signing power", async function () {
+      const fixture = await deployTellorDataBankWithValidators(h.createValidatorSet([40, 26, 34], 67));
+      await expect(verify(fixture, { signers: [0, 1] })).to.be.revertedWithCustomError(fixture.dataBridge, "InsufficientVotingPower");
+      await verify(fixture, { signers: [0, 2] });
+    });
+
+    it("Should reject signatures from the wrong key", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      const outsider = ethers.Wallet.createRandom();
+      await expect(verify(fixture, { wrongKeys: { 0: outsider.privateKey } })).to.be.revertedWithCustomError(fixture.dataBridge, "InvalidSignature");
+      await expect(verify(fixture, { signers: [0, 1], wrongKeys: { 1: fixture.validators[2].privateKey } }))
+        .to.be.revertedWithCustomError(fixture.dataBridge, "InvalidSignature");
+    });
+
+    it("Should reject a signature duplicated into another validator's slot", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      await expect(verify(fixture, { signers: [0, 1], duplicateSignatures: { 1: 0 } })).to.be.revertedWithCustomError(fixture.dataBridge, "InvalidSignature");
+    });
+
+    it("Should reject a validator set that does not match the checkpoint", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      const { attestData, currentValidatorSet, sigs } = await h.prepareOracleData(ETH_USD_QUERY_ID, value, fixture.validators, fixture.powers, fixture.valCheckpoint);
+      const inflated = currentValidatorSet.map((v, i) => (i === 1 ? { ...v, power: 60 } : v));
+      await expect(fixture.dataBridge.verifyOracleData(attestData, inflated, sigs)).to.be.revertedWithCustomError(fixture.dataBridge, "SuppliedValidatorSetInvalid");
+      await expect(fixture.dataBridge.verifyOracleData(attestData, currentValidatorSet, sigs.slice(1)))
+        .to.be.revertedWithCustomError(fixture.dataBridge, "MalformedCurrentValidatorSet");
+    });
+
+    it("Should relay partially signed data into the data bank", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      await relayPrice(fixture, ETH_USD_QUERY_ID, 2000n, { signers: [0, 1], aggregatePower: 66 });
+      expect(await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(1);
+      await expect(relayPrice(fixture, ETH_USD_QUERY_ID, 2001n, { signers: [1, 2] })).to.be.revertedWithCustomError(fixture.dataBridge, "InsufficientVotingPower");
+    });
+  });
+
+  describe("Validator set rotation", function () {
+    it("Should rotate to a new validator set signed by the current one", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      const nextSet = await h.rotateValidatorSet(fixture.dataBridge, fixture, h.createValidatorSet([10, 20, 30, 40]), { signers: [0, 1] });
+      expect(await fixture.dataBridge.lastValidatorSetCheckpoint()).to.equal(nextSet.valCheckpoint);
+      expect(await fixture.dataBridge.powerThreshold()).to.equal(66);
+      expect(await fixture.dataBridge.validatorTimestamp()).to.equal(nextSet.validatorTimestamp);
+
+      // the old set no longer matches the checkpoint, the new one needs its own threshold
+      await expect(verify(fixture)).to.be.revertedWithCustomError(fixture.dataBridge, "SuppliedValidatorSetInvalid");
+      await verify({ ...fixture, ...nextSet }, { signers: [2, 3] });
+      await expect(verify({ ...fixture, ...nextSet }, { signers: [0, 1, 2] })).to.be.revertedWithCustomError(fixture.dataBridge, "InsufficientVotingPower");
+      await relayPrice({ ...fixture, ...nextSet }, ETH_USD_QUERY_ID, 2000n);
+      expect(await fixture.tellorDataBank.getAggregateValueCount(ETH_USD_QUERY_ID)).to.equal(1);
+    });
+
+    it("Should reject a rotation signed below the threshold or with the wrong key", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      const newSet = h.createValidatorSet([50, 50]);
+      const underpowered = await h.prepareValidatorSetUpdate(fixture, newSet, { signers: [1, 2] });
+      await expect(fixture.dataBridge.updateValidatorSet(...underpowered.args)).to.be.revertedWithCustomError(fixture.dataBridge, "InsufficientVotingPower");
+      const forged = await h.prepareValidatorSetUpdate(fixture, newSet, { wrongKeys: { 0: newSet.validators[0].privateKey } });
+      await expect(fixture.dataBridge.updateValidatorSet(...forged.args)).to.be.revertedWithCustomError(fixture.dataBridge, "InvalidSignature");
+      expect(await fixture.dataBridge.lastValidatorSetCheckpoint()).to.equal(fixture.valCheckpoint);
+    });
+
+    it("Should chain rotations", async function () {
+      const fixture = await loadFixture(deployThreeValidatorFixture);
+      const second = await h.rotateValidatorSet(fixture.dataBridge, fixture, h.createValidatorSet([100]));
+      const third = await h.rotateValidatorSet(fixture.dataBridge, second, h.createValidatorSet([1, 2, 3], 4));
+      expect(await fixture.dataBridge.lastValidatorSetCheckpoint()).to.equal(third.valCheckpoint);
+      await verify({ ...fixture, ...third }, { signers: [0, 2] });
+      await expect(verify({ ...fixture, ...second })).to.be.revertedWithCustomError(fixture.dataBridge, "SuppliedValidatorSetInvalid");
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const h = require("./customHelpers.js");
+const { deployGuardedAdaptorFixture, relayPrice, ETH_USD_QUERY_ID } = require("./fixtures.js");
+const { MockReferenceSource } = require("../scripts/lib/referenceSources.js");
+const { Watchdog, deviationBps, scaleDecimals } = require("../scripts/lib/watchdog.js");
+
+describe("Watchdog", function () {
+  const silentLogger = { log() {}, error() {} };
+
+  async function setup({ mode = "recommend", thresholds = {}, relay = true } = {}) {
+    const fixture = await loadFixture(deployGuardedAdaptorFixture);
+    const { guardedLiquityV2OracleAdaptor, admin } = fixture;
+    if (relay) {
+      await relayPrice(fixture, ETH_USD_QUERY_ID, h.toWei("2000"));
+    }
+    const referenceSource = new MockReferenceSource();
+    const watchdog = new Watchdog({
+      feeds: [{ name: "ETH/USD", address: guardedLiquityV2OracleAdaptor.target }],
+      referenceSource,
+      runner: admin,
+      mode,
+      thresholds: { maxDeviationPercent: 5, maxStalenessSeconds: 3600, ...thresholds },
+      logger: silentLogger,
+    });
+    return { ...fixture, referenceSource, watchdog };
+  }
+
+  describe("helpers", function () {
+    it("Should scale between decimals", function () {
+      expect(scaleDecimals(200000000000n, 8, 18)).to.equal(h.toWei("2000"));
+      expect(scaleDecimals(h.toWei("2000"), 18, 8)).to.equal(200000000000n);
+    });
+
+    it("Should calculate deviation in basis points", function () {
+      expect(deviationBps(105n, 100n)).to.equal(500n);
+      expect(deviationBps(95n, 100n)).to.equal(500n);
+      expect(deviationBps(100n, 100n)).to.equal(0n);
+    });
+  });
+
+  describe("checkOnce", function () {
+    it("Should do nothing when the feed is within thresholds", async function () {
+      const { watchdog, referenceSource, guardedLiquityV2OracleAdaptor } = await setup();
+      // 8 decimal reference, 1% away
+      referenceSource.setPrice(guardedLiquityV2OracleAdaptor.target, 202000000000n, 8, await time.latest());
+      const [result] = await watchdog.checkOnce();
+      expect(result.status).to.equal("ok");
+      expect(result.reasons).to.deep.equal([]);
+    });
+
+    it("Should recommend a pause on deviation without sending it", async function () {
+      const { watchdog, referenceSource, guardedLiquityV2OracleAdaptor } = await setup();
+      referenceSource.setPrice(guardedLiquityV2OracleAdaptor.target, h.toWei("2200"), 18, await time.latest());
+      const [result] = await watchdog.checkOnce();
+      expect(result.status).to.equal("recommended");
+      expect(result.reasons[0]).to.contain("deviation");
+      expect(result.transaction).to.deep.equal({ to: guardedLiquityV2OracleAdaptor.target, value: "0", data: "0x8456cb59" });
+      expect(await guardedLiquityV2OracleAdaptor.paused()).to.equal(false);
+    });
+
+    it("Should pause on deviation in pause mode", async function () {
+      const { watchdog, referenceSource, guardedLiquityV2OracleAdaptor } = await setup({ mode: "pause" });
+      referenceSource.setPrice(guardedLiquityV2OracleAdaptor.target, h.toWei("1800"), 18, await time.latest());
+      const [result] = await watchdog.checkOnce();
+      expect(result.status).to.equal("paused-now");
+      expect(result.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await guardedLiquityV2OracleAdaptor.paused()).to.equal(true);
+
+      // already paused feeds are left alone
+      const [again] = await watchdog.checkOnce();
+      expect(again.status).to.equal("paused");
+    });
+
+    it("Should pause stale feeds", async function () {
+      const { watchdog, referenceSource, guardedLiquityV2OracleAdaptor } = await setup({ mode: "pause" });
+      referenceSource.setPrice(guardedLiquityV2OracleAdaptor.target, h.toWei("2000"), 18, await time.latest());
+      await time.increase(3601);
+      const [result] = await watchdog.checkOnce();
+      expect(result.status).to.equal("paused-now");
+      expect(result.reasons).to.have.lengthOf(1);
+      expect(result.reasons[0]).to.contain("stale");
+    });
+
+    it("Should skip the deviation check and report a stale reference instead of pausing", async function () {
+      const { watchdog, referenceSource, guardedLiquityV2OracleAdaptor } = await setup({ mode: "pause", thresholds: { maxReferenceAgeSeconds: 600 } });
+      // a frozen reference far from the adaptor's answer
+      referenceSource.setPrice(guardedLiquityV2OracleAdaptor.target, h.toWei("1500"), 18, (await time.latest()) - 601);
+      const [result] = await watchdog.checkOnce();
+      expect(result.status).to.equal("reference-stale");
+      expect(result.reasons).to.deep.equal([]);
+      expect(await guardedLiquityV2OracleAdaptor.paused()).to.equal(false);
+
+      // the adaptor's own staleness is still acted on
+      await time.increase(3601);
+      const [stale] = await watchdog.checkOnce();
+      expect(stale.status).to.equal("paused-now");
+      expect(stale.reasons).to.have.lengthOf(1);
+      expect(stale.reasons[0]).to.contain("stale: updatedAt");
+    });
+
+    it("Should pause after consecutive read failures", async function () {
+      const { watchdog, guardedLiquityV2OracleAdaptor } = await setup({ mode: "pause", thresholds: { maxReadFailures: 2 }, relay: false });
+      // no data has been relayed, so latestRoundData reverts
+      const [first] = await watchdog.checkOnce();
+      expect(first.status).to.equal("read-failed");
+      expect(await guardedLiquityV2OracleAdaptor.paused()).to.equal(false);
+
+      const [second] = await watchdog.checkOnce();
+      expect(second.status).to.equal("paused-now");
+      expect(second.reasons[0]).to.contain("No data available");
+      expect(await guardedLiquityV2OracleAdaptor.paused()).to.equal(true);
+    });
+
+    it("Should report an error when the runner is not a guardian", async function () {
+      const { guardedLiquityV2OracleAdaptor, referenceSource, nonGuardian } = await setup();
+      referenceSource.setPrice(guardedLiquityV2OracleAdaptor.target, h.toWei("3000"), 18, await time.latest());
+      const watchdog = new Watchdog({
+        feeds: [{ address: guardedLiquityV2OracleAdaptor.target }],
+        referenceSource,
+        runner: nonGuardian,
+        mode: "pause",
+        logger: silentLogger,
+      });
+      const [result] = await watchdog.checkOnce();
+      expect(result.status).to.equal("error");
+      expect(result.reasons[0]).to.contain("Not a guardian");
+      expect(await guardedLiquityV2OracleAdaptor.paused()).to.equal(false);
+    });
+  });
+});
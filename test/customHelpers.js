@@ -1,5 +1,63 @@
+const { ethers } = require("hardhat");
 const h = require("usingtellorlayer/src/helpers/evmHelpers.js");
 
+// the bridge skips all-zero signatures, marking validators that did not sign
+const EMPTY_SIGNATURE = { v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+/**
+ * Creates a validator set of random wallets with the given powers
+ * @param {Array} powers - Power of each validator, in validator set order
+ * @param {number} threshold - Power needed to sign off on data (default: 2/3 of the total power, rounded down)
+ * @returns {Object} Object containing validators, powers, and threshold
+ */
+function createValidatorSet(powers, threshold) {
+  const totalPower = powers.reduce((a, b) => a + b, 0);
+  return {
+    validators: powers.map(() => ethers.Wallet.createRandom()),
+    powers,
+    threshold: threshold !== undefined ? threshold : Math.floor((totalPower * 2) / 3),
+  };
+}
+
+/**
+ * Calculates the checkpoint the bridge stores for a validator set
+ * @param {Object} validatorSet - Object containing validators, powers, and threshold
+ * @param {number} validatorTimestamp - The validator set timestamp, in milliseconds
+ * @returns {string} The validator checkpoint hash
+ */
+async function calculateValidatorSetCheckpoint(validatorSet, validatorTimestamp) {
+  const valHash = await h.calculateValHash(validatorSet.validators.map(v => v.address), validatorSet.powers);
+  return h.calculateValCheckpoint(valHash, validatorSet.threshold, validatorTimestamp);
+}
+
+/**
+ * Signs a digest with a validator set, one signature per validator in validator set order
+ * @param {string} digest - The digest to sign
+ * @param {Array} validators - Array of validator objects with address and privateKey
+ * @param {Object} options - Optional signing options
+ * @param {Array} options.signers - Indices of the validators that sign, the others get an empty signature (default: all)
+ * @param {Object} options.wrongKeys - Validator index => private key that signs in place of the validator
+ * @param {Object} options.duplicateSignatures - Validator index => index of the validator whose signature is copied to it
+ * @returns {Array} Signature structs
+ */
+function signDigest(digest, validators, options = {}) {
+  const signers = options.signers !== undefined ? options.signers : validators.map((_, i) => i);
+  const wrongKeys = options.wrongKeys || {};
+  const duplicateSignatures = options.duplicateSignatures || {};
+
+  const sigs = validators.map((validator, i) => {
+    if (!signers.includes(i)) {
+      return EMPTY_SIGNATURE;
+    }
+    const sig = h.layerSign(digest, wrongKeys[i] !== undefined ? wrongKeys[i] : validator.privateKey);
+    return { v: sig.v, r: sig.r, s: sig.s };
+  });
+  for (const [to, from] of Object.entries(duplicateSignatures)) {
+    sigs[to] = sigs[from];
+  }
+  return sigs;
+}
+
 /**
  * Enhanced prepareOracleData function that allows overriding any parameter
  * @param {string} queryId - The query ID for the oracle data
@@ -15,6 +73,9 @@ const h = require("usingtellorlayer/src/helpers/evmHelpers.js");
  * @param {number} overrides.nextTimestamp - Custom next timestamp (default: 0)
  * @param {number} overrides.lastConsensusTimestamp - Custom last consensus timestamp (default: aggregateTimestamp for consensus data)
  * @param {boolean} overrides.ignoreInvariantChecks - Whether to skip invariant checks (default: false)
+ * @param {Array} overrides.signers - Indices of the validators that sign (default: all, see signDigest)
+ * @param {Object} overrides.wrongKeys - Validator index => private key that signs in place of the validator
+ * @param {Object} overrides.duplicateSignatures - Validator index => index of the validator whose signature is copied to it
  * @returns {Object} Object containing attestData, currentValidatorSet, and sigs
  */
 
@@ -69,11 +130,7 @@ async function prepareOracleData(queryId, value, validators, powers, validatorCh
   const currentValSetArray = await h.getValSetStructArray(valAddrs, powers);
   
   // Generate signatures
-  const sigs = [];
-  for (let i = 0; i < validators.length; i++) {
-    sigs.push(h.layerSign(dataDigest, validators[i].privateKey));
-  }
-  const sigStructArray = await h.getSigStructArray(sigs);
+  const sigStructArray = signDigest(dataDigest, validators, overrides);
   
   // Create oracle data struct
   const oracleDataStruct = await h.getOracleDataStruct(
@@ -157,6 +214,42 @@ async function prepareOracleDataWithTimestamp(queryId, value, validators, powers
   });
 }
 
+/**
+ * Prepares a bridge validator set update, signed by the current validator set
+ * @param {Object} currentSet - Current validator set with validators, powers, threshold, validatorTimestamp, and valCheckpoint
+ * @param {Object} newSet - Validator set to rotate to, from createValidatorSet
+ * @param {Object} options - Optional overrides, plus signing options for the current set (see signDigest)
+ * @param {number} options.validatorTimestamp - Timestamp of the new validator set (default: (block.timestamp - 2) * 1000)
+ * @returns {Object} Object containing the updateValidatorSet args and the new validatorSet with its checkpoint
+ */
+async function prepareValidatorSetUpdate(currentSet, newSet, options = {}) {
+  const blocky = await h.getBlock();
+  const validatorTimestamp = options.validatorTimestamp !== undefined ? options.validatorTimestamp : (blocky.timestamp - 2) * 1000;
+  const newValHash = await h.calculateValHash(newSet.validators.map(v => v.address), newSet.powers);
+  const valCheckpoint = h.calculateValCheckpoint(newValHash, newSet.threshold, validatorTimestamp);
+
+  const currentValSetArray = await h.getValSetStructArray(currentSet.validators.map(v => v.address), currentSet.powers);
+  const sigs = signDigest(valCheckpoint, currentSet.validators, options);
+  return {
+    args: [newValHash, newSet.threshold, validatorTimestamp, currentValSetArray, sigs],
+    validatorSet: { ...newSet, validatorTimestamp, valCheckpoint },
+  };
+}
+
+/**
+ * Rotates the bridge to a new validator set, signed by the current validator set
+ * @param {Object} dataBridge - The TellorDataBridge contract
+ * @param {Object} currentSet - Current validator set with validators, powers, threshold, validatorTimestamp, and valCheckpoint
+ * @param {Object} newSet - Validator set to rotate to, from createValidatorSet
+ * @param {Object} options - Optional prepareValidatorSetUpdate options
+ * @returns {Object} The new validator set with validatorTimestamp and valCheckpoint
+ */
+async function rotateValidatorSet(dataBridge, currentSet, newSet, options = {}) {
+  const { args, validatorSet } = await prepareValidatorSetUpdate(currentSet, newSet, options);
+  await (await dataBridge.updateValidatorSet(...args)).wait();
+  return validatorSet;
+}
+
 function attestDataStructToArray(attestData) {
   return [
     attestData.queryId,
@@ -175,9 +268,15 @@ function attestDataStructToArray(attestData) {
 // Re-export all the original helpers for convenience
 module.exports = {
   ...h, // Export all original helpers
+  EMPTY_SIGNATURE,
+  createValidatorSet,
+  calculateValidatorSetCheckpoint,
+  signDigest,
   prepareOracleData, // Our enhanced version
   prepareOldOracleData,
   prepareOldAttestationData,
   prepareOracleDataWithTimestamp,
+  prepareValidatorSetUpdate,
+  rotateValidatorSet,
   attestDataStructToArray,
 }; 
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { ethers } = require("hardhat");
+const h = require("./customHelpers.js");
+const TellorDataBridgeArtifact = require("usingtellorlayer/artifacts/contracts/testing/bridge/TellorDataBridge.sol/TellorDataBridge.json");
+const { buildQuery } = require("../scripts/lib/queryId.js");
+
+const UNBONDING_PERIOD = 86400 * 7 * 3; // 3 weeks
+const abiCoder = new ethers.AbiCoder();
+const ETH_USD_QUERY_ID = buildQuery("SpotPrice", ["eth", "usd"]).queryId;
+const DECIMALS = 18;
+
+/**
+ * Deploys a TellorDataBridge initialized with a validator set and a TellorDataBank on top of it
+ * @param {Object} validatorSet - Object containing validators, powers, and threshold, from h.createValidatorSet
+ * @returns {Object} dataBridge, tellorDataBank, signers, validators, powers, threshold, validatorTimestamp and valCheckpoint
+ */
+async function deployTellorDataBankWithValidators(validatorSet) {
+  const [deployer, admin, guardian2, guardian3, nonGuardian] = await ethers.getSigners();
+
+  // Deploy TellorDataBridge
+  const blocky = await h.getBlock();
+  const valTimestamp = (blocky.timestamp - 2) * 1000;
+  const valCheckpoint = await h.calculateValidatorSetCheckpoint(validatorSet, valTimestamp);
+
+  const TellorDataBridge = await ethers.getContractFactory(TellorDataBridgeArtifact.abi, TellorDataBridgeArtifact.bytecode);
+  const dataBridge = await TellorDataBridge.deploy(admin.address);
+  await dataBridge.init(validatorSet.threshold, valTimestamp, UNBONDING_PERIOD, valCheckpoint);
+
+  // Deploy TellorDataBank
+  const TellorDataBank = await ethers.getContractFactory("TellorDataBank");
+  const tellorDataBank = await TellorDataBank.deploy(dataBridge.target, admin.address);
+  await tellorDataBank.waitForDeployment();
+
+  return {
+    dataBridge,
+    tellorDataBank,
+    deployer,
+    admin,
+    guardian2,
+    guardian3,
+    nonGuardian,
+    validators: validatorSet.validators,
+    powers: validatorSet.powers,
+    threshold: validatorSet.threshold,
+    validatorTimestamp: valTimestamp,
+    valCheckpoint,
+  };
+}
+
+/**
+ * Fixture deploying a TellorDataBridge with a single validator and a TellorDataBank on top of it
+ * @returns {Object} dataBridge, tellorDataBank, signers, validators, powers, valCheckpoint and threshold
+ */
+async function deployTellorDataBankFixture() {
+  return deployTellorDataBankWithValidators(h.createValidatorSet([100], 66));
+}
+
+/**
+ * Fixture extending deployTellorDataBankFixture with an ETH/USD GuardedLiquityV2OracleAdaptor administered by admin
+ * @returns {Object} everything from deployTellorDataBankFixture plus guardedLiquityV2OracleAdaptor
+ */
+async function deployGuardedAdaptorFixture() {
+  const fixture = await deployTellorDataBankFixture();
+  const GuardedLiquityV2OracleAdaptor = await ethers.getContractFactory("GuardedLiquityV2OracleAdaptor");
+  const guardedLiquityV2OracleAdaptor = await GuardedLiquityV2OracleAdaptor.deploy(fixture.tellorDataBank.target, ETH_USD_QUERY_ID, DECIMALS, DECIMALS, false, "ProjectA", "ETH/USD", fixture.admin.address);
+  await guardedLiquityV2OracleAdaptor.waitForDeployment();
+  return { ...fixture, guardedLiquityV2OracleAdaptor };
+}
+
+/**
+ * Prepares and relays a uint256 price for a query ID
+ * @param {Object} fixture - A fixture from deployTellorDataBankFixture
+ * @param {string} queryId - The query ID
+ * @param {BigInt} price - The price to relay
+ * @param {Object} overrides - Optional prepareOracleData overrides
+ * @returns {Object} The relayed attestData, currentValidatorSet, and sigs
+ */
+async function relayPrice(fixture, queryId, price, overrides = {}) {
+  const { tellorDataBank, validators, powers, valCheckpoint } = fixture;
+  const value = abiCoder.encode(["uint256"], [price]);
+  const relayArgs = await h.prepareOracleData(queryId, value, validators, powers, valCheckpoint, overrides);
+  await tellorDataBank.updateOracleData(relayArgs.attestData, relayArgs.currentValidatorSet, relayArgs.sigs);
+  return relayArgs;
+}
+
+module.exports = {
+  UNBONDING_PERIOD,
+  ETH_USD_QUERY_ID,
+  DECIMALS,
+  deployTellorDataBankWithValidators,
+  deployTellorDataBankFixture,
+  deployGuardedAdaptorFixture,
+  relayPrice,
+};